@@ -1,239 +1,741 @@
 const fs = require('fs');
 const path = require('path');
-const { createCanvas } = require('canvas');
 
 /**
  * 标准ER图生成器
  * 输入格式：JSON文件包含entities和relationships
- * 输出：标准ER图（矩形实体 + 菱形关系 + 基数标记）
+ * 输出：标准ER图，支持三种记法，按输出文件扩展名写出 PNG（canvas）或 SVG
+ * - chen：矩形实体 + 菱形关系 + 基数标记
+ * - crowsfoot：乌鸦脚（IE）记法，实体框内列出属性，连线两端画基数符号
+ * - uml-class：UML类图风格，实体框分名称栏和属性栏，连线两端标多重性
  */
 
-function generateStandardER(inputFile, outputFile) {
+const NOTATIONS = ['chen', 'crowsfoot', 'uml-class'];
+const FONT_FAMILY = 'Microsoft YaHei, SimHei, Arial';
+
+function generateStandardER(inputFile, outputFile, options = {}) {
   console.log('=== 标准ER图生成器 ===\n');
 
   // 读取输入文件
   const data = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
   const { title, entities, relationships } = data;
+  const notation = options.notation || data.notation || 'chen';
+
+  if (!NOTATIONS.includes(notation)) {
+    throw new Error(`不支持的记法：${notation}（可选 ${NOTATIONS.join(' / ')}）`);
+  }
 
   console.log(`标题: ${title}`);
   console.log(`实体数量: ${entities.length}`);
   console.log(`关系数量: ${relationships.length}`);
+  console.log(`记法: ${notation}`);
 
-  // Canvas设置
-  const canvas = createCanvas(1400, 1000);
-  const ctx = canvas.getContext('2d');
+  const scene = buildERScene(data, notation);
+  const format = path.extname(outputFile).toLowerCase() === '.svg' ? 'svg' : 'png';
 
-  // 背景
-  ctx.fillStyle = '#ffffff';
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  // 保存文件
+  console.log('\n保存ER图...');
+  fs.writeFileSync(outputFile, format === 'svg' ? renderSvg(scene) : renderPng(scene));
 
-  // 字体设置
-  ctx.font = '14px Arial';
-  ctx.textAlign = 'center';
+  console.log(`✅ 标准ER图已生成: ${outputFile}`);
+  console.log(`📊 包含 ${entities.length} 个实体，${relationships.length} 个关系`);
+}
 
-  // 布局算法：力导向布局的简化版本
-  const entityPositions = {};
-  const relationshipPositions = {};
+/**
+ * 把输入转换为与输出格式无关的图元列表（rect / polygon / line / polyline / circle / text），
+ * 再由 renderSvg / renderPng 分别绘制，保证两种格式的图形完全一致
+ */
+function buildERScene(data, notation = 'chen') {
+  const { title, entities, relationships } = data;
+  const attributes = new Map(entities.map(entity => [entity.name, normalizeAttributes(entity)]));
 
-  // 初始化实体位置（网格布局）
-  const gridCols = Math.ceil(Math.sqrt(entities.length));
-  const gridRows = Math.ceil(entities.length / gridCols);
-  const startX = 150;
-  const startY = 150;
-  const spacingX = (canvas.width - 300) / Math.max(gridCols - 1, 1);
-  const spacingY = (canvas.height - 300) / Math.max(gridRows - 1, 1);
-
-  entities.forEach((entity, index) => {
-    const col = index % gridCols;
-    const row = Math.floor(index / gridCols);
-    entityPositions[entity.name] = {
-      x: startX + col * spacingX,
-      y: startY + row * spacingY,
-      width: 100,
-      height: 50
-    };
+  // 分层布局：位置只由输入决定（不含随机数），相同输入得到相同的图，便于版本对比；
+  // 乌鸦脚和UML记法中关系只是连线上的文字标签，布局节点缩小为标签大小
+  const layout = computeERLayout(entities, relationships, notation === 'chen' ? {} : {
+    entitySize: entity => measureEntityBox(entity.name, attributes.get(entity.name), notation),
+    relationshipSize: rel => ({ width: Math.ceil(measureText(rel.name, 12) + 16), height: 24 })
   });
 
-  // 计算关系的位置（在相关实体之间）
-  relationships.forEach((rel, index) => {
-    const entity1Pos = entityPositions[rel.entity1];
-    const entity2Pos = entityPositions[rel.entity2];
+  const items = [];
+  const relPositions = Object.values(layout.relationshipPositions);
 
-    if (entity1Pos && entity2Pos) {
-      const midX = (entity1Pos.x + entity2Pos.x) / 2;
-      const midY = (entity1Pos.y + entity2Pos.y) / 2;
+  // 连线与两端的基数/多重性标记
+  for (const relPos of relPositions) {
+    const rel = relPos.relationship;
+    const [line1, line2] = relPos.lines;
 
-      // 添加一些随机偏移避免重叠
-      const offsetX = (Math.random() - 0.5) * 60;
-      const offsetY = (Math.random() - 0.5) * 60;
+    if (notation === 'chen') {
+      items.push({ type: 'line', ...line1 }, { type: 'line', ...line2 });
+      items.push(cardinalityLabel(line1, rel.cardinality1), cardinalityLabel(line2, rel.cardinality2));
+      continue;
+    }
 
-      relationshipPositions[`${rel.entity1}-${rel.entity2}-${index}`] = {
-        x: midX + offsetX,
-        y: midY + offsetY,
-        width: 80,
-        height: 50,
-        relationship: rel
-      };
+    // 连线穿过关系标签：实体1锚点 → 标签 → 实体2锚点
+    items.push({
+      type: 'polyline',
+      points: [[line1.x1, line1.y1], [line1.x2, line1.y2], [line2.x1, line2.y1], [line2.x2, line2.y2]]
+    });
+
+    const ends = [
+      { anchor: { x: line1.x1, y: line1.y1 }, toward: { x: line1.x2, y: line1.y2 }, cardinality: rel.cardinality1 },
+      { anchor: { x: line2.x2, y: line2.y2 }, toward: { x: line2.x1, y: line2.y1 }, cardinality: rel.cardinality2 }
+    ];
+    for (const end of ends) {
+      items.push(...(notation === 'crowsfoot'
+        ? crowsFootSymbol(end.anchor, end.toward, end.cardinality)
+        : [multiplicityLabel(end.anchor, end.toward, end.cardinality)]));
     }
-  });
+  }
 
-  // 绘制连接线
-  console.log('\n绘制关系连线...');
-  ctx.strokeStyle = '#333';
-  ctx.lineWidth = 2;
+  // 实体
+  for (const entity of entities) {
+    const pos = layout.entityPositions[entity.name];
+    if (!pos) continue;
 
-  Object.values(relationshipPositions).forEach(relPos => {
+    if (notation === 'chen') {
+      items.push({ type: 'rect', x: pos.x - pos.width / 2, y: pos.y - pos.height / 2, width: pos.width, height: pos.height, strokeWidth: 2 });
+      items.push({ type: 'text', x: pos.x, y: pos.y + 5, text: entity.name, size: 14, bold: true });
+    } else {
+      items.push(...entityBox(entity.name, attributes.get(entity.name), pos, notation));
+    }
+  }
+
+  // 关系：陈氏记法画菱形，其余记法画带白底的文字标签
+  for (const relPos of relPositions) {
     const rel = relPos.relationship;
-    const entity1Pos = entityPositions[rel.entity1];
-    const entity2Pos = entityPositions[rel.entity2];
-
-    if (entity1Pos && entity2Pos) {
-      // 从实体1到关系的连线
-      const line1 = calculateConnectionPoints(entity1Pos, relPos);
-      ctx.beginPath();
-      ctx.moveTo(line1.x1, line1.y1);
-      ctx.lineTo(line1.x2, line1.y2);
-      ctx.stroke();
-
-      // 从关系到实体2的连线
-      const line2 = calculateConnectionPoints(relPos, entity2Pos);
-      ctx.beginPath();
-      ctx.moveTo(line2.x1, line2.y1);
-      ctx.lineTo(line2.x2, line2.y2);
-      ctx.stroke();
-
-      // 绘制基数标记
-      drawCardinality(ctx, line1, rel.cardinality1);
-      drawCardinality(ctx, line2, rel.cardinality2);
+    if (notation === 'chen') {
+      items.push({
+        type: 'polygon',
+        points: [
+          [relPos.x, relPos.y - relPos.height / 2], // 上
+          [relPos.x + relPos.width / 2, relPos.y], // 右
+          [relPos.x, relPos.y + relPos.height / 2], // 下
+          [relPos.x - relPos.width / 2, relPos.y] // 左
+        ],
+        strokeWidth: 2
+      });
+      items.push({ type: 'text', x: relPos.x, y: relPos.y + 4, text: rel.name, size: 12 });
+    } else {
+      items.push({ type: 'rect', x: relPos.x - relPos.width / 2, y: relPos.y - 9, width: relPos.width, height: 18, stroke: 'none' });
+      items.push({ type: 'text', x: relPos.x, y: relPos.y + 4, text: rel.name, size: 12, italic: notation === 'uml-class' });
     }
-  });
+  }
+
+  // 标题
+  items.push({ type: 'text', x: layout.width / 2, y: 40, text: title || '', size: 20, bold: true });
+
+  return { width: layout.width, height: layout.height, items };
+}
+
+// 属性可写成字符串或 { name, type, key }，key 取 PK / FK / PK,FK
+function normalizeAttributes(entity) {
+  return (entity.attributes || [])
+    .map(attr => (typeof attr === 'string' ? { name: attr } : attr))
+    .filter(attr => attr && attr.name)
+    .map(attr => ({ name: attr.name, type: attr.type || '', key: String(attr.key || '').toUpperCase() }));
+}
+
+const BOX = { headerHeight: 30, rowHeight: 22, padding: 10 };
+
+// 乌鸦脚记法左侧 PK/FK 列宽，按最长的键标记计算
+function keyColumnWidth(attrs, notation) {
+  if (notation !== 'crowsfoot') return 0;
+  return Math.max(30, ...attrs.map(attr => Math.ceil(measureText(keyLabel(attr), 10) + 12)));
+}
+
+function keyLabel(attr) {
+  return attr.key.split(/[,\s]+/).filter(Boolean).join(',');
+}
+
+function attributeText(attr, notation) {
+  if (notation === 'uml-class') {
+    const keys = keyLabel(attr);
+    return `${attr.name}${attr.type ? ` : ${attr.type}` : ''}${keys ? ` {${keys}}` : ''}`;
+  }
+  return `${attr.name}${attr.type ? `  ${attr.type}` : ''}`;
+}
+
+function measureEntityBox(name, attrs, notation) {
+  if (attrs.length === 0) {
+    return { width: Math.max(100, Math.ceil(measureText(name, 14) + 30)), height: LAYOUT.entityHeight };
+  }
+  const keyColumn = keyColumnWidth(attrs, notation);
+  const widest = Math.max(...attrs.map(attr => measureText(attributeText(attr, notation), 12)));
+  return {
+    width: Math.max(120, Math.ceil(measureText(name, 14) + 30), Math.ceil(keyColumn + widest + BOX.padding * 2)),
+    height: BOX.headerHeight + attrs.length * BOX.rowHeight + BOX.padding
+  };
+}
 
-  // 绘制实体（矩形）
-  console.log('绘制实体...');
-  entities.forEach(entity => {
-    const pos = entityPositions[entity.name];
-    if (pos) {
-      // 实体矩形
-      ctx.fillStyle = '#ffffff';
-      ctx.strokeStyle = '#333';
-      ctx.lineWidth = 2;
-      ctx.fillRect(pos.x - pos.width/2, pos.y - pos.height/2, pos.width, pos.height);
-      ctx.strokeRect(pos.x - pos.width/2, pos.y - pos.height/2, pos.width, pos.height);
-
-      // 实体名称
-      ctx.fillStyle = '#333';
-      ctx.font = 'bold 14px Arial';
-      ctx.textAlign = 'center';
-      ctx.fillText(entity.name, pos.x, pos.y + 5);
-
-      console.log(`实体: ${entity.name} at (${pos.x}, ${pos.y})`);
+// 带属性栏的实体框：乌鸦脚记法主键排在前面并用横线与其余属性分隔，左侧标 PK/FK；
+// UML记法用 {PK}/{FK} 约束标注
+function entityBox(name, attrs, pos, notation) {
+  const left = pos.x - pos.width / 2;
+  const top = pos.y - pos.height / 2;
+  const items = [{ type: 'rect', x: left, y: top, width: pos.width, height: pos.height, strokeWidth: 2 }];
+
+  if (attrs.length === 0) {
+    items.push({ type: 'text', x: pos.x, y: pos.y + 5, text: name, size: 14, bold: true });
+    return items;
+  }
+
+  items.push({ type: 'rect', x: left, y: top, width: pos.width, height: BOX.headerHeight, fill: '#f2f2f2', strokeWidth: 2 });
+  items.push({ type: 'text', x: pos.x, y: top + 20, text: name, size: 14, bold: true });
+
+  const ordered = notation === 'crowsfoot'
+    ? [...attrs.filter(attr => attr.key.includes('PK')), ...attrs.filter(attr => !attr.key.includes('PK'))]
+    : attrs;
+  const keyCount = notation === 'crowsfoot' ? ordered.filter(attr => attr.key.includes('PK')).length : 0;
+  const keyColumn = keyColumnWidth(attrs, notation);
+
+  ordered.forEach((attr, index) => {
+    const rowTop = top + BOX.headerHeight + BOX.padding / 2 + index * BOX.rowHeight;
+    if (notation === 'crowsfoot' && attr.key) {
+      items.push({ type: 'text', x: left + BOX.padding, y: rowTop + 15, text: keyLabel(attr), size: 10, bold: true, anchor: 'start' });
     }
+    items.push({ type: 'text', x: left + BOX.padding + keyColumn, y: rowTop + 15, text: attributeText(attr, notation), size: 12, anchor: 'start' });
   });
 
-  // 绘制关系（菱形）
-  console.log('绘制关系...');
-  Object.values(relationshipPositions).forEach(relPos => {
-    const rel = relPos.relationship;
+  if (keyCount > 0 && keyCount < ordered.length) {
+    const y = top + BOX.headerHeight + BOX.padding / 2 + keyCount * BOX.rowHeight;
+    items.push({ type: 'line', x1: left, y1: y, x2: left + pos.width, y2: y, strokeWidth: 1 });
+  }
+
+  return items;
+}
+
+// 基数："1"、"n"/"m"/"*"、"0..1"、"1..n"、"0..n"；未写下限时默认为 1
+function parseCardinality(value) {
+  const text = String(value === undefined || value === null ? '1' : value).trim().toLowerCase();
+  const [lower, upper] = text.includes('..') ? text.split('..') : ['1', text];
+  return {
+    min: lower.trim() === '0' ? 0 : 1,
+    many: /[nm*]|多/.test(upper),
+    uml: text.includes('..') ? text.replace(/[nm]/g, '*') : (/[nm*]|多/.test(upper) ? '*' : text)
+  };
+}
+
+// 从锚点指向对端的单位向量及其法向量
+function endDirection(anchor, toward) {
+  const dx = toward.x - anchor.x;
+  const dy = toward.y - anchor.y;
+  const length = Math.hypot(dx, dy) || 1;
+  return { ux: dx / length, uy: dy / length, px: -dy / length, py: dx / length };
+}
+
+// 乌鸦脚符号：上限多为三叉脚、上限一为竖线；下限 1 为竖线、下限 0 为小圆
+function crowsFootSymbol(anchor, toward, cardinality) {
+  const { min, many } = parseCardinality(cardinality);
+  const { ux, uy, px, py } = endDirection(anchor, toward);
+  const at = (distance, offset = 0) => [anchor.x + ux * distance + px * offset, anchor.y + uy * distance + py * offset];
+  const bar = (distance) => {
+    const [x1, y1] = at(distance, -7);
+    const [x2, y2] = at(distance, 7);
+    return { type: 'line', x1, y1, x2, y2, strokeWidth: 1.5 };
+  };
+
+  const items = [];
+  if (many) {
+    const [fx, fy] = at(14);
+    for (const offset of [-8, 0, 8]) {
+      const [x, y] = at(0, offset);
+      items.push({ type: 'line', x1: fx, y1: fy, x2: x, y2: y, strokeWidth: 1.5 });
+    }
+  } else {
+    items.push(bar(8));
+  }
+
+  if (min === 0) {
+    const [cx, cy] = at(many ? 22 : 18);
+    items.push({ type: 'circle', cx, cy, r: 5, strokeWidth: 1.5 });
+  } else {
+    items.push(bar(many ? 20 : 14));
+  }
+  return items;
+}
+
+// UML多重性：写在锚点附近、连线的一侧
+function multiplicityLabel(anchor, toward, cardinality) {
+  const { ux, uy, px, py } = endDirection(anchor, toward);
+  return {
+    type: 'text',
+    x: anchor.x + ux * 16 + px * 12,
+    y: anchor.y + uy * 16 + py * 12 + 4,
+    text: parseCardinality(cardinality).uml,
+    size: 12
+  };
+}
+
+// 陈氏记法基数标记：连线中点，稍微偏离线条
+function cardinalityLabel(line, cardinality) {
+  const angle = Math.atan2(line.y2 - line.y1, line.x2 - line.x1);
+  return {
+    type: 'text',
+    x: (line.x1 + line.x2) / 2 - Math.sin(angle) * 15,
+    y: (line.y1 + line.y2) / 2 + Math.cos(angle) * 15,
+    text: cardinality,
+    size: 12
+  };
+}
 
-    // 菱形路径
-    ctx.fillStyle = '#ffffff';
-    ctx.strokeStyle = '#333';
-    ctx.lineWidth = 2;
+// ==================== 输出 ====================
+
+function renderSvg(scene) {
+  const num = (value) => Math.round(value * 10) / 10;
+  const stroke = (item) => `stroke="${item.stroke || '#333'}" stroke-width="${item.strokeWidth || 2}"`;
+  let svg = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+  svg += `<svg width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}" xmlns="http://www.w3.org/2000/svg">\n`;
+  svg += `  <rect width="${scene.width}" height="${scene.height}" fill="#ffffff"/>\n`;
+
+  for (const item of scene.items) {
+    switch (item.type) {
+      case 'rect':
+        svg += `  <rect x="${num(item.x)}" y="${num(item.y)}" width="${num(item.width)}" height="${num(item.height)}" fill="${item.fill || '#ffffff'}" ${stroke(item)}/>\n`;
+        break;
+      case 'polygon':
+        svg += `  <polygon points="${item.points.map(([x, y]) => `${num(x)},${num(y)}`).join(' ')}" fill="${item.fill || '#ffffff'}" ${stroke(item)}/>\n`;
+        break;
+      case 'polyline':
+        svg += `  <polyline points="${item.points.map(([x, y]) => `${num(x)},${num(y)}`).join(' ')}" fill="none" ${stroke(item)}/>\n`;
+        break;
+      case 'line':
+        svg += `  <line x1="${num(item.x1)}" y1="${num(item.y1)}" x2="${num(item.x2)}" y2="${num(item.y2)}" ${stroke(item)}/>\n`;
+        break;
+      case 'circle':
+        svg += `  <circle cx="${num(item.cx)}" cy="${num(item.cy)}" r="${item.r}" fill="#ffffff" ${stroke(item)}/>\n`;
+        break;
+      case 'text': {
+        const anchor = item.anchor || 'middle';
+        const weight = item.bold ? ' font-weight="bold"' : '';
+        const style = item.italic ? ' font-style="italic"' : '';
+        svg += `  <text x="${num(item.x)}" y="${num(item.y)}" text-anchor="${anchor}" font-family="${FONT_FAMILY}" font-size="${item.size}"${weight}${style} fill="#333">${escapeXml(item.text)}</text>\n`;
+        break;
+      }
+    }
+  }
 
+  return svg + `</svg>\n`;
+}
+
+function renderPng(scene) {
+  // 只有输出PNG时才需要 canvas 原生模块
+  const { createCanvas } = require('canvas');
+  const canvas = createCanvas(scene.width, scene.height);
+  const ctx = canvas.getContext('2d');
+
+  // 背景
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  const applyStroke = (item) => {
+    ctx.strokeStyle = item.stroke || '#333';
+    ctx.lineWidth = item.strokeWidth || 2;
+  };
+  const tracePoints = (points) => {
     ctx.beginPath();
-    ctx.moveTo(relPos.x, relPos.y - relPos.height/2); // 上
-    ctx.lineTo(relPos.x + relPos.width/2, relPos.y); // 右
-    ctx.lineTo(relPos.x, relPos.y + relPos.height/2); // 下
-    ctx.lineTo(relPos.x - relPos.width/2, relPos.y); // 左
-    ctx.closePath();
-    ctx.fill();
-    ctx.stroke();
-
-    // 关系名称
-    ctx.fillStyle = '#333';
-    ctx.font = '12px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText(rel.name, relPos.x, relPos.y + 4);
-
-    console.log(`关系: ${rel.name} at (${relPos.x}, ${relPos.y})`);
+    points.forEach(([x, y], index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+  };
+
+  for (const item of scene.items) {
+    switch (item.type) {
+      case 'rect':
+        ctx.fillStyle = item.fill || '#ffffff';
+        ctx.fillRect(item.x, item.y, item.width, item.height);
+        if (item.stroke !== 'none') {
+          applyStroke(item);
+          ctx.strokeRect(item.x, item.y, item.width, item.height);
+        }
+        break;
+      case 'polygon':
+        tracePoints(item.points);
+        ctx.closePath();
+        ctx.fillStyle = item.fill || '#ffffff';
+        ctx.fill();
+        applyStroke(item);
+        ctx.stroke();
+        break;
+      case 'polyline':
+        tracePoints(item.points);
+        applyStroke(item);
+        ctx.stroke();
+        break;
+      case 'line':
+        tracePoints([[item.x1, item.y1], [item.x2, item.y2]]);
+        applyStroke(item);
+        ctx.stroke();
+        break;
+      case 'circle':
+        ctx.beginPath();
+        ctx.arc(item.cx, item.cy, item.r, 0, Math.PI * 2);
+        ctx.fillStyle = '#ffffff';
+        ctx.fill();
+        applyStroke(item);
+        ctx.stroke();
+        break;
+      case 'text':
+        ctx.fillStyle = '#333';
+        ctx.font = `${item.italic ? 'italic ' : ''}${item.bold ? 'bold ' : ''}${item.size}px Arial`;
+        ctx.textAlign = { start: 'left', end: 'right' }[item.anchor] || 'center';
+        ctx.fillText(item.text, item.x, item.y);
+        break;
+    }
+  }
+
+  return canvas.toBuffer('image/png');
+}
+
+function escapeXml(text) {
+  const escapeMap = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' };
+  return String(text).replace(/[<>&"']/g, char => escapeMap[char]);
+}
+
+// ==================== 布局 ====================
+
+const LAYOUT = {
+  margin: 60,
+  titleHeight: 60,
+  nodeGap: 40,
+  componentGap: 80,
+  rowGap: 60,
+  entityHeight: 50,
+  diamondHeight: 50,
+  sweeps: 12
+};
+
+/**
+ * 计算标准ER图的分层布局（确定性）
+ *
+ * 1. 每个连通分量从度数最大的实体开始 BFS 分层，实体放在偶数行；
+ *    关系菱形放在两端实体之间的奇数行（同层实体之间的关系放在其下方的奇数行）。
+ * 2. 上下交替按重心排序并交换相邻节点，保留交叉数最少的顺序。
+ * 3. 节点水平位置向相连节点的平均位置靠拢，同时保持行内顺序与最小间距。
+ * 所有连线只连接相邻两行，位于行间空白带内，不会穿过任何实体或菱形。
+ *
+ * options.entitySize / options.relationshipSize 可按记法指定节点尺寸（如带属性列表的实体框、只有文字的关系标签）。
+ */
+function computeERLayout(entities, relationships, options = {}) {
+  const entitySize = options.entitySize || (entity => ({
+    width: Math.max(100, Math.ceil(measureText(entity.name, 14) + 30)),
+    height: LAYOUT.entityHeight
+  }));
+  const relationshipSize = options.relationshipSize || (rel => ({
+    width: Math.max(80, Math.ceil(measureText(rel.name, 12) * 2 + 30)),
+    height: LAYOUT.diamondHeight
+  }));
+
+  const entityNodes = entities.map((entity, index) => ({
+    kind: 'entity',
+    name: entity.name,
+    order: index,
+    ...entitySize(entity)
+  }));
+  const byName = new Map(entityNodes.map(node => [node.name, node]));
+
+  const diamondNodes = [];
+  relationships.forEach((rel, index) => {
+    const end1 = byName.get(rel.entity1);
+    const end2 = byName.get(rel.entity2);
+    if (!end1 || !end2) {
+      console.warn(`关系 ${rel.name} 引用了不存在的实体，已跳过`);
+      return;
+    }
+    diamondNodes.push({
+      kind: 'relationship',
+      relationship: rel,
+      order: entities.length + index,
+      ends: [end1, end2],
+      ...relationshipSize(rel)
+    });
   });
 
-  // 绘制标题
-  ctx.font = 'bold 20px Arial';
-  ctx.fillStyle = '#333';
-  ctx.textAlign = 'center';
-  ctx.fillText(title, canvas.width / 2, 40);
+  // 实体邻接表（按关系输入顺序，保证遍历结果确定）
+  const adjacent = new Map(entityNodes.map(node => [node, []]));
+  for (const diamond of diamondNodes) {
+    const [end1, end2] = diamond.ends;
+    adjacent.get(end1).push(end2);
+    if (end1 !== end2) adjacent.get(end2).push(end1);
+  }
 
-  // 保存文件
-  console.log('\\n保存ER图...');
-  const buffer = canvas.toBuffer('image/png');
-  fs.writeFileSync(outputFile, buffer);
+  // 连通分量，种子按度数降序、输入顺序升序
+  const seeds = [...entityNodes].sort((a, b) => adjacent.get(b).length - adjacent.get(a).length || a.order - b.order);
+  const visited = new Set();
+  const components = [];
+  for (const seed of seeds) {
+    if (visited.has(seed)) continue;
+    const members = [];
+    const queue = [seed];
+    seed.rank = 0;
+    visited.add(seed);
+    while (queue.length > 0) {
+      const node = queue.shift();
+      members.push(node);
+      for (const next of adjacent.get(node)) {
+        if (!visited.has(next)) {
+          visited.add(next);
+          next.rank = node.rank + 1;
+          queue.push(next);
+        }
+      }
+    }
+    components.push(members);
+  }
 
-  console.log(`✅ 标准ER图已生成: ${outputFile}`);
-  console.log(`📊 包含 ${entities.length} 个实体，${relationships.length} 个关系`);
-}
+  // 孤立实体合并成一个分量，排成一行
+  const isolated = components.filter(members => members.length === 1 && adjacent.get(members[0]).length === 0);
+  const connected = components.filter(members => !isolated.includes(members));
+  if (isolated.length > 0) {
+    connected.push(isolated.map(members => members[0]).sort((a, b) => a.order - b.order));
+  }
 
-// 计算两个矩形/菱形之间的连接点
-function calculateConnectionPoints(shape1, shape2) {
-  const dx = shape2.x - shape1.x;
-  const dy = shape2.y - shape1.y;
-  const distance = Math.sqrt(dx * dx + dy * dy);
+  let offsetX = 0;
+  let totalHeight = 0;
+  for (const members of connected) {
+    const memberSet = new Set(members);
+    const rows = layoutRows(members, diamondNodes.filter(diamond => memberSet.has(diamond.ends[0])));
+    const bounds = assignCoordinates(rows);
+    for (const row of rows) {
+      for (const node of row) node.x += offsetX - bounds.minX;
+    }
+    offsetX += bounds.maxX - bounds.minX + LAYOUT.componentGap;
+    totalHeight = Math.max(totalHeight, bounds.height);
+  }
 
-  if (distance === 0) return { x1: shape1.x, y1: shape1.y, x2: shape2.x, y2: shape2.y };
+  const width = Math.max(600, Math.ceil(offsetX - LAYOUT.componentGap + LAYOUT.margin * 2));
+  const height = Math.max(400, Math.ceil(totalHeight + LAYOUT.margin * 2 + LAYOUT.titleHeight));
+  const shiftX = Math.round((width - (offsetX - LAYOUT.componentGap)) / 2);
+  const shiftY = LAYOUT.margin + LAYOUT.titleHeight;
 
-  const unitX = dx / distance;
-  const unitY = dy / distance;
+  const place = (node) => ({
+    x: Math.round(node.x + shiftX),
+    y: Math.round(node.y + shiftY),
+    width: node.width,
+    height: node.height
+  });
 
-  // 计算shape1的边缘点
-  let edge1X, edge1Y;
-  if (Math.abs(unitX) > Math.abs(unitY) * (shape1.width / shape1.height)) {
-    edge1X = shape1.x + (unitX > 0 ? shape1.width/2 : -shape1.width/2);
-    edge1Y = shape1.y + (shape1.width/2) * unitY / Math.abs(unitX);
-  } else {
-    edge1X = shape1.x + (shape1.height/2) * unitX / Math.abs(unitY);
-    edge1Y = shape1.y + (unitY > 0 ? shape1.height/2 : -shape1.height/2);
+  const entityPositions = {};
+  for (const node of entityNodes) {
+    entityPositions[node.name] = place(node);
   }
 
-  // 计算shape2的边缘点
-  let edge2X, edge2Y;
-  if (Math.abs(-unitX) > Math.abs(-unitY) * (shape2.width / shape2.height)) {
-    edge2X = shape2.x + (-unitX > 0 ? shape2.width/2 : -shape2.width/2);
-    edge2Y = shape2.y + (shape2.width/2) * (-unitY) / Math.abs(-unitX);
-  } else {
-    edge2X = shape2.x + (shape2.height/2) * (-unitX) / Math.abs(-unitY);
-    edge2Y = shape2.y + ((-unitY) > 0 ? shape2.height/2 : -shape2.height/2);
+  // 连线端点：实体取上/下边上的锚点（按对端横坐标依次排开，互不重叠），菱形取上/下顶点，
+  // 这样每段连线都落在相邻两行之间的空白带内
+  const diamondPositions = new Map(diamondNodes.map(diamond => [diamond, place(diamond)]));
+  const attachments = new Map();
+  diamondNodes.forEach(diamond => {
+    diamond.ends.forEach((end, endIndex) => {
+      const entityPos = entityPositions[end.name];
+      const side = diamondPositions.get(diamond).y > entityPos.y ? 'bottom' : 'top';
+      const key = `${end.name}\u0000${side}`;
+      if (!attachments.has(key)) attachments.set(key, []);
+      attachments.get(key).push({ diamond, endIndex, entityPos, side });
+    });
+  });
+
+  const anchors = new Map();
+  for (const group of attachments.values()) {
+    group.sort((a, b) => diamondPositions.get(a.diamond).x - diamondPositions.get(b.diamond).x ||
+      a.diamond.order - b.diamond.order || a.endIndex - b.endIndex);
+    group.forEach((attachment, index) => {
+      const { entityPos, side } = attachment;
+      anchors.set(`${attachment.diamond.order}:${attachment.endIndex}`, {
+        x: Math.round(entityPos.x - entityPos.width / 2 + entityPos.width * (index + 1) / (group.length + 1)),
+        y: entityPos.y + (side === 'bottom' ? entityPos.height / 2 : -entityPos.height / 2),
+        side
+      });
+    });
   }
 
-  return { x1: edge1X, y1: edge1Y, x2: edge2X, y2: edge2Y };
+  const relationshipPositions = {};
+  diamondNodes.forEach(diamond => {
+    const rel = diamond.relationship;
+    const relPos = { ...diamondPositions.get(diamond), relationship: rel };
+    const vertex = (anchor) => ({
+      x: relPos.x,
+      y: relPos.y + (anchor.side === 'bottom' ? -relPos.height / 2 : relPos.height / 2)
+    });
+
+    // 连线方向保持：实体1 → 关系，关系 → 实体2
+    const anchor1 = anchors.get(`${diamond.order}:0`);
+    const anchor2 = anchors.get(`${diamond.order}:1`);
+    const vertex1 = vertex(anchor1);
+    const vertex2 = vertex(anchor2);
+    relPos.lines = [
+      { x1: anchor1.x, y1: anchor1.y, x2: vertex1.x, y2: vertex1.y },
+      { x1: vertex2.x, y1: vertex2.y, x2: anchor2.x, y2: anchor2.y }
+    ];
+
+    relationshipPositions[`${rel.entity1}-${rel.entity2}-${diamond.order - entities.length}`] = relPos;
+  });
+
+  return { width, height, entityPositions, relationshipPositions };
 }
 
-// 绘制基数标记
-function drawCardinality(ctx, line, cardinality) {
-  const midX = (line.x1 + line.x2) / 2;
-  const midY = (line.y1 + line.y2) / 2;
+// 分层并减少交叉：返回按行排好序的节点数组
+function layoutRows(members, diamonds) {
+  const rows = [];
+  const addToRow = (index, node) => {
+    while (rows.length <= index) rows.push([]);
+    node.row = index;
+    rows[index].push(node);
+  };
+
+  members.forEach(node => addToRow(node.rank * 2, node));
+  diamonds
+    .sort((a, b) => a.order - b.order)
+    .forEach(diamond => addToRow(Math.min(diamond.ends[0].rank, diamond.ends[1].rank) * 2 + 1, diamond));
+
+  // 节点之间的连线（菱形—实体），用于重心排序和交叉计数
+  const links = new Map([...members, ...diamonds].map(node => [node, []]));
+  for (const diamond of diamonds) {
+    for (const end of new Set(diamond.ends)) {
+      links.get(diamond).push(end);
+      links.get(end).push(diamond);
+    }
+  }
 
-  // 计算标记位置（稍微偏离线条）
-  const angle = Math.atan2(line.y2 - line.y1, line.x2 - line.x1);
-  const offsetX = -Math.sin(angle) * 15;
-  const offsetY = Math.cos(angle) * 15;
+  const indexIn = () => {
+    rows.forEach(row => row.forEach((node, index) => { node.index = index; }));
+  };
+  const crossingsBetween = (upper, lower) => {
+    const segments = [];
+    for (const node of upper) {
+      for (const other of links.get(node)) {
+        if (other.row === node.row + 1) segments.push([node.index, other.index]);
+      }
+    }
+    let count = 0;
+    for (let i = 0; i < segments.length; i++) {
+      for (let j = i + 1; j < segments.length; j++) {
+        const [a1, b1] = segments[i];
+        const [a2, b2] = segments[j];
+        if ((a1 - a2) * (b1 - b2) < 0) count++;
+      }
+    }
+    return count;
+  };
+  const totalCrossings = () => {
+    indexIn();
+    let count = 0;
+    for (let k = 0; k + 1 < rows.length; k++) count += crossingsBetween(rows[k], rows[k + 1]);
+    return count;
+  };
+
+  let best = { crossings: totalCrossings(), rows: rows.map(row => [...row]) };
+
+  for (let sweep = 0; sweep < LAYOUT.sweeps && best.crossings > 0; sweep++) {
+    const downward = sweep % 2 === 0;
+    const order = downward ? rows.map((_, k) => k).slice(1) : rows.map((_, k) => k).slice(0, -1).reverse();
+
+    for (const k of order) {
+      const reference = downward ? k - 1 : k + 1;
+      indexIn();
+      // 没有参照行邻居的节点保持原位置；重心相同按当前位置排序
+      const barycenter = new Map(rows[k].map(node => {
+        const positions = links.get(node).filter(other => other.row === reference).map(other => other.index);
+        return [node, positions.length > 0 ? positions.reduce((sum, value) => sum + value, 0) / positions.length : node.index];
+      }));
+      rows[k].sort((a, b) => barycenter.get(a) - barycenter.get(b) || a.index - b.index);
+    }
+
+    // 相邻节点交换：交叉数减少才保留
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (const row of rows) {
+        for (let i = 0; i + 1 < row.length; i++) {
+          const before = totalCrossings();
+          [row[i], row[i + 1]] = [row[i + 1], row[i]];
+          if (totalCrossings() < before) {
+            improved = true;
+          } else {
+            [row[i], row[i + 1]] = [row[i + 1], row[i]];
+          }
+        }
+      }
+    }
+
+    const crossings = totalCrossings();
+    if (crossings < best.crossings) {
+      best = { crossings, rows: rows.map(row => [...row]) };
+    }
+  }
+
+  best.rows.forEach((row, k) => { rows[k] = row; });
+  indexIn();
+  rows.links = links;
+  return rows;
+}
+
+// 坐标分配：行高取行内最高节点；水平方向向相连节点靠拢，保持行内顺序和最小间距
+function assignCoordinates(rows) {
+  let y = 0;
+  for (const row of rows) {
+    const rowHeight = Math.max(0, ...row.map(node => node.height));
+    row.forEach(node => { node.y = y + rowHeight / 2; });
+    y += rowHeight + LAYOUT.rowGap;
+  }
+
+  const separation = (left, right) => (left.width + right.width) / 2 + LAYOUT.nodeGap;
+  for (const row of rows) {
+    let x = 0;
+    row.forEach((node, index) => {
+      x += index === 0 ? node.width / 2 : separation(row[index - 1], node);
+      node.x = x;
+    });
+    const center = x / 2;
+    row.forEach(node => { node.x -= center; });
+  }
+
+  for (let pass = 0; pass < 8; pass++) {
+    const order = pass % 2 === 0 ? rows : [...rows].reverse();
+    for (const row of order) {
+      if (row.length === 0) continue;
+      const desired = row.map(node => {
+        const neighbors = rows.links.get(node);
+        return neighbors.length > 0 ? neighbors.reduce((sum, other) => sum + other.x, 0) / neighbors.length : node.x;
+      });
+
+      // 左推一遍、右推一遍，两者都满足间距约束，取平均
+      const left = [];
+      row.forEach((node, i) => {
+        left[i] = i === 0 ? desired[i] : Math.max(desired[i], left[i - 1] + separation(row[i - 1], node));
+      });
+      const right = [];
+      for (let i = row.length - 1; i >= 0; i--) {
+        right[i] = i === row.length - 1 ? desired[i] : Math.min(desired[i], right[i + 1] - separation(row[i], row[i + 1]));
+      }
+      row.forEach((node, i) => { node.x = (left[i] + right[i]) / 2; });
+    }
+  }
+
+  const nodes = rows.flat();
+  return {
+    minX: Math.min(...nodes.map(node => node.x - node.width / 2)),
+    maxX: Math.max(...nodes.map(node => node.x + node.width / 2)),
+    height: y - LAYOUT.rowGap
+  };
+}
 
-  ctx.fillStyle = '#333';
-  ctx.font = '12px Arial';
-  ctx.textAlign = 'center';
-  ctx.fillText(cardinality, midX + offsetX, midY + offsetY);
+// 估算文字宽度：中文按字号计，其余按 0.6 倍字号
+function measureText(text, fontSize) {
+  return [...String(text || '')].reduce((width, char) => width + (/[\u4e00-\u9fa5\uff00-\uffef]/.test(char) ? fontSize : fontSize * 0.6), 0);
 }
 
-// 如果直接运行此脚本
+// 如果直接运行此脚本：node standard_er_generator.js input.json output.svg [chen|crowsfoot|uml-class]
 if (require.main === module) {
-  const inputFile = process.argv[2] || '/Users/jiongjiong/.promptx/document/er_format_example.json';
-  const outputFile = process.argv[3] || '/Users/jiongjiong/.promptx/document/standard_er_diagram.png';
+  const args = process.argv.slice(2);
+  const notationArg = args.find(arg => arg.startsWith('--notation='));
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  const inputFile = positional[0] || '/Users/jiongjiong/.promptx/document/er_format_example.json';
+  const outputFile = positional[1] || '/Users/jiongjiong/.promptx/document/standard_er_diagram.png';
+  const notation = notationArg ? notationArg.split('=')[1] : positional[2];
 
   if (!fs.existsSync(inputFile)) {
     console.error(`错误：输入文件不存在 ${inputFile}`);
     process.exit(1);
   }
 
-  generateStandardER(inputFile, outputFile);
+  generateStandardER(inputFile, outputFile, { notation });
 }
 
-module.exports = { generateStandardER };
\ No newline at end of file
+module.exports = { generateStandardER, buildERScene, renderSvg, computeERLayout };
@@ -20,7 +20,8 @@ module.exports = {
   getDependencies() {
     return {
       'fs': '^0.0.1-security',
-      'path': '^0.12.7'
+      'path': '^0.12.7',
+      'js-yaml': '^4.1.0'
     };
   },
 
@@ -28,11 +29,11 @@ module.exports = {
     return {
       id: '07-entity-extractor',
       name: '实体类识别与三线表生成器',
-      description: '扫描源码目录，自动识别实体类定义，提取字段信息并生成标准化三线表JSON文件',
-      version: '1.0.0',
+      description: '扫描源码目录，自动识别Java/Python/TypeScript/Go/C#实体定义或SQL DDL，提取字段信息并生成标准化三线表JSON文件及外键关系图relations.json',
+      version: '1.6.0',
       category: 'code-analysis',
       author: '鲁班',
-      tags: ['entity', 'database', 'table', 'extraction', 'java', 'analysis']
+      tags: ['entity', 'database', 'table', 'extraction', 'java', 'mybatis-plus', 'python', 'typescript', 'go', 'csharp', 'ddl', 'analysis']
     };
   },
 
@@ -55,6 +56,40 @@ module.exports = {
             type: 'string',
             description: '项目根目录，默认为当前工作目录',
             default: 'auto'
+          },
+          languages: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: ['java', 'python', 'typescript', 'prisma', 'go', 'csharp']
+            },
+            description: '要扫描的语言，默认全部：java(JPA/MyBatis-Plus)、python(Django/SQLAlchemy)、typescript(TypeORM)、prisma、go(GORM)、csharp(EF Core)'
+          },
+          inputMode: {
+            type: 'string',
+            enum: ['auto', 'entity', 'ddl'],
+            description: '输入模式：entity-扫描实体类，ddl-解析SQL建表语句/迁移脚本，auto-优先实体类，未发现时回退到DDL',
+            default: 'auto'
+          },
+          ddlPath: {
+            type: 'string',
+            description: 'DDL文件或目录路径（schema.sql、Flyway db/migration、Liquibase changelog），默认为 sourceDir'
+          },
+          dialect: {
+            type: 'string',
+            enum: ['auto', 'mysql', 'postgresql'],
+            description: 'SQL方言，默认按语法特征自动识别',
+            default: 'auto'
+          },
+          glossaryPath: {
+            type: 'string',
+            description: '项目术语表路径（JSON/YAML），与内置词典合并，可用 idSuffix 设置 xxxId 字段的中文后缀（默认“编号”）；默认查找 <projectRoot>/glossary.json|yaml|yml',
+            default: 'auto'
+          },
+          incremental: {
+            type: 'boolean',
+            description: '增量模式：与已有三线表JSON合并，保留手工修改的中文名/说明，仅增删变化的字段并返回变更报告',
+            default: false
           }
         },
         required: []
@@ -81,8 +116,15 @@ module.exports = {
       
       api.logger.info('路径配置', { projectRoot, sourceDir, outputDir });
       
+      const inputMode = params.inputMode || 'auto';
+      const ddlPath = params.ddlPath || sourceDir;
+      
+      // 加载项目术语表，并重置本次运行的未翻译术语统计
+      this.glossary = await this.loadGlossary(params.glossaryPath, projectRoot, fs, path, api);
+      this.untranslatedTerms = new Map();
+      
       // 检查源码目录
-      if (!fs.existsSync(sourceDir)) {
+      if (!fs.existsSync(sourceDir) && !(inputMode === 'ddl' && params.ddlPath)) {
         throw new Error(`源码目录不存在: ${sourceDir}`);
       }
       
@@ -92,9 +134,20 @@ module.exports = {
         api.logger.info('创建输出目录', { outputDir });
       }
       
-      // 扫描并识别实体类
-      const entities = await this.scanEntities(sourceDir, fs, path, api);
-      api.logger.info('实体类扫描完成', { count: entities.length });
+      // 扫描并识别实体类；auto 模式下源码中没有实体时回退到 DDL
+      let entities = [];
+      if (inputMode !== 'ddl') {
+        entities = await this.scanEntities(sourceDir, fs, path, api, params.languages);
+        api.logger.info('实体类扫描完成', { count: entities.length });
+      }
+      
+      if (inputMode === 'ddl' || (inputMode === 'auto' && entities.length === 0)) {
+        if (!fs.existsSync(ddlPath)) {
+          throw new Error(`DDL路径不存在: ${ddlPath}`);
+        }
+        entities = await this.scanDdlTables(ddlPath, params.dialect, fs, path, api);
+        api.logger.info('DDL 表结构解析完成', { count: entities.length });
+      }
       
       if (entities.length === 0) {
         return {
@@ -106,32 +159,55 @@ module.exports = {
         };
       }
       
+      // 解析外键目标实体并生成关系图（需在生成三线表之前，以便补全外键说明）
+      const relations = this.resolveRelations(entities);
+      api.logger.info('外键关系解析完成', { count: relations.length });
+      
       // 处理每个实体
       const results = {
         tables: [],
         failList: [],
         generatedFiles: []
       };
+      const changes = params.incremental ? { addedTables: [], removedTables: [], modifiedTables: [] } : null;
       
       for (const entity of entities) {
         try {
-          const tableData = await this.processEntity(entity, params, api);
+          let tableData = await this.processEntity(entity, params, api);
           
           // 生成文件名
           const fileName = `Tab-${tableData.tableName}.json`;
           const filePath = path.join(outputDir, fileName);
+          let status = 'generated';
+          
+          // 增量模式：与已有文件合并，未变化的表不重写
+          if (changes) {
+            if (fs.existsSync(filePath)) {
+              const existing = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+              const merged = this.mergeTableData(existing, tableData);
+              tableData = merged.tableData;
+              status = merged.dirty ? 'updated' : 'unchanged';
+              if (merged.diff) changes.modifiedTables.push(merged.diff);
+            } else {
+              status = 'added';
+              changes.addedTables.push(tableData.tableName);
+            }
+          }
           
           // 写入文件
-          fs.writeFileSync(filePath, JSON.stringify(tableData, null, 2), 'utf8');
+          if (status !== 'unchanged') {
+            fs.writeFileSync(filePath, JSON.stringify(tableData, null, 2), 'utf8');
+            results.generatedFiles.push(path.relative(projectRoot, filePath));
+          }
           
           results.tables.push({
             name: tableData.tableName,
             cn: tableData.tableCnName,
-            columns: tableData.columns.length - 1 // 减去表头
+            language: entity.language,
+            columns: tableData.columns.length - 1, // 减去表头
+            status
           });
           
-          results.generatedFiles.push(path.relative(projectRoot, filePath));
-          
           api.logger.info('实体处理成功', { 
             entity: tableData.tableName, 
             fields: tableData.columns.length - 1 
@@ -147,22 +223,52 @@ module.exports = {
         }
       }
       
+      // 源码中已不存在的表只报告不删除，避免误删手工维护的表；
+      // 按扫描到的实体判断，处理失败的实体（见 failList）仍在源码中，不算删除
+      if (changes) {
+        const scanned = new Set(entities.map(entity => `Tab-${entity.tableName}.json`));
+        changes.removedTables = fs.readdirSync(outputDir)
+          .filter(file => /^Tab-.+\.json$/.test(file) && !scanned.has(file))
+          .map(file => file.replace(/^Tab-|\.json$/g, ''));
+        
+        api.logger.info('增量合并完成', {
+          added: changes.addedTables.length,
+          modified: changes.modifiedTables.length,
+          removed: changes.removedTables.length
+        });
+      }
+      
+      // 关系图：供 ER 图生成器直接读取，无需从“说明”列反推关联表
+      const relationsFile = path.join(outputDir, 'relations.json');
+      fs.writeFileSync(relationsFile, JSON.stringify({ relations }, null, 2), 'utf8');
+      results.generatedFiles.push(path.relative(projectRoot, relationsFile));
+      
+      // 未翻译术语报告，便于补充到术语表
+      const untranslated = this.writeUntranslatedReport(outputDir, fs, path, api);
+      
       // 生成最终结果
       const summary = {
         status: 'success',
         project: path.basename(projectRoot),
         entityCount: results.tables.length,
         tableJsonDir: outputDir,
+        glossaryFile: this.glossary.file,
         tables: results.tables,
+        relationCount: relations.length,
+        changes,
         failList: results.failList,
-        generatedFiles: results.generatedFiles
+        generatedFiles: results.generatedFiles,
+        untranslatedTerms: untranslated.terms.map(item => item.term),
+        untranslatedReport: untranslated.reportFile && path.relative(projectRoot, untranslated.reportFile)
       };
       
       api.logger.info('实体识别完成', summary);
       
       return {
         success: true,
-        message: `成功处理 ${results.tables.length} 个实体类，生成 ${results.generatedFiles.length} 个三线表文件`,
+        message: changes
+          ? `增量处理 ${results.tables.length} 个实体类：新增 ${changes.addedTables.length} 张表，更新 ${changes.modifiedTables.length} 张表，${changes.removedTables.length} 张表已不在源码中`
+          : `成功处理 ${results.tables.length} 个实体类，生成 ${results.tables.length} 个三线表文件及 ${relations.length} 条外键关系`,
         data: summary
       };
       
@@ -178,34 +284,124 @@ module.exports = {
     }
   },
 
-  async scanEntities(sourceDir, fs, path, api) {
+  async scanEntities(sourceDir, fs, path, api, languages) {
     const entities = [];
+    const classIndex = {};
+    const parsers = this.getLanguageParsers();
+    const enabledLanguages = (languages && languages.length > 0) ? languages : Object.keys(parsers);
     
-    // 递归扫描 Java 实体类
-    const javaFiles = this.findFiles(sourceDir, /\.java$/, fs, path);
-    
-    for (const filePath of javaFiles) {
-      try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        
-        // 检查是否为实体类
-        if (this.isJavaEntity(content, filePath)) {
-          const entity = this.parseJavaEntity(content, filePath, path);
-          if (entity) {
-            entities.push(entity);
-            api.logger.info('发现实体类', { file: path.basename(filePath), className: entity.className });
+    for (const language of enabledLanguages) {
+      const parser = parsers[language];
+      if (!parser) {
+        api.logger.warn('不支持的语言，已忽略', { language });
+        continue;
+      }
+      
+      const files = this.findFiles(sourceDir, parser.filePattern, fs, path);
+      
+      for (const filePath of files) {
+        try {
+          const content = fs.readFileSync(filePath, 'utf8');
+          
+          // 所有类都进入索引，供继承字段查找（父类常放在 common/base 包中且无注解）
+          for (const entity of parser.parse(content, filePath, path)) {
+            classIndex[`${entity.language}:${entity.className}`] = entity;
           }
+        } catch (error) {
+          api.logger.warn('文件解析失败', { file: filePath, error: error.message });
         }
-      } catch (error) {
-        api.logger.warn('文件解析失败', { file: filePath, error: error.message });
       }
     }
     
+    // 被其他实体继承且自身没有表注解的类视为公共父类，不单独生成三线表
+    const superClassKeys = new Set(
+      Object.values(classIndex)
+        .filter(entity => entity.superClass)
+        .map(entity => `${entity.language}:${entity.superClass}`)
+    );
+    
+    for (const [key, entity] of Object.entries(classIndex)) {
+      if (!entity.isEntity) {
+        continue;
+      }
+      
+      if (entity.isMappedSuperclass || (superClassKeys.has(key) && !entity.hasTableAnnotation)) {
+        api.logger.info('跳过公共父类', { className: entity.className, language: entity.language });
+        continue;
+      }
+      
+      entity.fields = this.resolveInheritedFields(entity, classIndex);
+      entities.push(entity);
+      api.logger.info('发现实体类', { file: path.basename(entity.filePath), className: entity.className, language: entity.language });
+    }
+    
     return entities;
   },
 
+  // 语言解析器注册表：filePattern 决定扫描哪些文件，parse 返回文件内的类描述列表
+  // 类描述统一为 { className, tableName, superClass, isEntity, isMappedSuperclass, hasTableAnnotation, filePath, language, fields }
+  getLanguageParsers() {
+    return {
+      java: {
+        filePattern: /\.java$/,
+        parse: (content, filePath, path) => {
+          const entity = this.parseJavaEntity(content, filePath, path);
+          if (!entity) return [];
+          entity.isEntity = this.isJavaEntity(content, filePath);
+          return [entity];
+        }
+      },
+      python: {
+        filePattern: /\.py$/,
+        parse: (content, filePath) => this.parsePythonModels(content, filePath)
+      },
+      typescript: {
+        filePattern: /^(?!.*\.(d|spec|test)\.ts$).*\.ts$/,
+        parse: (content, filePath) => this.parseTypeScriptEntities(content, filePath)
+      },
+      prisma: {
+        filePattern: /\.prisma$/,
+        parse: (content, filePath) => this.parsePrismaModels(content, filePath)
+      },
+      go: {
+        filePattern: /^(?!.*_test\.go$).*\.go$/,
+        parse: (content, filePath) => this.parseGoStructs(content, filePath)
+      },
+      csharp: {
+        filePattern: /\.cs$/,
+        parse: (content, filePath) => this.parseCSharpEntities(content, filePath)
+      }
+    };
+  },
+
+  // 沿 extends 链合并父类字段，父类字段在前，子类同名字段覆盖父类
+  resolveInheritedFields(entity, classIndex) {
+    const chain = [];
+    const visited = new Set();
+    let current = entity;
+    
+    while (current && !visited.has(current.className)) {
+      visited.add(current.className);
+      chain.unshift(current);
+      current = current.superClass ? classIndex[`${current.language}:${current.superClass}`] : null;
+    }
+    
+    const merged = new Map();
+    for (const cls of chain) {
+      for (const field of cls.fields) {
+        merged.set(field.name, cls === entity ? field : { ...field, inheritedFrom: cls.className });
+      }
+    }
+    
+    // 主键列排在最前（Django 隐式 id、父类中声明的主键）
+    const fields = Array.from(merged.values());
+    return fields.filter(field => field.annotations.primary).concat(fields.filter(field => !field.annotations.primary));
+  },
+
   findFiles(dir, pattern, fs, path) {
     const files = [];
+    // 跳过依赖与构建产物目录
+    const ignoredDirs = ['node_modules', '.git', 'target', 'build', 'dist', 'bin', 'obj', 'vendor', 'venv', '.venv', '__pycache__'];
     
     const scan = (currentDir) => {
       try {
@@ -216,7 +412,9 @@ module.exports = {
           const stat = fs.statSync(fullPath);
           
           if (stat.isDirectory()) {
-            scan(fullPath);
+            if (!ignoredDirs.includes(item)) {
+              scan(fullPath);
+            }
           } else if (stat.isFile() && pattern.test(item)) {
             files.push(fullPath);
           }
@@ -235,6 +433,8 @@ module.exports = {
     const entityAnnotations = [
       /@Entity/,
       /@Table/,
+      /@TableName/, // MyBatis-Plus
+      /@MappedSuperclass/,
       /@Document/, // MongoDB
       /class\s+\w+.*extends.*BaseEntity/,
       /\/entity\//,  // 路径包含 entity
@@ -248,21 +448,42 @@ module.exports = {
 
   parseJavaEntity(content, filePath, path) {
     try {
-      // 提取类名
-      const classMatch = content.match(/public\s+class\s+(\w+)/);
+      const code = this.stripJavaComments(content);
+      
+      // 提取类名及父类
+      const classMatch = code.match(/(?:public\s+)?(abstract\s+)?class\s+(\w+)(?:\s*<[^>{]*>)?(?:\s+extends\s+([\w.]+))?/);
       if (!classMatch) return null;
       
-      const className = classMatch[1];
+      const className = classMatch[2];
+      const superClass = classMatch[3] ? classMatch[3].split('.').pop() : null;
       
-      // 提取表名（从 @Table 注解或类名推断）
-      let tableName = this.extractTableName(content, className);
+      // 提取表名（从 @Table / @TableName 注解或类名推断）
+      let tableName = this.extractTableName(code, className);
       
-      // 提取字段
-      const fields = this.extractJavaFields(content);
+      // 提取字段；@ApiModelProperty/@Schema 未提供说明时使用 Javadoc
+      const fields = this.extractJavaFields(code);
+      const docs = this.extractJavaDocs(content);
+      for (const field of fields) {
+        if (!field.annotations.comment && docs.fields[field.name]) {
+          field.annotations.comment = docs.fields[field.name];
+        }
+      }
+      
+      // 表中文名：@ApiModel(description/value) > @Schema(description/title) > 类 Javadoc
+      const classAnnotations = (code.match(/((?:@[\w.]+(?:\s*\((?:[^()]|\([^()]*\))*\))?\s*)*)(?:public\s+)?(?:abstract\s+)?class\s+\w+/) || [])[1] || '';
+      const tableCnName = this.toEntityCnName(
+        this.readJavaAnnotationString(classAnnotations, 'ApiModel', ['description', 'value']) ||
+        this.readJavaAnnotationString(classAnnotations, 'Schema', ['description', 'title']) ||
+        docs.classDoc
+      );
       
       return {
         className,
         tableName,
+        tableCnName,
+        superClass,
+        isMappedSuperclass: /@MappedSuperclass\b/.test(code) || Boolean(classMatch[1]),
+        hasTableAnnotation: /@(Entity|Table|TableName|Document)\b/.test(code),
         filePath,
         language: 'java',
         fields
@@ -273,6 +494,66 @@ module.exports = {
     }
   },
 
+  // 去除注释，保留字符串字面量（避免误删注解中的 "http://..."）
+  stripJavaComments(content) {
+    return content.replace(/("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g,
+      (match, literal) => literal || ' ');
+  },
+
+  // 收集紧邻类/字段声明之前的 Javadoc（/** ... */），取首句作为中文说明
+  extractJavaDocs(content) {
+    const docs = { classDoc: null, fields: {} };
+    const docPattern = /\/\*\*([\s\S]*?)\*\/\s*((?:@[\w.]+(?:\s*\((?:[^()]|\([^()]*\))*\))?\s*)*)(?:(?:public|protected|private|static|final|abstract|transient|volatile)\s+)*(?:class\s+(\w+)|[\w.]+(?:\s*<[^;=()]*>)?(?:\[\])?\s+(\w+)\s*(?:=[^;]*)?;)/g;
+    
+    let match;
+    while ((match = docPattern.exec(content)) !== null) {
+      const text = this.cleanJavadoc(match[1]);
+      if (!text) continue;
+      
+      if (match[3]) {
+        docs.classDoc = docs.classDoc || text;
+      } else {
+        docs.fields[match[4]] = text;
+      }
+    }
+    
+    return docs;
+  },
+
+  cleanJavadoc(raw) {
+    const lines = raw
+      .split('\n')
+      .map(line => line.replace(/^\s*\*?\s?/, '').trim())
+      .filter(line => line && !line.startsWith('@'))
+      .map(line => line.replace(/\{@\w+\s+([^}]*)\}/g, '$1').replace(/<[^>]+>/g, '').trim())
+      .filter(Boolean);
+    
+    return lines.length > 0 ? lines[0].replace(/[。.]$/, '') : '';
+  },
+
+  // 读取注解中的字符串参数：keys 依次尝试，'value' 同时匹配省略键名的写法
+  readJavaAnnotationString(annotationText, name, keys) {
+    const match = annotationText.match(new RegExp(`@(?:[\\w.]+\\.)?${name}\\s*\\(((?:[^()]|\\([^()]*\\))*)\\)`));
+    if (!match) return null;
+    
+    for (const key of keys) {
+      const valueMatch = (key === 'value' && match[1].match(/^\s*"((?:\\.|[^"\\])*)"/)) ||
+        match[1].match(new RegExp(`\\b${key}\\s*=\\s*"((?:\\\\.|[^"\\\\])*)"`));
+      if (valueMatch && valueMatch[1].trim()) {
+        return valueMatch[1].trim();
+      }
+    }
+    
+    return null;
+  },
+
+  // 实体说明转表中文名：去掉代码生成器常见的“对象/实体类”后缀，不含中文时放弃
+  toEntityCnName(text) {
+    if (!text) return null;
+    const name = text.trim().replace(/(实体类?|对象|类|模型)$/, '');
+    return /[\u4e00-\u9fa5]/.test(name) ? this.toTableCnName(name) : null;
+  },
+
   extractTableName(content, className) {
     // 从 @Table 注解提取
     const tableMatch = content.match(/@Table\s*\(\s*name\s*=\s*["'](\w+)["']/); 
@@ -280,6 +561,12 @@ module.exports = {
       return tableMatch[1].toLowerCase();
     }
     
+    // 从 MyBatis-Plus @TableName 注解提取：@TableName("t_user") / @TableName(value = "t_user")
+    const tableNameMatch = content.match(/@TableName\s*\(\s*(?:value\s*=\s*)?["'](\w+)["']/);
+    if (tableNameMatch) {
+      return tableNameMatch[1].toLowerCase();
+    }
+    
     // 从类名推断（驼峰转下划线）
     return this.camelToSnake(className);
   },
@@ -287,22 +574,42 @@ module.exports = {
   extractJavaFields(content) {
     const fields = [];
     
-    // 匹配字段定义（支持注解）
-    const fieldPattern = /(?:@[\w\s\(\)="',\.]+\s*)*private\s+(\w+(?:<[^>]+>)?)\s+(\w+);/g;
+    // 匹配字段定义：前置注解 + 访问修饰符 + static/final/transient + 类型 + 名称 + 可选初始值
+    // 注解参数允许一层嵌套括号，如 @ApiModelProperty(value = "状态(0正常)")
+    const fieldPattern = /((?:@[\w.]+(?:\s*\((?:[^()]|\([^()]*\))*\))?\s*)*)(?:private|protected|public)\s+((?:(?:static|final|transient|volatile)\s+)*)([\w.]+(?:\s*<[^;=()]*>)?(?:\[\])?)\s+(\w+)\s*(?:=[^;]*)?;/g;
     
     let match;
     while ((match = fieldPattern.exec(content)) !== null) {
-      const type = match[1];
-      const name = match[2];
+      const modifiers = match[2];
+      const type = match[3].replace(/\s+/g, '');
+      const name = match[4];
+      
+      // 静态常量（如 serialVersionUID）不是表字段
+      if (/\bstatic\b/.test(modifiers)) {
+        continue;
+      }
+      
+      const annotations = this.extractFieldAnnotations(match[1]);
+      if (/\btransient\b/.test(modifiers)) {
+        annotations.transient = true;
+      }
       
-      // 获取字段前的注解
-      const fieldStart = match.index;
-      const beforeField = content.substring(Math.max(0, fieldStart - 200), fieldStart);
-      const annotations = this.extractFieldAnnotations(beforeField);
+      // 关联对象字段：@ManyToOne 与拥有方 @OneToOne 落库为外键列，集合及被控方关联只参与关系图
+      const relation = annotations.relation;
+      if (relation) {
+        relation.target = (type.match(/<([\w.]+)>$/) || [null, type])[1].split('.').pop();
+        
+        if (['ManyToOne', 'OneToOne'].includes(relation.kind) && !relation.mappedBy) {
+          annotations.columnName = annotations.columnName || relation.joinColumn || `${this.camelToSnake(name)}_id`;
+          annotations.foreignKey = relation.target;
+        } else {
+          annotations.transient = true;
+        }
+      }
       
       fields.push({
         name,
-        type,
+        type: type.split('.').pop(),
         annotations,
         originalType: type
       });
@@ -314,9 +621,104 @@ module.exports = {
   extractFieldAnnotations(annotationText) {
     const annotations = {};
     
-    // @Id
-    if (/@Id/.test(annotationText)) {
+    // @Id（JPA）/ @TableId（MyBatis-Plus）
+    if (/@Id\b/.test(annotationText)) {
+      annotations.primary = true;
+    }
+    
+    const tableIdMatch = annotationText.match(/@TableId\b\s*(?:\(([^)]*)\))?/);
+    if (tableIdMatch) {
       annotations.primary = true;
+      const tableIdDef = tableIdMatch[1] || '';
+      
+      const idColumnMatch = tableIdDef.match(/^\s*(?:value\s*=\s*)?["'](\w+)["']/) || tableIdDef.match(/value\s*=\s*["'](\w+)["']/);
+      if (idColumnMatch) {
+        annotations.columnName = idColumnMatch[1];
+      }
+      
+      if (/type\s*=\s*(?:IdType\.)?AUTO\b/.test(tableIdDef)) {
+        annotations.autoIncrement = true;
+      }
+    }
+    
+    if (/@GeneratedValue\s*\([^)]*GenerationType\.(IDENTITY|AUTO)/.test(annotationText)) {
+      annotations.autoIncrement = true;
+    }
+    
+    // @Transient（JPA）
+    if (/@Transient\b/.test(annotationText)) {
+      annotations.transient = true;
+    }
+    
+    // @TableField（MyBatis-Plus）
+    const tableFieldMatch = annotationText.match(/@TableField\s*\(([^)]*)\)/);
+    if (tableFieldMatch) {
+      const tableFieldDef = tableFieldMatch[1];
+      
+      if (/exist\s*=\s*false/.test(tableFieldDef)) {
+        annotations.transient = true;
+      }
+      
+      const fieldColumnMatch = tableFieldDef.match(/^\s*(?:value\s*=\s*)?["'](\w+)["']/) || tableFieldDef.match(/value\s*=\s*["'](\w+)["']/);
+      if (fieldColumnMatch) {
+        annotations.columnName = fieldColumnMatch[1];
+      }
+    }
+    
+    // Swagger 文档注解：@ApiModelProperty("用户名") / @Schema(description = "用户名")
+    const apiComment = this.readJavaAnnotationString(annotationText, 'ApiModelProperty', ['value', 'notes']) ||
+      this.readJavaAnnotationString(annotationText, 'Schema', ['description', 'title']);
+    if (apiComment) {
+      annotations.comment = apiComment;
+    }
+    
+    // JPA 关联注解：@ManyToOne / @OneToOne / @OneToMany / @ManyToMany，配合 @JoinColumn / @JoinTable
+    const relationMatch = annotationText.match(/@(ManyToOne|OneToOne|OneToMany|ManyToMany)\b\s*(?:\(((?:[^()]|\([^()]*\))*)\))?/);
+    if (relationMatch) {
+      const relationDef = relationMatch[2] || '';
+      const relation = {
+        kind: relationMatch[1],
+        mappedBy: (relationDef.match(/mappedBy\s*=\s*"(\w+)"/) || [])[1] || null
+      };
+      
+      // @JoinTable 内嵌的 @JoinColumn 属于中间表，先取出再匹配字段自身的 @JoinColumn
+      let joinText = annotationText;
+      const joinTableMatch = annotationText.match(/@JoinTable\s*\(((?:[^()]|\([^()]*\))*)\)/);
+      if (joinTableMatch) {
+        const joinTableDef = joinTableMatch[1];
+        relation.joinTable = {
+          name: (joinTableDef.match(/\bname\s*=\s*"(\w+)"/) || [])[1] || null,
+          joinColumn: (joinTableDef.match(/\bjoinColumns\s*=\s*\{?\s*@JoinColumn\s*\([^)]*name\s*=\s*"(\w+)"/) || [])[1] || null,
+          inverseJoinColumn: (joinTableDef.match(/inverseJoinColumns\s*=\s*\{?\s*@JoinColumn\s*\([^)]*name\s*=\s*"(\w+)"/) || [])[1] || null
+        };
+        joinText = annotationText.replace(joinTableMatch[0], '');
+      }
+      
+      const joinColumnMatch = joinText.match(/@JoinColumn\s*\(([^)]*)\)/);
+      if (joinColumnMatch) {
+        const joinColumnDef = joinColumnMatch[1];
+        relation.joinColumn = (joinColumnDef.match(/\bname\s*=\s*"(\w+)"/) || [])[1] || null;
+        relation.referencedColumn = (joinColumnDef.match(/referencedColumnName\s*=\s*"(\w+)"/) || [])[1] || null;
+        if (/nullable\s*=\s*false/.test(joinColumnDef)) annotations.nullable = false;
+        if (/unique\s*=\s*true/.test(joinColumnDef)) annotations.unique = true;
+      }
+      
+      annotations.relation = relation;
+    }
+    
+    // @TableLogic（MyBatis-Plus 逻辑删除）
+    if (/@TableLogic\b/.test(annotationText)) {
+      annotations.logicDelete = true;
+    }
+    
+    // @Version（乐观锁）
+    if (/@Version\b/.test(annotationText)) {
+      annotations.version = true;
+    }
+    
+    // 校验注解（Lombok 风格实体常与 javax/jakarta validation 一起使用）
+    if (/@(NotNull|NotBlank|NotEmpty)\b/.test(annotationText)) {
+      annotations.nullable = false;
     }
     
     // @Column
@@ -324,6 +726,12 @@ module.exports = {
     if (columnMatch) {
       const columnDef = columnMatch[1];
       
+      // name
+      const nameMatch = columnDef.match(/name\s*=\s*["'](\w+)["']/);
+      if (nameMatch) {
+        annotations.columnName = nameMatch[1];
+      }
+      
       // nullable
       const nullableMatch = columnDef.match(/nullable\s*=\s*(false|true)/);
       if (nullableMatch) {
@@ -345,182 +753,1593 @@ module.exports = {
     return annotations;
   },
 
-  async processEntity(entity, params, api) {
-    // 生成表名和中文名
-    const tableName = entity.tableName;
-    const tableCnName = this.generateChineseName(entity.className, 'table');
+  // DDL 模式：从 schema.sql、Flyway/Liquibase 迁移脚本还原表结构
+  async scanDdlTables(ddlPath, dialect, fs, path, api) {
+    const tables = new Map();
+    const isDirectory = fs.statSync(ddlPath).isDirectory();
+    const files = isDirectory
+      ? this.findFiles(ddlPath, /\.(sql|xml)$/i, fs, path).sort((a, b) => this.compareMigrationFiles(a, b, path))
+      : [ddlPath];
     
-    // 处理字段
-    const columns = [['字段名', '字段中文名', '类型', '约束', '说明']];
+    for (const filePath of files) {
+      try {
+        const content = fs.readFileSync(filePath, 'utf8');
+        
+        if (/\.xml$/i.test(filePath)) {
+          if (/<databaseChangeLog\b/.test(content)) {
+            this.parseLiquibaseChangelog(content, filePath, tables);
+          }
+        } else {
+          this.parseDdl(content, filePath, this.detectSqlDialect(content, dialect), tables);
+        }
+        api.logger.info('DDL 文件解析完成', { file: path.basename(filePath), tables: tables.size });
+      } catch (error) {
+        api.logger.warn('DDL 文件解析失败', { file: filePath, error: error.message });
+      }
+    }
     
-    for (const field of entity.fields) {
-      // 跳过特定字段
-      if (['serialVersionUID', 'class'].includes(field.name)) {
-        continue;
+    // 外键目标表的 COMMENT 作为说明中的中文表名
+    for (const table of tables.values()) {
+      for (const field of table.fields) {
+        const target = field.annotations.foreignKey && tables.get(field.annotations.foreignKey.toLowerCase());
+        if (target && target.tableCnName) {
+          field.annotations.foreignKeyCn = target.tableCnName;
+        }
       }
-      
-      const fieldName = this.camelToSnake(field.name);
-      const fieldCnName = this.generateChineseName(field.name, 'field');
-      const sqlType = this.mapToSqlType(field.type, field.annotations);
-      const constraints = this.buildConstraints(field.annotations);
-      const description = this.generateDescription(field.name, field.annotations);
-      
-      columns.push([fieldName, fieldCnName, sqlType, constraints, description]);
     }
     
-    return {
-      tableName,
-      tableCnName,
-      columns
-    };
+    return Array.from(tables.values()).filter(table => table.fields.length > 0);
   },
 
-  generateChineseName(englishName, type) {
-    // 基础词典映射
-    const dictionary = {
-      // 表名映射
-      'User': '用户',
-      'Dish': '菜品',
-      'Rating': '评分',
-      'Stall': '档口',
-      'Canteen': '食堂',
-      'Complaint': '投诉',
-      'SensitiveWord': '敏感词',
-      'BaseEntity': '基础实体',
-      
-      // 字段映射
-      'id': '编号',
-      'name': '名称',
-      'username': '用户名',
-      'password': '密码',
-      'email': '邮箱',
-      'phone': '电话',
-      'title': '标题',
-      'content': '内容',
-      'description': '描述',
-      'price': '价格',
-      'category': '分类',
-      'status': '状态',
-      'type': '类型',
-      'rating': '评分',
-      'comment': '评论',
-      'address': '地址',
-      'location': '位置',
-      'contact': '联系方式',
-      'created': '创建时间',
-      'createdAt': '创建时间',
-      'createdTime': '创建时间',
-      'updated': '更新时间',
-      'updatedAt': '更新时间',
-      'updatedTime': '更新时间',
-      'deleted': '删除标识',
-      'version': '版本号',
-      'userId': '用户编号',
-      'dishId': '菜品编号',
-      'stallId': '档口编号',
-      'canteenId': '食堂编号'
+  // Flyway 版本号排序：V1__ < V1.1__ < V2__ < V10__，可重复脚本 R__ 最后执行
+  compareMigrationFiles(a, b, path) {
+    const version = (filePath) => {
+      const match = path.basename(filePath).match(/^([VR])(\d+(?:[._]\d+)*)?__/i);
+      if (!match) return null;
+      if (match[1].toUpperCase() === 'R') return [Infinity];
+      return match[2].split(/[._]/).map(Number);
     };
+    const va = version(a);
+    const vb = version(b);
     
-    // 直接映射
-    if (dictionary[englishName]) {
-      return type === 'table' ? dictionary[englishName] + '表' : dictionary[englishName];
+    if (va && vb) {
+      for (let i = 0; i < Math.max(va.length, vb.length); i++) {
+        const diff = (va[i] || 0) - (vb[i] || 0);
+        if (diff !== 0 && !Number.isNaN(diff)) return diff;
+      }
+      return 0;
     }
+    if (va || vb) return va ? 1 : -1; // 非迁移脚本（如 schema.sql）先执行
+    return a.localeCompare(b);
+  },
+
+  detectSqlDialect(sql, dialect) {
+    if (dialect && dialect !== 'auto') return dialect;
+    return /`|ENGINE\s*=|AUTO_INCREMENT/i.test(sql) ? 'mysql'
+      : /\bSERIAL\b|\bBIGSERIAL\b|COMMENT\s+ON\s+|::\w+|GENERATED\s+\w+\s+AS\s+IDENTITY/i.test(sql) ? 'postgresql'
+      : 'mysql';
+  },
+
+  // 去除 SQL 注释（-- / # / /* */），保留字符串字面量
+  stripSqlComments(sql) {
+    return sql.replace(/('(?:''|\\.|[^'\\])*'|"(?:[^"])*")|\/\*[\s\S]*?\*\/|--[^\n]*|#[^\n]*/g,
+      (match, literal) => literal || ' ');
+  },
+
+  // 按顶层分隔符切分（忽略括号与字符串内部的分隔符）
+  splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
     
-    // 模式匹配
-    if (type === 'field') {
-      if (englishName.startsWith('is') || englishName.startsWith('has')) {
-        return '是否' + this.camelToWords(englishName.substring(2));
-      }
-      
-      if (englishName.endsWith('Time') || englishName.endsWith('Date')) {
-        return this.camelToWords(englishName.replace(/(Time|Date)$/, '')) + '时间';
-      }
-      
-      if (englishName.endsWith('Count') || englishName.endsWith('Num')) {
-        return this.camelToWords(englishName.replace(/(Count|Num)$/, '')) + '数量';
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        current += char;
+        if (char === quote && text[i + 1] === quote) {
+          current += text[++i];
+        } else if (char === quote) {
+          quote = null;
+        }
+        continue;
       }
+      if (char === "'" || char === '"' || char === '`') quote = char;
+      else if (char === '(') depth++;
+      else if (char === ')') depth--;
       
-      if (englishName.endsWith('Id')) {
-        return this.camelToWords(englishName.replace(/Id$/, '')) + '编号';
+      if (char === separator && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
       }
     }
+    if (current.trim()) parts.push(current.trim());
     
-    // 分词翻译
-    const words = this.camelToWords(englishName);
-    return type === 'table' ? words + '表' : words;
+    return parts;
   },
 
-  camelToWords(camelCase) {
-    return camelCase
-      .replace(/([A-Z])/g, ' $1')
-      .trim()
-      .split(' ')
-      .map(word => {
-        const lower = word.toLowerCase();
-        const commonWords = {
-          'user': '用户', 'dish': '菜品', 'rating': '评分',
-          'stall': '档口', 'canteen': '食堂', 'complaint': '投诉',
-          'id': '编号', 'name': '名称', 'time': '时间',
-          'date': '日期', 'status': '状态', 'type': '类型',
-          'word': '词', 'sensitive': '敏感'
-        };
-        return commonWords[lower] || word;
-      })
-      .join('');
+  unquoteIdentifier(identifier) {
+    return identifier.trim().split('.').pop().replace(/^[`"\[]|[`"\]]$/g, '');
   },
 
-  camelToSnake(camelCase) {
-    return camelCase
-      .replace(/([A-Z])/g, '_$1')
-      .toLowerCase()
-      .replace(/^_/, '');
+  unquoteSqlString(literal) {
+    return literal.replace(/^'|'$/g, '').replace(/''/g, "'").replace(/\\'/g, "'");
   },
 
-  mapToSqlType(javaType, annotations) {
-    const typeMap = {
-      'String': annotations.length ? `VARCHAR(${annotations.length})` : 'VARCHAR(255)',
-      'int': 'INT',
-      'Integer': 'INT',
-      'long': 'BIGINT',
-      'Long': 'BIGINT',
-      'boolean': 'TINYINT(1)',
-      'Boolean': 'TINYINT(1)',
-      'double': 'DOUBLE',
-      'Double': 'DOUBLE',
-      'float': 'FLOAT',
-      'Float': 'FLOAT',
-      'BigDecimal': 'DECIMAL(10,2)',
-      'Date': 'DATETIME',
-      'LocalDate': 'DATE',
-      'LocalDateTime': 'DATETIME',
-      'LocalTime': 'TIME',
-      'Timestamp': 'TIMESTAMP'
-    };
+  parseDdl(content, filePath, dialect, tables) {
+    const statements = this.splitTopLevel(this.stripSqlComments(content), ';');
+    const identifier = '(`[^`]+`|"[^"]+"|\\[[^\\]]+\\]|[\\w.]+)';
     
-    return typeMap[javaType] || 'VARCHAR(255)';
+    for (const statement of statements) {
+      const createMatch = statement.match(new RegExp(`^CREATE\\s+(?:TEMPORARY\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?((?:${identifier}\\.)?${identifier})\\s*\\(`, 'i'));
+      if (createMatch) {
+        const tableName = this.unquoteIdentifier(createMatch[1]);
+        const openIndex = createMatch[0].length - 1;
+        const body = this.readBalanced(statement, openIndex);
+        const options = statement.substring(openIndex + body.length + 2);
+        const tableComment = options.match(/COMMENT\s*=?\s*('(?:''|[^'])*')/i);
+        
+        const table = {
+          className: tableName,
+          tableName,
+          tableCnName: tableComment ? this.toTableCnName(this.unquoteSqlString(tableComment[1])) : null,
+          superClass: null,
+          isEntity: true,
+          filePath,
+          language: 'sql',
+          dialect,
+          fields: []
+        };
+        tables.set(tableName.toLowerCase(), table);
+        
+        for (const definition of this.splitTopLevel(body, ',')) {
+          this.applyTableElement(table, definition);
+        }
+        continue;
+      }
+      
+      const alterMatch = statement.match(new RegExp(`^ALTER\\s+TABLE\\s+(?:ONLY\\s+)?(?:IF\\s+EXISTS\\s+)?((?:${identifier}\\.)?${identifier})\\s+([\\s\\S]+)$`, 'i'));
+      if (alterMatch) {
+        const table = tables.get(this.unquoteIdentifier(alterMatch[1]).toLowerCase());
+        if (!table) continue;
+        
+        for (const spec of this.splitTopLevel(alterMatch[alterMatch.length - 1], ',')) {
+          const addMatch = spec.match(/^ADD\s+(?:COLUMN\s+(?:IF\s+NOT\s+EXISTS\s+)?)?([\s\S]+)$/i);
+          const dropMatch = spec.match(/^DROP\s+(?:COLUMN\s+)?(?:IF\s+EXISTS\s+)?([`"\w]+)\s*$/i);
+          // MODIFY col type ... / CHANGE old_col new_col type ...
+          const modifyMatch = spec.match(/^MODIFY\s+(?:COLUMN\s+)?([\s\S]+)$/i) || spec.match(/^CHANGE\s+(?:COLUMN\s+)?[`"\w]+\s+([\s\S]+)$/i);
+          
+          if (addMatch) {
+            this.applyTableElement(table, addMatch[1]);
+          } else if (dropMatch && !/^(PRIMARY|FOREIGN|INDEX|KEY|CONSTRAINT)$/i.test(dropMatch[1])) {
+            const columnName = this.unquoteIdentifier(dropMatch[1]).toLowerCase();
+            table.fields = table.fields.filter(field => field.name.toLowerCase() !== columnName);
+          } else if (modifyMatch) {
+            const column = this.parseColumnDefinition(modifyMatch[1]);
+            const index = table.fields.findIndex(field => field.name.toLowerCase() === column.name.toLowerCase());
+            if (index >= 0) {
+              column.annotations = { ...table.fields[index].annotations, ...column.annotations };
+              table.fields[index] = column;
+            }
+          }
+        }
+        continue;
+      }
+      
+      // 迁移脚本中后续删除的表不再生成三线表：DROP TABLE [IF EXISTS] a, b
+      const dropMatch = statement.match(/^DROP\s+TABLE\s+(?:IF\s+EXISTS\s+)?([\s\S]+?)(?:\s+(?:CASCADE|RESTRICT))?$/i);
+      if (dropMatch) {
+        for (const name of this.splitTopLevel(dropMatch[1], ',')) {
+          tables.delete(this.unquoteIdentifier(name.trim()).toLowerCase());
+        }
+        continue;
+      }
+      
+      // PostgreSQL: COMMENT ON TABLE t IS '...' / COMMENT ON COLUMN t.c IS '...'
+      const commentMatch = statement.match(/^COMMENT\s+ON\s+(TABLE|COLUMN)\s+([\w."`]+)\s+IS\s+('(?:''|[^'])*')/i);
+      if (commentMatch) {
+        const parts = commentMatch[2].replace(/["`]/g, '').split('.');
+        const comment = this.unquoteSqlString(commentMatch[3]);
+        
+        if (commentMatch[1].toUpperCase() === 'TABLE') {
+          const table = tables.get(parts[parts.length - 1].toLowerCase());
+          if (table) table.tableCnName = this.toTableCnName(comment);
+        } else {
+          const table = tables.get(parts[parts.length - 2].toLowerCase());
+          const field = table && table.fields.find(f => f.name.toLowerCase() === parts[parts.length - 1].toLowerCase());
+          if (field) field.annotations.comment = comment;
+        }
+      }
+    }
   },
 
-  buildConstraints(annotations) {
-    const constraints = [];
+  // 处理 CREATE TABLE / ALTER TABLE ADD 中的单个元素：列定义或表级约束
+  applyTableElement(table, definition) {
+    const columnList = (text) => text.split(',').map(column => this.unquoteIdentifier(column).toLowerCase());
+    const findField = (columnName) => table.fields.find(field => field.name.toLowerCase() === columnName);
+    const element = definition.replace(/^CONSTRAINT\s+[`"\w]+\s+/i, '');
     
-    if (annotations.primary) {
-      constraints.push('PK');
+    const primaryMatch = element.match(/^PRIMARY\s+KEY\s*(?:\w+\s*)?\(([^)]+)\)/i);
+    if (primaryMatch) {
+      columnList(primaryMatch[1]).forEach(columnName => {
+        const field = findField(columnName);
+        if (field) field.annotations.primary = true;
+      });
+      return;
     }
     
-    if (annotations.nullable === false) {
-      constraints.push('NOT NULL');
+    const foreignMatch = element.match(/^FOREIGN\s+KEY\s*(?:[`"\w]+\s*)?\(([^)]+)\)\s*REFERENCES\s+([\w.`"]+)\s*\(([^)]+)\)/i);
+    if (foreignMatch) {
+      const targetColumns = columnList(foreignMatch[3]);
+      columnList(foreignMatch[1]).forEach((columnName, index) => {
+        const field = findField(columnName);
+        if (field) {
+          field.annotations.foreignKey = this.unquoteIdentifier(foreignMatch[2]);
+          field.annotations.references = { table: field.annotations.foreignKey, column: targetColumns[index] || targetColumns[0] };
+        }
+      });
+      return;
     }
     
-    if (annotations.unique) {
-      constraints.push('UNIQUE');
+    const uniqueMatch = element.match(/^UNIQUE\s+(?:KEY|INDEX)?\s*(?:[`"\w]+\s*)?\(([^)]+)\)/i);
+    if (uniqueMatch) {
+      const columns = columnList(uniqueMatch[1]);
+      if (columns.length === 1 && findField(columns[0])) findField(columns[0]).annotations.unique = true;
+      return;
     }
     
-    return constraints.join(', ');
+    if (/^(KEY|INDEX|FULLTEXT|SPATIAL|CHECK|EXCLUDE|PERIOD|LIKE)\b/i.test(element)) {
+      return;
+    }
+    
+    table.fields.push(this.parseColumnDefinition(definition));
   },
 
-  generateDescription(fieldName, annotations) {
-    if (annotations.primary) {
-      return '主键';
+  parseColumnDefinition(definition) {
+    const match = definition.match(/^([`"\[]?[^\s`"\]]+[`"\]]?)\s+([\s\S]*)$/);
+    const name = this.unquoteIdentifier(match[1]);
+    const rest = match[2];
+    const typeMatch = rest.match(/^((?:double\s+precision|character\s+varying|timestamp\s+with(?:out)?\s+time\s+zone|time\s+with(?:out)?\s+time\s+zone|[\w]+))(\s*\([^)]*\))?(\s+unsigned)?/i);
+    const annotations = { columnName: name };
+    
+    const pgTypes = {
+      'character varying': 'VARCHAR', int4: 'INT', integer: 'INT', int8: 'BIGINT', int2: 'SMALLINT',
+      serial: 'INT', bigserial: 'BIGINT', smallserial: 'SMALLINT', bool: 'BOOLEAN', float8: 'DOUBLE PRECISION',
+      'timestamp without time zone': 'TIMESTAMP', 'timestamp with time zone': 'TIMESTAMPTZ'
+    };
+    const baseType = typeMatch ? typeMatch[1].toLowerCase().replace(/\s+/g, ' ') : 'varchar';
+    const sqlType = `${pgTypes[baseType] || baseType.toUpperCase()}${typeMatch && typeMatch[2] ? typeMatch[2].replace(/\s+/g, '') : ''}${typeMatch && typeMatch[3] ? ' UNSIGNED' : ''}`;
+    
+    if (/\bPRIMARY\s+KEY\b/i.test(rest)) annotations.primary = true;
+    if (/\bAUTO_INCREMENT\b|\bAUTOINCREMENT\b|\bIDENTITY\b/i.test(rest) || /serial$/.test(baseType)) annotations.autoIncrement = true;
+    if (/\bNOT\s+NULL\b/i.test(rest)) annotations.nullable = false;
+    if (/\bUNIQUE\b/i.test(rest)) annotations.unique = true;
+    
+    const defaultMatch = rest.match(/\bDEFAULT\s+('(?:''|[^'])*'|\([^)]*\)|[\w.:+-]+(?:\(\))?)/i);
+    if (defaultMatch && !/^NULL$/i.test(defaultMatch[1])) annotations.defaultValue = defaultMatch[1];
+    
+    const commentMatch = rest.match(/\bCOMMENT\s+('(?:''|[^'])*')/i);
+    if (commentMatch) annotations.comment = this.unquoteSqlString(commentMatch[1]);
+    
+    const referencesMatch = rest.match(/\bREFERENCES\s+([\w.`"]+)\s*(?:\(([^)]+)\))?/i);
+    if (referencesMatch) {
+      annotations.foreignKey = this.unquoteIdentifier(referencesMatch[1]);
+      annotations.references = { table: annotations.foreignKey, column: referencesMatch[2] ? this.unquoteIdentifier(referencesMatch[2]) : 'id' };
+    }
+    
+    return { name, type: baseType, sqlType, annotations, originalType: sqlType };
+  },
+
+  // Liquibase XML changelog：createTable / addColumn / addForeignKeyConstraint / addPrimaryKey / dropColumn / setColumnRemarks
+  parseLiquibaseChangelog(content, filePath, tables) {
+    const attr = (text, name) => {
+      const match = text.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`));
+      return match ? match[1] : null;
+    };
+    const parseColumns = (body) => {
+      const columns = [];
+      const columnPattern = /<column\b([^>]*?)(?:\/>|>([\s\S]*?)<\/column>)/g;
+      let columnMatch;
+      while ((columnMatch = columnPattern.exec(body)) !== null) {
+        const columnAttrs = columnMatch[1];
+        const constraints = (columnMatch[2] || '').match(/<constraints\b([^>]*)\/?>/);
+        const constraintAttrs = constraints ? constraints[1] : '';
+        const name = attr(columnAttrs, 'name');
+        const sqlType = (attr(columnAttrs, 'type') || 'VARCHAR(255)').toUpperCase();
+        const annotations = { columnName: name };
+        
+        if (attr(constraintAttrs, 'primaryKey') === 'true') annotations.primary = true;
+        if (attr(columnAttrs, 'autoIncrement') === 'true') annotations.autoIncrement = true;
+        if (attr(constraintAttrs, 'nullable') === 'false') annotations.nullable = false;
+        if (attr(constraintAttrs, 'unique') === 'true') annotations.unique = true;
+        if (attr(columnAttrs, 'remarks')) annotations.comment = attr(columnAttrs, 'remarks');
+        const defaultValue = attr(columnAttrs, 'defaultValue') || attr(columnAttrs, 'defaultValueNumeric') || attr(columnAttrs, 'defaultValueBoolean');
+        if (defaultValue) annotations.defaultValue = defaultValue;
+        
+        const references = attr(constraintAttrs, 'references');
+        const referencedTable = attr(constraintAttrs, 'referencedTableName') || (references && references.replace(/\(.*$/, ''));
+        if (referencedTable) {
+          annotations.foreignKey = referencedTable;
+          annotations.references = {
+            table: referencedTable,
+            column: attr(constraintAttrs, 'referencedColumnNames') || (references && (references.match(/\(([^)]+)\)/) || [])[1]) || 'id'
+          };
+        }
+        
+        columns.push({ name, type: sqlType, sqlType, annotations, originalType: sqlType });
+      }
+      return columns;
+    };
+    
+    const changePattern = /<(createTable|addColumn|addForeignKeyConstraint|addPrimaryKey|dropColumn|dropTable|setColumnRemarks|setTableRemarks)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+    let match;
+    
+    while ((match = changePattern.exec(content)) !== null) {
+      const [, change, attrs, body] = match;
+      const tableName = attr(attrs, 'tableName') || attr(attrs, 'baseTableName');
+      
+      if (change === 'createTable') {
+        tables.set(tableName.toLowerCase(), {
+          className: tableName,
+          tableName,
+          tableCnName: attr(attrs, 'remarks') ? this.toTableCnName(attr(attrs, 'remarks')) : null,
+          superClass: null,
+          isEntity: true,
+          filePath,
+          language: 'sql',
+          dialect: 'liquibase',
+          fields: parseColumns(body || '')
+        });
+        continue;
+      }
+      
+      const table = tableName && tables.get(tableName.toLowerCase());
+      if (!table) continue;
+      const findField = (columnName) => table.fields.find(field => field.name.toLowerCase() === String(columnName).trim().toLowerCase());
+      
+      if (change === 'addColumn') {
+        table.fields.push(...parseColumns(body || ''));
+      } else if (change === 'dropTable') {
+        tables.delete(tableName.toLowerCase());
+      } else if (change === 'dropColumn') {
+        const columnName = (attr(attrs, 'columnName') || '').toLowerCase();
+        table.fields = table.fields.filter(field => field.name.toLowerCase() !== columnName);
+      } else if (change === 'addPrimaryKey') {
+        (attr(attrs, 'columnNames') || '').split(',').forEach(columnName => {
+          const field = findField(columnName);
+          if (field) field.annotations.primary = true;
+        });
+      } else if (change === 'addForeignKeyConstraint') {
+        const field = findField(attr(attrs, 'baseColumnNames') || '');
+        if (field) {
+          field.annotations.foreignKey = attr(attrs, 'referencedTableName');
+          field.annotations.references = { table: field.annotations.foreignKey, column: attr(attrs, 'referencedColumnNames') || 'id' };
+        }
+      } else if (change === 'setColumnRemarks') {
+        const field = findField(attr(attrs, 'columnName') || '');
+        if (field) field.annotations.comment = attr(attrs, 'remarks');
+      } else if (change === 'setTableRemarks') {
+        table.tableCnName = this.toTableCnName(attr(attrs, 'remarks') || '');
+      }
+    }
+  },
+
+  // 三线表的表中文名统一以“表”结尾
+  toTableCnName(comment) {
+    const name = comment.trim();
+    return !name || name.endsWith('表') ? name : `${name}表`;
+  },
+
+  // 读取 openIndex 处左括号对应的完整括号内容（支持嵌套与字符串）
+  readBalanced(text, openIndex) {
+    const open = text[openIndex];
+    const close = { '(': ')', '{': '}', '[': ']' }[open];
+    let depth = 0;
+    let quote = null;
+    
+    for (let i = openIndex; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+        continue;
+      }
+      if (char === '"' || char === "'" || char === '`') {
+        quote = char;
+      } else if (char === open) {
+        depth++;
+      } else if (char === close) {
+        depth--;
+        if (depth === 0) {
+          return text.substring(openIndex + 1, i);
+        }
+      }
+    }
+    
+    return text.substring(openIndex + 1);
+  },
+
+  // 读取形如 key=value / key: value 的选项值（去掉引号）
+  readOption(text, key) {
+    const match = text.match(new RegExp(`\\b${key}\\s*[=:]\\s*("[^"]*"|'[^']*'|[^,)\\s]+)`));
+    return match ? match[1].replace(/^["']|["']$/g, '') : null;
+  },
+
+  // Python：Django ORM 与 SQLAlchemy（含 2.0 mapped_column 写法）
+  parsePythonModels(content, filePath) {
+    const lines = content.split('\n');
+    const classes = [];
+    
+    for (let i = 0; i < lines.length; i++) {
+      const classMatch = lines[i].match(/^(\s*)class\s+(\w+)\s*(?:\(([^)]*)\))?\s*:/);
+      if (!classMatch || ['Meta', 'Config'].includes(classMatch[2])) continue;
+      
+      const indent = classMatch[1].length;
+      const body = [];
+      for (let j = i + 1; j < lines.length; j++) {
+        const line = lines[j];
+        if (line.trim() && line.match(/^\s*/)[0].length <= indent) break;
+        body.push(line);
+      }
+      
+      const bases = (classMatch[3] || '').split(',').map(base => base.trim()).filter(Boolean);
+      classes.push(this.parsePythonClass(classMatch[2], bases, body.join('\n'), filePath));
+    }
+    
+    return classes.filter(cls => cls.fields.length > 0 || cls.isEntity);
+  },
+
+  parsePythonClass(className, bases, body, filePath) {
+    const isDjango = bases.some(base => /models\.Model$/.test(base)) || /models\.\w+Field\(|models\.ForeignKey\(/.test(body);
+    const tableNameMatch = body.match(/__tablename__\s*=\s*["'](\w+)["']/) || body.match(/db_table\s*=\s*["'](\w+)["']/);
+    const isAbstract = /abstract\s*=\s*True|__abstract__\s*=\s*True/.test(body);
+    const fields = [];
+    
+    // 只识别类体第一层的字段赋值：name = models.XxxField(...) / name = Column(...) / name: Mapped[int] = mapped_column(...)
+    const fieldPattern = /^[ \t]+(\w+)\s*(?::\s*([^=\n]+))?=\s*(?:[\w]+\.)*(\w+)\(/gm;
+    let match;
+    while ((match = fieldPattern.exec(body)) !== null) {
+      const [, name, typeHint, call] = match;
+      const args = this.readBalanced(body, match.index + match[0].length - 1);
+      const field = isDjango
+        ? this.parseDjangoField(name, call, args)
+        : this.parseSqlAlchemyColumn(name, call, args, typeHint);
+      if (field) fields.push(field);
+    }
+    
+    // Django 未声明主键时自动生成 id 字段
+    if (isDjango && !isAbstract && fields.length > 0 && !fields.some(field => field.annotations.primary)) {
+      fields.unshift({ name: 'id', type: 'BigAutoField', sqlType: 'BIGINT', annotations: { primary: true, autoIncrement: true }, originalType: 'BigAutoField' });
+    }
+    
+    return {
+      className,
+      tableName: tableNameMatch ? tableNameMatch[1] : this.camelToSnake(className),
+      superClass: bases.find(base => !/^(models\.Model|Base|db\.Model|DeclarativeBase|object)$/.test(base)) || null,
+      isEntity: !isAbstract && (Boolean(tableNameMatch) || fields.length > 0),
+      isMappedSuperclass: isAbstract,
+      hasTableAnnotation: Boolean(tableNameMatch),
+      filePath,
+      language: 'python',
+      fields
+    };
+  },
+
+  parseDjangoField(name, call, args) {
+    if (!/Field$|^ForeignKey$/.test(call) || call === 'ManyToManyField') return null;
+    
+    const annotations = {};
+    const isRelation = call === 'ForeignKey' || call === 'OneToOneField';
+    // 普通字段的第一个位置参数是 verbose_name，关联字段的第一个位置参数是目标模型
+    const verboseName = (!isRelation && args.match(/^\s*["']([^"']+)["']/)) || args.match(/verbose_name\s*=\s*["']([^"']+)["']/);
+    const comment = verboseName ? verboseName[1] : (this.readOption(args, 'help_text') || this.readOption(args, 'db_comment'));
+    if (comment) annotations.comment = comment;
+    
+    if (/primary_key\s*=\s*True/.test(args)) annotations.primary = true;
+    if (/unique\s*=\s*True/.test(args) || call === 'OneToOneField') annotations.unique = true;
+    if (/null\s*=\s*True/.test(args)) annotations.nullable = true;
+    else annotations.nullable = false;
+    if (/^(Big|Small)?AutoField$/.test(call)) {
+      annotations.primary = true;
+      annotations.autoIncrement = true;
+    }
+    
+    const dbColumn = this.readOption(args, 'db_column');
+    let columnName = dbColumn;
+    if (isRelation) {
+      const target = args.match(/^\s*["']?([\w.]+)["']?/);
+      annotations.foreignKey = target ? target[1].split('.').pop() : null;
+      columnName = dbColumn || `${name}_id`;
+    }
+    if (columnName) annotations.columnName = columnName;
+    
+    const maxLength = this.readOption(args, 'max_length');
+    if (maxLength) annotations.length = parseInt(maxLength);
+    
+    const djangoTypes = {
+      AutoField: 'INT', BigAutoField: 'BIGINT', SmallAutoField: 'SMALLINT',
+      IntegerField: 'INT', BigIntegerField: 'BIGINT', SmallIntegerField: 'SMALLINT',
+      PositiveIntegerField: 'INT UNSIGNED', PositiveSmallIntegerField: 'SMALLINT UNSIGNED',
+      BooleanField: 'TINYINT(1)', NullBooleanField: 'TINYINT(1)',
+      CharField: `VARCHAR(${annotations.length || 255})`, SlugField: `VARCHAR(${annotations.length || 50})`,
+      EmailField: `VARCHAR(${annotations.length || 254})`, URLField: `VARCHAR(${annotations.length || 200})`,
+      FileField: 'VARCHAR(100)', ImageField: 'VARCHAR(100)', UUIDField: 'CHAR(32)',
+      TextField: 'TEXT', JSONField: 'JSON', BinaryField: 'BLOB',
+      DateTimeField: 'DATETIME', DateField: 'DATE', TimeField: 'TIME', DurationField: 'BIGINT',
+      FloatField: 'DOUBLE', ForeignKey: 'BIGINT', OneToOneField: 'BIGINT'
+    };
+    
+    let sqlType = djangoTypes[call] || 'VARCHAR(255)';
+    if (call === 'DecimalField') {
+      sqlType = `DECIMAL(${this.readOption(args, 'max_digits') || 10},${this.readOption(args, 'decimal_places') || 2})`;
+    }
+    
+    return { name, type: call, sqlType, annotations, originalType: call };
+  },
+
+  parseSqlAlchemyColumn(name, call, args, typeHint) {
+    if (!['Column', 'mapped_column'].includes(call)) return null;
+    
+    const annotations = {};
+    let rest = args;
+    
+    // Column('col_name', Type, ...) 第一个参数可以是列名
+    const explicitName = rest.match(/^\s*["'](\w+)["']\s*,?/);
+    if (explicitName) {
+      annotations.columnName = explicitName[1];
+      rest = rest.substring(explicitName[0].length);
+    }
+    
+    if (/primary_key\s*=\s*True/.test(rest)) annotations.primary = true;
+    if (/autoincrement\s*=\s*True/.test(rest)) annotations.autoIncrement = true;
+    if (/unique\s*=\s*True/.test(rest)) annotations.unique = true;
+    if (/nullable\s*=\s*False/.test(rest)) annotations.nullable = false;
+    if (/nullable\s*=\s*True/.test(rest) || /Optional\[/.test(typeHint || '')) annotations.nullable = true;
+    
+    const comment = this.readOption(rest, 'comment') || this.readOption(rest, 'doc');
+    if (comment) annotations.comment = comment;
+    
+    const foreignKey = rest.match(/ForeignKey\(\s*["'](\w+)\.\w+["']/);
+    if (foreignKey) annotations.foreignKey = foreignKey[1];
+    
+    // 整数主键默认自增
+    const typeMatch = rest.match(/^\s*(?:\w+\.)*([A-Z]\w*)(?:\(([^)]*)\))?/);
+    let sqlType;
+    if (typeMatch && typeMatch[1] !== 'ForeignKey') {
+      sqlType = this.mapPythonType(typeMatch[1], typeMatch[2]);
+    } else {
+      const hint = (typeHint || '').match(/Mapped\[(?:Optional\[)?(\w+)/);
+      sqlType = hint ? this.mapPythonType(hint[1]) : (foreignKey ? 'BIGINT' : 'VARCHAR(255)');
+    }
+    if (annotations.primary && /INT/.test(sqlType) && !/autoincrement\s*=\s*False/.test(rest)) {
+      annotations.autoIncrement = true;
+    }
+    
+    return { name, type: typeMatch ? typeMatch[1] : (typeHint || '').trim(), sqlType, annotations, originalType: call };
+  },
+
+  mapPythonType(type, typeArgs) {
+    const typeMap = {
+      Integer: 'INT', BigInteger: 'BIGINT', SmallInteger: 'SMALLINT', int: 'INT',
+      String: `VARCHAR(${typeArgs || 255})`, Unicode: `VARCHAR(${typeArgs || 255})`, str: 'VARCHAR(255)',
+      Text: 'TEXT', UnicodeText: 'TEXT', Boolean: 'TINYINT(1)', bool: 'TINYINT(1)',
+      DateTime: 'DATETIME', datetime: 'DATETIME', Date: 'DATE', date: 'DATE', Time: 'TIME',
+      Float: 'FLOAT', float: 'DOUBLE', Numeric: `DECIMAL(${typeArgs || '10,2'})`, DECIMAL: `DECIMAL(${typeArgs || '10,2'})`, Decimal: 'DECIMAL(10,2)',
+      JSON: 'JSON', LargeBinary: 'BLOB', bytes: 'BLOB', Enum: 'VARCHAR(50)', Uuid: 'CHAR(36)', UUID: 'CHAR(36)'
+    };
+    return typeMap[type] || 'VARCHAR(255)';
+  },
+
+  // TypeScript：TypeORM 实体（@Entity 装饰的类）
+  parseTypeScriptEntities(content, filePath) {
+    if (!/@Entity\b|typeorm/.test(content)) return [];
+    
+    const code = this.stripJavaComments(content);
+    const classes = [];
+    const classPattern = /(?:export\s+)?(abstract\s+)?class\s+(\w+)(?:\s*<[^>{]*>)?(?:\s+extends\s+(\w+))?[^{]*\{/g;
+    let match;
+    
+    while ((match = classPattern.exec(code)) !== null) {
+      const before = code.substring(Math.max(0, match.index - 300), match.index);
+      const decorators = before.substring(before.lastIndexOf('}') + 1);
+      const entityMatch = decorators.match(/@Entity\s*\(([^)]*)\)/);
+      const body = this.readBalanced(code, match.index + match[0].length - 1);
+      const tableName = entityMatch && (entityMatch[1].match(/^\s*["'](\w+)["']/) || entityMatch[1].match(/name\s*:\s*["'](\w+)["']/));
+      
+      classes.push({
+        className: match[2],
+        tableName: tableName ? tableName[1] : this.camelToSnake(match[2]),
+        superClass: match[3] || null,
+        isEntity: Boolean(entityMatch),
+        isMappedSuperclass: Boolean(match[1]),
+        hasTableAnnotation: Boolean(entityMatch),
+        filePath,
+        language: 'typescript',
+        fields: this.extractTypeOrmColumns(body)
+      });
+    }
+    
+    return classes;
+  },
+
+  extractTypeOrmColumns(body) {
+    const fields = [];
+    const propertyPattern = /((?:@\w+\s*\((?:[^()]|\((?:[^()]|\([^()]*\))*\))*\)\s*)+)(?:(?:public|private|protected|readonly)\s+)*(\w+)([?!])?\s*:\s*([^;=\n]+)/g;
+    let match;
+    
+    while ((match = propertyPattern.exec(body)) !== null) {
+      const [, decorators, name, optional, tsType] = match;
+      const annotations = {};
+      const options = (decorators.match(/@\w*Column\s*\(([\s\S]*?)\)\s*(?:@|$)/) || [])[1] || '';
+      
+      if (/@(OneToMany|ManyToMany)\b/.test(decorators)) continue;
+      
+      if (/@(ManyToOne|OneToOne)\b/.test(decorators)) {
+        // 关系属性只有带 @JoinColumn（或 ManyToOne 默认）时才落库为外键列
+        if (/@OneToOne\b/.test(decorators) && !/@JoinColumn\b/.test(decorators)) continue;
+        const target = decorators.match(/=>\s*(\w+)/);
+        const joinName = decorators.match(/@JoinColumn\s*\(\s*\{[^}]*name\s*:\s*["'](\w+)["']/);
+        annotations.foreignKey = target ? target[1] : tsType.trim();
+        annotations.columnName = joinName ? joinName[1] : this.camelToSnake(`${name}Id`);
+        annotations.nullable = !/nullable\s*:\s*false/.test(decorators);
+        fields.push({ name: `${name}Id`, type: 'number', sqlType: 'BIGINT', annotations, originalType: tsType.trim() });
+        continue;
+      }
+      
+      if (!/@(Column|PrimaryColumn|PrimaryGeneratedColumn|CreateDateColumn|UpdateDateColumn|DeleteDateColumn|VersionColumn|ObjectIdColumn)\b/.test(decorators)) {
+        continue;
+      }
+      
+      if (/@Primary(Generated)?Column\b/.test(decorators)) annotations.primary = true;
+      if (/@PrimaryGeneratedColumn\b/.test(decorators) && !/uuid/.test(decorators)) annotations.autoIncrement = true;
+      if (/@VersionColumn\b/.test(decorators)) annotations.version = true;
+      if (/nullable\s*:\s*true/.test(options) || optional === '?') annotations.nullable = true;
+      if (/nullable\s*:\s*false/.test(options)) annotations.nullable = false;
+      if (/unique\s*:\s*true/.test(options)) annotations.unique = true;
+      
+      const columnName = this.readOption(options, 'name');
+      if (columnName) annotations.columnName = columnName;
+      const length = this.readOption(options, 'length');
+      if (length) annotations.length = parseInt(length);
+      const comment = this.readOption(options, 'comment');
+      if (comment) annotations.comment = comment;
+      
+      const declaredType = (options.match(/^\s*["'](\w+)["']/) || [])[1] || this.readOption(options, 'type');
+      let sqlType;
+      if (/@(Create|Update|Delete)DateColumn\b/.test(decorators)) {
+        sqlType = 'DATETIME';
+      } else if (/uuid/.test(decorators)) {
+        sqlType = 'CHAR(36)';
+      } else if (declaredType) {
+        const precision = this.readOption(options, 'precision');
+        const scale = this.readOption(options, 'scale');
+        sqlType = this.mapColumnTypeName(declaredType, annotations.length, precision && `${precision},${scale || 0}`);
+      } else {
+        const tsTypeMap = { number: 'INT', string: `VARCHAR(${annotations.length || 255})`, boolean: 'TINYINT(1)', Date: 'DATETIME', bigint: 'BIGINT' };
+        sqlType = tsTypeMap[tsType.trim()] || 'VARCHAR(255)';
+      }
+      
+      fields.push({ name, type: tsType.trim(), sqlType, annotations, originalType: tsType.trim() });
+    }
+    
+    // 同时声明了 userId 列与 user 关系时保留显式列，并把外键信息合并过去
+    const byColumn = new Map();
+    for (const field of fields) {
+      const column = field.annotations.columnName || this.camelToSnake(field.name);
+      const existing = byColumn.get(column);
+      if (existing) {
+        Object.assign(existing.annotations, { foreignKey: existing.annotations.foreignKey || field.annotations.foreignKey });
+      } else {
+        byColumn.set(column, field);
+      }
+    }
+    
+    return Array.from(byColumn.values());
+  },
+
+  // 数据库列类型名（TypeORM type / GORM type / Prisma @db）统一转大写 SQL 类型
+  mapColumnTypeName(typeName, length, precision) {
+    const lower = typeName.toLowerCase();
+    precision = precision && String(precision).replace(/\s+/g, '');
+    const typeMap = {
+      varchar: `VARCHAR(${length || 255})`, 'character varying': `VARCHAR(${length || 255})`, nvarchar: `VARCHAR(${length || 255})`,
+      char: `CHAR(${length || 1})`, text: 'TEXT', longtext: 'LONGTEXT', mediumtext: 'MEDIUMTEXT',
+      int: 'INT', integer: 'INT', tinyint: 'TINYINT', smallint: 'SMALLINT', bigint: 'BIGINT',
+      boolean: 'TINYINT(1)', bool: 'TINYINT(1)', float: 'FLOAT', double: 'DOUBLE', real: 'FLOAT',
+      decimal: `DECIMAL(${precision || '10,2'})`, numeric: `DECIMAL(${precision || '10,2'})`,
+      datetime: 'DATETIME', timestamp: 'TIMESTAMP', timestamptz: 'TIMESTAMP', date: 'DATE', time: 'TIME',
+      json: 'JSON', jsonb: 'JSON', blob: 'BLOB', uuid: 'CHAR(36)', enum: 'VARCHAR(50)'
+    };
+    return typeMap[lower] || typeName.toUpperCase();
+  },
+
+  // Prisma：schema.prisma 中的 model 定义
+  parsePrismaModels(content, filePath) {
+    const models = [];
+    const modelNames = new Set((content.match(/^\s*model\s+(\w+)/gm) || []).map(line => line.trim().split(/\s+/)[1]));
+    const enumNames = new Set((content.match(/^\s*enum\s+(\w+)/gm) || []).map(line => line.trim().split(/\s+/)[1]));
+    const modelPattern = /^\s*model\s+(\w+)\s*\{([\s\S]*?)^\s*\}/gm;
+    let match;
+    
+    while ((match = modelPattern.exec(content)) !== null) {
+      const [, modelName, body] = match;
+      const fields = [];
+      const foreignKeys = {};
+      const compositeId = (body.match(/@@id\(\s*\[([^\]]+)\]/) || [])[1];
+      const tableMap = body.match(/@@map\(\s*["'](\w+)["']/);
+      let pendingComment = null;
+      
+      for (const rawLine of body.split('\n')) {
+        const line = rawLine.trim();
+        if (line.startsWith('///')) {
+          pendingComment = line.replace(/^\/\/\/\s*/, '');
+          continue;
+        }
+        
+        const fieldMatch = line.match(/^(\w+)\s+(\w+)(\[\])?(\?)?\s*(.*)$/);
+        if (!fieldMatch || line.startsWith('@@')) {
+          pendingComment = null;
+          continue;
+        }
+        
+        const [, name, type, isList, optional, attrs] = fieldMatch;
+        const comment = pendingComment;
+        pendingComment = null;
+        
+        // 关系字段：记录 fields: [xxxId] 对应的目标模型，自身不落库。
+        // 目标模型可能定义在另一个 .prisma 文件中，带 @relation 的字段同样按关系处理
+        if (modelNames.has(type) || isList || /@relation\b/.test(attrs)) {
+          const relationFields = attrs.match(/fields\s*:\s*\[([^\]]+)\]/);
+          if (relationFields) {
+            relationFields[1].split(',').forEach(fieldName => { foreignKeys[fieldName.trim()] = type; });
+          }
+          continue;
+        }
+        
+        const annotations = {};
+        if (/@id\b/.test(attrs) || (compositeId && compositeId.split(',').map(f => f.trim()).includes(name))) annotations.primary = true;
+        if (/autoincrement\(\)/.test(attrs)) annotations.autoIncrement = true;
+        if (/@unique\b/.test(attrs)) annotations.unique = true;
+        annotations.nullable = Boolean(optional);
+        if (comment) annotations.comment = comment;
+        
+        const mapMatch = attrs.match(/@map\(\s*["'](\w+)["']/);
+        if (mapMatch) annotations.columnName = mapMatch[1];
+        
+        const dbType = attrs.match(/@db\.(\w+)(?:\(([^)]*)\))?/);
+        const prismaTypes = {
+          Int: 'INT', BigInt: 'BIGINT', String: 'VARCHAR(255)', Boolean: 'TINYINT(1)', DateTime: 'DATETIME',
+          Float: 'DOUBLE', Decimal: 'DECIMAL(10,2)', Json: 'JSON', Bytes: 'BLOB'
+        };
+        let sqlType = prismaTypes[type] || (enumNames.has(type) ? 'VARCHAR(50)' : 'VARCHAR(255)');
+        if (dbType) {
+          const isDecimal = /^(decimal|numeric)$/i.test(dbType[1]);
+          sqlType = this.mapColumnTypeName(dbType[1], isDecimal ? null : dbType[2], isDecimal ? dbType[2] : null);
+        }
+        
+        fields.push({ name, type, sqlType, annotations, originalType: type });
+      }
+      
+      for (const field of fields) {
+        if (foreignKeys[field.name]) field.annotations.foreignKey = foreignKeys[field.name];
+      }
+      
+      models.push({
+        className: modelName,
+        tableName: tableMap ? tableMap[1] : modelName,
+        superClass: null,
+        isEntity: true,
+        isMappedSuperclass: false,
+        hasTableAnnotation: true,
+        filePath,
+        language: 'prisma',
+        fields
+      });
+    }
+    
+    return models;
+  },
+
+  // Go：GORM 模型结构体
+  parseGoStructs(content, filePath) {
+    if (!/gorm/.test(content)) return [];
+    
+    const code = this.stripJavaComments(content);
+    const structs = [];
+    const tableNames = {};
+    const tableNamePattern = /func\s*\(\s*\w*\s*\*?(\w+)\s*\)\s*TableName\s*\(\s*\)\s*string\s*\{\s*return\s*"(\w+)"/g;
+    let match;
+    
+    while ((match = tableNamePattern.exec(code)) !== null) {
+      tableNames[match[1]] = match[2];
+    }
+    
+    const structPattern = /type\s+(\w+)\s+struct\s*\{/g;
+    while ((match = structPattern.exec(code)) !== null) {
+      const structName = match[1];
+      const body = this.readBalanced(code, match.index + match[0].length - 1);
+      const fields = [];
+      let superClass = null;
+      const structFieldNames = new Set();
+      
+      for (const rawLine of body.split('\n')) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        
+        // 嵌入结构体：gorm.Model 展开为标准字段，其余视为父类
+        const embedded = line.match(/^\*?([\w.]+)(?:\s+`[^`]*`)?$/);
+        if (embedded) {
+          if (embedded[1] === 'gorm.Model') {
+            fields.push(
+              { name: 'ID', type: 'uint', sqlType: 'BIGINT UNSIGNED', annotations: { primary: true, autoIncrement: true }, originalType: 'uint' },
+              { name: 'CreatedAt', type: 'time.Time', sqlType: 'DATETIME', annotations: {}, originalType: 'time.Time' },
+              { name: 'UpdatedAt', type: 'time.Time', sqlType: 'DATETIME', annotations: {}, originalType: 'time.Time' },
+              { name: 'DeletedAt', type: 'gorm.DeletedAt', sqlType: 'DATETIME', annotations: { nullable: true, logicDelete: true }, originalType: 'gorm.DeletedAt' }
+            );
+          } else if (!superClass) {
+            superClass = embedded[1].split('.').pop();
+          }
+          continue;
+        }
+        
+        const fieldMatch = line.match(/^(\w+)\s+(\*?)(\[\])?([\w.]+)(?:\s+`([^`]*)`)?/);
+        if (!fieldMatch) continue;
+        
+        const [, name, pointer, slice, type, rawTag] = fieldMatch;
+        const gormTag = ((rawTag || '').match(/gorm:"([^"]*)"/) || [])[1] || '';
+        if (gormTag === '-' || /^-(:|$)/.test(gormTag)) continue;
+        
+        const sqlType = this.mapGoType(type, slice, gormTag);
+        if (!sqlType) {
+          // 结构体/切片类型是关联对象，不是列
+          structFieldNames.add(name);
+          continue;
+        }
+        
+        const annotations = {};
+        const tagOption = (key) => {
+          const option = gormTag.split(';').map(part => part.trim()).find(part => part.toLowerCase().split(':')[0] === key.toLowerCase());
+          return option === undefined ? null : (option.split(':').slice(1).join(':') || true);
+        };
+        
+        if (tagOption('primaryKey') || tagOption('primary_key') || (name === 'ID' && !fields.some(f => f.annotations.primary))) annotations.primary = true;
+        if (tagOption('autoIncrement') || (annotations.primary && /int/.test(type))) annotations.autoIncrement = true;
+        if (tagOption('not null')) annotations.nullable = false;
+        else if (pointer) annotations.nullable = true;
+        if (tagOption('unique') || tagOption('uniqueIndex')) annotations.unique = true;
+        if (typeof tagOption('column') === 'string') annotations.columnName = tagOption('column');
+        if (typeof tagOption('comment') === 'string') annotations.comment = tagOption('comment').replace(/^'|'$/g, '');
+        if (typeof tagOption('size') === 'string') annotations.length = parseInt(tagOption('size'));
+        
+        fields.push({ name, type, sqlType: this.mapGoType(type, slice, gormTag, annotations.length), annotations, originalType: `${pointer}${slice || ''}${type}` });
+      }
+      
+      // CompanyID 与 Company 关联字段同时出现时，CompanyID 是外键
+      for (const field of fields) {
+        const target = field.name.replace(/ID$/, '');
+        if (target !== field.name && structFieldNames.has(target)) {
+          field.annotations.foreignKey = target;
+        }
+      }
+      
+      const hasGormModel = fields.some(field => field.originalType === 'gorm.DeletedAt') || /gorm:"/.test(body);
+      structs.push({
+        className: structName,
+        tableName: tableNames[structName] || this.pluralize(this.camelToSnake(this.normalizeFieldName(structName))),
+        superClass,
+        isEntity: hasGormModel || Boolean(tableNames[structName]),
+        isMappedSuperclass: false,
+        hasTableAnnotation: Boolean(tableNames[structName]) || /gorm\.Model/.test(body),
+        filePath,
+        language: 'go',
+        fields
+      });
+    }
+    
+    return structs;
+  },
+
+  mapGoType(type, slice, gormTag, length) {
+    const declared = gormTag.match(/type:([^;]+)/i);
+    if (declared) {
+      const typeMatch = declared[1].match(/^(\w+(?:\s\w+)?)(?:\(([^)]*)\))?/);
+      const isDecimal = /^(decimal|numeric)$/i.test(typeMatch[1]);
+      return this.mapColumnTypeName(typeMatch[1], isDecimal ? null : typeMatch[2], isDecimal ? typeMatch[2] : null);
+    }
+    
+    if (slice) {
+      return type === 'byte' ? 'BLOB' : null;
+    }
+    
+    const typeMap = {
+      int: 'INT', int8: 'TINYINT', int16: 'SMALLINT', int32: 'INT', int64: 'BIGINT',
+      uint: 'BIGINT UNSIGNED', uint8: 'TINYINT UNSIGNED', uint16: 'SMALLINT UNSIGNED', uint32: 'INT UNSIGNED', uint64: 'BIGINT UNSIGNED',
+      string: `VARCHAR(${length || 255})`, bool: 'TINYINT(1)', float32: 'FLOAT', float64: 'DOUBLE',
+      'time.Time': 'DATETIME', 'gorm.DeletedAt': 'DATETIME', 'sql.NullTime': 'DATETIME', 'sql.NullString': `VARCHAR(${length || 255})`,
+      'sql.NullInt64': 'BIGINT', 'sql.NullBool': 'TINYINT(1)', 'decimal.Decimal': 'DECIMAL(10,2)',
+      'datatypes.JSON': 'JSON', 'datatypes.Date': 'DATE', 'uuid.UUID': 'CHAR(36)'
+    };
+    return typeMap[type] || null;
+  },
+
+  // C#：EF Core 实体类（数据注解 + 约定）
+  parseCSharpEntities(content, filePath) {
+    const code = this.stripJavaComments(content);
+    const classes = [];
+    const classPattern = /((?:\[[^\]]+\]\s*)*)public\s+(?:(?:abstract|partial|sealed)\s+)*(abstract\s+)?class\s+(\w+)(?:\s*:\s*([\w.<>, ]+))?\s*\{/g;
+    let match;
+    
+    while ((match = classPattern.exec(code)) !== null) {
+      const [, attributes, isAbstract, className, baseList] = match;
+      const bases = (baseList || '').split(',').map(base => base.trim());
+      
+      // DbContext、DTO、ViewModel 不是实体
+      if (bases.some(base => /DbContext$/.test(base)) || /(Dto|DTO|ViewModel|Request|Response)$/.test(className)) continue;
+      
+      const body = this.readBalanced(code, match.index + match[0].length - 1);
+      const tableMatch = attributes.match(/\[Table\(\s*"(\w+)"/);
+      const fields = this.extractEfProperties(body, className);
+      const superClass = bases.find(base => base && !/^I[A-Z]/.test(base)) || null;
+      const isEntityPath = /[\\/](Entities|Entity|Models|Domain)[\\/]/.test(filePath);
+      
+      classes.push({
+        className,
+        tableName: tableMatch ? tableMatch[1] : this.camelToSnake(className),
+        superClass: superClass ? superClass.replace(/<.*$/, '') : null,
+        isEntity: Boolean(tableMatch) || (isEntityPath && fields.length > 0),
+        isMappedSuperclass: Boolean(isAbstract) || /abstract/.test(match[0]),
+        hasTableAnnotation: Boolean(tableMatch),
+        filePath,
+        language: 'csharp',
+        fields
+      });
+    }
+    
+    return classes;
+  },
+
+  extractEfProperties(body, className) {
+    const fields = [];
+    const navigations = {};
+    const propertyPattern = /((?:\[[^\]]+\]\s*)*)public\s+(virtual\s+)?([\w.]+(?:<[^>]+>)?(?:\[\])?\??)\s+(\w+)\s*\{\s*get;/g;
+    let match;
+    
+    while ((match = propertyPattern.exec(body)) !== null) {
+      const [, attributes, isVirtual, rawType, name] = match;
+      if (/\[NotMapped\]/.test(attributes)) continue;
+      
+      const nullable = rawType.endsWith('?');
+      const type = rawType.replace(/\?$/, '');
+      const annotations = {};
+      
+      const lengthMatch = attributes.match(/\[(?:MaxLength|StringLength)\(\s*(\d+)/);
+      if (lengthMatch) annotations.length = parseInt(lengthMatch[1]);
+      
+      const sqlType = this.mapCSharpType(type, annotations.length);
+      if (isVirtual || !sqlType) {
+        // 导航属性：记录 [ForeignKey("CategoryId")] 指向的外键属性，集合导航忽略
+        if (!/<|\[\]/.test(type)) {
+          const navigationKey = attributes.match(/\[ForeignKey\(\s*(?:"(\w+)"|nameof\((\w+)\))/);
+          navigations[name] = { type, foreignKeyProperty: navigationKey ? (navigationKey[1] || navigationKey[2]) : `${name}Id` };
+        }
+        continue;
+      }
+      
+      if (/\[Key\]/.test(attributes)) annotations.primary = true;
+      if (/\[Required\]/.test(attributes)) annotations.nullable = false;
+      else if (nullable) annotations.nullable = true;
+      if (/DatabaseGeneratedOption\.Identity/.test(attributes)) annotations.autoIncrement = true;
+      
+      const columnMatch = attributes.match(/\[Column\(\s*"(\w+)"/);
+      if (columnMatch) annotations.columnName = columnMatch[1];
+      const columnType = attributes.match(/TypeName\s*=\s*"([^"]+)"/);
+      const commentMatch = attributes.match(/\[Comment\(\s*"([^"]+)"/) || attributes.match(/\[Display\([^\]]*Name\s*=\s*"([^"]+)"/);
+      if (commentMatch) annotations.comment = commentMatch[1];
+      const foreignKeyMatch = attributes.match(/\[ForeignKey\(\s*(?:"(\w+)"|nameof\((\w+)\))/);
+      if (foreignKeyMatch) annotations.foreignKey = foreignKeyMatch[1] || foreignKeyMatch[2];
+      
+      fields.push({ name, type, sqlType: columnType ? columnType[1].toUpperCase() : sqlType, annotations, originalType: rawType });
+    }
+    
+    // EF Core 约定：Id 或 <类名>Id 为主键，整数主键为自增列
+    if (!fields.some(field => field.annotations.primary)) {
+      const keyField = fields.find(field => field.name === 'Id' || field.name === `${className}Id`);
+      if (keyField) keyField.annotations.primary = true;
+    }
+    for (const field of fields) {
+      if (field.annotations.primary && /^(int|long)$/.test(field.type)) field.annotations.autoIncrement = true;
+    }
+    
+    // 约定：CategoryId + Category 导航属性 => 外键
+    for (const navigation of Object.values(navigations)) {
+      const keyField = fields.find(field => field.name === navigation.foreignKeyProperty);
+      if (keyField && !keyField.annotations.foreignKey) keyField.annotations.foreignKey = navigation.type;
+    }
+    
+    return fields;
+  },
+
+  mapCSharpType(type, length) {
+    const typeMap = {
+      int: 'INT', long: 'BIGINT', short: 'SMALLINT', byte: 'TINYINT UNSIGNED', bool: 'TINYINT(1)',
+      string: `VARCHAR(${length || 255})`, decimal: 'DECIMAL(18,2)', double: 'DOUBLE', float: 'FLOAT',
+      DateTime: 'DATETIME', DateTimeOffset: 'DATETIME', DateOnly: 'DATE', TimeOnly: 'TIME', TimeSpan: 'TIME',
+      Guid: 'CHAR(36)', 'byte[]': 'BLOB'
+    };
+    return typeMap[type] || null;
+  },
+
+  pluralize(word) {
+    if (/[^aeiou]y$/.test(word)) return word.replace(/y$/, 'ies');
+    if (/(s|x|z|ch|sh)$/.test(word)) return `${word}es`;
+    return `${word}s`;
+  },
+
+  // 统一字段名为小驼峰，便于词典翻译：user_id / UserID -> userId
+  normalizeFieldName(name) {
+    const camel = name.includes('_')
+      ? name.toLowerCase().replace(/_([a-z0-9])/g, (m, char) => char.toUpperCase())
+      : name.replace(/([A-Z]+)(?=[A-Z][a-z]|[0-9]|$)/g, acronym => acronym[0] + acronym.slice(1).toLowerCase());
+    return camel.charAt(0).toLowerCase() + camel.slice(1);
+  },
+
+  async processEntity(entity, params, api) {
+    // 生成表名和中文名
+    const tableName = entity.tableName;
+    const tableCnName = entity.tableCnName || this.generateChineseName(entity.className, 'table');
+    
+    // 处理字段
+    const columns = [['字段名', '字段中文名', '类型', '约束', '说明']];
+    
+    for (const field of entity.fields) {
+      // 跳过特定字段及非持久化字段（@Transient、@TableField(exist = false)）
+      if (['serialVersionUID', 'class'].includes(field.name) || field.annotations.transient) {
+        continue;
+      }
+      
+      // 非 Java 语言的字段名可能是 snake_case 或 PascalCase，翻译前统一为小驼峰
+      const normalizedName = this.normalizeFieldName(field.name);
+      const fieldName = this.getColumnName(field);
+      const { name: commentName, remark } = this.splitComment(field.annotations.comment);
+      // 关联对象字段落库为外键列，按 xxxId 翻译（user → 用户编号，后缀见术语表 idSuffix）
+      const cnSource = field.annotations.relation ? `${normalizedName}Id` : normalizedName;
+      const fieldCnName = commentName || this.generateChineseName(cnSource, 'field');
+      const sqlType = field.sqlType || this.mapToSqlType(field.type, field.annotations);
+      const constraints = this.buildConstraints(field.annotations);
+      const keyField = field.annotations.primary || field.annotations.foreignKey;
+      const description = (!keyField && remark) || this.generateDescription(normalizedName, field.annotations);
+      
+      columns.push([fieldName, fieldCnName, sqlType, constraints, description]);
+    }
+    
+    return {
+      tableName,
+      tableCnName,
+      columns
+    };
+  },
+
+  // 增量合并：类型与约束以源码为准，中文名与说明视为文档内容，已有非空值一律保留；
+  // 列顺序跟随源码，已删除的字段移除。返回合并结果、变更明细（无结构变化时为 null）及是否需要重写
+  mergeTableData(existing, generated) {
+    const existingRows = new Map((existing.columns || []).slice(1).map(row => [row[0], row]));
+    const generatedNames = new Set(generated.columns.slice(1).map(row => row[0]));
+    const diff = {
+      tableName: generated.tableName,
+      addedColumns: [],
+      removedColumns: [],
+      typeChanges: [],
+      constraintChanges: []
+    };
+    
+    const columns = [existing.columns ? existing.columns[0] : generated.columns[0]];
+    for (const row of generated.columns.slice(1)) {
+      const [name, cnName, type, constraints, description] = row;
+      const old = existingRows.get(name);
+      
+      if (!old) {
+        diff.addedColumns.push(name);
+        columns.push(row);
+        continue;
+      }
+      
+      if (old[2] !== type) diff.typeChanges.push({ column: name, from: old[2], to: type });
+      if (old[3] !== constraints) diff.constraintChanges.push({ column: name, from: old[3], to: constraints });
+      columns.push([name, old[1] || cnName, type, constraints, old[4] || description]);
+    }
+    
+    for (const name of existingRows.keys()) {
+      if (!generatedNames.has(name)) diff.removedColumns.push(name);
+    }
+    
+    const tableData = {
+      tableName: generated.tableName,
+      tableCnName: existing.tableCnName || generated.tableCnName,
+      columns
+    };
+    const changed = ['addedColumns', 'removedColumns', 'typeChanges', 'constraintChanges'].some(key => diff[key].length > 0);
+    
+    return {
+      tableData,
+      diff: changed ? diff : null,
+      // 仅列顺序变化时也需要重写文件，但不计入变更明细
+      dirty: JSON.stringify(tableData) !== JSON.stringify(existing)
+    };
+  },
+
+  getColumnName(field) {
+    return field.annotations.columnName || this.camelToSnake(this.normalizeFieldName(field.name));
+  },
+
+  // 外键关系解析：定位外键目标实体（类名或表名），补充 xxxId 命名约定外键，
+  // 返回 relations.json 的关系列表；同时回填外键列的目标表中文名与引用列
+  resolveRelations(entities) {
+    // 先确定各实体的表中文名，关系两端与三线表保持一致
+    for (const entity of entities) {
+      entity.tableCnName = entity.tableCnName || this.generateChineseName(entity.className, 'table');
+    }
+    
+    const index = new Map();
+    const register = (key, entity) => {
+      if (key && !index.has(key.toLowerCase())) index.set(key.toLowerCase(), entity);
+    };
+    entities.forEach(entity => register(entity.className, entity));
+    entities.forEach(entity => register(entity.tableName, entity));
+    // t_user / sys_user / tb_user 等带前缀的表名也可按 user 命中
+    entities.forEach(entity => register(entity.tableName.replace(/^(t|tb|sys)_/i, ''), entity));
+    
+    const findEntity = (name) => {
+      if (!name) return null;
+      const snake = this.camelToSnake(name);
+      return index.get(name.toLowerCase()) || index.get(snake) || index.get(this.pluralize(snake)) || null;
+    };
+    const primaryColumns = (entity) => {
+      const keys = entity.fields.filter(field => field.annotations.primary).map(field => this.getColumnName(field));
+      return keys.length > 0 ? keys : ['id'];
+    };
+    const endpoint = (entity, columns, fallbackTable) => ({
+      table: entity ? entity.tableName : fallbackTable,
+      tableCnName: entity ? entity.tableCnName : this.generateChineseName(fallbackTable, 'table'),
+      columns
+    });
+    
+    const relations = [];
+    const seen = new Set();
+    const addRelation = (relation) => {
+      const key = [relation.source.table, relation.source.columns.join(','), relation.target.table, relation.joinTable ? relation.joinTable.name : ''].join('|');
+      if (!seen.has(key)) {
+        seen.add(key);
+        relations.push(relation);
+      }
+    };
+    
+    for (const entity of entities) {
+      for (const field of entity.fields) {
+        const annotations = field.annotations;
+        const relation = annotations.relation;
+        
+        // 集合关联：@ManyToMany 拥有方生成中间表关系，单向 @OneToMany + @JoinColumn 的外键在子表
+        if (relation && annotations.transient) {
+          const target = findEntity(relation.target);
+          if (relation.mappedBy || !target) continue;
+          
+          if (relation.kind === 'ManyToMany') {
+            const joinTable = relation.joinTable || {};
+            addRelation({
+              source: endpoint(entity, primaryColumns(entity)),
+              target: endpoint(target, primaryColumns(target)),
+              cardinality: 'N:M',
+              inferredBy: 'annotation',
+              joinTable: {
+                name: joinTable.name || `${entity.tableName}_${target.tableName}`,
+                sourceColumns: [joinTable.joinColumn || `${this.camelToSnake(entity.className)}_id`],
+                targetColumns: [joinTable.inverseJoinColumn || `${this.camelToSnake(target.className)}_id`]
+              }
+            });
+          } else if (relation.kind === 'OneToMany' && relation.joinColumn) {
+            addRelation({
+              source: endpoint(target, [relation.joinColumn]),
+              target: endpoint(entity, [relation.referencedColumn || primaryColumns(entity)[0]]),
+              cardinality: 'N:1',
+              inferredBy: 'annotation'
+            });
+          }
+          continue;
+        }
+        
+        if (annotations.transient || annotations.primary) continue;
+        
+        let inferredBy = entity.language === 'sql' ? 'ddl' : 'annotation';
+        
+        // 命名约定：userId / user_id → User；parentId 视为指向本表的自关联
+        if (!annotations.foreignKey) {
+          const prefix = (this.normalizeFieldName(field.name).match(/^(\w+?)Id$/) || [])[1];
+          const conventionTarget = prefix === 'parent' ? entity : findEntity(prefix);
+          if (!conventionTarget || (conventionTarget === entity && prefix !== 'parent')) continue;
+          annotations.foreignKey = conventionTarget.className;
+          inferredBy = 'naming';
+        }
+        
+        const target = findEntity(annotations.foreignKey) ||
+          (annotations.references && findEntity(annotations.references.table));
+        const targetColumn = (annotations.references && annotations.references.column) ||
+          (relation && relation.referencedColumn) ||
+          (target ? primaryColumns(target)[0] : 'id');
+        
+        if (target) {
+          annotations.foreignKeyCn = target.tableCnName;
+          annotations.references = { table: target.tableName, column: targetColumn };
+        }
+        
+        // 关联对象字段（如 private User user）的列类型取目标主键类型
+        if (relation && !field.sqlType) {
+          const targetKey = target && target.fields.find(candidate => this.getColumnName(candidate) === targetColumn);
+          field.sqlType = targetKey ? (targetKey.sqlType || this.mapToSqlType(targetKey.type, targetKey.annotations)) : 'BIGINT';
+        }
+        
+        addRelation({
+          source: endpoint(entity, [this.getColumnName(field)]),
+          target: endpoint(target, [targetColumn], annotations.references ? annotations.references.table : this.camelToSnake(annotations.foreignKey)),
+          cardinality: (annotations.unique || (relation && relation.kind === 'OneToOne')) ? '1:1' : 'N:1',
+          inferredBy
+        });
+      }
+    }
+    
+    return relations;
+  },
+
+  splitComment(comment) {
+    // 数据库注释常写成 "状态：1-正常 0-禁用"，冒号/分号前作为中文名，其余作为说明
+    if (!comment) return { name: '', remark: '' };
+    const match = comment.trim().match(/^([^：:;；]+?)\s*[：:;；]\s*(.+)$/);
+    return match ? { name: match[1], remark: match[2] } : { name: comment.trim(), remark: '' };
+  },
+
+  // 内置词典：names 为完整名称的精确映射，words 为分词翻译用的单词表
+  getBuiltinDictionary() {
+    return {
+      names: {
+        // 表名映射
+        'User': '用户',
+        'Dish': '菜品',
+        'Rating': '评分',
+        'Stall': '档口',
+        'Canteen': '食堂',
+        'Complaint': '投诉',
+        'SensitiveWord': '敏感词',
+        'BaseEntity': '基础实体',
+        
+        // 字段映射
+        'id': '编号',
+        'name': '名称',
+        'username': '用户名',
+        'password': '密码',
+        'email': '邮箱',
+        'phone': '电话',
+        'title': '标题',
+        'content': '内容',
+        'description': '描述',
+        'price': '价格',
+        'category': '分类',
+        'status': '状态',
+        'type': '类型',
+        'rating': '评分',
+        'comment': '评论',
+        'address': '地址',
+        'location': '位置',
+        'contact': '联系方式',
+        'created': '创建时间',
+        'createdAt': '创建时间',
+        'createdTime': '创建时间',
+        'createTime': '创建时间',
+        'updated': '更新时间',
+        'updatedAt': '更新时间',
+        'updatedTime': '更新时间',
+        'updateTime': '更新时间',
+        'deleted': '删除标识',
+        'deletedAt': '删除时间',
+        'deletedTime': '删除时间',
+        'deleteTime': '删除时间',
+        'version': '版本号',
+        'userId': '用户编号',
+        'dishId': '菜品编号',
+        'stallId': '档口编号',
+        'canteenId': '食堂编号'
+      },
+      words: {
+        'user': '用户', 'dish': '菜品', 'rating': '评分',
+        'stall': '档口', 'canteen': '食堂', 'complaint': '投诉',
+        'id': '编号', 'name': '名称', 'time': '时间',
+        'date': '日期', 'status': '状态', 'type': '类型',
+        'word': '词', 'sensitive': '敏感',
+        'member': '会员', 'card': '卡', 'order': '订单', 'item': '明细',
+        'product': '商品', 'goods': '商品', 'amount': '金额', 'total': '总',
+        'code': '编码', 'no': '编号', 'number': '编号', 'remark': '备注',
+        'image': '图片', 'avatar': '头像', 'url': '链接', 'sort': '排序',
+        'level': '等级', 'role': '角色', 'dept': '部门', 'menu': '菜单',
+        'parent': '父级', 'file': '文件', 'path': '路径', 'score': '分数',
+        'balance': '余额', 'nickname': '昵称', 'gender': '性别', 'age': '年龄',
+        'account': '账号', 'login': '登录', 'ip': 'IP', 'start': '开始',
+        'end': '结束', 'create': '创建', 'update': '更新', 'by': '人',
+        'flag': '标识', 'count': '数量', 'num': '数量', 'delete': '删除',
+        'last': '最后', 'pay': '支付', 'paid': '支付', 'enable': '启用',
+        'enabled': '启用', 'expire': '过期', 'expired': '过期'
+      }
+    };
+  },
+
+  // 加载项目术语表（JSON/YAML），未显式指定时在项目根目录按约定文件名查找
+  async loadGlossary(glossaryPath, projectRoot, fs, path, api) {
+    const explicit = glossaryPath && glossaryPath !== 'auto';
+    const candidates = explicit
+      ? [path.resolve(projectRoot, glossaryPath)]
+      : ['glossary.json', 'glossary.yaml', 'glossary.yml'].map(name => path.join(projectRoot, name));
+    const file = candidates.find(candidate => fs.existsSync(candidate));
+    
+    if (!file) {
+      if (explicit) {
+        throw new Error(`术语表文件不存在: ${candidates[0]}`);
+      }
+      return this.buildGlossary({}, null);
+    }
+    
+    let data;
+    try {
+      const text = fs.readFileSync(file, 'utf8');
+      if (/\.ya?ml$/i.test(file)) {
+        const yaml = await api.importx('js-yaml');
+        data = yaml.load(text) || {};
+      } else {
+        data = JSON.parse(text);
+      }
+    } catch (error) {
+      throw new Error(`术语表解析失败: ${file}: ${error.message}`);
+    }
+    
+    const glossary = this.buildGlossary(data, file);
+    api.logger.info('已加载项目术语表', { file, terms: glossary.customCount });
+    return glossary;
+  },
+
+  // 术语表格式：{ idSuffix: 'ID', tables: {MemberCard: 会员卡}, fields: {memberCardId: 会员卡ID}, words: {member: 会员} }
+  // idSuffix 为 xxxId 字段的中文后缀（默认“编号”，memberCardId → 会员卡编号；设为 ID 时为会员卡ID），
+  // 其余顶层的字符串键值视为完整名称映射；项目术语优先于内置词典
+  buildGlossary(data, file) {
+    const idSuffix = data && typeof data.idSuffix === 'string' && data.idSuffix.trim() ? data.idSuffix.trim() : '编号';
+    const builtin = this.getBuiltinDictionary();
+    const custom = { names: {}, words: {} };
+    
+    // 内置词典中的 xxxId（userId: 用户编号）与分词翻译使用同一后缀
+    for (const [term, translation] of Object.entries(builtin.names)) {
+      if (/.Id$/.test(term)) {
+        builtin.names[term] = translation.replace(/编号$/, idSuffix);
+      }
+    }
+    
+    for (const [key, value] of Object.entries(data || {})) {
+      if (key === 'idSuffix') {
+        continue;
+      }
+      if (typeof value === 'string') {
+        custom.names[key] = value;
+      } else if (value && typeof value === 'object' && ['tables', 'fields', 'words'].includes(key)) {
+        for (const [term, translation] of Object.entries(value)) {
+          if (typeof translation === 'string' && translation.trim()) {
+            custom[key === 'words' ? 'words' : 'names'][term] = translation.trim();
+          }
+        }
+      }
+    }
+    
+    // 完整名称同时进入单词表（小写去分隔符），使复合词可以整体命中，如 memberCard
+    const words = {};
+    const addWords = (map) => {
+      for (const [term, translation] of Object.entries(map)) {
+        words[this.normalizeTerm(term)] = translation;
+      }
+    };
+    addWords(builtin.names);
+    addWords(builtin.words);
+    addWords(custom.names);
+    addWords(custom.words);
+    
+    return {
+      file,
+      idSuffix,
+      names: { ...builtin.names, ...custom.names },
+      words,
+      customCount: Object.keys(custom.names).length + Object.keys(custom.words).length
+    };
+  },
+
+  normalizeTerm(term) {
+    return term.replace(/[_\-\s]/g, '').toLowerCase();
+  },
+
+  generateChineseName(englishName, type) {
+    const glossary = this.glossary || this.buildGlossary({}, null);
+    const withSuffix = (name) => type === 'table' ? this.toTableCnName(name) : name;
+    
+    // 直接映射
+    if (glossary.names[englishName]) {
+      return withSuffix(glossary.names[englishName]);
+    }
+    
+    // 分词翻译，未翻译的单词不进入中文名（已记入未翻译术语报告），一个词都没翻译出来时用占位名
+    const translate = (name, prefix = '', suffix = '') => {
+      const core = this.camelToWords(name, englishName);
+      return core ? prefix + core + suffix : (type === 'table' ? '未命名' : '未命名字段');
+    };
+    
+    // 模式匹配（复合词整体在术语表中时优先整体翻译）
+    if (type === 'field' && !glossary.words[this.normalizeTerm(englishName)]) {
+      if (/^(is|has)[A-Z]/.test(englishName)) {
+        return translate(englishName.replace(/^(is|has)/, ''), '是否');
+      }
+      
+      if (/.(Time|Date|At)$/.test(englishName)) {
+        return translate(englishName.replace(/(Time|Date|At)$/, ''), '', '时间');
+      }
+      
+      if (/.(Count|Num)$/.test(englishName)) {
+        return translate(englishName.replace(/(Count|Num)$/, ''), '', '数量');
+      }
+      
+      if (/.Id$/.test(englishName)) {
+        return translate(englishName.replace(/Id$/, ''), '', glossary.idSuffix);
+      }
+    }
+    
+    return withSuffix(translate(englishName));
+  },
+
+  // 复合词拆分翻译：按最长匹配查术语表，如 memberCardId → member + card + id。
+  // 查不到的单词只记录到未翻译术语中，不拼进结果
+  camelToWords(camelCase, source = camelCase) {
+    const glossary = this.glossary || this.buildGlossary({}, null);
+    const words = camelCase
+      .replace(/[_\-\s]+/g, ' ')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean);
+    
+    let result = '';
+    let index = 0;
+    while (index < words.length) {
+      let end = words.length;
+      while (end > index && !glossary.words[words.slice(index, end).join('').toLowerCase()]) {
+        end--;
+      }
+      
+      if (end > index) {
+        result += glossary.words[words.slice(index, end).join('').toLowerCase()];
+        index = end;
+      } else {
+        this.recordUntranslated(words[index], source);
+        index++;
+      }
+    }
+    
+    return result;
+  },
+
+  recordUntranslated(word, source) {
+    if (!this.untranslatedTerms || !/[a-zA-Z]/.test(word)) return;
+    
+    const term = word.toLowerCase();
+    const entry = this.untranslatedTerms.get(term) || { term, count: 0, examples: new Set() };
+    entry.count++;
+    entry.examples.add(source);
+    this.untranslatedTerms.set(term, entry);
+  },
+
+  // 输出未翻译术语清单 + 可直接填写后并入术语表的模板
+  // 文件名带 _analysis 后缀，ER 图工具批量读取表目录时会跳过
+  writeUntranslatedReport(outputDir, fs, path, api) {
+    const reportFile = path.join(outputDir, 'untranslated_terms_analysis.json');
+    const terms = [...(this.untranslatedTerms || new Map()).values()]
+      .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term))
+      .map(entry => ({ term: entry.term, count: entry.count, examples: [...entry.examples].slice(0, 5) }));
+    
+    if (terms.length === 0) {
+      // 清理上次运行遗留的报告，避免误导
+      if (fs.existsSync(reportFile)) fs.unlinkSync(reportFile);
+      return { terms, reportFile: null };
+    }
+    
+    const report = {
+      glossaryFile: this.glossary.file,
+      total: terms.length,
+      terms,
+      template: { words: Object.fromEntries(terms.map(item => [item.term, ''])) }
+    };
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), 'utf8');
+    api.logger.warn('存在未翻译术语，请补充到项目术语表', { count: terms.length, reportFile });
+    
+    return { terms, reportFile };
+  },
+
+  camelToSnake(camelCase) {
+    return camelCase
+      .replace(/([A-Z])/g, '_$1')
+      .toLowerCase()
+      .replace(/^_/, '');
+  },
+
+  mapToSqlType(javaType, annotations) {
+    const typeMap = {
+      'String': annotations.length ? `VARCHAR(${annotations.length})` : 'VARCHAR(255)',
+      'int': 'INT',
+      'Integer': 'INT',
+      'long': 'BIGINT',
+      'Long': 'BIGINT',
+      'boolean': 'TINYINT(1)',
+      'Boolean': 'TINYINT(1)',
+      'double': 'DOUBLE',
+      'Double': 'DOUBLE',
+      'float': 'FLOAT',
+      'Float': 'FLOAT',
+      'BigDecimal': 'DECIMAL(10,2)',
+      'Date': 'DATETIME',
+      'LocalDate': 'DATE',
+      'LocalDateTime': 'DATETIME',
+      'LocalTime': 'TIME',
+      'Timestamp': 'TIMESTAMP'
+    };
+    
+    return typeMap[javaType] || 'VARCHAR(255)';
+  },
+
+  buildConstraints(annotations) {
+    const constraints = [];
+    
+    if (annotations.primary) {
+      constraints.push('PK');
+    }
+    
+    if (annotations.autoIncrement) {
+      constraints.push('AUTO_INCREMENT');
+    }
+    
+    if (annotations.foreignKey) {
+      constraints.push('FK');
+    }
+    
+    if (annotations.nullable === false || annotations.primary) {
+      constraints.push('NOT NULL');
+    }
+    
+    if (annotations.unique) {
+      constraints.push('UNIQUE');
+    }
+    
+    if (annotations.defaultValue !== undefined) {
+      constraints.push(`DEFAULT ${annotations.defaultValue}`);
+    }
+    
+    return constraints.join(', ');
+  },
+
+  generateDescription(fieldName, annotations) {
+    if (annotations.primary) {
+      return '主键';
+    }
+    
+    if (annotations.logicDelete) {
+      return '逻辑删除标识';
+    }
+    
+    if (annotations.version) {
+      return '乐观锁版本号';
+    }
+    
+    if (annotations.foreignKey) {
+      return `关联${annotations.foreignKeyCn || this.generateChineseName(annotations.foreignKey, 'table')}`;
     }
     
     // 根据字段名生成描述
@@ -531,7 +2350,9 @@ module.exports = {
       'email': '邮箱地址',
       'phone': '联系电话',
       'createdTime': '记录创建时间',
+      'createTime': '记录创建时间',
       'updatedTime': '记录更新时间',
+      'updateTime': '记录更新时间',
       'deleted': '软删除标识',
       'version': '乐观锁版本号'
     };
@@ -19,15 +19,18 @@
 
 module.exports = {
   getDependencies() {
-    return {};
+    return {
+      '@resvg/resvg-js': '^2.6.2',
+      'pdfkit': '^0.20.2'
+    };
   },
 
   getMetadata() {
     return {
       id: '1-1-single-er',
       name: '单体ER图生成器',
-      description: '根据JSON表结构生成单体ER图，支持中文表名和字段名，边到边精确连线，使用绝对路径',
-      version: '1.1.1',
+      description: '根据JSON表结构生成单体ER图或多实体陈氏ER图（含关系菱形与基数），支持中文表名和字段名，边到边精确连线，可输出SVG/PNG/PDF，使用绝对路径',
+      version: '1.5.0',
       author: '鲁班'
     };
   },
@@ -45,6 +48,57 @@ module.exports = {
           outputDir: {
             type: 'string',
             description: '输出目录的绝对路径，如未指定则使用输入文件所在目录'
+          },
+          outputFormat: {
+            type: 'string',
+            description: '输出格式：svg、png、pdf，多个格式用逗号分隔（如 "svg,png"）；png/pdf 在本地栅格化，无需网络。不支持EMF，插入Word时使用png',
+            default: 'svg'
+          },
+          fileNaming: {
+            type: 'string',
+            enum: ['source', 'table'],
+            description: '输出文件命名：source-与输入JSON同名（如 sys_user.json → sys_user.svg），table-按表名生成 er-<表名>（如 er-sys-user.png）',
+            default: 'source'
+          },
+          dpi: {
+            type: 'number',
+            description: 'PNG/PDF 栅格化分辨率（SVG 按 96 DPI 计算缩放）',
+            default: 150
+          },
+          fontPath: {
+            type: 'string',
+            description: '栅格化时额外加载的中文字体文件绝对路径（系统缺少中文字体时使用）'
+          },
+          layout: {
+            type: 'string',
+            enum: ['auto', 'ring', 'sides'],
+            description: 'single模式的属性布局：auto/ring-同心环（字段多时自动分多层），sides-左右两侧排列；无法消除重叠时退回均匀单环，结果中 layout.mode 为 radial',
+            default: 'auto'
+          },
+          showLegend: {
+            type: 'boolean',
+            description: 'single模式下是否在图底部绘制陈氏记法图例（主键、部分键、多值属性、派生属性、外键）',
+            default: false
+          },
+          mode: {
+            type: 'string',
+            enum: ['single', 'multi'],
+            description: '生成模式：single-每张表一张单体ER图，multi-目录下所有表合成一张带关系菱形的陈氏ER图',
+            default: 'single'
+          },
+          relationsPath: {
+            type: 'string',
+            description: 'multi模式的关系列表文件绝对路径（07-entity-extractor生成的relations.json），默认取输入目录下的relations.json'
+          },
+          showAttributes: {
+            type: 'boolean',
+            description: 'multi模式下是否绘制属性椭圆',
+            default: true
+          },
+          outputName: {
+            type: 'string',
+            description: 'multi模式输出文件名（不含扩展名）',
+            default: 'er-overview'
           }
         },
         required: ['inputPath']
@@ -74,6 +128,9 @@ module.exports = {
         throw new Error(`输出路径必须是绝对路径：${outputDir}`);
       }
       
+      // 提前校验输出格式，避免批量处理到一半才报错
+      this.normalizeFormats(params.outputFormat);
+      
       // 检查输入路径是否存在
       if (!fs.existsSync(inputPath)) {
         throw new Error(`输入路径不存在：${inputPath}`);
@@ -88,6 +145,14 @@ module.exports = {
       // 判断是文件还是目录
       const isDirectory = await this.isDirectory(inputPath, fs);
       
+      // 多实体模式：整个目录合成一张陈氏ER图
+      if (params.mode === 'multi') {
+        if (!isDirectory) {
+          throw new Error(`multi模式的输入路径必须是目录：${inputPath}`);
+        }
+        return await this.generateMultiEntityDiagram(inputPath, outputDir, params, fs, path);
+      }
+      
       let processedFiles = [];
       
       if (isDirectory) {
@@ -97,7 +162,7 @@ module.exports = {
         
         for (const jsonFile of jsonFiles) {
           try {
-            const result = await this.processJsonFile(jsonFile, outputDir, fs, path);
+            const result = await this.processJsonFile(jsonFile, outputDir, fs, path, params);
             processedFiles.push(result);
             console.log(`成功处理: ${result.tableName}`);
           } catch (error) {
@@ -111,7 +176,7 @@ module.exports = {
         }
       } else {
         // 处理单个文件
-        const result = await this.processJsonFile(inputPath, outputDir, fs, path);
+        const result = await this.processJsonFile(inputPath, outputDir, fs, path, params);
         processedFiles.push(result);
         console.log(`成功处理: ${result.tableName}`);
       }
@@ -157,12 +222,12 @@ module.exports = {
     const files = fs.readdirSync(dir);
     return files
       .filter(file => file.endsWith('.json'))
-      .filter(file => !file.includes('_analysis') && !file.includes('_input'))
+      .filter(file => !file.includes('_analysis') && !file.includes('_input') && file !== 'relations.json')
       .map(file => path.join(dir, file));
   },
 
   // 处理单个JSON文件
-  async processJsonFile(jsonFilePath, outputDir, fs, path) {
+  async processJsonFile(jsonFilePath, outputDir, fs, path, options = {}) {
     // 读取JSON文件
     const jsonData = JSON.parse(fs.readFileSync(jsonFilePath, 'utf8'));
     const { tableName, tableCnName, columns } = jsonData;
@@ -171,31 +236,59 @@ module.exports = {
       throw new Error(`JSON文件格式不正确，缺少必要字段：${jsonFilePath}`);
     }
     
-    // 生成输出文件路径
-    const fileName = path.parse(jsonFilePath).name;
-    const outputPath = path.join(outputDir, `${fileName}.svg`);
+    // 生成输出文件路径：默认与JSON文件同名，扩展名由输出格式决定
+    const fileName = options.fileNaming === 'table' ? this.getDiagramFileName(tableName) : path.parse(jsonFilePath).name;
+    const outputBase = path.join(outputDir, fileName);
     
     // 生成ER图
-    await this.generateERDiagram(tableName, tableCnName, columns, outputPath, fs);
+    const { layout, outputs } = await this.generateERDiagram(tableName, tableCnName, columns, outputBase, fs, options);
     
     return {
       tableName: tableCnName,
       englishName: tableName,
       inputFile: jsonFilePath,
-      outputPath: outputPath,
+      outputPath: outputs[0],
+      outputs,
+      layout,
       status: 'success'
     };
   },
 
   // 生成ER图核心逻辑（SVG版本）
-  async generateERDiagram(tableName, tableCnName, columns, outputPath, fs) {
-    // 扩大SVG画布以容纳更多内容
-    const svgWidth = 1200;
-    const svgHeight = 900;
-    const tableX = svgWidth / 2;
-    const tableY = svgHeight / 2;
-    const tableWidth = 180;
-    const tableHeight = 80;
+  async generateERDiagram(tableName, tableCnName, columns, outputBase, fs, options = {}) {
+    // 支持两种格式：二维数组格式（跳过表头行）和对象数组格式
+    let labels = [];
+    let notations = [];
+
+    if (Array.isArray(columns) && columns.length > 0) {
+      if (Array.isArray(columns[0])) {
+        // 二维数组格式：[[字段名, 字段中文名, 类型, 约束, 说明], ...]，使用中文名或英文名
+        const rows = this.getAttributeRows(columns);
+        labels = rows.map(col => col[1] || col[0] || '');
+        notations = rows.map(col => this.getAttributeNotation(col[3]));
+      } else if (typeof columns[0] === 'object') {
+        // 对象数组格式：[{fieldName, fieldCnName, constraint, ...}, ...]
+        const rows = columns.filter(col => col && (col.fieldName || col.fieldCnName));
+        labels = rows.map(col => col.fieldCnName || col.fieldName || '');
+        notations = rows.map(col => this.getAttributeNotation(col.constraint || col['约束']));
+      }
+    }
+
+    if (labels.length === 0) {
+      console.warn(`表 ${tableName} 没有有效的列定义`);
+      // 仍然生成基本的表格矩形
+    }
+
+    const layout = this.layoutSingleEntity(tableCnName, labels, options.layout);
+    if (layout.overlaps.length > 0) {
+      const sample = layout.overlaps.slice(0, 3).map(overlap => `${overlap.a}/${overlap.b || tableCnName}`).join('，');
+      throw new Error(`表 ${tableName} 布局存在${layout.overlaps.length}处重叠：${sample}`);
+    }
+
+    const { svgWidth, entity } = layout;
+    const fontFamily = 'Microsoft YaHei, SimHei, Arial';
+    const legend = options.showLegend ? this.buildNotationLegend(notations, layout.svgHeight, svgWidth, fontFamily) : null;
+    const svgHeight = layout.svgHeight + (legend ? legend.height : 0);
 
     // 开始构建SVG
     let svg = `<?xml version="1.0" encoding="UTF-8"?>\n`;
@@ -205,80 +298,437 @@ module.exports = {
     svg += `  <rect width="${svgWidth}" height="${svgHeight}" fill="#ffffff"/>\n`;
 
     // 表格矩形
-    svg += `  <rect x="${tableX - tableWidth/2}" y="${tableY - tableHeight/2}" width="${tableWidth}" height="${tableHeight}" fill="#fff" stroke="#333" stroke-width="3"/>\n`;
+    svg += `  <rect x="${entity.x - entity.width/2}" y="${entity.y - entity.height/2}" width="${entity.width}" height="${entity.height}" fill="#fff" stroke="#333" stroke-width="3"/>\n`;
 
     // 表名文本 - 增大字体
-    const safeTableName = tableCnName.replace(/[<>&"']/g, (char) => {
-      const escapeMap = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' };
-      return escapeMap[char];
+    svg += `  <text x="${entity.x}" y="${entity.y + 6}" text-anchor="middle" font-family="Microsoft YaHei, SimHei, Arial" font-size="18" font-weight="bold" fill="#333">${this.escapeXml(tableCnName)}</text>\n`;
+
+    // 绘制字段椭圆和连线（布局保持字段顺序，按下标对应约束记法）
+    layout.attributes.forEach((attr, index) => {
+      svg += `  <line x1="${attr.line.x1}" y1="${attr.line.y1}" x2="${attr.line.x2}" y2="${attr.line.y2}" stroke="#666" stroke-width="2"/>\n`;
+      svg += this.renderChenAttribute(attr, notations[index] || {}, layout.fontSize, fontFamily);
     });
-    svg += `  <text x="${tableX}" y="${tableY + 6}" text-anchor="middle" font-family="Microsoft YaHei, SimHei, Arial" font-size="18" font-weight="bold" fill="#333">${safeTableName}</text>\n`;
 
-    // 绘制字段椭圆和连线
-    // 支持两种格式：二维数组格式和对象数组格式
-    let validColumns = [];
+    if (legend) {
+      svg += legend.svg;
+    }
 
-    if (Array.isArray(columns) && columns.length > 0) {
-      if (Array.isArray(columns[0])) {
-        // 二维数组格式：[[字段名, 字段中文名, ...], ...]
-        validColumns = columns.filter(col => col && col.length >= 2);
-      } else if (typeof columns[0] === 'object') {
-        // 对象数组格式：[{fieldName, fieldCnName, ...}, ...]
-        validColumns = columns.filter(col => col && (col.fieldName || col.fieldCnName));
+    svg += `</svg>`;
+
+    // 按输出格式保存到绝对路径
+    const outputs = await this.writeDiagramOutputs(svg, outputBase, options, fs);
+
+    return {
+      outputs,
+      layout: {
+        mode: layout.mode,
+        rings: layout.rings,
+        width: svgWidth,
+        height: svgHeight,
+        overlaps: layout.overlaps.length
       }
+    };
+  },
+
+  // 由三线表“约束”列推断陈氏记法：主键实线下划线、部分键虚线下划线、多值属性双椭圆、派生属性虚线椭圆、外键斜体
+  getAttributeNotation(constraint) {
+    const text = String(constraint || '').toUpperCase();
+    const partialKey = /PARTIAL|部分键|弱键|鉴别符/.test(text);
+
+    return {
+      key: partialKey ? 'partial' : (/\bPK\b|PRIMARY\s+KEY|主键/.test(text) ? 'primary' : null),
+      multivalued: /MULTI[-_\s]?VALUED|多值/.test(text),
+      // GENERATED ... AS IDENTITY 是自增列，只有带表达式的生成列才算派生属性
+      derived: /DERIVED|COMPUTED|GENERATED\s+ALWAYS\s+AS\s*\(|派生|计算/.test(text),
+      foreignKey: /\bFK\b|FOREIGN\s+KEY|外键/.test(text)
+    };
+  },
+
+  renderChenAttribute(attr, notation, fontSize, fontFamily) {
+    const dash = notation.derived ? ' stroke-dasharray="8,5"' : '';
+    let svg = `  <ellipse cx="${attr.x}" cy="${attr.y}" rx="${attr.rx}" ry="${attr.ry}" fill="#fff" stroke="#666" stroke-width="2"${dash}/>\n`;
+
+    if (notation.multivalued) {
+      svg += `  <ellipse cx="${attr.x}" cy="${attr.y}" rx="${attr.rx - 5}" ry="${attr.ry - 5}" fill="none" stroke="#666" stroke-width="1.5"${dash}/>\n`;
     }
 
-    if (validColumns.length === 0) {
-      console.warn(`表 ${tableName} 没有有效的列定义`);
-      // 仍然生成基本的表格矩形
+    const fontStyle = notation.foreignKey ? ' font-style="italic"' : '';
+    svg += `  <text x="${attr.x}" y="${attr.y + 5}" text-anchor="middle" font-family="${fontFamily}" font-size="${fontSize}"${fontStyle} fill="#333">${this.escapeXml(attr.label)}</text>\n`;
+
+    if (notation.key) {
+      const halfWidth = this.measureText(attr.label, fontSize) / 2;
+      const keyDash = notation.key === 'partial' ? ' stroke-dasharray="4,3"' : '';
+      svg += `  <line x1="${attr.x - halfWidth}" y1="${attr.y + 9}" x2="${attr.x + halfWidth}" y2="${attr.y + 9}" stroke="#333" stroke-width="1.5"${keyDash}/>\n`;
+    }
+
+    return svg;
+  },
+
+  // 图例放在画布底部追加的区域，只列出图中实际出现的记法
+  buildNotationLegend(notations, top, svgWidth, fontFamily) {
+    const fontSize = 13;
+    const items = [{ label: '属性', sample: '属性', notation: {} }];
+    const has = (predicate) => notations.some(predicate);
+
+    if (has(n => n.key === 'primary')) items.push({ label: '主键', sample: 'id', notation: { key: 'primary' } });
+    if (has(n => n.key === 'partial')) items.push({ label: '部分键', sample: 'no', notation: { key: 'partial' } });
+    if (has(n => n.multivalued)) items.push({ label: '多值属性', sample: '多值', notation: { multivalued: true } });
+    if (has(n => n.derived)) items.push({ label: '派生属性', sample: '派生', notation: { derived: true } });
+    if (has(n => n.foreignKey)) items.push({ label: '外键', sample: 'fk', notation: { foreignKey: true } });
+
+    const rowHeight = 56;
+    const margin = 40;
+    let x = margin;
+    let y = top + rowHeight / 2;
+    let svg = `  <line x1="${margin}" y1="${top}" x2="${svgWidth - margin}" y2="${top}" stroke="#ccc" stroke-width="1"/>\n`;
+    svg += `  <text x="${x}" y="${y + 5}" font-family="${fontFamily}" font-size="${fontSize}" font-weight="bold" fill="#333">图例</text>\n`;
+    x += 60;
+
+    for (const item of items) {
+      const itemWidth = 60 + 10 + this.measureText(item.label, fontSize) + 30;
+      if (x + itemWidth > svgWidth - margin) {
+        x = margin + 60;
+        y += rowHeight;
+      }
+      svg += this.renderChenAttribute({ x: x + 30, y, rx: 30, ry: 18, label: item.sample }, item.notation, 12, fontFamily);
+      svg += `  <text x="${x + 70}" y="${y + 5}" font-family="${fontFamily}" font-size="${fontSize}" fill="#333">${item.label}</text>\n`;
+      x += itemWidth;
+    }
+
+    return { svg, height: y - top + rowHeight / 2 + 10 };
+  },
+
+  // 单体ER图自适应布局：椭圆按文字宽度定尺寸；字段少时单环排布（与原固定布局一致），
+  // 字段多时比较 1~4 层交错同心环（或左右两侧排列），取无重叠且画布最小的方案；
+  // 候选方案都消不掉重叠时退回按间距算出半径的均匀单环（placeRadial），该方案由几何条件保证无重叠
+  layoutSingleEntity(tableCnName, labels, layoutMode = 'auto') {
+    const compact = labels.length > 12;
+    const fontSize = compact ? 13 : 14;
+    const entity = { x: 0, y: 0, width: Math.max(180, this.measureText(tableCnName, 18) + 40), height: 80 };
+    const attributes = labels.map(label => ({
+      label,
+      rx: Math.max(compact ? 60 : 80, this.measureText(label, fontSize) / 2 + 20),
+      ry: compact ? 28 : 40
+    }));
+
+    let candidates;
+    if (layoutMode === 'sides') {
+      candidates = [{ mode: 'sides', rings: 0 }];
     } else {
-      const angleStep = (2 * Math.PI) / validColumns.length;
-      const radius = 280; // 增大半径
+      candidates = (compact ? [1, 2, 3, 4] : [1]).map(rings => ({ mode: 'ring', rings }));
+    }
 
-      validColumns.forEach((col, index) => {
-        const angle = index * angleStep;
-        const fieldX = tableX + radius * Math.cos(angle);
-        const fieldY = tableY + radius * Math.sin(angle);
+    let best = null;
+    for (const candidate of candidates) {
+      const placed = attributes.map(attr => ({ ...attr }));
+      const result = this.placeAttributes(entity, placed, candidate, compact);
+      const area = result.halfWidth * result.halfHeight;
+      const better = !best ||
+        (result.overlaps.length === 0 && best.overlaps.length > 0) ||
+        (result.overlaps.length === best.overlaps.length && area < best.area);
+      if (better) {
+        best = { ...candidate, ...result, attributes: placed, area };
+      }
+    }
 
-        // 增大椭圆尺寸以容纳中文文本
-        const ellipseRx = 80; // 增大椭圆宽度
-        const ellipseRy = 40; // 增大椭圆高度
+    if (best.overlaps.length > 0) {
+      console.warn(`${best.mode}布局无法消除重叠，改用均匀单环布局`, { overlaps: best.overlaps.length });
+      const placed = attributes.map(attr => ({ ...attr }));
+      best = { mode: 'radial', rings: 1, ...this.placeRadial(entity, placed), attributes: placed };
+    }
 
-        // 边到边连线计算 - 使用新的椭圆尺寸
-        const { x1, y1, x2, y2 } = this.calculateEdgeToEdge(
-          { x: tableX, y: tableY, width: tableWidth, height: tableHeight },
-          { x: fieldX, y: fieldY, width: ellipseRx * 2, height: ellipseRy * 2 }
-        );
+    // 画布至少保持原来的 1200×900，内容更大时按包围盒扩展，实体居中
+    const margin = 40;
+    const svgWidth = Math.ceil(Math.max(1200, (best.halfWidth + margin) * 2));
+    const svgHeight = Math.ceil(Math.max(900, (best.halfHeight + margin) * 2));
+    const shift = (point) => ({ x: point.x + svgWidth / 2, y: point.y + svgHeight / 2 });
 
-        // 绘制连线
-        svg += `  <line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#666" stroke-width="2"/>\n`;
+    const placedEntity = { ...entity, ...shift(entity) };
+    for (const attr of best.attributes) {
+      Object.assign(attr, shift(attr));
+      const start = shift({ x: attr.line.x1, y: attr.line.y1 });
+      const end = shift({ x: attr.line.x2, y: attr.line.y2 });
+      attr.line = { x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+    }
+
+    return {
+      mode: best.mode,
+      rings: best.rings,
+      fontSize,
+      entity: placedEntity,
+      attributes: best.attributes,
+      svgWidth,
+      svgHeight,
+      overlaps: best.overlaps
+    };
+  },
 
-        // 更大的椭圆
-        svg += `  <ellipse cx="${fieldX}" cy="${fieldY}" rx="${ellipseRx}" ry="${ellipseRy}" fill="#fff" stroke="#666" stroke-width="2"/>\n`;
+  // 按候选方案排布属性（以实体中心为原点），每轮用 findOverlaps 校验，存在重叠则扩大半径/间距重排；
+  // 半径和两侧间距最多放大到初始值的 3 倍，超过后画布过大，交给 placeRadial 兜底
+  placeAttributes(entity, attributes, candidate, compact) {
+    const count = attributes.length;
+    const maxRx = count > 0 ? Math.max(...attributes.map(attr => attr.rx)) : 0;
+    const maxRy = count > 0 ? Math.max(...attributes.map(attr => attr.ry)) : 0;
+    const rings = candidate.rings;
 
-        // 字段名 - 支持两种格式，XML转义
-        let fieldName = '';
-        if (Array.isArray(col)) {
-          // 二维数组格式：使用第二列（中文名）或第一列（英文名）
-          fieldName = col[1] || col[0] || '';
-        } else {
-          // 对象格式：优先使用中文名，否则使用英文名
-          fieldName = col.fieldCnName || col.fieldName || '';
-        }
+    // 字段多时环压扁为横向椭圆，适应宽椭圆；多层环的角度错开，使内层连线从外层椭圆之间穿过
+    const stretch = compact ? 1.4 : 1;
+    let radius = compact
+      ? Math.hypot(entity.width / 2, entity.height / 2) + maxRy + 30
+      : Math.max(280, Math.hypot(entity.width / 2, entity.height / 2) + maxRx + 40);
+    let ringGap = maxRy * 2 + 30;
+    let sideOffset = entity.width / 2 + maxRx + 120;
+    let rowGap = maxRy * 2 + 24;
+    const maxRadius = radius * 3;
+    const maxSideOffset = sideOffset * 3;
+    let overlaps = [];
 
-        const safeFieldName = fieldName.replace(/[<>&"']/g, (char) => {
-          const escapeMap = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' };
-          return escapeMap[char];
+    for (let attempt = 0; attempt < 120; attempt++) {
+      if (candidate.mode === 'ring') {
+        const perRing = Math.ceil(count / rings);
+        const step = (2 * Math.PI) / Math.max(perRing, 1);
+        attributes.forEach((attr, index) => {
+          const ring = index % rings;
+          const angle = Math.floor(index / rings) * step + (ring * step) / rings;
+          const ringRadius = radius + ring * ringGap;
+          attr.x = ringRadius * stretch * Math.cos(angle);
+          attr.y = ringRadius * Math.sin(angle);
+        });
+      } else {
+        // 左右两侧：右侧放前一半，同侧相邻椭圆左右交错，减少连线穿过
+        const rightCount = Math.ceil(count / 2);
+        attributes.forEach((attr, index) => {
+          const right = index < rightCount;
+          const row = right ? index : index - rightCount;
+          const rows = right ? rightCount : count - rightCount;
+          const stagger = row % 2 === 1 ? maxRx + 20 : 0;
+          attr.x = (right ? 1 : -1) * (sideOffset + stagger);
+          attr.y = (row - (rows - 1) / 2) * rowGap;
         });
-        svg += `  <text x="${fieldX}" y="${fieldY + 6}" text-anchor="middle" font-family="Microsoft YaHei, SimHei, Arial" font-size="14" fill="#333">${safeFieldName}</text>\n`;
+      }
+
+      for (const attr of attributes) {
+        attr.line = this.calculateEdgeToEdge(
+          { x: entity.x, y: entity.y, width: entity.width, height: entity.height },
+          { x: attr.x, y: attr.y, width: attr.rx * 2, height: attr.ry * 2 }
+        );
+      }
+
+      overlaps = this.findOverlaps(entity, attributes);
+      if (overlaps.length === 0) break;
+      if (candidate.mode === 'ring' ? radius >= maxRadius : sideOffset >= maxSideOffset) break;
+
+      // 椭圆相互重叠时拉开同层间距，连线穿过椭圆时向外推远
+      const crowded = overlaps.some(overlap => overlap.type !== 'line-ellipse');
+      radius = Math.min(radius * 1.04, maxRadius);
+      ringGap += crowded ? 6 : 0;
+      sideOffset = Math.min(sideOffset + 20, maxSideOffset);
+      rowGap += crowded ? 4 : 0;
+    }
+
+    return { overlaps, ...this.getLayoutExtent(entity, attributes) };
+  },
+
+  // 兜底布局：属性均匀分布在一个正圆环上，连线都沿实体中心发出的射线。
+  // 把每个椭圆（含校验间隙）放大为外接圆，半径满足
+  //   相邻圆心距 2R·sin(π/n) 大于两个外接圆半径之和 → 椭圆互不相交，且射线与相邻圆心的距离 ≥ R·sin(2π/n) 也大于外接圆半径 → 连线不穿过其他椭圆；
+  //   R 大于实体半对角线加外接圆半径 → 椭圆不压实体
+  placeRadial(entity, attributes) {
+    const count = attributes.length;
+    const gap = 12;
+    const maxR = count > 0 ? Math.max(...attributes.map(attr => Math.max(attr.rx, attr.ry))) + gap : 0;
+    const halfStep = Math.min(Math.PI / Math.max(count, 1), Math.PI / 2);
+    const radius = Math.max(
+      maxR / Math.sin(halfStep),
+      Math.hypot(entity.width / 2, entity.height / 2) + maxR
+    );
+
+    attributes.forEach((attr, index) => {
+      const angle = (2 * Math.PI * index) / Math.max(count, 1);
+      attr.x = radius * Math.cos(angle);
+      attr.y = radius * Math.sin(angle);
+      attr.line = this.calculateEdgeToEdge(
+        { x: entity.x, y: entity.y, width: entity.width, height: entity.height },
+        { x: attr.x, y: attr.y, width: attr.rx * 2, height: attr.ry * 2 }
+      );
+    });
+
+    return { overlaps: this.findOverlaps(entity, attributes), ...this.getLayoutExtent(entity, attributes) };
+  },
+
+  getLayoutExtent(entity, attributes) {
+    let halfWidth = entity.width / 2;
+    let halfHeight = entity.height / 2;
+    for (const attr of attributes) {
+      halfWidth = Math.max(halfWidth, Math.abs(attr.x) + attr.rx);
+      halfHeight = Math.max(halfHeight, Math.abs(attr.y) + attr.ry);
+    }
+    return { halfWidth, halfHeight };
+  },
+
+  // 布局校验：椭圆之间、椭圆与实体矩形、连线与其他椭圆均不得相交（留 padding 间隙）
+  findOverlaps(entity, attributes, padding = 4) {
+    const overlaps = [];
+    const samples = 36;
+    const boundary = (attr) => Array.from({ length: samples }, (_, i) => {
+      const angle = (2 * Math.PI * i) / samples;
+      return { x: attr.x + (attr.rx + padding) * Math.cos(angle), y: attr.y + (attr.ry + padding) * Math.sin(angle) };
+    });
+    const insideEllipse = (point, attr) =>
+      ((point.x - attr.x) / (attr.rx + padding)) ** 2 + ((point.y - attr.y) / (attr.ry + padding)) ** 2 < 1;
+    const insideRect = (point) =>
+      Math.abs(point.x - entity.x) < entity.width / 2 + padding && Math.abs(point.y - entity.y) < entity.height / 2 + padding;
+
+    // 线段与椭圆相交：缩放到单位圆后求原点到线段的距离
+    const segmentHitsEllipse = (line, attr) => {
+      const ax = (line.x1 - attr.x) / (attr.rx + padding);
+      const ay = (line.y1 - attr.y) / (attr.ry + padding);
+      const bx = (line.x2 - attr.x) / (attr.rx + padding);
+      const by = (line.y2 - attr.y) / (attr.ry + padding);
+      const dx = bx - ax;
+      const dy = by - ay;
+      const t = Math.max(0, Math.min(1, -(ax * dx + ay * dy) / (dx * dx + dy * dy || 1)));
+      return Math.hypot(ax + t * dx, ay + t * dy) < 1;
+    };
+
+    attributes.forEach((attr, i) => {
+      const points = boundary(attr);
+      if (points.some(insideRect)) {
+        overlaps.push({ type: 'ellipse-entity', a: attr.label });
+      }
+
+      attributes.forEach((other, j) => {
+        if (j === i) return;
+        if (j > i && (points.some(point => insideEllipse(point, other)) || boundary(other).some(point => insideEllipse(point, attr)))) {
+          overlaps.push({ type: 'ellipse-ellipse', a: attr.label, b: other.label });
+        }
+        if (attr.line && segmentHitsEllipse(attr.line, other)) {
+          overlaps.push({ type: 'line-ellipse', a: attr.label, b: other.label });
+        }
       });
+    });
+
+    return overlaps;
+  },
+
+  // ==================== 输出格式 ====================
+
+  // fileNaming 为 table 时的文件名：sys_user → er-sys-user
+  getDiagramFileName(tableName) {
+    return `er-${String(tableName).toLowerCase().replace(/[^a-z0-9\u4e00-\u9fa5]+/g, '-').replace(/^-+|-+$/g, '')}`;
+  },
+
+  normalizeFormats(outputFormat) {
+    const list = Array.isArray(outputFormat) ? outputFormat : String(outputFormat || 'svg').split(',');
+    const formats = [...new Set(list.map(format => String(format).trim().toLowerCase()).filter(Boolean))];
+    const invalid = formats.filter(format => !['svg', 'png', 'pdf'].includes(format));
+    if (invalid.includes('emf')) {
+      throw new Error('不支持的输出格式：emf（本地无法生成EMF，插入Word请使用 png，或 svg 由Word自行转换）');
     }
+    if (invalid.length > 0) {
+      throw new Error(`不支持的输出格式：${invalid.join(', ')}（可选 svg/png/pdf）`);
+    }
+    return formats.length > 0 ? formats : ['svg'];
+  },
 
-    svg += `</svg>`;
+  // 按 outputFormat 写出 <outputBase>.svg/.png/.pdf，多种格式共用一次栅格化结果
+  async writeDiagramOutputs(svg, outputBase, options, fs) {
+    const outputs = [];
+    let raster = null;
+    
+    for (const format of this.normalizeFormats(options.outputFormat)) {
+      const outputPath = `${outputBase}.${format}`;
+      
+      if (format === 'svg') {
+        fs.writeFileSync(outputPath, svg, 'utf8');
+      } else {
+        raster = raster || await this.rasterizeSvg(svg, options);
+        fs.writeFileSync(outputPath, format === 'png' ? raster.png : await this.buildPdf(raster));
+      }
+      
+      console.log(`生成${format.toUpperCase()}文件：${outputPath}`);
+      outputs.push(outputPath);
+    }
+    
+    return outputs;
+  },
 
-    // 保存SVG文件到绝对路径
-    fs.writeFileSync(outputPath, svg, 'utf8');
-    console.log(`生成SVG文件：${outputPath}`);
+  // 使用 resvg 在本地将 SVG 栅格化为 PNG，并写入 DPI 元数据（Word 按此计算插入尺寸）
+  async rasterizeSvg(svg, options) {
+    const { Resvg } = await importx('@resvg/resvg-js');
+    const sizeMatch = svg.match(/<svg width="([\d.]+)" height="([\d.]+)"/);
+    const width = Number(sizeMatch[1]);
+    const height = Number(sizeMatch[2]);
+    
+    // 超大画布高 DPI 栅格化时限制总像素，避免耗尽内存
+    let dpi = Number(options.dpi) || 150;
+    const maxPixels = 60000000;
+    if (width * height * (dpi / 96) ** 2 > maxPixels) {
+      dpi = Math.floor(96 * Math.sqrt(maxPixels / (width * height)));
+      console.warn(`画布过大，DPI 已降至 ${dpi}`);
+    }
+    
+    const resvg = new Resvg(svg, {
+      fitTo: { mode: 'zoom', value: dpi / 96 },
+      background: '#ffffff',
+      font: {
+        loadSystemFonts: true,
+        fontFiles: options.fontPath ? [options.fontPath] : []
+      }
+    });
+    const png = this.setPngDpi(resvg.render().asPng(), dpi);
+    
+    return { png, dpi, width, height };
+  },
+
+  // 在 IHDR 之后插入 pHYs 块（像素/米）
+  setPngDpi(png, dpi) {
+    const pixelsPerMeter = Math.round(dpi / 0.0254);
+    const data = Buffer.alloc(13);
+    data.write('pHYs', 0, 'ascii');
+    data.writeUInt32BE(pixelsPerMeter, 4);
+    data.writeUInt32BE(pixelsPerMeter, 8);
+    data.writeUInt8(1, 12);
+    
+    const chunk = Buffer.alloc(21);
+    chunk.writeUInt32BE(9, 0);
+    data.copy(chunk, 4);
+    chunk.writeUInt32BE(this.crc32(data), 17);
+    
+    // PNG 签名 8 字节 + IHDR 块 25 字节
+    return Buffer.concat([png.subarray(0, 33), chunk, png.subarray(33)]);
+  },
+
+  crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+      crc ^= byte;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+      }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  },
+
+  // PDF 页面与 SVG 画布同尺寸（1px = 0.75pt），内嵌栅格图，避免 PDF 字体不含中文
+  async buildPdf(raster) {
+    const PDFDocument = await importx('pdfkit');
+    const pageWidth = raster.width * 0.75;
+    const pageHeight = raster.height * 0.75;
+    const doc = new PDFDocument({ size: [pageWidth, pageHeight], margin: 0 });
+    
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', resolve);
+      doc.on('error', reject);
+    });
+    
+    doc.image(raster.png, 0, 0, { width: pageWidth, height: pageHeight });
+    doc.end();
+    await finished;
+    
+    return Buffer.concat(chunks);
   },
 
   // 计算边到边连接点
@@ -322,6 +772,317 @@ module.exports = {
     };
   },
 
+  // ==================== 多实体陈氏ER图 ====================
+
+  // 读取目录下所有表结构与关系列表，合成一张 实体-属性-关系菱形 的ER图
+  async generateMultiEntityDiagram(inputDir, outputDir, params, fs, path) {
+    const tables = [];
+    for (const jsonFile of await this.getJsonFiles(inputDir, fs, path)) {
+      const data = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+      if (data.tableName && data.tableCnName && data.columns) {
+        tables.push(data);
+      } else {
+        console.warn(`跳过非表结构JSON文件：${jsonFile}`);
+      }
+    }
+    
+    if (tables.length === 0) {
+      throw new Error(`目录中没有有效的表结构JSON文件：${inputDir}`);
+    }
+    
+    const relationsPath = params.relationsPath || path.join(inputDir, 'relations.json');
+    const relations = this.loadRelations(relationsPath, tables, fs);
+    console.log(`多实体ER图：${tables.length}个实体，${relations.length}个关系`);
+    
+    const svg = this.buildMultiEntitySvg(tables, relations, params.showAttributes !== false);
+    const outputs = await this.writeDiagramOutputs(svg, path.join(outputDir, params.outputName || 'er-overview'), params, fs);
+    
+    return {
+      success: true,
+      message: `成功生成多实体ER图，包含${tables.length}个实体、${relations.length}个关系`,
+      mode: 'multi',
+      entities: tables.map(table => table.tableCnName),
+      relations: relations.length,
+      outputPath: outputs[0],
+      outputs,
+      outputDir
+    };
+  },
+
+  // 关系列表格式同 07-entity-extractor 的 relations.json：
+  // { relations: [{ name?, source: { table }, target: { table }, cardinality: 'N:1' | '1:1' | 'N:M' }] }
+  loadRelations(relationsPath, tables, fs) {
+    if (!fs.existsSync(relationsPath)) {
+      console.warn(`未找到关系列表，仅绘制实体：${relationsPath}`);
+      return [];
+    }
+    
+    const data = JSON.parse(fs.readFileSync(relationsPath, 'utf8'));
+    const list = Array.isArray(data) ? data : (data.relations || []);
+    const tableNames = new Set(tables.map(table => table.tableName));
+    
+    return list
+      .filter(relation => relation.source && relation.target)
+      .filter(relation => {
+        const known = tableNames.has(relation.source.table) && tableNames.has(relation.target.table);
+        if (!known) console.warn(`关系引用了不存在的表，已忽略：${relation.source.table} -> ${relation.target.table}`);
+        return known;
+      })
+      .map(relation => ({
+        name: relation.name || '关联',
+        source: relation.source.table,
+        target: relation.target.table,
+        ...this.parseCardinality(relation.cardinality)
+      }));
+  },
+
+  // 'N:1' → 源端N、目标端1；多对多统一标注为 M:N
+  parseCardinality(cardinality) {
+    const [source = 'N', target = '1'] = String(cardinality || 'N:1').toUpperCase().split(':');
+    if (source !== '1' && target !== '1') {
+      return { sourceLabel: 'M', targetLabel: 'N' };
+    }
+    return { sourceLabel: source === '1' ? '1' : 'N', targetLabel: target === '1' ? '1' : 'N' };
+  },
+
+  // 估算文本宽度：中文按整字宽，其余字符按半字宽
+  measureText(text, fontSize) {
+    let width = 0;
+    for (const char of String(text)) {
+      width += /[\u2E80-\uFFFF]/.test(char) ? fontSize : fontSize * 0.6;
+    }
+    return width;
+  },
+
+  escapeXml(text) {
+    const escapeMap = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' };
+    return String(text).replace(/[<>&"']/g, char => escapeMap[char]);
+  },
+
+  // 二维数组格式去掉表头行
+  getAttributeRows(columns) {
+    return (columns || [])
+      .filter(col => Array.isArray(col) && col.length >= 2)
+      .filter((col, index) => !(index === 0 && col[0] === '字段名'));
+  },
+
+  buildMultiEntitySvg(tables, relations, showAttributes) {
+    const fontFamily = 'Microsoft YaHei, SimHei, Arial';
+    const entityFont = 16;
+    const attributeFont = 12;
+    const diamondFont = 13;
+    
+    // 实体与属性尺寸
+    const entities = new Map(tables.map(table => {
+      const attributes = showAttributes ? this.getAttributeRows(table.columns).map(col => {
+        const label = col[1] || col[0];
+        return { label, rx: Math.max(40, this.measureText(label, attributeFont) / 2 + 14), ry: 18 };
+      }) : [];
+      return [table.tableName, {
+        name: table.tableName,
+        label: table.tableCnName,
+        width: Math.max(110, this.measureText(table.tableCnName, entityFont) + 30),
+        height: 46,
+        attributes,
+        blockedAngles: []
+      }];
+    }));
+    
+    // 关系多的实体优先，按广度优先排列，使相关实体在网格中尽量相邻
+    const degree = new Map(tables.map(table => [table.tableName, 0]));
+    relations.forEach(relation => {
+      degree.set(relation.source, degree.get(relation.source) + 1);
+      degree.set(relation.target, degree.get(relation.target) + 1);
+    });
+    const ordered = [];
+    const visited = new Set();
+    const byDegree = tables.map(table => table.tableName).sort((a, b) => degree.get(b) - degree.get(a));
+    for (const start of byDegree) {
+      const queue = [start];
+      while (queue.length > 0) {
+        const current = queue.shift();
+        if (visited.has(current)) continue;
+        visited.add(current);
+        ordered.push(current);
+        relations
+          .filter(relation => relation.source === current || relation.target === current)
+          .map(relation => relation.source === current ? relation.target : relation.source)
+          .filter(name => !visited.has(name))
+          .sort((a, b) => degree.get(b) - degree.get(a))
+          .forEach(name => queue.push(name));
+      }
+    }
+    
+    // 属性环半径：保证环上相邻椭圆不重叠，且不压住实体矩形
+    const ringRadius = (entity, slots) => {
+      if (entity.attributes.length === 0) return 0;
+      const maxRx = Math.max(...entity.attributes.map(attr => attr.rx));
+      const minByRect = Math.hypot(entity.width / 2, entity.height / 2) + maxRx + 20;
+      const minBySpacing = (slots * (maxRx * 2 + 12)) / (2 * Math.PI);
+      return Math.max(minByRect, minBySpacing);
+    };
+    const relationCount = (name) => relations.filter(relation => relation.source === name || relation.target === name).length;
+    let cellRadius = 0;
+    for (const entity of entities.values()) {
+      const slots = entity.attributes.length + relationCount(entity.name);
+      entity.ringRadius = ringRadius(entity, slots);
+      const maxRx = entity.attributes.length > 0 ? Math.max(...entity.attributes.map(attr => attr.rx)) : 0;
+      entity.reach = Math.max(entity.ringRadius + maxRx, entity.width / 2 + 20);
+      cellRadius = Math.max(cellRadius, entity.reach);
+    }
+    
+    // 网格布局：单元格间留出放置关系菱形的通道
+    const gap = 140;
+    const cellSize = cellRadius * 2 + gap;
+    const columns = Math.ceil(Math.sqrt(ordered.length));
+    const rows = Math.ceil(ordered.length / columns);
+    ordered.forEach((name, index) => {
+      const entity = entities.get(name);
+      entity.x = cellSize * (index % columns) + cellSize / 2;
+      entity.y = cellSize * Math.floor(index / columns) + cellSize / 2;
+    });
+    
+    // 关系菱形：默认放在两实体中点，与实体属性区或其他菱形冲突时沿垂直方向移到网格通道
+    const diamonds = [];
+    const collides = (x, y, hw, hh) =>
+      [...entities.values()].some(entity => Math.hypot(x - entity.x, y - entity.y) < entity.reach + Math.max(hw, hh)) ||
+      diamonds.some(diamond => Math.abs(x - diamond.x) < hw + diamond.hw + 10 && Math.abs(y - diamond.y) < hh + diamond.hh + 10);
+    
+    for (const relation of relations) {
+      const source = entities.get(relation.source);
+      const target = entities.get(relation.target);
+      const hw = Math.max(45, this.measureText(relation.name, diamondFont) / 2 + 28);
+      const hh = 26;
+      let x;
+      let y;
+      
+      if (source === target) {
+        // 自关联：菱形放在实体右上方的通道中
+        x = source.x + cellSize / 2;
+        y = source.y - cellSize / 2;
+      } else {
+        const midX = (source.x + target.x) / 2;
+        const midY = (source.y + target.y) / 2;
+        const length = Math.hypot(target.x - source.x, target.y - source.y);
+        const normalX = -(target.y - source.y) / length;
+        const normalY = (target.x - source.x) / length;
+        const offsets = [0, 0.5, -0.5, 1, -1, 1.5, -1.5];
+        const offset = offsets.find(k => !collides(midX + normalX * k * cellSize, midY + normalY * k * cellSize, hw, hh)) || 0;
+        x = midX + normalX * offset * cellSize;
+        y = midY + normalY * offset * cellSize;
+      }
+      
+      const diamond = { ...relation, x, y, hw, hh };
+      diamonds.push(diamond);
+      source.blockedAngles.push(Math.atan2(y - source.y, x - source.x));
+      if (target !== source) target.blockedAngles.push(Math.atan2(y - target.y, x - target.x));
+    }
+    
+    // 属性：均匀分布在实体周围，跳过关系连线方向的位置
+    for (const entity of entities.values()) {
+      const count = entity.attributes.length;
+      if (count === 0) continue;
+      
+      const slotCount = count + entity.blockedAngles.length;
+      let slots = Array.from({ length: slotCount }, (_, i) => -Math.PI / 2 + (2 * Math.PI * i) / slotCount);
+      for (const blocked of entity.blockedAngles) {
+        const distance = angle => Math.abs(Math.atan2(Math.sin(angle - blocked), Math.cos(angle - blocked)));
+        const nearest = slots.reduce((best, angle) => distance(angle) < distance(best) ? angle : best);
+        slots = slots.filter(angle => angle !== nearest);
+      }
+      
+      entity.attributes.forEach((attr, index) => {
+        attr.x = entity.x + entity.ringRadius * Math.cos(slots[index]);
+        attr.y = entity.y + entity.ringRadius * Math.sin(slots[index]);
+      });
+    }
+    
+    // 画布按实际内容裁剪
+    const margin = 40;
+    const boxes = [];
+    for (const entity of entities.values()) {
+      boxes.push({ x: entity.x, y: entity.y, hw: entity.width / 2, hh: entity.height / 2 });
+      entity.attributes.forEach(attr => boxes.push({ x: attr.x, y: attr.y, hw: attr.rx, hh: attr.ry }));
+    }
+    diamonds.forEach(diamond => boxes.push(diamond));
+    const minX = Math.min(...boxes.map(box => box.x - box.hw)) - margin;
+    const minY = Math.min(...boxes.map(box => box.y - box.hh)) - margin;
+    const svgWidth = Math.ceil(Math.max(...boxes.map(box => box.x + box.hw)) + margin - minX);
+    const svgHeight = Math.ceil(Math.max(...boxes.map(box => box.y + box.hh)) + margin - minY);
+    
+    // 开始构建SVG
+    let svg = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+    svg += `<svg width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}" xmlns="http://www.w3.org/2000/svg">\n`;
+    svg += `  <rect width="${svgWidth}" height="${svgHeight}" fill="#ffffff"/>\n`;
+    svg += `  <g transform="translate(${-minX} ${-minY})">\n`;
+    
+    for (const entity of entities.values()) {
+      entity.attributes.forEach(attr => {
+        const { x: fieldX, y: fieldY } = attr;
+        const { x1, y1, x2, y2 } = this.calculateEdgeToEdge(
+          { x: entity.x, y: entity.y, width: entity.width, height: entity.height },
+          { x: fieldX, y: fieldY, width: attr.rx * 2, height: attr.ry * 2 }
+        );
+        svg += `  <line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#666" stroke-width="1.5"/>\n`;
+        svg += `  <ellipse cx="${fieldX}" cy="${fieldY}" rx="${attr.rx}" ry="${attr.ry}" fill="#fff" stroke="#666" stroke-width="1.5"/>\n`;
+        svg += `  <text x="${fieldX}" y="${fieldY + 4}" text-anchor="middle" font-family="${fontFamily}" font-size="${attributeFont}" fill="#333">${this.escapeXml(attr.label)}</text>\n`;
+      });
+    }
+    
+    // 关系：实体边缘 → 菱形边缘的连线，连线中部标注基数
+    for (const diamond of diamonds) {
+      // 自关联的两条连线分别接到菱形的左顶点和下顶点，避免重合
+      const selfRelation = diamond.source === diamond.target;
+      const ends = [
+        { entity: entities.get(diamond.source), label: diamond.sourceLabel, anchor: selfRelation && { x: diamond.x - diamond.hw, y: diamond.y } },
+        { entity: entities.get(diamond.target), label: diamond.targetLabel, anchor: selfRelation && { x: diamond.x, y: diamond.y + diamond.hh } }
+      ];
+      
+      for (const { entity, label, anchor } of ends) {
+        const aim = anchor || diamond;
+        const { x1, y1 } = this.calculateEdgeToEdge(
+          { x: entity.x, y: entity.y, width: entity.width, height: entity.height },
+          { x: aim.x, y: aim.y, width: diamond.hw * 2, height: diamond.hh * 2 }
+        );
+        const { x: x2, y: y2 } = anchor || this.diamondEdgePoint(diamond, x1, y1);
+        svg += `  <line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#333" stroke-width="2"/>\n`;
+        
+        const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+        const labelX = (x1 + x2) / 2 - ((y2 - y1) / length) * 12;
+        const labelY = (y1 + y2) / 2 + ((x2 - x1) / length) * 12 + 5;
+        svg += `  <text x="${labelX}" y="${labelY}" text-anchor="middle" font-family="${fontFamily}" font-size="14" font-weight="bold" fill="#333">${label}</text>\n`;
+      }
+      
+      const points = [
+        `${diamond.x},${diamond.y - diamond.hh}`,
+        `${diamond.x + diamond.hw},${diamond.y}`,
+        `${diamond.x},${diamond.y + diamond.hh}`,
+        `${diamond.x - diamond.hw},${diamond.y}`
+      ].join(' ');
+      svg += `  <polygon points="${points}" fill="#fff" stroke="#333" stroke-width="2"/>\n`;
+      svg += `  <text x="${diamond.x}" y="${diamond.y + 5}" text-anchor="middle" font-family="${fontFamily}" font-size="${diamondFont}" fill="#333">${this.escapeXml(diamond.name)}</text>\n`;
+    }
+    
+    // 实体矩形最后绘制，覆盖在连线之上
+    for (const entity of entities.values()) {
+      svg += `  <rect x="${entity.x - entity.width / 2}" y="${entity.y - entity.height / 2}" width="${entity.width}" height="${entity.height}" fill="#fff" stroke="#333" stroke-width="3"/>\n`;
+      svg += `  <text x="${entity.x}" y="${entity.y + 6}" text-anchor="middle" font-family="${fontFamily}" font-size="${entityFont}" font-weight="bold" fill="#333">${this.escapeXml(entity.label)}</text>\n`;
+    }
+    
+    svg += `  </g>\n`;
+    svg += `</svg>`;
+    return svg;
+  },
+
+  // 从 (fromX, fromY) 指向菱形中心的连线与菱形边的交点
+  diamondEdgePoint(diamond, fromX, fromY) {
+    const dx = fromX - diamond.x;
+    const dy = fromY - diamond.y;
+    const scale = Math.abs(dx) / diamond.hw + Math.abs(dy) / diamond.hh;
+    if (scale === 0) return { x: diamond.x, y: diamond.y };
+    return { x: diamond.x + dx / scale, y: diamond.y + dy / scale };
+  },
+
   getBusinessErrors() {
     return [
       {
@@ -338,6 +1099,13 @@ module.exports = {
         solution: '检查JSON文件格式，确保包含tableName、tableCnName和columns字段',
         retryable: false
       },
+      {
+        code: 'UNSUPPORTED_OUTPUT_FORMAT',
+        description: '不支持的输出格式',
+        match: /不支持的输出格式/i,
+        solution: 'outputFormat 仅支持 svg、png、pdf，多个格式用逗号分隔',
+        retryable: false
+      },
       {
         code: 'FILE_NOT_ACCESSIBLE',
         description: '无法访问输入文件或输出目录',
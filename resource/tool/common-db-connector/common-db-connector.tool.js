@@ -27,8 +27,8 @@ module.exports = {
     return {
       id: 'common-db-connector',
       name: '通用数据库连接器',
-      description: '支持MySQL和PostgreSQL的统一数据库操作工具，提供DDL和CRUD功能',
-      version: '1.0.0',
+      description: '支持MySQL和PostgreSQL的统一数据库操作工具，提供DDL和CRUD功能，可从information_schema导出三线表JSON与ER图输入',
+      version: '1.1.0',
       author: '鲁班'
     };
   },
@@ -85,7 +85,8 @@ module.exports = {
               'select',
               'update',
               'delete',
-              'execute_sql'
+              'execute_sql',
+              'export_schema'
             ],
             description: '要执行的操作类型'
           },
@@ -144,6 +145,20 @@ module.exports = {
             type: 'array',
             items: { type: 'string' },
             description: '索引字段列表'
+          },
+          schemaName: {
+            type: 'string',
+            description: 'PostgreSQL模式名，export_schema使用（MySQL以database为准）',
+            default: 'public'
+          },
+          tableNames: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'export_schema只导出这些表，不填导出全部'
+          },
+          outputDir: {
+            type: 'string',
+            description: 'export_schema的输出目录绝对路径，填写后写出 Tab-<表名>.json、relations.json 和 er_diagram_input.json'
           }
         },
         required: ['dbType', 'host', 'port', 'user', 'password', 'operation']
@@ -173,6 +188,37 @@ module.exports = {
             connectionId: `mysql-mock-${Date.now()}`,
             execute: async (sql, params = []) => {
               api.logger.debug('[Mock] Executing MySQL query', { sql, params });
+              // export_schema 的 information_schema 查询：用户、订单、用户资料（一对一）三张表
+              if (sql.includes('information_schema.KEY_COLUMN_USAGE')) {
+                return [[
+                  { table_name: 'orders', column_name: 'id', constraint_name: 'PRIMARY', constraint_type: 'PRIMARY KEY', referenced_table: null, referenced_column: null },
+                  { table_name: 'orders', column_name: 'user_id', constraint_name: 'fk_orders_user', constraint_type: 'FOREIGN KEY', referenced_table: 'users', referenced_column: 'id' },
+                  { table_name: 'user_profiles', column_name: 'id', constraint_name: 'PRIMARY', constraint_type: 'PRIMARY KEY', referenced_table: null, referenced_column: null },
+                  { table_name: 'user_profiles', column_name: 'user_id', constraint_name: 'fk_profile_user', constraint_type: 'FOREIGN KEY', referenced_table: 'users', referenced_column: 'id' },
+                  { table_name: 'user_profiles', column_name: 'user_id', constraint_name: 'uk_profile_user', constraint_type: 'UNIQUE', referenced_table: null, referenced_column: null },
+                  { table_name: 'users', column_name: 'id', constraint_name: 'PRIMARY', constraint_type: 'PRIMARY KEY', referenced_table: null, referenced_column: null }
+                ], []];
+              }
+              if (sql.includes('information_schema.COLUMNS')) {
+                return [[
+                  { table_name: 'orders', column_name: 'id', column_type: 'bigint', is_nullable: 'NO', column_default: null, extra: 'auto_increment', column_comment: '订单编号' },
+                  { table_name: 'orders', column_name: 'user_id', column_type: 'bigint', is_nullable: 'NO', column_default: null, extra: '', column_comment: '下单用户' },
+                  { table_name: 'orders', column_name: 'amount', column_type: 'decimal(10,2)', is_nullable: 'NO', column_default: '0.00', extra: '', column_comment: '订单金额：单位元' },
+                  { table_name: 'user_profiles', column_name: 'id', column_type: 'bigint', is_nullable: 'NO', column_default: null, extra: 'auto_increment', column_comment: '资料编号' },
+                  { table_name: 'user_profiles', column_name: 'user_id', column_type: 'bigint', is_nullable: 'NO', column_default: null, extra: '', column_comment: '用户编号' },
+                  { table_name: 'user_profiles', column_name: 'nickname', column_type: 'varchar(50)', is_nullable: 'YES', column_default: null, extra: '', column_comment: '' },
+                  { table_name: 'users', column_name: 'id', column_type: 'bigint', is_nullable: 'NO', column_default: null, extra: 'auto_increment', column_comment: '用户编号' },
+                  { table_name: 'users', column_name: 'username', column_type: 'varchar(50)', is_nullable: 'NO', column_default: null, extra: '', column_comment: '用户名：登录账号' },
+                  { table_name: 'users', column_name: 'status', column_type: 'tinyint', is_nullable: 'NO', column_default: '1', extra: '', column_comment: '状态：1-正常 0-禁用' }
+                ], []];
+              }
+              if (sql.includes('information_schema.TABLES')) {
+                return [[
+                  { table_name: 'orders', table_comment: '订单表' },
+                  { table_name: 'user_profiles', table_comment: '用户资料表' },
+                  { table_name: 'users', table_comment: '用户表' }
+                ], []];
+              }
               if (sql.includes('CREATE DATABASE')) {
                 return [{ affectedRows: 1 }, []];
               }
@@ -241,6 +287,43 @@ module.exports = {
             connectionId: `pg-mock-${Date.now()}`,
             query: async (sql, params = []) => {
               api.logger.debug('[Mock] Executing PostgreSQL query', { sql, params });
+              // export_schema 的 information_schema 查询，表结构与 MySQL mock 一致
+              if (sql.includes('information_schema.table_constraints')) {
+                return {
+                  rows: [
+                    { table_name: 'orders', column_name: 'id', constraint_name: 'orders_pkey', constraint_type: 'PRIMARY KEY', referenced_table: null, referenced_column: null },
+                    { table_name: 'orders', column_name: 'user_id', constraint_name: 'fk_orders_user', constraint_type: 'FOREIGN KEY', referenced_table: 'users', referenced_column: 'id' },
+                    { table_name: 'user_profiles', column_name: 'id', constraint_name: 'user_profiles_pkey', constraint_type: 'PRIMARY KEY', referenced_table: null, referenced_column: null },
+                    { table_name: 'user_profiles', column_name: 'user_id', constraint_name: 'fk_profile_user', constraint_type: 'FOREIGN KEY', referenced_table: 'users', referenced_column: 'id' },
+                    { table_name: 'user_profiles', column_name: 'user_id', constraint_name: 'uk_profile_user', constraint_type: 'UNIQUE', referenced_table: null, referenced_column: null },
+                    { table_name: 'users', column_name: 'id', constraint_name: 'users_pkey', constraint_type: 'PRIMARY KEY', referenced_table: null, referenced_column: null }
+                  ]
+                };
+              }
+              if (sql.includes('information_schema.columns c')) {
+                return {
+                  rows: [
+                    { table_name: 'orders', column_name: 'id', data_type: 'bigint', udt_name: 'int8', character_maximum_length: null, numeric_precision: 64, numeric_scale: 0, is_nullable: 'NO', column_default: null, is_identity: 'YES', column_comment: '订单编号' },
+                    { table_name: 'orders', column_name: 'user_id', data_type: 'bigint', udt_name: 'int8', character_maximum_length: null, numeric_precision: 64, numeric_scale: 0, is_nullable: 'NO', column_default: null, is_identity: 'NO', column_comment: '下单用户' },
+                    { table_name: 'orders', column_name: 'amount', data_type: 'numeric', udt_name: 'numeric', character_maximum_length: null, numeric_precision: 10, numeric_scale: 2, is_nullable: 'NO', column_default: '0.00', is_identity: 'NO', column_comment: '订单金额：单位元' },
+                    { table_name: 'user_profiles', column_name: 'id', data_type: 'integer', udt_name: 'int4', character_maximum_length: null, numeric_precision: 32, numeric_scale: 0, is_nullable: 'NO', column_default: "nextval('user_profiles_id_seq'::regclass)", is_identity: 'NO', column_comment: '资料编号' },
+                    { table_name: 'user_profiles', column_name: 'user_id', data_type: 'bigint', udt_name: 'int8', character_maximum_length: null, numeric_precision: 64, numeric_scale: 0, is_nullable: 'NO', column_default: null, is_identity: 'NO', column_comment: '用户编号' },
+                    { table_name: 'user_profiles', column_name: 'nickname', data_type: 'character varying', udt_name: 'varchar', character_maximum_length: 50, numeric_precision: null, numeric_scale: null, is_nullable: 'YES', column_default: null, is_identity: 'NO', column_comment: null },
+                    { table_name: 'users', column_name: 'id', data_type: 'bigint', udt_name: 'int8', character_maximum_length: null, numeric_precision: 64, numeric_scale: 0, is_nullable: 'NO', column_default: null, is_identity: 'YES', column_comment: '用户编号' },
+                    { table_name: 'users', column_name: 'username', data_type: 'character varying', udt_name: 'varchar', character_maximum_length: 50, numeric_precision: null, numeric_scale: null, is_nullable: 'NO', column_default: null, is_identity: 'NO', column_comment: '用户名：登录账号' },
+                    { table_name: 'users', column_name: 'status', data_type: 'smallint', udt_name: 'int2', character_maximum_length: null, numeric_precision: 16, numeric_scale: 0, is_nullable: 'NO', column_default: "'1'::smallint", is_identity: 'NO', column_comment: '状态：1-正常 0-禁用' }
+                  ]
+                };
+              }
+              if (sql.includes('information_schema.tables t')) {
+                return {
+                  rows: [
+                    { table_name: 'orders', table_comment: '订单表' },
+                    { table_name: 'user_profiles', table_comment: '用户资料表' },
+                    { table_name: 'users', table_comment: '用户表' }
+                  ]
+                };
+              }
               if (sql.includes('CREATE DATABASE')) {
                 return { rowCount: 1 };
               }
@@ -294,6 +377,20 @@ module.exports = {
             }
           };
         }
+      },
+
+      'fs:write': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const path = await api.importx('path');
+          await fs.promises.mkdir(path.dirname(args.path), { recursive: true });
+          await fs.promises.writeFile(args.path, args.content, 'utf8');
+          return { success: true, path: args.path };
+        },
+        mock: async (args, api) => {
+          api.logger.debug('[Mock] 写入文件', { path: args.path, size: args.content.length });
+          return { success: true, path: args.path };
+        }
       }
     };
   },
@@ -313,6 +410,10 @@ module.exports = {
         user: 'postgres',
         password: 'password',
         database: 'test_db'
+      },
+      'fs:write': {
+        path: '/tmp/schema/er_diagram_input.json',
+        content: '{}'
       }
     };
     return mockArgs[operation] || {};
@@ -655,6 +756,28 @@ module.exports = {
           }
           break;
 
+        case 'export_schema':
+          if (!params.database) {
+            throw new Error('导出表结构需要指定database参数');
+          }
+          if (params.outputDir && !params.outputDir.startsWith('/') && !/^[A-Za-z]:[\\/]/.test(params.outputDir)) {
+            throw new Error(`outputDir必须是绝对路径：${params.outputDir}`);
+          }
+          
+          connection = await api.bridge.execute(bridgeKey, connectionArgs);
+          const introspected = params.dbType === 'mysql'
+            ? await this.introspectMysqlSchema(connection, params.database)
+            : await this.introspectPostgresSchema(connection, params.schemaName || 'public');
+          const schemaTables = params.tableNames && params.tableNames.length > 0
+            ? introspected.filter(table => params.tableNames.includes(table.name))
+            : introspected;
+          
+          result = this.buildSchemaExport(schemaTables, params.database);
+          if (params.outputDir) {
+            result.generatedFiles = await this.writeSchemaExport(result, params.outputDir, api);
+          }
+          break;
+
         default:
           throw new Error(`不支持的操作类型: ${params.operation}`);
       }
@@ -809,5 +932,274 @@ module.exports = {
     }
     
     return { sql, params: sqlParams };
+  },
+
+  // 读取 information_schema：表注释、列定义与注释、主键/唯一/外键约束，字段名统一取小写别名
+  async introspectMysqlSchema(connection, database) {
+    const [tableRows] = await connection.execute(`
+      SELECT TABLE_NAME AS table_name, TABLE_COMMENT AS table_comment
+      FROM information_schema.TABLES
+      WHERE TABLE_SCHEMA = ? AND TABLE_TYPE = 'BASE TABLE'
+      ORDER BY TABLE_NAME
+    `, [database]);
+    const [columnRows] = await connection.execute(`
+      SELECT TABLE_NAME AS table_name, COLUMN_NAME AS column_name, COLUMN_TYPE AS column_type,
+             IS_NULLABLE AS is_nullable, COLUMN_DEFAULT AS column_default, EXTRA AS extra,
+             COLUMN_COMMENT AS column_comment
+      FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = ?
+      ORDER BY TABLE_NAME, ORDINAL_POSITION
+    `, [database]);
+    const [keyRows] = await connection.execute(`
+      SELECT k.TABLE_NAME AS table_name, k.COLUMN_NAME AS column_name, k.CONSTRAINT_NAME AS constraint_name,
+             c.CONSTRAINT_TYPE AS constraint_type, k.REFERENCED_TABLE_NAME AS referenced_table,
+             k.REFERENCED_COLUMN_NAME AS referenced_column
+      FROM information_schema.KEY_COLUMN_USAGE k
+      JOIN information_schema.TABLE_CONSTRAINTS c
+        ON c.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND c.TABLE_NAME = k.TABLE_NAME AND c.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+      WHERE k.TABLE_SCHEMA = ? AND c.CONSTRAINT_TYPE IN ('PRIMARY KEY', 'UNIQUE', 'FOREIGN KEY')
+      ORDER BY k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION
+    `, [database]);
+    
+    const columns = columnRows.map(row => ({
+      table: row.table_name,
+      name: row.column_name,
+      type: row.column_type.toUpperCase(),
+      nullable: row.is_nullable === 'YES',
+      defaultValue: row.column_default,
+      autoIncrement: /auto_increment/i.test(row.extra || ''),
+      comment: row.column_comment
+    }));
+    return this.assembleSchema(tableRows, columns, keyRows);
+  },
+
+  // PostgreSQL 的注释不在 information_schema 中，表/列注释分别取 obj_description、col_description
+  async introspectPostgresSchema(connection, schemaName) {
+    const tableRows = await connection.query(`
+      SELECT t.table_name,
+             obj_description(format('%I.%I', t.table_schema, t.table_name)::regclass, 'pg_class') AS table_comment
+      FROM information_schema.tables t
+      WHERE t.table_schema = $1 AND t.table_type = 'BASE TABLE'
+      ORDER BY t.table_name
+    `, [schemaName]);
+    const columnRows = await connection.query(`
+      SELECT c.table_name, c.column_name, c.data_type, c.udt_name, c.character_maximum_length,
+             c.numeric_precision, c.numeric_scale, c.is_nullable, c.column_default, c.is_identity,
+             (SELECT col_description(a.attrelid, a.attnum)
+              FROM pg_attribute a
+              WHERE a.attrelid = format('%I.%I', c.table_schema, c.table_name)::regclass
+                AND a.attname = c.column_name) AS column_comment
+      FROM information_schema.columns c
+      WHERE c.table_schema = $1
+      ORDER BY c.table_name, c.ordinal_position
+    `, [schemaName]);
+    // 外键的被引用列按 position_in_unique_constraint 对应到被引用约束的同位置列，
+    // 复合外键每列一行且 refColumns 与 columns 顺序一致（constraint_column_usage 没有序号，会产生笛卡尔积）
+    const keyRows = await connection.query(`
+      SELECT tc.table_name, kcu.column_name, tc.constraint_name, tc.constraint_type,
+             ref.table_name AS referenced_table, ref.column_name AS referenced_column
+      FROM information_schema.table_constraints tc
+      JOIN information_schema.key_column_usage kcu
+        ON kcu.constraint_schema = tc.constraint_schema AND kcu.constraint_name = tc.constraint_name
+       AND kcu.table_name = tc.table_name
+      LEFT JOIN information_schema.referential_constraints rc
+        ON tc.constraint_type = 'FOREIGN KEY' AND rc.constraint_schema = tc.constraint_schema
+       AND rc.constraint_name = tc.constraint_name
+      LEFT JOIN information_schema.key_column_usage ref
+        ON ref.constraint_schema = rc.unique_constraint_schema AND ref.constraint_name = rc.unique_constraint_name
+       AND ref.ordinal_position = kcu.position_in_unique_constraint
+      WHERE tc.table_schema = $1 AND tc.constraint_type IN ('PRIMARY KEY', 'UNIQUE', 'FOREIGN KEY')
+      ORDER BY tc.table_name, tc.constraint_name, kcu.ordinal_position
+    `, [schemaName]);
+    
+    const columns = columnRows.rows.map(row => {
+      const serial = /^nextval\(/i.test(row.column_default || '');
+      return {
+        table: row.table_name,
+        name: row.column_name,
+        type: this.formatPostgresType(row),
+        nullable: row.is_nullable === 'YES',
+        // 'x'::type 形式去掉类型转换和引号，只保留默认值本身，与 MySQL 的 COLUMN_DEFAULT 一致
+        defaultValue: serial || row.column_default === null
+          ? null
+          : row.column_default.replace(/::[\w\s."]+(\[\])?$/, '').replace(/^'(.*)'$/, '$1'),
+        autoIncrement: row.is_identity === 'YES' || serial,
+        comment: row.column_comment
+      };
+    });
+    return this.assembleSchema(tableRows.rows, columns, keyRows.rows);
+  },
+
+  formatPostgresType(row) {
+    if (row.data_type === 'USER-DEFINED' || row.data_type === 'ARRAY') {
+      return row.udt_name.toUpperCase();
+    }
+    if (row.character_maximum_length) {
+      return `${row.data_type.toUpperCase()}(${row.character_maximum_length})`;
+    }
+    if (row.data_type === 'numeric' && row.numeric_precision) {
+      return `NUMERIC(${row.numeric_precision},${row.numeric_scale || 0})`;
+    }
+    return row.data_type.toUpperCase();
+  },
+
+  // 合并为统一结构：[{ name, comment, columns: [{ name, type, nullable, defaultValue, autoIncrement, comment,
+  // primary, unique }], foreignKeys: [{ name, columns, refTable, refColumns }] }]
+  assembleSchema(tableRows, columns, keyRows) {
+    const tables = new Map(tableRows.map(row => [row.table_name, {
+      name: row.table_name,
+      comment: row.table_comment || '',
+      columns: [],
+      foreignKeys: []
+    }]));
+    
+    for (const column of columns) {
+      const table = tables.get(column.table);
+      if (!table) continue; // 视图等非基表的列
+      table.columns.push({ ...column, comment: column.comment || '', primary: false, unique: false });
+    }
+    
+    const constraints = new Map();
+    for (const row of keyRows) {
+      const key = `${row.table_name}|${row.constraint_name}`;
+      if (!tables.has(row.table_name)) continue;
+      
+      if (!constraints.has(key)) {
+        constraints.set(key, { table: row.table_name, name: row.constraint_name, type: row.constraint_type, columns: [], refTable: row.referenced_table, refColumns: [] });
+      }
+      const constraint = constraints.get(key);
+      constraint.columns.push(row.column_name);
+      if (row.referenced_column) constraint.refColumns.push(row.referenced_column);
+    }
+    
+    for (const constraint of constraints.values()) {
+      const table = tables.get(constraint.table);
+      const members = table.columns.filter(column => constraint.columns.includes(column.name));
+      if (constraint.type === 'PRIMARY KEY') {
+        members.forEach(column => { column.primary = true; });
+      } else if (constraint.type === 'UNIQUE') {
+        // 只有单列唯一约束才说明该列本身唯一
+        if (constraint.columns.length === 1) members.forEach(column => { column.unique = true; });
+      } else {
+        table.foreignKeys.push({ name: constraint.name, columns: constraint.columns, refTable: constraint.refTable, refColumns: constraint.refColumns });
+      }
+    }
+    
+    return [...tables.values()];
+  },
+
+  // 同 07-entity-extractor：注释 "状态：1-正常 0-禁用" 冒号/分号前作为中文名，其余作为说明
+  splitComment(comment) {
+    if (!comment) return { name: '', remark: '' };
+    const match = comment.trim().match(/^([^：:;；]+?)\s*[：:;；]\s*(.+)$/);
+    return match ? { name: match[1], remark: match[2] } : { name: comment.trim(), remark: '' };
+  },
+
+  // 生成三线表 JSON（1-1-single-er）、relations.json 关系列表，以及 standard_er_generator 的 { entities, relationships }
+  buildSchemaExport(tables, database) {
+    const cnNames = new Map();
+    const usedCnNames = new Set();
+    for (const table of tables) {
+      let cnName = this.splitComment(table.comment).name || table.name;
+      // 实体名在 ER 图中必须唯一，注释重名时附上表名区分
+      if (usedCnNames.has(cnName)) cnName = `${cnName}(${table.name})`;
+      usedCnNames.add(cnName);
+      cnNames.set(table.name, cnName);
+    }
+    const cnNameOf = (tableName) => cnNames.get(tableName) || tableName;
+    
+    const threeLineTables = [];
+    const relations = [];
+    const entities = [];
+    const relationships = [];
+    
+    for (const table of tables) {
+      const fkTargets = new Map();
+      table.foreignKeys.forEach(fk => fk.columns.forEach(column => fkTargets.set(column, fk.refTable)));
+      
+      const rows = [['字段名', '字段中文名', '类型', '约束', '说明']];
+      const attributes = [];
+      for (const column of table.columns) {
+        const { name: commentName, remark } = this.splitComment(column.comment);
+        const fkTarget = fkTargets.get(column.name);
+        const constraints = [];
+        if (column.primary) constraints.push('PK');
+        if (column.autoIncrement) constraints.push('AUTO_INCREMENT');
+        if (fkTarget) constraints.push('FK');
+        if (!column.nullable || column.primary) constraints.push('NOT NULL');
+        if (column.unique) constraints.push('UNIQUE');
+        if (column.defaultValue !== null && column.defaultValue !== undefined && !column.autoIncrement) {
+          constraints.push(`DEFAULT ${column.defaultValue}`);
+        }
+        
+        let description = remark;
+        if (column.primary) description = '主键';
+        else if (fkTarget) description = `关联${cnNameOf(fkTarget)}`;
+        
+        const cnName = commentName || column.name;
+        rows.push([column.name, cnName, column.type, constraints.join(', '), description]);
+        
+        const key = [column.primary && 'PK', fkTarget && 'FK'].filter(Boolean).join(',');
+        attributes.push(key ? { name: cnName, type: column.type, key } : { name: cnName, type: column.type });
+      }
+      
+      threeLineTables.push({ tableName: table.name, tableCnName: cnNameOf(table.name), columns: rows });
+      entities.push({ name: cnNameOf(table.name), attributes });
+      
+      for (const fk of table.foreignKeys) {
+        const fkColumns = table.columns.filter(column => fk.columns.includes(column.name));
+        const primaryColumns = table.columns.filter(column => column.primary).map(column => column.name);
+        // 外键列自身唯一，或恰好就是本表主键时为一对一
+        const oneToOne = fkColumns.every(column => column.unique) ||
+          (primaryColumns.length === fk.columns.length && fk.columns.every(column => primaryColumns.includes(column)));
+        const optional = fkColumns.some(column => column.nullable);
+        
+        relations.push({
+          source: { table: table.name, tableCnName: cnNameOf(table.name), columns: fk.columns },
+          target: { table: fk.refTable, tableCnName: cnNameOf(fk.refTable), columns: fk.refColumns },
+          cardinality: oneToOne ? '1:1' : 'N:1',
+          inferredBy: 'constraint',
+          constraintName: fk.name
+        });
+        // 只导出部分表时，目标表不在图中的关系不画
+        if (!cnNames.has(fk.refTable)) continue;
+        relationships.push({
+          name: '关联',
+          entity1: cnNameOf(fk.refTable),
+          entity2: cnNameOf(table.name),
+          cardinality1: optional ? '0..1' : '1',
+          cardinality2: oneToOne ? '1' : 'n'
+        });
+      }
+    }
+    
+    return {
+      success: true,
+      message: `已导出${tables.length}张表、${relations.length}个外键关系`,
+      database,
+      tableCount: tables.length,
+      relationCount: relations.length,
+      tables: threeLineTables,
+      relations,
+      er: { title: `${database}数据库ER图`, entities, relationships }
+    };
+  },
+
+  // 文件名与 07-entity-extractor 一致，1-1-single-er / system-er 可直接读取该目录
+  async writeSchemaExport(exported, outputDir, api) {
+    const path = await api.importx('path');
+    const files = [
+      ...exported.tables.map(table => [`Tab-${table.tableName}.json`, table]),
+      ['relations.json', { relations: exported.relations }],
+      ['er_diagram_input.json', exported.er]
+    ];
+    
+    const generatedFiles = [];
+    for (const [fileName, content] of files) {
+      const filePath = path.join(outputDir, fileName);
+      await api.bridge.execute('fs:write', { path: filePath, content: JSON.stringify(content, null, 2) });
+      generatedFiles.push(filePath);
+    }
+    return generatedFiles;
   }
 };
\ No newline at end of file
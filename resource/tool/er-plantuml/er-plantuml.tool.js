@@ -0,0 +1,471 @@
+/**
+ * ER图PlantUML导出器 - 将三线表JSON目录和外键关系导出为PlantUML实体图源码
+ *
+ * 战略意义：
+ * 1. 架构价值：ER图改走与用例图、时序图相同的PlantUML渲染链路（luban-uml、plantuml-jar-renderer），
+ *    字体、配色等样式只需在一处统一
+ * 2. 平台价值：输出的是可编辑的.puml文本，作者可以在渲染前手工微调布局和连线
+ * 3. 生态价值：输入即 07-entity-extractor / common-db-connector 导出的表结构目录和 relations.json
+ *
+ * 设计理念：
+ * 采用PlantUML的 entity 语法（IE/乌鸦脚记法）：表中文名作为实体显示名、表名作为别名，
+ * 主键列放在分隔线上方并标注 <<PK>>，外键列标注 <<FK>>，NOT NULL 列以 * 标记为必填。
+ * 关系优先取 relations.json，没有时按外键列的约束/说明回退推断。
+ *
+ * 为什么重要：
+ * 之前的ER图由 1-1-single-er、system-er 各自用Canvas/SVG手绘，与其他PlantUML图风格不一致，
+ * 论文统一换字体或黑白样式时要分别改代码；导出为PlantUML后只需渲染一次。
+ */
+
+module.exports = {
+  getDependencies() {
+    return {};
+  },
+
+  getMetadata() {
+    return {
+      id: 'er-plantuml',
+      name: 'ER图PlantUML导出器',
+      description: '将三线表JSON目录及relations.json导出为PlantUML实体图（IE记法、PK/FK标注、中文别名），可交给luban-uml或plantuml-jar-renderer渲染，使用绝对路径',
+      version: '1.0.0',
+      author: '鲁班'
+    };
+  },
+
+  getSchema() {
+    return {
+      parameters: {
+        type: 'object',
+        properties: {
+          tablesDir: {
+            type: 'string',
+            description: '三线表JSON目录的绝对路径（如 paper/exports/tables）',
+            minLength: 1
+          },
+          relationsPath: {
+            type: 'string',
+            description: '关系列表文件绝对路径（07-entity-extractor生成的relations.json），默认取 <tablesDir>/relations.json'
+          },
+          mode: {
+            type: 'string',
+            enum: ['system', 'single'],
+            description: '导出模式：system-所有表及关系合成一张实体图，single-每张表单独一个.puml',
+            default: 'system'
+          },
+          outputPath: {
+            type: 'string',
+            description: 'system模式的.puml输出绝对路径，默认 <tablesDir>/er-system.puml'
+          },
+          outputDir: {
+            type: 'string',
+            description: 'single模式的输出目录绝对路径，默认与tablesDir相同，文件名为 er-<表名>.puml'
+          },
+          columnLabel: {
+            type: 'string',
+            enum: ['cn', 'en', 'both'],
+            description: '属性显示：cn-字段中文名，en-字段名，both-"中文名 (字段名)"',
+            default: 'both'
+          },
+          keysOnly: {
+            type: 'boolean',
+            description: 'system模式下只列出主键和外键列，表多时保持图面紧凑',
+            default: false
+          },
+          showTypes: {
+            type: 'boolean',
+            description: '是否在属性后显示字段类型',
+            default: true
+          },
+          title: {
+            type: 'string',
+            description: 'system模式的图标题，不填不显示'
+          }
+        },
+        required: ['tablesDir']
+      }
+    };
+  },
+
+  getBridges() {
+    return {
+      // 读取目录下的三线表JSON，返回 [{ fileName, data }]，跳过分析结果、输入文件和 relations.json
+      'fs:readTables': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const path = await api.importx('path');
+
+          const files = (await fs.promises.readdir(args.dir))
+            .filter(file => file.endsWith('.json'))
+            .filter(file => !/_analysis|_input|^relations\.json$/.test(file))
+            .sort();
+
+          const tables = [];
+          for (const file of files) {
+            try {
+              const data = JSON.parse(await fs.promises.readFile(path.join(args.dir, file), 'utf8'));
+              if (data && data.tableName && Array.isArray(data.columns)) {
+                tables.push({ fileName: file, data });
+              }
+            } catch (error) {
+              api.logger.warn(`[Bridge] 跳过无法解析的文件: ${file}`, { error: error.message });
+            }
+          }
+
+          api.logger.info(`[Bridge] 读取${tables.length}个表结构文件`);
+          return tables;
+        },
+        mock: async (args, api) => {
+          api.logger.debug(`[Mock] 模拟读取表结构目录: ${args.dir}`);
+          const header = ['字段名', '字段中文名', '类型', '约束', '说明'];
+          return [
+            {
+              fileName: 'Tab-sys_user.json',
+              data: {
+                tableName: 'sys_user',
+                tableCnName: '用户表',
+                columns: [
+                  header,
+                  ['id', '编号', 'BIGINT', 'PK, AUTO_INCREMENT, NOT NULL', '主键'],
+                  ['username', '用户名', 'VARCHAR(64)', 'NOT NULL, UNIQUE', '登录账号'],
+                  ['phone', '手机号', 'VARCHAR(20)', '', '']
+                ]
+              }
+            },
+            {
+              fileName: 'Tab-venue.json',
+              data: {
+                tableName: 'venue',
+                tableCnName: '场地表',
+                columns: [header, ['id', '编号', 'BIGINT', 'PK, NOT NULL', '主键'], ['name', '场地名称', 'VARCHAR(64)', 'NOT NULL', '']]
+              }
+            },
+            {
+              fileName: 'Tab-reservation.json',
+              data: {
+                tableName: 'reservation',
+                tableCnName: '预约表',
+                columns: [
+                  header,
+                  ['id', '编号', 'BIGINT', 'PK, NOT NULL', '主键'],
+                  ['user_id', '用户编号', 'BIGINT', 'FK, NOT NULL', '关联用户表'],
+                  ['venue_id', '场地编号', 'BIGINT', 'FK', '关联场地表']
+                ]
+              }
+            }
+          ];
+        }
+      },
+
+      // 读取 relations.json 的关系列表，文件不存在时返回 null，由调用方回退到按外键列推断
+      'fs:readRelations': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          if (!fs.existsSync(args.path)) {
+            return null;
+          }
+          const data = JSON.parse(await fs.promises.readFile(args.path, 'utf8'));
+          return Array.isArray(data) ? data : (data.relations || []);
+        },
+        mock: async (args, api) => {
+          api.logger.debug(`[Mock] 模拟读取关系列表: ${args.path}`);
+          return [
+            {
+              source: { table: 'reservation', tableCnName: '预约表', columns: ['user_id'] },
+              target: { table: 'sys_user', tableCnName: '用户表', columns: ['id'] },
+              cardinality: 'N:1'
+            },
+            {
+              source: { table: 'reservation', tableCnName: '预约表', columns: ['venue_id'] },
+              target: { table: 'venue', tableCnName: '场地表', columns: ['id'] },
+              cardinality: 'N:1'
+            }
+          ];
+        }
+      },
+
+      'fs:write': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const path = await api.importx('path');
+
+          // 确保输出目录存在
+          await fs.promises.mkdir(path.dirname(args.path), { recursive: true });
+          await fs.promises.writeFile(args.path, args.data, 'utf8');
+          return { success: true, path: args.path };
+        },
+        mock: async (args, api) => {
+          api.logger.debug(`[Mock] 保存文件: ${args.path}`);
+          return { success: true, path: args.path };
+        }
+      }
+    };
+  },
+
+  async execute(params) {
+    const { api } = this;
+    const path = await api.importx('path');
+
+    api.logger.info('ER图PlantUML导出器启动', { params });
+
+    try {
+      if (!params.tablesDir || !path.isAbsolute(params.tablesDir)) {
+        throw new Error(`表结构目录必须是绝对路径：${params.tablesDir}`);
+      }
+
+      const tables = (await api.bridge.execute('fs:readTables', { dir: params.tablesDir }))
+        .map(({ data }) => this.normalizeTable(data));
+      if (tables.length === 0) {
+        throw new Error(`表结构目录中没有找到三线表JSON：${params.tablesDir}`);
+      }
+
+      const options = {
+        columnLabel: params.columnLabel || 'both',
+        keysOnly: params.keysOnly === true,
+        showTypes: params.showTypes !== false,
+        title: params.title
+      };
+
+      if (params.mode === 'single') {
+        const outputDir = params.outputDir || params.tablesDir;
+        if (!path.isAbsolute(outputDir)) {
+          throw new Error(`输出路径必须是绝对路径：${outputDir}`);
+        }
+
+        const outputs = [];
+        for (const table of tables) {
+          const outputPath = path.join(outputDir, `er-${table.tableName.replace(/_/g, '-')}.puml`);
+          const source = this.buildPlantUML([table], [], { ...options, keysOnly: false, title: undefined });
+          await api.bridge.execute('fs:write', { path: outputPath, data: source });
+          outputs.push(outputPath);
+        }
+
+        api.logger.info(`已导出${outputs.length}个单表实体图`);
+        return {
+          success: true,
+          mode: 'single',
+          tableCount: tables.length,
+          outputs
+        };
+      }
+
+      const relationsPath = params.relationsPath || path.join(params.tablesDir, 'relations.json');
+      const relationList = await api.bridge.execute('fs:readRelations', { path: relationsPath });
+      const { relations, unresolved } = relationList
+        ? this.mapRelations(relationList, tables)
+        : this.inferRelations(tables);
+      if (unresolved.length > 0) {
+        api.logger.warn(`${unresolved.length}个关系的表不在目录中，已跳过`, { unresolved });
+      }
+
+      const outputPath = params.outputPath || path.join(params.tablesDir, 'er-system.puml');
+      if (!path.isAbsolute(outputPath)) {
+        throw new Error(`输出路径必须是绝对路径：${outputPath}`);
+      }
+
+      const source = this.buildPlantUML(tables, relations, options);
+      await api.bridge.execute('fs:write', { path: outputPath, data: source });
+      api.logger.info(`ER图PlantUML已导出: ${outputPath}`);
+
+      return {
+        success: true,
+        mode: 'system',
+        outputPath,
+        relationsSource: relationList ? relationsPath : 'inferred',
+        tableCount: tables.length,
+        relationCount: relations.length,
+        unresolved
+      };
+    } catch (error) {
+      api.logger.error('ER图PlantUML导出失败', error);
+      throw error;
+    }
+  },
+
+  // ==================== 表结构与关系 ====================
+
+  normalizeTable(data) {
+    // 二维数组格式跳过表头行
+    const rows = data.columns.filter((col, index) => Array.isArray(col) && !(index === 0 && col[0] === '字段名'));
+    return {
+      tableName: data.tableName,
+      tableCnName: data.tableCnName || data.tableName,
+      columns: rows.map(([name = '', cnName = '', type = '', constraint = '', description = '']) => ({
+        name,
+        cnName: cnName || name,
+        type,
+        description,
+        primary: /\bPK\b|PRIMARY\s+KEY|主键/i.test(constraint),
+        foreignKey: /\bFK\b|FOREIGN\s+KEY|REFERENCES|外键/i.test(constraint),
+        required: /NOT\s+NULL|\bPK\b|PRIMARY\s+KEY/i.test(constraint),
+        unique: /\bUNIQUE\b|唯一/i.test(constraint)
+      }))
+    };
+  },
+
+  // relations.json 的端点按表名匹配；cardinality 为 N:1、1:1 或带中间表的 N:M
+  mapRelations(relationList, tables) {
+    const byName = new Map(tables.map(table => [table.tableName, table]));
+    const relations = [];
+    const unresolved = [];
+
+    for (const relation of relationList) {
+      const source = byName.get(relation.source && relation.source.table);
+      const target = byName.get(relation.target && relation.target.table);
+      if (!source || !target) {
+        unresolved.push(`${relation.source && relation.source.table} -> ${relation.target && relation.target.table}`);
+        continue;
+      }
+
+      // 中间表本身也在目录中时，两条 N:1 外键已经表达了多对多，不再重复画
+      if (relation.joinTable && byName.has(relation.joinTable.name)) continue;
+
+      const sourceColumns = (relation.source.columns || [])
+        .map(name => source.columns.find(column => column.name === name))
+        .filter(Boolean);
+      relations.push({
+        source,
+        target,
+        cardinality: relation.cardinality || 'N:1',
+        optional: sourceColumns.length > 0 && sourceColumns.some(column => !column.required),
+        label: relation.joinTable
+          ? relation.joinTable.name
+          : sourceColumns.map(column => column.cnName).join('、')
+      });
+    }
+
+    return { relations, unresolved };
+  },
+
+  // 没有 relations.json 时按外键列推断：约束中的 REFERENCES/FK→表名，或说明中的"关联xx表"
+  inferRelations(tables) {
+    const relations = [];
+    const unresolved = [];
+
+    for (const table of tables) {
+      for (const column of table.columns.filter(col => col.foreignKey)) {
+        const text = column.description;
+        const target = tables
+          .filter(candidate => [candidate.tableCnName, candidate.tableName].some(name => name && text.includes(name)))
+          .sort((a, b) => b.tableCnName.length - a.tableCnName.length)[0];
+        if (!target) {
+          unresolved.push(`${table.tableName}.${column.name}`);
+          continue;
+        }
+        relations.push({
+          source: table,
+          target,
+          cardinality: column.unique ? '1:1' : 'N:1',
+          optional: !column.required,
+          label: column.cnName
+        });
+      }
+    }
+
+    return { relations, unresolved };
+  },
+
+  // ==================== PlantUML 生成 ====================
+
+  buildPlantUML(tables, relations, options) {
+    const lines = [
+      '@startuml',
+      'hide circle',
+      'hide empty members',
+      'skinparam linetype ortho',
+      'skinparam shadowing false'
+    ];
+    if (options.title) {
+      lines.push(`title ${options.title}`);
+    }
+
+    for (const table of tables) {
+      lines.push('', ...this.buildEntity(table, options));
+    }
+
+    if (relations.length > 0) {
+      lines.push('');
+      for (const relation of relations) {
+        lines.push(this.buildRelationLine(relation));
+      }
+    }
+
+    lines.push('@enduml', '');
+    return lines.join('\n');
+  },
+
+  buildEntity(table, options) {
+    const lines = [`entity "${this.escapeLabel(table.tableCnName)}" as ${this.toAlias(table.tableName)} {`];
+    const primary = table.columns.filter(column => column.primary);
+    const others = table.columns.filter(column => !column.primary &&
+      (!options.keysOnly || column.foreignKey));
+
+    primary.forEach(column => lines.push(`  ${this.buildAttribute(column, options)}`));
+    if (primary.length > 0 && others.length > 0) {
+      lines.push('  --');
+    }
+    others.forEach(column => lines.push(`  ${this.buildAttribute(column, options)}`));
+    if (options.keysOnly && table.columns.length > primary.length + others.length) {
+      lines.push('  ..');
+    }
+
+    lines.push('}');
+    return lines;
+  },
+
+  buildAttribute(column, options) {
+    const label = {
+      cn: column.cnName,
+      en: column.name,
+      both: column.cnName === column.name ? column.name : `${column.cnName} (${column.name})`
+    }[options.columnLabel] || column.name;
+
+    const stereotypes = [column.primary && '<<PK>>', column.foreignKey && '<<FK>>'].filter(Boolean);
+    const type = options.showTypes && column.type ? ` : ${column.type}` : '';
+    // PlantUML 实体属性前的 * 表示必填（NOT NULL）
+    return `${column.required ? '* ' : ''}${this.escapeLabel(label)}${type}${stereotypes.length ? ` ${stereotypes.join(' ')}` : ''}`;
+  },
+
+  // 乌鸦脚两端：被引用方为"恰好一个"（外键可空时为"零或一"），引用方为"零或多"（一对一时为"零或一"）
+  buildRelationLine({ source, target, cardinality, optional, label }) {
+    const left = cardinality === 'N:M' ? '}o' : (optional ? '|o' : '||');
+    const right = cardinality === '1:1' ? 'o|' : 'o{';
+    const text = label ? ` : ${this.escapeLabel(label)}` : '';
+    return `${this.toAlias(target.tableName)} ${left}--${right} ${this.toAlias(source.tableName)}${text}`;
+  },
+
+  // 别名只能是标识符，带点号、连字符的表名统一替换为下划线
+  toAlias(tableName) {
+    const alias = String(tableName).replace(/[^A-Za-z0-9_]/g, '_');
+    return /^[A-Za-z_]/.test(alias) ? alias : `t_${alias}`;
+  },
+
+  escapeLabel(text) {
+    return String(text).replace(/"/g, '\'').replace(/[\r\n]+/g, ' ');
+  },
+
+  getBusinessErrors() {
+    return [
+      {
+        code: 'INVALID_ABSOLUTE_PATH',
+        description: '路径必须是绝对路径',
+        match: /路径必须是绝对路径|目录必须是绝对路径/i,
+        solution: '请提供完整的绝对路径，以/开头（Linux/Mac）或C:\\\\开头（Windows）',
+        retryable: false
+      },
+      {
+        code: 'NO_TABLE_JSON',
+        description: '表结构目录中没有三线表JSON',
+        match: /没有找到三线表JSON/,
+        solution: '先用 07-entity-extractor 或 common-db-connector 的 export_schema 导出表结构',
+        retryable: false
+      },
+      {
+        code: 'RELATIONS_PARSE_ERROR',
+        description: '关系列表文件解析失败',
+        match: /Unexpected token|JSON/i,
+        solution: '检查relations.json是否为合法JSON，或删除后按外键列自动推断',
+        retryable: false
+      }
+    ];
+  }
+};
@@ -7,28 +7,33 @@
  * 3. 工程集成：为PromptX生态提供图表生成能力，支持架构图、时序图等技术文档需求
  *
  * 设计理念：
- * 基于PlantUML官方在线API实现云端渲染，无需本地环境依赖。通过HTTP接口
- * 调用PlantUML服务器，提供简单易用的渲染体验，支持多种输出格式和语法验证。
+ * 支持本地jar和PlantUML在线API两种渲染方式：本地jar完全离线、源码不出本机；
+ * 在线API无需Java环境。auto模式优先本地jar，环境不可用时只回退到PLANTUML_SERVER_URL
+ * 显式配置的非公共服务器（本地容器、内网服务），不会把论文内容发到 plantuml.com；
+ * 使用公共服务器必须显式指定 renderer: 'server'。
+ * 两种方式的输出结构一致，结果中的renderer字段标明实际使用的方式。
  * 专注于开发者友好的参数设计，让复杂的PlantUML渲染变得简单易用。
  *
  * 重要更新：
  * - 使用绝对路径参数，不再依赖沙箱环境
  * - 直接操作用户指定的项目文件系统
  * - 支持任意绝对路径的输入和输出
- * - 使用PlantUML在线API，移除JAR文件依赖
+ * - 新增renderer参数：server-在线API，jar-本地jar，auto-本地优先、不可用时回退自建服务器
  */
 
 module.exports = {
   getDependencies() {
-    return {};
+    return {
+      'glob': '^10.3.10'
+    };
   },
 
   getMetadata() {
     return {
       id: 'luban-uml',
       name: 'PlantUML渲染工具',
-      description: '将PlantUML源码渲染为PNG/SVG图片，基于在线API服务，使用绝对路径',
-      version: '1.2.0',
+      description: '将PlantUML源码渲染为PNG/SVG图片，支持本地jar离线渲染和在线API，可将PlantUML URL与源码互相转换，使用绝对路径',
+      version: '1.7.0',
       author: '鲁班'
     };
   },
@@ -40,24 +45,50 @@ module.exports = {
         properties: {
           operation: {
             type: 'string',
-            enum: ['render', 'validate'],
-            description: '操作类型：render-渲染图片，validate-语法验证',
+            enum: ['render', 'validate', 'encode', 'decode'],
+            description: '操作类型：render-渲染图片，validate-语法验证（返回出错行号、出错行内容和错误信息），encode-生成PlantUML编码串和服务器URL，decode-将PlantUML URL或编码串还原为源码',
             default: 'render'
           },
           input: {
             type: 'string',
-            description: 'PlantUML源文件绝对路径(.puml)或PlantUML源码内容',
+            description: 'PlantUML源文件绝对路径(.puml)或PlantUML源码内容；validate操作也可传目录绝对路径，验证目录下全部.puml/.plantuml/.pu文件（.iuml片段除外）；decode操作传PlantUML服务器URL或编码串',
             minLength: 1
           },
           output: {
             type: 'string',
-            description: '输出文件的绝对路径，仅render操作需要'
+            description: '输出文件的绝对路径，render操作必填；decode操作可选，指定时将还原的源码写入该.puml文件'
+          },
+          recursive: {
+            type: 'boolean',
+            description: 'validate目录时是否递归验证子目录中的文件',
+            default: true
+          },
+          encoding: {
+            type: 'string',
+            enum: ['deflate', 'hex'],
+            description: 'encode操作的编码方式：deflate-压缩后按PlantUML字母表编码（默认，URL最短），hex-~h前缀的十六进制',
+            default: 'deflate'
           },
           format: {
             type: 'string',
             enum: ['png', 'svg'],
             description: '输出格式：png或svg',
             default: 'svg'
+          },
+          renderer: {
+            type: 'string',
+            enum: ['server', 'jar', 'auto'],
+            description: '渲染方式：server-PlantUML服务器（未配置PLANTUML_SERVER_URL时为公共服务器plantuml.com），jar-本地plantuml.jar（需要Java），auto-优先本地jar，不可用时只回退到PLANTUML_SERVER_URL配置的非公共服务器，否则报错',
+            default: 'auto'
+          },
+          force: {
+            type: 'boolean',
+            description: '忽略渲染缓存强制重新渲染（结果仍会写入缓存）',
+            default: false
+          },
+          theme: {
+            type: 'string',
+            description: '渲染主题：预设名（academic-bw-论文黑白样式：宋体/黑体、无阴影、300DPI）或主题文件绝对路径（skinparam语句），插入到@startuml之后，不修改源文件'
           }
         },
         required: ['input']
@@ -67,8 +98,20 @@ module.exports = {
         properties: {
           PLANTUML_SERVER_URL: {
             type: 'string',
-            description: 'PlantUML服务器URL',
+            description: 'PlantUML服务器URL；设置为本地容器或内网服务器后，auto模式在本地jar不可用时会回退到该服务器',
             default: 'http://www.plantuml.com/plantuml'
+          },
+          PLANTUML_JAR: {
+            type: 'string',
+            description: '本地plantuml.jar绝对路径，默认取 cache/luban-uml/plantuml.jar'
+          },
+          JAVA_HOME: {
+            type: 'string',
+            description: 'Java安装路径（可选），未设置时使用PATH中的java'
+          },
+          PLANTUML_CACHE_DIR: {
+            type: 'string',
+            description: '渲染缓存目录，默认 cache/plantuml-render，与plantuml-renderer、plantuml-jar-renderer共用'
           }
         }
       }
@@ -76,17 +119,26 @@ module.exports = {
   },
 
   async execute(params) {
-    console.log('PlantUML工具开始执行', { operation: params.operation, input: params.input, output: params.output });
+    const renderer = params.renderer || 'auto';
+    console.log('PlantUML工具开始执行', { operation: params.operation, input: params.input, output: params.output, renderer });
 
     try {
+      if (!['server', 'jar', 'auto'].includes(renderer)) {
+        throw new Error(`不支持的渲染方式：${renderer}`);
+      }
       if (params.operation === 'validate') {
-        return await this.validatePlantUML(params.input);
+        return await this.validatePlantUML(params.input, renderer, params.recursive !== false);
+      } else if (params.operation === 'encode') {
+        return await this.encodeOperation(params.input, params.encoding || 'deflate');
+      } else if (params.operation === 'decode') {
+        return await this.decodeOperation(params.input, params.output);
       } else {
         // render操作需要输出路径
         if (!params.output) {
           throw new Error('渲染操作必须指定output参数（绝对路径）');
         }
-        return await this.renderPlantUML(params.input, params.output, params.format);
+        const theme = params.theme ? await this.resolveTheme(params.theme) : null;
+        return await this.renderPlantUML(params.input, params.output, params.format || 'svg', renderer, { force: params.force === true, theme });
       }
 
     } catch (error) {
@@ -112,82 +164,90 @@ module.exports = {
     }
   },
 
-  // 将PlantUML内容编码为URL安全格式
-  encodePlantUML(content) {
-    // 使用PlantUML的文本编码方式：deflate + base64url
-    const zlib = require('zlib');
+  // 生成编码串及各格式的服务器URL，并解码回来确认与源码一致
+  async encodeOperation(input, encoding) {
+    const content = await this.getPlantUMLContent(input);
+    const encoded = this.encodePlantUML(content, encoding);
+    const serverUrl = this.getServerUrl();
 
-    // 添加UTF-8 BOM并压缩内容
-    const utf8Content = Buffer.from(content, 'utf8');
-    const compressed = zlib.deflateRawSync(utf8Content);
-
-    // 使用PlantUML专用的base64编码表
-    const chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-_';
-    let result = '';
-
-    for (let i = 0; i < compressed.length; i += 3) {
-      const b1 = compressed[i] || 0;
-      const b2 = compressed[i + 1] || 0;
-      const b3 = compressed[i + 2] || 0;
+    return {
+      success: true,
+      operation: 'encode',
+      encoding,
+      encoded,
+      length: encoded.length,
+      urls: {
+        uml: `${serverUrl}/uml/${encoded}`,
+        png: `${serverUrl}/png/${encoded}`,
+        svg: `${serverUrl}/svg/${encoded}`
+      },
+      roundTrip: this.decodePlantUML(encoded).source === content,
+      exitCode: 0
+    };
+  },
 
-      const bitmap = (b1 << 16) | (b2 << 8) | b3;
+  async decodeOperation(input, output) {
+    const fs = await importx('fs');
+    const path = await importx('path');
+    const { source, encoding } = this.decodePlantUML(input);
 
-      result += chars.charAt((bitmap >> 18) & 63);
-      result += chars.charAt((bitmap >> 12) & 63);
-      result += chars.charAt((bitmap >> 6) & 63);
-      result += chars.charAt(bitmap & 63);
+    if (output) {
+      if (!path.isAbsolute(output)) {
+        throw new Error(`输出文件路径必须是绝对路径：${output}`);
+      }
+      fs.mkdirSync(path.dirname(output), { recursive: true });
+      fs.writeFileSync(output, source.endsWith('\n') ? source : `${source}\n`, 'utf8');
+      console.log('PlantUML源码已还原', { output, encoding });
     }
 
-    return result;
+    const startMatch = source.match(/^[ \t]*@start(\w+)/m);
+    return {
+      success: true,
+      operation: 'decode',
+      encoding,
+      source,
+      outputPath: output || null,
+      diagramType: startMatch ? startMatch[1] : null,
+      lines: source.split(/\r?\n/).length,
+      exitCode: 0
+    };
   },
 
-  // 验证PlantUML语法
-  async validatePlantUML(input) {
+  // 验证PlantUML语法：input 为目录时逐个验证其中的源文件（默认递归）
+  async validatePlantUML(input, renderer = 'auto', recursive = true) {
+    const fs = await importx('fs');
+    const path = await importx('path');
+
+    if (path.isAbsolute(input) && fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      return await this.validateDirectory(input, renderer, recursive);
+    }
+
     try {
       const content = await this.getPlantUMLContent(input);
-      const encoded = this.encodePlantUML(content);
-      const serverUrl = process.env.PLANTUML_SERVER_URL || 'http://www.plantuml.com/plantuml';
-      const checkUrl = `${serverUrl}/check/${encoded}`;
-
-      console.log('执行PlantUML语法检查', { checkUrl });
-
-      const https = require('https');
-      const http = require('http');
-      const url = require('url');
-
-      const parsedUrl = url.parse(checkUrl);
-      const client = parsedUrl.protocol === 'https:' ? https : http;
-
-      const response = await new Promise((resolve, reject) => {
-        const req = client.request(parsedUrl, (res) => {
-          let data = '';
-          res.on('data', chunk => data += chunk);
-          res.on('end', () => resolve({ status: res.statusCode, data }));
-        });
-        req.on('error', reject);
-        req.setTimeout(10000, () => reject(new Error('请求超时')));
-        req.end();
-      });
+      const result = await this.checkSyntax(content, renderer);
+      if (result.unavailable) {
+        return this.localUnavailableResult(result.error, '验证');
+      }
 
-      if (response.status === 200) {
-        console.log('PlantUML语法验证通过');
-        return {
-          success: true,
-          valid: true,
-          message: 'PlantUML语法验证通过',
-          exitCode: 0
-        };
+      if (result.valid) {
+        console.log('PlantUML语法验证通过', { renderer: result.renderer, diagramType: result.diagramType });
       } else {
-        console.warn('PlantUML语法验证失败', { status: response.status, data: response.data });
-        return {
-          success: true,
-          valid: false,
-          message: 'PlantUML语法错误',
-          error: response.data,
-          exitCode: 2
-        };
+        console.warn('PlantUML语法验证失败', { renderer: result.renderer, diagnostics: result.diagnostics });
       }
 
+      return {
+        success: true,
+        valid: result.valid,
+        message: result.valid ? 'PlantUML语法验证通过' : 'PlantUML语法错误',
+        diagramType: result.diagramType,
+        description: result.description,
+        diagnostics: result.diagnostics,
+        ...(result.valid ? {} : { error: this.formatDiagnostics(result.diagnostics) }),
+        renderer: result.renderer,
+        ...(result.fallbackReason ? { fallbackReason: result.fallbackReason } : {}),
+        exitCode: result.valid ? 0 : 2
+      };
+
     } catch (error) {
       console.error('PlantUML语法验证请求失败', { error: error.message });
       return {
@@ -200,8 +260,160 @@ module.exports = {
     }
   },
 
+  // 目录验证：与渲染工具相同的源文件发现规则（getSourcePatterns），file 为相对目录的路径；
+  // 只要有一个文件语法错误 valid 即为 false；验证服务不可用的文件单独计数
+  async validateDirectory(dir, renderer, recursive = true) {
+    const path = await importx('path');
+    const glob = await importx('glob');
+
+    const { include, exclude } = this.getSourcePatterns({ recursive });
+    const files = (await glob.glob(include, { cwd: dir, ignore: exclude, nodir: true, posix: true })).sort();
+    console.log(`开始验证目录中的${files.length}个PlantUML文件`, { dir });
+
+    const results = [];
+    for (const file of files) {
+      const result = await this.validatePlantUML(path.join(dir, file), renderer);
+      results.push({
+        file,
+        valid: result.valid === true,
+        diagramType: result.diagramType,
+        diagnostics: result.diagnostics || [],
+        ...(result.exitCode === 3 ? { error: result.error } : {}),
+        renderer: result.renderer,
+        exitCode: result.exitCode
+      });
+    }
+
+    const invalidCount = results.filter(result => result.exitCode === 2).length;
+    const unavailableCount = results.filter(result => result.exitCode === 3).length;
+    const valid = invalidCount === 0 && unavailableCount === 0;
+
+    return {
+      success: unavailableCount < results.length || results.length === 0,
+      valid,
+      message: results.length === 0
+        ? '目录中没有找到PlantUML文件'
+        : `验证${results.length}个文件：通过${results.length - invalidCount - unavailableCount}个，语法错误${invalidCount}个` +
+          (unavailableCount ? `，无法验证${unavailableCount}个` : ''),
+      dir,
+      total: results.length,
+      validCount: results.length - invalidCount - unavailableCount,
+      invalidCount,
+      unavailableCount,
+      files: results,
+      exitCode: unavailableCount > 0 ? 3 : (invalidCount > 0 ? 2 : 0)
+    };
+  },
+
+  // 返回 { renderer, valid, diagramType, description, diagnostics, fallbackReason } 或 { unavailable, error }；
+  // 本地jar使用 -syntax，服务器使用 /check 接口，两者输出格式相同
+  async checkSyntax(content, renderer) {
+    if (!/^\s*@start\w+/m.test(content)) {
+      return {
+        renderer: 'none',
+        valid: false,
+        diagramType: null,
+        description: '',
+        diagnostics: [{ line: 1, lineText: content.split(/\r?\n/)[0].trim(), message: '缺少@startuml等起始标记' }]
+      };
+    }
+
+    let fallbackReason = null;
+
+    if (renderer !== 'server') {
+      const local = await this.detectLocalRenderer();
+      if (local.available) {
+        const result = await this.runPlantUMLJar(local, ['-syntax'], content);
+        // -syntax 首行为图类型或 ERROR；没有输出说明是Java/jar本身的问题
+        if (result.code !== null && result.stdout.length > 0) {
+          return { renderer: 'jar', ...this.parseSyntaxOutput(result.stdout.toString('utf8'), content) };
+        }
+        if (renderer === 'jar') {
+          return { unavailable: true, error: result.error || result.stderr.trim() };
+        }
+        fallbackReason = result.error || result.stderr.trim();
+      } else if (renderer === 'jar') {
+        return { unavailable: true, error: local.reason };
+      } else {
+        fallbackReason = local.reason;
+      }
+      if (!this.canFallbackToServer()) {
+        return { unavailable: true, error: this.publicServerRefusal(fallbackReason) };
+      }
+      console.warn('本地PlantUML不可用，回退到服务器验证', { reason: fallbackReason });
+    }
+
+    const encoded = this.encodePlantUML(content);
+    const serverUrl = this.getServerUrl();
+    const checkUrl = `${serverUrl}/check/${encoded}`;
+
+    console.log('执行PlantUML语法检查', { checkUrl });
+
+    const response = await this.requestServer(checkUrl, 10000, '请求超时');
+    if (response.status !== 200) {
+      return {
+        renderer: 'server',
+        valid: false,
+        diagramType: null,
+        description: '',
+        diagnostics: [{ line: null, lineText: '', message: response.error || `HTTP ${response.status}` }],
+        fallbackReason
+      };
+    }
+    return { renderer: 'server', ...this.parseSyntaxOutput(response.data.toString('utf8'), content), fallbackReason };
+  },
+
+  // 语法检查输出：通过时为 "图类型\n描述"（如 SEQUENCE / (2 participants)），
+  // 失败时为 "ERROR\n出错位置\n错误信息..."，出错位置从0开始计数，这里换算为1开始的行号
+  parseSyntaxOutput(output, content) {
+    const lines = output.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+    if (lines[0] === 'ERROR') {
+      // PlantUML 报告的行号从 @startuml 所在行（第0行）算起，换算为源文件行号；没有 @startuml 时从第1行算起
+      const sourceLines = content.split(/\r?\n/);
+      const startIndex = Math.max(sourceLines.findIndex(text => /^\s*@start\w+/.test(text)), 0);
+      const position = parseInt(lines[1], 10);
+      const line = Number.isNaN(position) ? null : startIndex + position + 1;
+      const messages = Number.isNaN(position) ? lines.slice(1) : lines.slice(2);
+      return {
+        valid: false,
+        diagramType: null,
+        description: '',
+        diagnostics: [{
+          line,
+          lineText: line && sourceLines[line - 1] !== undefined ? sourceLines[line - 1].trim() : '',
+          message: messages.join('; ') || 'Syntax Error?'
+        }]
+      };
+    }
+
+    // 旧版服务器的 /check 只返回描述文本，出错时描述中带 Error
+    if (lines.length === 1 && /error/i.test(lines[0])) {
+      return {
+        valid: false,
+        diagramType: null,
+        description: '',
+        diagnostics: [{ line: null, lineText: '', message: lines[0] }]
+      };
+    }
+
+    const typed = /^[A-Z_]+$/.test(lines[0] || '');
+    return {
+      valid: true,
+      diagramType: typed ? lines[0] : null,
+      description: (typed ? lines.slice(1) : lines).join(' '),
+      diagnostics: []
+    };
+  },
+
+  formatDiagnostics(diagnostics) {
+    return diagnostics
+      .map(item => `${item.line ? `第${item.line}行` : '未知位置'}：${item.message}${item.lineText ? `（${item.lineText}）` : ''}`)
+      .join('\n');
+  },
+
   // 渲染PlantUML图片
-  async renderPlantUML(input, output, format) {
+  async renderPlantUML(input, output, format, renderer = 'auto', options = {}) {
     const fs = await importx('fs');
     const path = await importx('path');
 
@@ -212,65 +424,77 @@ module.exports = {
       }
 
       const content = await this.getPlantUMLContent(input);
-      const encoded = this.encodePlantUML(content);
-      const serverUrl = process.env.PLANTUML_SERVER_URL || 'http://www.plantuml.com/plantuml';
-      const renderUrl = `${serverUrl}/${format}/${encoded}`;
-
-      console.log('执行PlantUML渲染', { renderUrl });
+      const theme = options.theme || null;
+      const themeId = theme ? theme.id : '';
 
       // 确保输出目录存在
       const outputDir = path.dirname(output);
       fs.mkdirSync(outputDir, { recursive: true });
 
-      const https = require('https');
-      const http = require('http');
-      const url = require('url');
-
-      const parsedUrl = url.parse(renderUrl);
-      const client = parsedUrl.protocol === 'https:' ? https : http;
-
-      const response = await new Promise((resolve, reject) => {
-        const req = client.request(parsedUrl, (res) => {
-          if (res.statusCode === 200) {
-            const chunks = [];
-            res.on('data', chunk => chunks.push(chunk));
-            res.on('end', () => resolve({
-              status: res.statusCode,
-              data: Buffer.concat(chunks)
-            }));
-          } else {
-            let errorData = '';
-            res.on('data', chunk => errorData += chunk);
-            res.on('end', () => resolve({
-              status: res.statusCode,
-              error: errorData
-            }));
-          }
-        });
-        req.on('error', reject);
-        req.setTimeout(30000, () => reject(new Error('渲染请求超时')));
-        req.end();
-      });
+      // 源码、格式、PlantUML版本都没变时直接复制缓存
+      const cache = { dir: this.getRenderCacheDir(), hits: 0, misses: 0, stored: 0, forced: options.force === true };
+      const expected = await this.getPlantUMLVersion(renderer);
+      if (expected && !cache.forced) {
+        const cachedFile = path.join(cache.dir, `${this.getRenderCacheKey(content, format, expected.version, themeId)}.${format}`);
+        if (fs.existsSync(cachedFile)) {
+          fs.copyFileSync(cachedFile, output);
+          cache.hits++;
+          console.log('PlantUML渲染命中缓存', { output, cachedFile });
+          return {
+            success: true,
+            message: 'PlantUML渲染成功（缓存）',
+            outputPath: output,
+            format: format,
+            renderer: expected.renderer,
+            theme: theme ? theme.id : null,
+            cached: true,
+            cache,
+            exitCode: 0
+          };
+        }
+      }
+      cache.misses++;
 
-      if (response.status === 200) {
+      const rendered = await this.renderContent(this.applyTheme(content, theme), format, renderer);
+      if (rendered.unavailable) {
+        return this.localUnavailableResult(rendered.error, '渲染');
+      }
+      const fallback = rendered.fallbackReason ? { fallbackReason: rendered.fallbackReason } : {};
+
+      if (rendered.data) {
         // 写入输出文件
-        fs.writeFileSync(output, response.data);
+        fs.writeFileSync(output, rendered.data);
+
+        // 回退到服务器时按实际使用的渲染方式入缓存
+        const actual = expected && expected.renderer === rendered.renderer
+          ? expected
+          : await this.getPlantUMLVersion('server');
+        fs.mkdirSync(cache.dir, { recursive: true });
+        fs.writeFileSync(path.join(cache.dir, `${this.getRenderCacheKey(content, format, actual.version, themeId)}.${format}`), rendered.data);
+        cache.stored++;
 
-        console.log('PlantUML渲染成功', { output });
+        console.log('PlantUML渲染成功', { output, renderer: rendered.renderer });
 
         return {
           success: true,
           message: 'PlantUML渲染成功',
           outputPath: output,
           format: format,
+          renderer: rendered.renderer,
+          theme: theme ? theme.id : null,
+          ...fallback,
+          cached: false,
+          cache,
           exitCode: 0
         };
       } else {
-        console.error('PlantUML渲染失败', { status: response.status, error: response.error });
+        console.error('PlantUML渲染失败', { renderer: rendered.renderer, error: rendered.error });
         return {
           success: false,
           message: 'PlantUML渲染失败',
-          error: response.error || `HTTP ${response.status}`,
+          error: rendered.error,
+          renderer: rendered.renderer,
+          ...fallback,
           exitCode: 2
         };
       }
@@ -286,6 +510,364 @@ module.exports = {
     }
   },
 
+  // 按renderer选择渲染方式，返回 { renderer, data } 或 { renderer, error }。
+  // auto模式只在本地环境不可用（无Java、jar缺失、进程异常或超时）且配置了非公共服务器时回退；
+  // 语法错误不回退，服务器同样会失败，还会把源码发到外部
+  async renderContent(content, format, renderer) {
+    let fallbackReason = null;
+
+    if (renderer !== 'server') {
+      const local = await this.detectLocalRenderer();
+      if (local.available) {
+        console.log('执行本地PlantUML渲染', { jarPath: local.jarPath });
+        const result = await this.runPlantUMLJar(local, ['-pipe', `-t${format}`], content);
+        if (result.code === 0 && result.stdout.length > 0) {
+          return { renderer: 'jar', data: result.stdout };
+        }
+        // -pipe 遇到语法错误时仍会输出错误图片，退出码非0；没有任何输出说明是Java/jar本身的问题
+        if (result.code !== null && result.stdout.length > 0) {
+          return { renderer: 'jar', error: result.stderr.trim() || `PlantUML语法错误（退出码${result.code}）` };
+        }
+        if (renderer === 'jar') {
+          return { renderer: 'jar', unavailable: true, error: result.error || result.stderr.trim() };
+        }
+        fallbackReason = result.error || result.stderr.trim();
+      } else if (renderer === 'jar') {
+        return { renderer: 'jar', unavailable: true, error: local.reason };
+      } else {
+        fallbackReason = local.reason;
+      }
+      if (!this.canFallbackToServer()) {
+        return { renderer: 'jar', unavailable: true, error: this.publicServerRefusal(fallbackReason) };
+      }
+      console.warn('本地PlantUML不可用，回退到服务器渲染', { reason: fallbackReason });
+    }
+
+    const encoded = this.encodePlantUML(content);
+    const serverUrl = this.getServerUrl();
+    const renderUrl = `${serverUrl}/${format}/${encoded}`;
+
+    console.log('执行PlantUML渲染', { renderUrl });
+
+    const response = await this.requestServer(renderUrl, 30000, '渲染请求超时');
+    return response.status === 200
+      ? { renderer: 'server', data: response.data, fallbackReason }
+      : { renderer: 'server', error: response.error || `HTTP ${response.status}`, fallbackReason };
+  },
+
+  // PlantUML文本编码（与 luban-uml、plantuml-renderer、plantuml-jar-renderer 逐字一致）：
+  // deflate 为原始deflate压缩后按PlantUML字母表每3字节编码为4个字符（URL最短），hex 为 ~h 前缀的UTF-8十六进制
+  encodePlantUML(content, encoding = 'deflate') {
+    const data = Buffer.from(content, 'utf8');
+    if (encoding === 'hex') {
+      return `~h${data.toString('hex')}`;
+    }
+    if (encoding !== 'deflate') {
+      throw new Error(`不支持的PlantUML编码方式：${encoding}`);
+    }
+
+    const zlib = require('zlib');
+    const compressed = zlib.deflateRawSync(data, { level: 9 });
+    const chars = this.getPlantUMLAlphabet();
+    const chunks = [];
+
+    // 每3个字节编码为4个字符，末尾不足3字节按0补齐
+    for (let i = 0; i < compressed.length; i += 3) {
+      const bitmap = (compressed[i] << 16) | ((compressed[i + 1] || 0) << 8) | (compressed[i + 2] || 0);
+      chunks.push(
+        chars.charAt((bitmap >> 18) & 63) +
+        chars.charAt((bitmap >> 12) & 63) +
+        chars.charAt((bitmap >> 6) & 63) +
+        chars.charAt(bitmap & 63)
+      );
+    }
+
+    return chunks.join('');
+  },
+
+  // 解码PlantUML编码串，也接受 http://server/plantuml/png/<编码> 形式的URL
+  decodePlantUML(input) {
+    const encoded = this.extractPlantUMLEncoded(input);
+
+    if (/^~h/i.test(encoded)) {
+      const hex = encoded.slice(2);
+      if (!/^(?:[0-9a-f]{2})+$/i.test(hex)) {
+        throw new Error('无效的PlantUML编码：~h 后应为偶数位十六进制字符');
+      }
+      return { source: Buffer.from(hex, 'hex').toString('utf8'), encoding: 'hex' };
+    }
+
+    const chars = this.getPlantUMLAlphabet();
+    const bytes = Buffer.alloc(Math.floor(encoded.length * 6 / 8));
+    let length = 0;
+    let bitmap = 0;
+    let bits = 0;
+    for (const char of encoded) {
+      const value = chars.indexOf(char);
+      if (value < 0) {
+        throw new Error(`无效的PlantUML编码：包含非法字符 "${char}"`);
+      }
+      bitmap = ((bitmap << 6) | value) & 0xffff;
+      bits += 6;
+      if (bits >= 8) {
+        bits -= 8;
+        bytes[length++] = (bitmap >> bits) & 255;
+      }
+    }
+
+    // 编码时补齐的0字节位于压缩流结束之后，解压时忽略
+    const zlib = require('zlib');
+    try {
+      const data = zlib.inflateRawSync(bytes.subarray(0, length), { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      return { source: data.toString('utf8'), encoding: 'deflate' };
+    } catch (error) {
+      throw new Error(`无效的PlantUML编码：解压失败（${error.message}）`);
+    }
+  },
+
+  // 从URL中取出编码部分：/uml/、/png/、/svg/ 等路径之后的一段；不是URL时原样返回
+  extractPlantUMLEncoded(input) {
+    const text = String(input || '').trim();
+    if (!text) {
+      throw new Error('缺少要解码的PlantUML编码串或URL');
+    }
+    if (!/^https?:\/\//i.test(text)) {
+      return text;
+    }
+
+    const match = new URL(text).pathname.match(/\/(?:uml|png|svg|txt|eps|pdf|check|map|img)\/([^/]+)\/?$/);
+    if (!match) {
+      throw new Error(`URL中没有PlantUML编码：${text}`);
+    }
+    return decodeURIComponent(match[1]);
+  },
+
+  getPlantUMLAlphabet() {
+    return '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-_';
+  },
+
+  // ==================== 与 luban-uml、plantuml-renderer、plantuml-jar-renderer 逐字一致 ====================
+  // 三个工具各自独立加载运行，不能共用模块；以下方法在三处保持逐字相同（test/plantuml-tools/sync.test.js 校验），
+  // 渲染缓存目录共用，缓存键格式、主题和源文件发现规则任何一处不一致都会导致缓存错配或结果不同
+
+  getThemePresets() {
+    return {
+      // 论文图表格式要求：中文宋体、标题黑体、黑白、无阴影、直角、300DPI
+      'academic-bw': [
+        'skinparam monochrome true',
+        'skinparam shadowing false',
+        'skinparam roundCorner 0',
+        'skinparam backgroundColor white',
+        'skinparam dpi 300',
+        'skinparam defaultFontName SimSun',
+        'skinparam defaultFontSize 12',
+        'skinparam titleFontName SimHei',
+        'skinparam titleFontSize 14'
+      ]
+    };
+  },
+
+  unknownThemeError(theme) {
+    return new Error(`未知的主题：${theme}（可用预设：${Object.keys(this.getThemePresets()).join('、')}，或主题文件绝对路径）`);
+  },
+
+  // 主题文件内容转为主题：id 取内容摘要（进入缓存键，文件改动后缓存失效），@startuml/@enduml 行会被忽略
+  parseThemeFile(content) {
+    const crypto = require('crypto');
+    return {
+      id: `file:${crypto.createHash('sha256').update(content).digest('hex').slice(0, 16)}`,
+      lines: content.split(/\r?\n/).filter(line => line.trim() && !/^\s*@(start|end)\w*/.test(line))
+    };
+  },
+
+  // 主题语句插入到每个 @startuml 行之后，源码中自己的 skinparam 在其后，仍然优先生效
+  applyTheme(source, theme) {
+    if (!theme || theme.lines.length === 0) {
+      return source;
+    }
+    return source.replace(/^([ \t]*@startuml\b[^\r\n]*)(\r?\n)/gm, (match, line, eol) => `${line}${eol}${theme.lines.join(eol)}${eol}`);
+  },
+
+  // 渲染缓存文件名为 sha256(源码 + 格式 + PlantUML版本 + 主题).格式
+  getRenderCacheKey(source, format, version, theme = '') {
+    const crypto = require('crypto');
+    return crypto.createHash('sha256').update(JSON.stringify({ source, format, version, theme })).digest('hex');
+  },
+
+  // include/exclude 为相对源码目录的glob；递归扫描时不含目录的模式匹配任意层级。
+  // .iuml 是供 !include 引用的片段，不单独渲染或验证
+  getSourcePatterns(params, defaults = ['*.puml', '*.plantuml', '*.pu']) {
+    const recursive = params.recursive === true;
+    const withDepth = pattern => recursive && !pattern.includes('/') ? `**/${pattern}` : pattern;
+    const include = params.include && params.include.length > 0 ? params.include : defaults;
+
+    return {
+      include: include.map(withDepth),
+      exclude: [...(params.exclude || []), '*.iuml'].map(withDepth)
+    };
+  },
+
+  // 主题为预设名（见 getThemePresets）或主题文件绝对路径
+  async resolveTheme(theme) {
+    const presets = this.getThemePresets();
+    if (presets[theme]) {
+      return { id: theme, lines: presets[theme] };
+    }
+
+    const fs = await importx('fs');
+    const path = await importx('path');
+    if (!path.isAbsolute(theme) || !fs.existsSync(theme)) {
+      throw this.unknownThemeError(theme);
+    }
+    return this.parseThemeFile(fs.readFileSync(theme, 'utf8'));
+  },
+
+  // 渲染缓存与 plantuml-renderer、plantuml-jar-renderer 共用：同一目录，键格式见 getRenderCacheKey
+  getRenderCacheDir() {
+    const path = require('path');
+    return process.env.PLANTUML_CACHE_DIR || path.join(process.cwd(), 'cache', 'plantuml-render');
+  },
+
+  // 本地jar以jar文件摘要区分版本；服务器无法得知版本，以服务器地址代替。
+  // jar模式且本地不可用时返回 null（不查缓存，交给渲染流程报错）
+  async getPlantUMLVersion(renderer) {
+    if (renderer !== 'server') {
+      const local = await this.detectLocalRenderer();
+      if (local.available) {
+        return { renderer: 'jar', version: local.version };
+      }
+      if (renderer === 'jar' || !this.canFallbackToServer()) {
+        return null;
+      }
+    }
+    return { renderer: 'server', version: `server:${this.getServerUrl()}` };
+  },
+
+  getServerUrl() {
+    return process.env.PLANTUML_SERVER_URL || 'http://www.plantuml.com/plantuml';
+  },
+
+  // auto模式的回退目标必须是显式配置的非公共服务器；公共服务器只能通过 renderer: 'server' 主动选择
+  canFallbackToServer() {
+    return Boolean(process.env.PLANTUML_SERVER_URL) && !/^https?:\/\/(www\.)?plantuml\.com(\/|:|$)/i.test(process.env.PLANTUML_SERVER_URL);
+  },
+
+  publicServerRefusal(reason) {
+    return `本地PlantUML不可用：${reason}。auto模式不会把源码发送到公共服务器 plantuml.com，` +
+      '请安装Java和plantuml.jar，或将PLANTUML_SERVER_URL设置为自建服务器，或显式指定 renderer: server';
+  },
+
+  // GET请求PlantUML服务器，200时返回二进制数据，否则返回错误文本
+  async requestServer(requestUrl, timeout, timeoutMessage) {
+    const https = require('https');
+    const http = require('http');
+    const url = require('url');
+
+    const parsedUrl = url.parse(requestUrl);
+    const client = parsedUrl.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(parsedUrl, (res) => {
+        if (res.statusCode === 200) {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => resolve({
+            status: res.statusCode,
+            data: Buffer.concat(chunks)
+          }));
+        } else {
+          let errorData = '';
+          res.on('data', chunk => errorData += chunk);
+          res.on('end', () => resolve({
+            status: res.statusCode,
+            error: errorData
+          }));
+        }
+      });
+      req.on('error', reject);
+      req.setTimeout(timeout, () => {
+        req.destroy();
+        reject(new Error(timeoutMessage));
+      });
+      req.end();
+    });
+  },
+
+  // 查找本地jar和Java：PLANTUML_JAR > 当前目录下的 cache/luban-uml/plantuml.jar > 工具目录对应的仓库缓存。
+  // 仓库里的jar可能只是占位的空文件，大小为0视为不可用。检测结果在进程内缓存
+  async detectLocalRenderer() {
+    if (this._localRenderer) {
+      return this._localRenderer;
+    }
+
+    const fs = await importx('fs');
+    const path = await importx('path');
+    const { spawnSync } = require('child_process');
+
+    const candidates = [
+      process.env.PLANTUML_JAR,
+      path.resolve(process.cwd(), 'cache/luban-uml/plantuml.jar'),
+      typeof __dirname !== 'undefined' ? path.resolve(__dirname, '../../../cache/luban-uml/plantuml.jar') : null
+    ].filter(Boolean);
+
+    const jarPath = candidates.find(file => fs.existsSync(file) && fs.statSync(file).size > 0);
+    let local;
+    if (!jarPath) {
+      local = { available: false, reason: `未找到可用的plantuml.jar（已查找：${candidates.join('、')}）` };
+    } else {
+      const javaBin = process.env.JAVA_HOME ? path.join(process.env.JAVA_HOME, 'bin', 'java') : 'java';
+      const probe = spawnSync(javaBin, ['-version'], { timeout: 10000 });
+      local = probe.error || probe.status !== 0
+        ? { available: false, reason: `Java运行环境不可用：${probe.error ? probe.error.message : `退出码${probe.status}`}` }
+        : { available: true, jarPath, javaBin, version: `jar:${require('crypto').createHash('sha1').update(fs.readFileSync(jarPath)).digest('hex')}` };
+    }
+
+    this._localRenderer = local;
+    return local;
+  },
+
+  // 通过标准输入把源码交给本地jar，返回 { code, stdout(Buffer), stderr }；
+  // 进程无法启动或超时时 code 为 null 并附带 error
+  runPlantUMLJar(local, args, content, timeout = 60000) {
+    const { spawn } = require('child_process');
+
+    return new Promise((resolve) => {
+      const child = spawn(local.javaBin, ['-Djava.awt.headless=true', '-jar', local.jarPath, '-charset', 'UTF-8', ...args]);
+      const stdout = [];
+      let stderr = '';
+      let settled = false;
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve({ stdout: Buffer.concat(stdout), stderr, ...result });
+      };
+
+      const timer = setTimeout(() => {
+        child.kill();
+        finish({ code: null, error: `本地渲染超时（${timeout}ms）` });
+      }, timeout);
+
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => stderr += chunk);
+      child.on('error', error => finish({ code: null, error: `无法启动Java进程：${error.message}` }));
+      child.on('close', code => finish({ code }));
+      child.stdin.on('error', () => {});
+      child.stdin.end(content, 'utf8');
+    });
+  },
+
+  localUnavailableResult(reason, action) {
+    console.error(`本地PlantUML${action}不可用`, { reason });
+    return {
+      success: false,
+      message: `本地PlantUML${action}不可用`,
+      error: reason,
+      renderer: 'jar',
+      exitCode: 3
+    };
+  },
+
   getBusinessErrors() {
     return [
       {
@@ -316,6 +898,27 @@ module.exports = {
         solution: '检查PlantUML源码语法，可使用validate操作验证',
         retryable: false
       },
+      {
+        code: 'LOCAL_RENDERER_UNAVAILABLE',
+        description: '本地PlantUML渲染不可用',
+        match: /本地PlantUML.*不可用|plantuml\.jar|Java运行环境不可用/i,
+        solution: '安装Java并设置JAVA_HOME，将plantuml.jar放到cache/luban-uml或通过PLANTUML_JAR指定；也可将PLANTUML_SERVER_URL设为自建服务器，或在确认可以外发源码时使用renderer: server',
+        retryable: false
+      },
+      {
+        code: 'INVALID_PLANTUML_ENCODING',
+        description: 'PlantUML编码串或URL无法解码',
+        match: /无效的PlantUML编码|URL中没有PlantUML编码|缺少要解码的PlantUML编码串/,
+        solution: '传入完整的PlantUML服务器URL（如 http://www.plantuml.com/plantuml/png/<编码>）或其中的编码串',
+        retryable: false
+      },
+      {
+        code: 'THEME_NOT_FOUND',
+        description: '主题不存在',
+        match: /未知的主题/,
+        solution: '使用预设主题名（如academic-bw）或提供存在的主题文件绝对路径',
+        retryable: false
+      },
       {
         code: 'OUTPUT_FILE_ERROR',
         description: '输出文件写入失败',
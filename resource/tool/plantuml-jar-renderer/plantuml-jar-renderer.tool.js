@@ -10,6 +10,8 @@
  * 采用本地jar包策略而非在线服务，确保渲染的可靠性和速度。
  * 通过Bridge模式隔离Java进程调用，支持mock测试和真实渲染。
  * 直接操作项目文件系统，无需临时文件处理。
+ * 批量渲染默认使用常驻的PlantUML picoweb进程（仅监听127.0.0.1），跨调用复用，
+ * 省去每次启动JVM的开销，并按文件并发渲染、单独计时和汇报结果。
  * 
  * 为什么重要：
  * 解决了网络服务不稳定的问题，让AI能够在任何环境下创建
@@ -18,15 +20,17 @@
 
 module.exports = {
   getDependencies() {
-    return {};
+    return {
+      'glob': '^10.3.10'
+    };
   },
 
   getMetadata() {
     return {
       id: 'plantuml-jar-renderer',
       name: 'PlantUML JAR渲染器',
-      description: '使用本地jar包渲染PlantUML图表为PNG/SVG格式',
-      version: '1.0.0',
+      description: '使用本地jar包渲染PlantUML图表为PNG/SVG格式，支持递归扫描和多图表文件，批量渲染复用常驻PlantUML进程并逐文件汇报结果，未变化的图表直接复用渲染缓存',
+      version: '1.6.0',
       author: '鲁班'
     };
   },
@@ -38,8 +42,8 @@ module.exports = {
         properties: {
           action: {
             type: 'string',
-            enum: ['render_single', 'render_batch', 'list_files'],
-            description: '操作类型',
+            enum: ['render_single', 'render_batch', 'render_embedded', 'list_files', 'watch', 'watch_status', 'watch_stop', 'daemon_status', 'daemon_stop'],
+            description: '操作类型：render_embedded-渲染章节JSON的figures条目和Markdown中的plantuml代码块并回写imagePath，watch-后台监听源码目录、保存后只重新渲染变化的文件，watch_status-查看监听进程、每个文件最近一次渲染结果及最近一次错误（lastError），watch_stop-停止监听，daemon_status-查看常驻渲染进程，daemon_stop-停止常驻渲染进程',
             default: 'render_batch'
           },
           sourceDir: {
@@ -60,7 +64,61 @@ module.exports = {
           },
           singleFile: {
             type: 'string',
-            description: '单文件渲染时的源文件名（不含路径）'
+            description: '单文件渲染时的源文件路径（相对sourceDir，可含子目录）'
+          },
+          recursive: {
+            type: 'boolean',
+            description: '递归扫描子目录，输出目录按源码目录结构镜像',
+            default: false
+          },
+          include: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '包含的文件glob（相对sourceDir），默认 *.puml、*.plantuml、*.pu（render_embedded为 *.json、*.md）；递归时不含/的模式匹配任意层级'
+          },
+          exclude: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '排除的文件glob（相对sourceDir），.iuml包含片段始终不单独渲染'
+          },
+          writeBack: {
+            type: 'boolean',
+            description: 'render_embedded时把生成的imagePath写回章节JSON（figures条目及所属节点的imagePath/imageLabel）',
+            default: true
+          },
+          renderer: {
+            type: 'string',
+            enum: ['daemon', 'cli'],
+            description: '批量渲染方式：daemon-复用常驻PlantUML进程并发渲染，cli-每个文件单独以java -pipe渲染（不常驻进程，JVM启动开销按文件计）',
+            default: 'daemon'
+          },
+          concurrency: {
+            type: 'number',
+            description: '同时渲染的文件数（cli模式下即同时运行的java进程数）',
+            minimum: 1,
+            maximum: 16,
+            default: 4
+          },
+          fileTimeout: {
+            type: 'number',
+            description: '单个文件的渲染超时时间(ms)，超时只影响该文件',
+            minimum: 1000,
+            default: 60000
+          },
+          debounce: {
+            type: 'number',
+            description: 'watch模式下同一文件连续保存的合并间隔(ms)，最后一次保存后等待该时间再渲染',
+            minimum: 50,
+            default: 500
+          },
+          force: {
+            type: 'boolean',
+            description: '忽略渲染缓存强制重新渲染（结果仍会写入缓存）',
+            default: false
+          },
+          theme: {
+            type: 'string',
+            description: '渲染主题：预设名（academic-bw-论文黑白样式）或主题文件绝对路径，渲染时注入（命令行模式通过-config），不修改源文件'
           }
         },
         required: ['action']
@@ -76,6 +134,10 @@ module.exports = {
           JAVA_HOME: {
             type: 'string',
             description: 'Java安装路径（可选）'
+          },
+          PLANTUML_CACHE_DIR: {
+            type: 'string',
+            description: '渲染缓存目录，默认 <PROJECT_ROOT>/cache/plantuml-render，与luban-uml、plantuml-renderer共用'
           }
         }
       }
@@ -119,32 +181,98 @@ module.exports = {
         }
       },
       
+      // 单个图表经 -pipe 渲染：源码从stdin传入、图片从stdout读出，超时只终止这一个java进程；
+      // 结果格式与 daemon:render 一致，失败时不抛异常
+      'java:pipe': {
+        real: async (args, api) => {
+          const { spawn } = await api.importx('child_process');
+          const flags = ['-Djava.awt.headless=true', '-jar', args.jarPath, '-charset', 'UTF-8', '-pipe', `-t${args.format}`];
+          if (args.configPath) {
+            flags.push('-config', args.configPath);
+          }
+          
+          return await new Promise(resolve => {
+            const child = spawn(args.javaBin, flags);
+            const stdout = [];
+            let stderr = '';
+            let settled = false;
+            const finish = result => {
+              if (!settled) {
+                settled = true;
+                clearTimeout(timer);
+                resolve(result);
+              }
+            };
+            const timer = setTimeout(() => {
+              child.kill();
+              finish({ success: false, error: `渲染超时: ${args.timeout}ms`, timeout: true });
+            }, args.timeout);
+            
+            child.stdout.on('data', chunk => stdout.push(chunk));
+            child.stderr.on('data', chunk => stderr += chunk);
+            child.on('error', error => finish({ success: false, error: `无法启动Java进程: ${error.message}` }));
+            child.on('close', code => {
+              const data = Buffer.concat(stdout);
+              if (code === 0 && data.length > 0) {
+                finish({ success: true, data });
+                return;
+              }
+              // 语法错误时 -pipe 仍输出错误图片，退出码非0，stderr 中带有出错行号
+              const line = stderr.match(/^ERROR\s*\r?\n\s*(\d+)|line\s+(\d+)/im);
+              finish({
+                success: false,
+                error: stderr.trim() || `java退出码${code}`,
+                line: line ? parseInt(line[1] || line[2], 10) : null
+              });
+            });
+            child.stdin.on('error', () => {});
+            child.stdin.end(args.source, 'utf8');
+          });
+        },
+        mock: async (args, api) => {
+          api.logger.debug(`[Mock] 模拟java -pipe渲染: ${args.filename}`);
+          return { success: true, data: Buffer.from('mock-image') };
+        }
+      },
+      
       'fs:scan': {
         real: async (args, api) => {
           const fs = await api.importx('fs');
-          const path = await api.importx('path');
+          const glob = await api.importx('glob');
           
-          try {
-            const files = await fs.promises.readdir(args.dir);
-            const pumlFiles = files.filter(file => file.endsWith('.puml'));
-            api.logger.info(`[Bridge] 发现${pumlFiles.length}个PlantUML文件`);
-            return pumlFiles;
-          } catch (error) {
-            if (error.code === 'ENOENT') {
-              api.logger.warn(`[Bridge] 目录不存在: ${args.dir}`);
-              return [];
-            }
-            throw error;
+          if (!fs.existsSync(args.dir)) {
+            api.logger.warn(`[Bridge] 目录不存在: ${args.dir}`);
+            return [];
           }
+          
+          // 返回相对 dir 的路径，统一使用 / 分隔
+          const files = await glob.glob(args.include, {
+            cwd: args.dir,
+            ignore: args.exclude,
+            nodir: true,
+            posix: true
+          });
+          api.logger.info(`[Bridge] 发现${files.length}个PlantUML文件`);
+          return files.sort();
         },
         mock: async (args, api) => {
           api.logger.debug(`[Mock] 模拟扫描目录: ${args.dir}`);
-          return [
+          const files = [
             'activity-user-auth.puml',
             'sequence-user-auth.puml',
             'usecase-user.puml',
             'er-overview.puml'
           ];
+          // 不含通配符的模式（render_embedded 暂存的文件）原样返回
+          if (args.include.every(pattern => !/[*?[{]/.test(pattern))) {
+            return args.include;
+          }
+          if (args.include.some(pattern => /\.(json|md)$/.test(pattern))) {
+            return ['chapter.3.json'];
+          }
+          return args.include.some(pattern => pattern.startsWith('**/'))
+            ? [...files, 'chapter3/usecase/usecase-order.puml']
+            : files;
         }
       },
       
@@ -161,6 +289,378 @@ module.exports = {
         mock: async (args, api) => {
           return true;
         }
+      },
+      
+      // jar文件摘要作为PlantUML版本参与缓存键，换jar后旧缓存自然失效
+      'jar:version': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const crypto = await api.importx('crypto');
+          const data = await fs.promises.readFile(args.jarPath);
+          return `jar:${crypto.createHash('sha1').update(data).digest('hex')}`;
+        },
+        mock: async (args, api) => {
+          return 'jar:mock';
+        }
+      },
+      
+      // 共享渲染缓存：文件名为 <键>.<格式>，未命中返回 null
+      'cache:get': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const path = await api.importx('path');
+          const file = path.join(args.dir, `${args.key}.${args.format}`);
+          return fs.existsSync(file) ? await fs.promises.readFile(file) : null;
+        },
+        mock: async (args, api) => {
+          return null;
+        }
+      },
+      
+      // 写入 data，或复制命令行渲染出的 file；file 不存在（该文件渲染失败）时不写入
+      'cache:put': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const path = await api.importx('path');
+          if (args.file && !fs.existsSync(args.file)) {
+            return { success: false };
+          }
+          await fs.promises.mkdir(args.dir, { recursive: true });
+          const target = path.join(args.dir, `${args.key}.${args.format}`);
+          if (args.file) {
+            await fs.promises.copyFile(args.file, target);
+          } else {
+            await fs.promises.writeFile(target, args.data);
+          }
+          return { success: true };
+        },
+        mock: async (args, api) => {
+          api.logger.debug(`[Mock] 写入渲染缓存: ${args.key}`);
+          return { success: true };
+        }
+      },
+      
+      'fs:read': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          return await fs.promises.readFile(args.path, 'utf8');
+        },
+        mock: async (args, api) => {
+          return `@startuml\nactor User\nUser -> System : Mock Request\n@enduml`;
+        }
+      },
+      
+      'fs:readJson': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          return JSON.parse(await fs.promises.readFile(args.path, 'utf8'));
+        },
+        mock: async (args, api) => {
+          return {
+            id: '3',
+            title: '系统概要设计',
+            figures: [
+              { figureTitle: '系统架构图', umlCode: '@startuml\n[Web] --> [API]\n[API] --> [DB]\n@enduml' }
+            ]
+          };
+        }
+      },
+      
+      'fs:write': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const path = await api.importx('path');
+          
+          // 确保输出目录存在
+          await fs.promises.mkdir(path.dirname(args.path), { recursive: true });
+          await fs.promises.writeFile(args.path, args.data);
+          return { success: true, path: args.path };
+        },
+        mock: async (args, api) => {
+          api.logger.debug(`[Mock] 保存文件: ${args.path}`);
+          return { success: true, path: args.path };
+        }
+      },
+      
+      // 常驻进程状态记录在 stateFile 中（pid、端口、jar路径），进程存活且端口可访问才视为可用
+      // 进程的完整命令行，进程不存在或无法读取（如没有 /proc 和 ps 的系统）时返回 null
+      'process:command': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const { execFileSync } = await api.importx('child_process');
+          
+          try {
+            process.kill(args.pid, 0);
+          } catch {
+            return null;
+          }
+          try {
+            const procFile = `/proc/${args.pid}/cmdline`;
+            return fs.existsSync(procFile)
+              ? fs.readFileSync(procFile, 'utf8').replace(/\0/g, ' ').trim()
+              : execFileSync('ps', ['-p', String(args.pid), '-o', 'command='], { encoding: 'utf8' }).trim();
+          } catch {
+            return null;
+          }
+        },
+        mock: async (args, api) => {
+          return null;
+        }
+      },
+      
+      // 状态文件中的pid在重启或崩溃后可能已被其他进程复用：只有命令行是本jar在记录端口上的 picoweb 时
+      // owned 才为 true（调用方只在此时终止进程），端口可访问时 running 为 true
+      'daemon:status': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const http = await api.importx('http');
+          
+          if (!fs.existsSync(args.stateFile)) {
+            return { running: false };
+          }
+          const state = JSON.parse(await fs.promises.readFile(args.stateFile, 'utf8'));
+          const command = await api.bridge.execute('process:command', { pid: state.pid });
+          if (!command || !command.includes(`-picoweb:${state.port}`) || !command.includes(state.jarPath)) {
+            return { running: false, stale: true, state };
+          }
+          
+          const reachable = await new Promise(resolve => {
+            const req = http.get({ host: '127.0.0.1', port: state.port, path: '/', timeout: 2000 }, res => {
+              res.resume();
+              resolve(true);
+            });
+            req.on('timeout', () => req.destroy());
+            req.on('error', () => resolve(false));
+          });
+          return { running: reachable, stale: !reachable, owned: true, state };
+        },
+        mock: async (args, api) => {
+          return { running: false };
+        }
+      },
+      
+      'daemon:start': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const path = await api.importx('path');
+          const net = await api.importx('net');
+          const http = await api.importx('http');
+          const { spawn } = await api.importx('child_process');
+          
+          // 先向系统要一个空闲端口，再交给 picoweb 监听
+          const port = await new Promise((resolve, reject) => {
+            const server = net.createServer();
+            server.on('error', reject);
+            server.listen(0, '127.0.0.1', () => {
+              const { port } = server.address();
+              server.close(() => resolve(port));
+            });
+          });
+          
+          api.logger.info(`[Bridge] 启动PlantUML常驻进程，端口${port}`);
+          const child = spawn(args.javaBin, ['-Djava.awt.headless=true', '-jar', args.jarPath, `-picoweb:${port}:127.0.0.1`], {
+            detached: true,
+            stdio: 'ignore'
+          });
+          let exited = null;
+          child.on('exit', code => { exited = code; });
+          child.on('error', error => { exited = error.message; });
+          
+          const deadline = Date.now() + (args.startTimeout || 30000);
+          while (Date.now() < deadline) {
+            if (exited !== null) {
+              throw new Error(`PlantUML常驻进程启动失败: ${exited}`);
+            }
+            const ready = await new Promise(resolve => {
+              const req = http.get({ host: '127.0.0.1', port, path: '/', timeout: 1000 }, res => {
+                res.resume();
+                resolve(true);
+              });
+              req.on('timeout', () => req.destroy());
+              req.on('error', () => resolve(false));
+            });
+            if (ready) {
+              // 渲染工具退出后进程继续运行，供后续调用复用
+              child.unref();
+              const state = { pid: child.pid, port, jarPath: args.jarPath, startedAt: new Date().toISOString() };
+              await fs.promises.mkdir(path.dirname(args.stateFile), { recursive: true });
+              await fs.promises.writeFile(args.stateFile, JSON.stringify(state, null, 2));
+              api.logger.info(`[Bridge] PlantUML常驻进程已就绪: pid ${child.pid}`);
+              return state;
+            }
+            await new Promise(resolve => setTimeout(resolve, 300));
+          }
+          
+          child.kill();
+          throw new Error(`PlantUML常驻进程启动超时: ${args.startTimeout || 30000}ms`);
+        },
+        mock: async (args, api) => {
+          api.logger.debug('[Mock] 模拟启动PlantUML常驻进程');
+          return { pid: 0, port: 0, jarPath: args.jarPath, startedAt: new Date().toISOString() };
+        }
+      },
+      
+      'daemon:stop': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          if (!fs.existsSync(args.stateFile)) {
+            return { stopped: false };
+          }
+          const state = JSON.parse(await fs.promises.readFile(args.stateFile, 'utf8'));
+          let stopped = false;
+          // 只有调用方先经 daemon:status 确认进程仍是本常驻进程（owned，传 kill: true）才终止；
+          // 状态已失效时pid可能被其他进程复用，只清理状态文件
+          if (args.kill === true) {
+            try {
+              process.kill(state.pid);
+              stopped = true;
+            } catch (error) {
+              api.logger.warn(`[Bridge] 常驻进程已不存在: pid ${state.pid}`);
+            }
+          }
+          await fs.promises.unlink(args.stateFile);
+          return { stopped, state };
+        },
+        mock: async (args, api) => {
+          return { stopped: false };
+        }
+      },
+      
+      // 监听进程状态记录在 stateFile 中（pid、监听目录、每个文件最近一次渲染结果），由监听进程自己维护；
+      // 与 daemon:status 相同，只有pid的命令行仍是监听本状态文件的 runWatcher 时才视为运行中（owned）
+      'watch:status': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          
+          if (!fs.existsSync(args.stateFile)) {
+            return { running: false };
+          }
+          const state = JSON.parse(await fs.promises.readFile(args.stateFile, 'utf8'));
+          const command = await api.bridge.execute('process:command', { pid: state.pid });
+          if (!command || !command.includes('runWatcher') || !command.includes(args.stateFile)) {
+            return { running: false, stale: true, state };
+          }
+          return { running: true, owned: true, state };
+        },
+        mock: async (args, api) => {
+          return { running: false };
+        }
+      },
+      
+      // 以独立的node进程运行本工具的 runWatcher，输出追加到 logFile；监听进程写出状态文件即视为就绪
+      'watch:start': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const path = await api.importx('path');
+          const { spawn } = await api.importx('child_process');
+          
+          await fs.promises.mkdir(path.dirname(args.stateFile), { recursive: true });
+          if (fs.existsSync(args.stateFile)) {
+            await fs.promises.unlink(args.stateFile);
+          }
+          
+          const log = fs.openSync(args.logFile, 'a');
+          const child = spawn(process.execPath, [
+            '-e',
+            `require(${JSON.stringify(args.toolFile)}).runWatcher(JSON.parse(process.argv[1]))`,
+            JSON.stringify(args.config)
+          ], {
+            detached: true,
+            stdio: ['ignore', log, log]
+          });
+          fs.closeSync(log);
+          let exited = null;
+          child.on('exit', code => { exited = code; });
+          child.on('error', error => { exited = error.message; });
+          
+          const deadline = Date.now() + 10000;
+          while (Date.now() < deadline) {
+            if (exited !== null) {
+              throw new Error(`PlantUML监听进程启动失败: ${exited}，详见 ${args.logFile}`);
+            }
+            if (fs.existsSync(args.stateFile)) {
+              child.unref();
+              api.logger.info(`[Bridge] PlantUML监听进程已就绪: pid ${child.pid}`);
+              return JSON.parse(await fs.promises.readFile(args.stateFile, 'utf8'));
+            }
+            await new Promise(resolve => setTimeout(resolve, 200));
+          }
+          
+          child.kill();
+          throw new Error('PlantUML监听进程启动超时: 10000ms');
+        },
+        mock: async (args, api) => {
+          api.logger.debug('[Mock] 模拟启动PlantUML监听进程');
+          return { pid: 0, sourceDir: args.config.sourceDir, startedAt: new Date().toISOString(), files: {} };
+        }
+      },
+      
+      'watch:stop': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          if (!fs.existsSync(args.stateFile)) {
+            return { stopped: false };
+          }
+          const state = JSON.parse(await fs.promises.readFile(args.stateFile, 'utf8'));
+          let stopped = false;
+          // 只有调用方先经 watch:status 确认进程仍是本监听进程（owned，传 kill: true）才终止；
+          // 状态已失效时pid可能被其他进程复用，只清理状态文件
+          if (args.kill === true) {
+            try {
+              process.kill(state.pid);
+              stopped = true;
+            } catch (error) {
+              api.logger.warn(`[Bridge] 监听进程已不存在: pid ${state.pid}`);
+            }
+          }
+          await fs.promises.unlink(args.stateFile);
+          return { stopped, state };
+        },
+        mock: async (args, api) => {
+          return { stopped: false };
+        }
+      },
+      
+      // picoweb 与 PlantUML 服务器接口相同：GET /plantuml/<格式>/<编码后的源码>，
+      // 语法错误时通过 X-PlantUML-Diagram-Error 响应头返回错误信息和行号
+      'daemon:render': {
+        real: async (args, api) => {
+          const http = await api.importx('http');
+          
+          return await new Promise(resolve => {
+            const req = http.get({
+              host: '127.0.0.1',
+              port: args.port,
+              path: `/plantuml/${args.format}/${args.encoded}`,
+              timeout: args.timeout
+            }, res => {
+              const chunks = [];
+              res.on('data', chunk => chunks.push(chunk));
+              res.on('end', () => {
+                const diagramError = res.headers['x-plantuml-diagram-error'];
+                if (res.statusCode === 200 && !diagramError) {
+                  resolve({ success: true, data: Buffer.concat(chunks) });
+                } else {
+                  const line = parseInt(res.headers['x-plantuml-diagram-error-line'], 10);
+                  resolve({
+                    success: false,
+                    error: diagramError || `HTTP ${res.statusCode}`,
+                    line: Number.isNaN(line) ? null : line
+                  });
+                }
+              });
+            });
+            req.on('timeout', () => {
+              req.destroy();
+              resolve({ success: false, error: `渲染超时: ${args.timeout}ms`, timeout: true });
+            });
+            req.on('error', error => resolve({ success: false, error: error.message }));
+          });
+        },
+        mock: async (args, api) => {
+          api.logger.debug(`[Mock] 模拟常驻进程渲染: ${args.filename}`);
+          return { success: true, data: Buffer.from('mock-image') };
+        }
       }
     };
   },
@@ -186,17 +686,51 @@ module.exports = {
       // 构建路径
       const sourceDir = `${projectRoot}/${params.sourceDir}`;
       const outputDir = `${projectRoot}/${params.outputDir}`;
+      const daemon = {
+        stateFile: `${projectRoot}/cache/plantuml-jar-renderer/daemon.json`,
+        jarPath,
+        javaBin: await this.getJavaBin(api)
+      };
       
       switch (params.action) {
         case 'list_files':
-          return await this.listFiles(sourceDir, api);
+          return await this.listFiles(params, sourceDir, api);
+          
+        case 'render_embedded': {
+          const { cache, theme } = await this.prepareRender(params, projectRoot, jarPath, api);
+          return await this.renderEmbedded(params, sourceDir, outputDir, projectRoot, daemon, api, cache, theme);
+        }
+          
+        case 'render_single': {
+          const { cache, theme } = await this.prepareRender(params, projectRoot, jarPath, api);
+          return await this.renderSingle(params, sourceDir, outputDir, jarPath, api, cache, theme);
+        }
+          
+        case 'watch': {
+          const { cache, theme } = await this.prepareRender(params, projectRoot, jarPath, api);
+          return await this.startWatch(params, sourceDir, outputDir, projectRoot, daemon, api, cache, theme);
+        }
+          
+        case 'watch_status':
+          return { success: true, action: 'watch_status', ...(await api.bridge.execute('watch:status', this.getWatchFiles(projectRoot))) };
+          
+        case 'watch_stop':
+          return { success: true, action: 'watch_stop', ...(await this.stopWatch(this.getWatchFiles(projectRoot), api)) };
           
-        case 'render_single':
-          return await this.renderSingle(params, sourceDir, outputDir, jarPath, api);
+        case 'daemon_status':
+          return { success: true, action: 'daemon_status', ...(await api.bridge.execute('daemon:status', daemon)) };
+          
+        case 'daemon_stop':
+          return { success: true, action: 'daemon_stop', ...(await this.stopDaemon(daemon, api)) };
           
         case 'render_batch':
-        default:
-          return await this.renderBatch(params, sourceDir, outputDir, jarPath, api);
+        default: {
+          const { cache, theme } = await this.prepareRender(params, projectRoot, jarPath, api);
+          if ((params.renderer || 'daemon') === 'daemon') {
+            return await this.renderBatchWithDaemon(params, sourceDir, outputDir, daemon, api, cache, theme);
+          }
+          return await this.renderBatch(params, sourceDir, outputDir, jarPath, api, cache, theme);
+        }
       }
     } catch (error) {
       api.logger.error('PlantUML JAR渲染失败', error);
@@ -204,8 +738,22 @@ module.exports = {
     }
   },
   
-  async listFiles(sourceDir, api) {
-    const files = await api.bridge.execute('fs:scan', { dir: sourceDir });
+  // 渲染类操作才需要缓存（jar版本参与缓存键，需要启动一次java）和主题（可能写出主题配置文件）
+  async prepareRender(params, projectRoot, jarPath, api) {
+    const cache = {
+      dir: await api.environment.get('PLANTUML_CACHE_DIR') || `${projectRoot}/cache/plantuml-render`,
+      version: await api.bridge.execute('jar:version', { jarPath }),
+      hits: 0,
+      misses: 0,
+      stored: 0,
+      forced: params.force === true
+    };
+    const theme = params.theme ? await this.resolveTheme(params.theme, projectRoot, api) : null;
+    return { cache, theme };
+  },
+  
+  async listFiles(params, sourceDir, api) {
+    const files = await api.bridge.execute('fs:scan', { dir: sourceDir, ...this.getSourcePatterns(params) });
     
     api.logger.info(`发现${files.length}个PlantUML文件`);
     
@@ -213,22 +761,43 @@ module.exports = {
       success: true,
       action: 'list_files',
       sourceDir: sourceDir,
+      recursive: params.recursive === true,
       files: files,
       total: files.length
     };
   },
   
-  async renderSingle(params, sourceDir, outputDir, jarPath, api) {
+  async renderSingle(params, sourceDir, outputDir, jarPath, api, cache, theme) {
     if (!params.singleFile) {
       throw new Error('单文件渲染需要指定singleFile参数');
     }
     
     const path = await api.importx('path');
-    const sourcePath = path.join(sourceDir, params.singleFile);
+    const prepared = await this.prepareSourceFile(params.singleFile, sourceDir, outputDir, params.format, cache, theme, api);
+    const outputs = prepared.diagrams.map(diagram => diagram.output);
+    
+    // 源码、包含文件和jar都没变时直接复制缓存
+    if (await this.writeCachedOutputs(prepared, params.format, cache, api)) {
+      api.logger.info(`命中渲染缓存: ${params.singleFile}`);
+      return {
+        success: true,
+        action: 'render_single',
+        file: {
+          source: params.singleFile,
+          output: outputs[0],
+          outputs,
+          format: params.format,
+          cached: true
+        },
+        theme: theme ? theme.id : null,
+        cache
+      };
+    }
     
-    // 构建Java命令
+    // 构建Java命令，输出到与源文件相对目录一致的位置
     const formatFlag = `-t${params.format}`;
-    const command = `java -jar "${jarPath}" ${formatFlag} -o "${outputDir}" "${sourcePath}"`;
+    const targetDir = path.join(outputDir, path.dirname(params.singleFile));
+    const command = `java -jar "${jarPath}" ${formatFlag}${this.themeFlag(theme)} -o "${targetDir}" "${prepared.sourcePath}"`;
     
     api.logger.info(`开始渲染单文件: ${params.singleFile}`);
     
@@ -242,31 +811,38 @@ module.exports = {
       throw new Error(`渲染失败: ${result.stderr || '未知错误'}`);
     }
     
-    // 生成输出文件名
-    const baseName = path.basename(params.singleFile, '.puml');
-    const outputFile = `${baseName}.${params.format}`;
-    
-    api.logger.info(`单文件渲染完成: ${outputFile}`);
+    for (const diagram of prepared.diagrams) {
+      await this.storeRenderCache(diagram.key, params.format, { file: diagram.outputPath }, cache, api);
+    }
+    api.logger.info(`单文件渲染完成: ${outputs.join(', ')}`);
     
     return {
       success: true,
       action: 'render_single',
       file: {
         source: params.singleFile,
-        output: outputFile,
-        format: params.format
+        output: outputs[0],
+        outputs,
+        format: params.format,
+        cached: false
       },
+      theme: theme ? theme.id : null,
+      cache,
       command: command,
       stdout: result.stdout,
       stderr: result.stderr
     };
   },
   
-  async renderBatch(params, sourceDir, outputDir, jarPath, api) {
-    const path = await api.importx('path');
+  // 命令行渲染：每个文件（多图表文件逐块）单独启动 java -pipe，各自计时、超时和汇报结果，
+  // 一个文件失败不影响其他文件
+  async renderBatch(params, sourceDir, outputDir, jarPath, api, cache, theme) {
+    const format = params.format || 'png';
+    const concurrency = Math.min(Math.max(parseInt(params.concurrency) || 4, 1), 16);
+    const fileTimeout = parseInt(params.fileTimeout) || 60000;
     
-    // 扫描源码文件
-    const files = await api.bridge.execute('fs:scan', { dir: sourceDir });
+    // 扫描源码文件（相对sourceDir的路径，递归时包含子目录）
+    const files = await api.bridge.execute('fs:scan', { dir: sourceDir, ...this.getSourcePatterns(params) });
     
     if (files.length === 0) {
       return {
@@ -279,60 +855,981 @@ module.exports = {
       };
     }
     
-    api.logger.info(`开始批量渲染${files.length}个文件`);
+    const java = { jarPath, javaBin: await this.getJavaBin(api) };
+    api.logger.info(`开始批量渲染${files.length}个文件（java -pipe，并发${concurrency}）`);
+    const startedAt = Date.now();
     
-    // 构建批量渲染命令
-    const formatFlag = `-t${params.format}`;
-    const sourcePattern = path.join(sourceDir, '*.puml');
-    const command = `java -jar "${jarPath}" ${formatFlag} -o "${outputDir}" "${sourcePattern}"`;
+    const results = await this.runPool(files, concurrency, file =>
+      this.renderFileWithCli(file, sourceDir, outputDir, java, { format, fileTimeout }, api, cache, theme));
     
-    api.logger.info(`执行批量渲染命令: ${command}`);
+    const successCount = results.filter(r => r.status === 'success').length;
+    const failedCount = results.length - successCount;
+    api.logger.info(`批量渲染完成: 成功${successCount}个，失败${failedCount}个`);
     
-    // 执行批量渲染
-    const result = await api.bridge.execute('java:execute', {
-      command: command,
-      workingDir: path.dirname(sourceDir)
-    });
+    return {
+      success: true,
+      action: 'render_batch',
+      renderer: 'cli',
+      sourceDir: sourceDir,
+      outputDir: outputDir,
+      format,
+      total: files.length,
+      processed: results.length,
+      successCount,
+      failedCount,
+      theme: theme ? theme.id : null,
+      cache,
+      durationMs: Date.now() - startedAt,
+      results,
+      summary: {
+        allFiles: files,
+        successFiles: results.filter(r => r.status === 'success').flatMap(r => r.outputs),
+        failedFiles: results.filter(r => r.status !== 'success').map(r => r.source)
+      }
+    };
+  },
+  
+  async renderBatchWithDaemon(params, sourceDir, outputDir, daemon, api, cache, theme) {
+    const format = params.format || 'png';
+    const concurrency = Math.min(Math.max(parseInt(params.concurrency) || 4, 1), 16);
+    const fileTimeout = parseInt(params.fileTimeout) || 60000;
     
-    if (!result.success) {
-      throw new Error(`批量渲染失败: ${result.stderr || '未知错误'}`);
+    const files = await api.bridge.execute('fs:scan', { dir: sourceDir, ...this.getSourcePatterns(params) });
+    
+    if (files.length === 0) {
+      return {
+        success: true,
+        action: 'render_batch',
+        message: '没有找到PlantUML文件',
+        sourceDir: sourceDir,
+        processed: 0,
+        results: []
+      };
+    }
+    
+    // 常驻进程不可用时退回逐文件的 java -pipe 渲染，并在结果中说明原因
+    let worker;
+    try {
+      worker = await this.ensureDaemon(daemon, api);
+    } catch (error) {
+      api.logger.warn('PlantUML常驻进程不可用，改用java命令批量渲染', { error: error.message });
+      const fallback = await this.renderBatch(params, sourceDir, outputDir, daemon.jarPath, api, cache, theme);
+      return { ...fallback, daemonError: error.message };
     }
     
-    // 分析渲染结果
-    const processedFiles = files.map(file => {
-      const baseName = path.basename(file, '.puml');
+    api.logger.info(`开始批量渲染${files.length}个文件（常驻进程 pid ${worker.state.pid}，并发${concurrency}）`);
+    const startedAt = Date.now();
+    
+    const results = await this.runPool(files, concurrency, file =>
+      this.renderFileWithDaemon(file, sourceDir, outputDir, worker, { format, fileTimeout }, api, cache, theme));
+    
+    const successCount = results.filter(r => r.status === 'success').length;
+    const failedCount = results.length - successCount;
+    api.logger.info(`批量渲染完成: 成功${successCount}个，失败${failedCount}个`);
+    
+    return {
+      success: true,
+      action: 'render_batch',
+      renderer: 'daemon',
+      daemon: { pid: worker.state.pid, port: worker.state.port, reused: worker.reused },
+      sourceDir: sourceDir,
+      outputDir: outputDir,
+      format,
+      total: files.length,
+      processed: results.length,
+      successCount,
+      failedCount,
+      theme: theme ? theme.id : null,
+      cache,
+      durationMs: Date.now() - startedAt,
+      results,
+      summary: {
+        allFiles: files,
+        successFiles: results.filter(r => r.status === 'success').flatMap(r => r.outputs),
+        failedFiles: results.filter(r => r.status !== 'success').map(r => r.source)
+      }
+    };
+  },
+  
+  // 通过常驻进程渲染一个源文件（批量渲染和 watch 共用）
+  async renderFileWithDaemon(file, sourceDir, outputDir, worker, options, api, cache, theme) {
+    return await this.renderFile(file, sourceDir, outputDir, options.format, api, cache, theme, diagram =>
+      api.bridge.execute('daemon:render', {
+        port: worker.state.port,
+        format: options.format,
+        encoded: this.encodePlantUML(this.applyTheme(diagram.source, theme)),
+        filename: file,
+        timeout: options.fileTimeout
+      }));
+  },
+  
+  // 通过 java -pipe 渲染一个源文件（常驻进程不可用或 renderer 为 cli 时的批量渲染）
+  async renderFileWithCli(file, sourceDir, outputDir, java, options, api, cache, theme) {
+    return await this.renderFile(file, sourceDir, outputDir, options.format, api, cache, theme, diagram =>
+      api.bridge.execute('java:pipe', {
+        ...java,
+        format: options.format,
+        configPath: theme ? theme.configPath : null,
+        source: diagram.source,
+        filename: file,
+        timeout: options.fileTimeout
+      }));
+  },
+  
+  // 渲染一个源文件：多图表文件逐块交给 renderDiagram，命中缓存的图表直接写出；任一图表失败即返回该文件的失败结果
+  async renderFile(file, sourceDir, outputDir, format, api, cache, theme, renderDiagram) {
+    const fileStart = Date.now();
+    
+    try {
+      const prepared = await this.prepareSourceFile(file, sourceDir, outputDir, format, cache, theme, api);
+      const outputs = prepared.diagrams.map(diagram => diagram.output);
+      let cached = true;
+      
+      for (let i = 0; i < prepared.diagrams.length; i++) {
+        const diagram = prepared.diagrams[i];
+        const hit = await this.readRenderCache(diagram.key, format, cache, api);
+        if (hit) {
+          await api.bridge.execute('fs:write', { path: diagram.outputPath, data: hit });
+          continue;
+        }
+        cached = false;
+        
+        const rendered = await renderDiagram(diagram);
+        
+        if (!rendered.success) {
+          const error = prepared.diagrams.length > 1 ? `第${i + 1}个图表: ${rendered.error}` : rendered.error;
+          api.logger.error(`渲染失败: ${file}`, { error, line: rendered.line });
+          return {
+            source: file,
+            status: rendered.timeout ? 'timeout' : 'failed',
+            error,
+            ...(rendered.line ? { line: rendered.line } : {}),
+            durationMs: Date.now() - fileStart
+          };
+        }
+        
+        await api.bridge.execute('fs:write', { path: diagram.outputPath, data: rendered.data });
+        await this.storeRenderCache(diagram.key, format, { data: rendered.data }, cache, api);
+      }
+      
+      api.logger.info(`渲染成功: ${file} -> ${outputs.join(', ')}`);
       return {
         source: file,
-        output: `${baseName}.${params.format}`,
+        output: outputs[0],
+        outputs,
+        path: prepared.diagrams[0].outputPath,
         status: 'success',
-        format: params.format
+        format,
+        cached,
+        durationMs: Date.now() - fileStart
+      };
+    } catch (error) {
+      api.logger.error(`渲染失败: ${file}`, error);
+      return { source: file, status: 'failed', error: error.message, durationMs: Date.now() - fileStart };
+    }
+  },
+  
+  // 启动后台监听：同一目录、输出和格式的监听进程已在运行时直接复用，否则先停掉旧的
+  async startWatch(params, sourceDir, outputDir, projectRoot, daemon, api, cache, theme) {
+    const format = params.format || 'png';
+    const files = this.getWatchFiles(projectRoot);
+    const patterns = this.getSourcePatterns(params);
+    
+    // 监听进程通过 require(工具文件) 启动，工具不是从文件加载时（如运行时以源码字符串执行）无法使用 watch
+    const toolFile = typeof __filename !== 'undefined' ? __filename : null;
+    if (!toolFile || !(await api.bridge.execute('fs:exists', { path: toolFile }))) {
+      throw new Error('当前运行环境无法定位工具文件，watch 模式不可用，请改用 render_batch');
+    }
+    
+    const status = await api.bridge.execute('watch:status', files);
+    if (status.running && status.state.sourceDir === sourceDir && status.state.outputDir === outputDir &&
+        status.state.format === format && status.state.theme === (theme ? theme.id : null) &&
+        JSON.stringify(status.state.patterns) === JSON.stringify(patterns)) {
+      api.logger.info(`复用PlantUML监听进程: pid ${status.state.pid}`);
+      return { success: true, action: 'watch', reused: true, ...files, state: status.state };
+    }
+    if (status.state) {
+      await api.bridge.execute('watch:stop', { ...files, kill: status.owned === true });
+    }
+    
+    const state = await api.bridge.execute('watch:start', {
+      ...files,
+      toolFile,
+      config: {
+        stateFile: files.stateFile,
+        sourceDir,
+        outputDir,
+        format,
+        recursive: params.recursive === true,
+        patterns,
+        debounce: Math.max(parseInt(params.debounce) || 500, 50),
+        fileTimeout: parseInt(params.fileTimeout) || 60000,
+        projectRoot,
+        daemon,
+        cache: { dir: cache.dir, version: cache.version },
+        theme
+      }
+    });
+    
+    api.logger.info(`开始监听PlantUML源码目录: ${sourceDir}`);
+    return { success: true, action: 'watch', reused: false, ...files, state };
+  },
+  
+  // 停止监听：pid 已退出或被其他进程复用时只清理状态文件
+  async stopWatch(files, api) {
+    const status = await api.bridge.execute('watch:status', files);
+    return await api.bridge.execute('watch:stop', { ...files, kill: status.owned === true });
+  },
+  
+  getWatchFiles(projectRoot) {
+    return {
+      stateFile: `${projectRoot}/cache/plantuml-jar-renderer/watch.json`,
+      logFile: `${projectRoot}/cache/plantuml-jar-renderer/watch.log`
+    };
+  },
+  
+  // 监听进程入口（由 watch:start 以独立进程调用）：源码保存后按文件去抖，串行渲染变化的文件，
+  // .iuml 变化时重新渲染引用它的源文件；每个文件最近一次的渲染结果写入状态文件。
+  // 注意：该进程是 `node -e require(工具文件)` 启动的普通node进程，运行在工具沙箱之外：
+  // api 为下面手工构造的最小实现，只能使用Node内置模块（无法加载 glob 等依赖，文件范围由 matchesSourcePatterns 判断），
+  // Bridge 一律走 real 实现，环境变量需要的值都已由 startWatch 解析后放入 config
+  async runWatcher(config) {
+    const fs = require('fs');
+    const path = require('path');
+    const log = level => (message, detail) => console.log(`[${new Date().toISOString()}] ${level} ${message}`,
+      detail instanceof Error ? detail.message : (detail !== undefined ? JSON.stringify(detail) : ''));
+    const api = {
+      logger: { info: log('INFO'), warn: log('WARN'), error: log('ERROR'), debug: () => {} },
+      importx: async (name) => require(name),
+      environment: { get: async () => undefined },
+      bridge: { execute: async (key, args) => this.getBridges()[key].real(args, api) }
+    };
+    this.api = api;
+    
+    const state = {
+      pid: process.pid,
+      sourceDir: config.sourceDir,
+      outputDir: config.outputDir,
+      format: config.format,
+      recursive: config.recursive,
+      patterns: config.patterns,
+      theme: config.theme ? config.theme.id : null,
+      startedAt: new Date().toISOString(),
+      renders: 0,
+      files: {}
+    };
+    // 先写临时文件再改名，watch:status 不会读到写了一半的状态文件
+    const saveState = () => {
+      const temp = `${config.stateFile}.${process.pid}.tmp`;
+      fs.writeFileSync(temp, JSON.stringify(state, null, 2));
+      fs.renameSync(temp, config.stateFile);
+    };
+    const recordError = (message, error) => {
+      api.logger.error(message, error);
+      state.lastError = { message: `${message}: ${error.message}`, at: new Date().toISOString() };
+      try {
+        saveState();
+      } catch (saveError) {
+        api.logger.error('状态文件写入失败', saveError);
+      }
+    };
+    // 与 render_batch 相同的 include/exclude 范围
+    const isSource = file => this.matchesSourcePatterns(file, config.patterns);
+    const listSources = () => fs.readdirSync(config.sourceDir, { recursive: config.recursive })
+      .map(file => file.split(path.sep).join('/'))
+      .filter(isSource);
+    
+    const render = async (file) => {
+      const cache = { ...config.cache, hits: 0, misses: 0, stored: 0, forced: false };
+      const startedAt = Date.now();
+      let result;
+      
+      if (!fs.existsSync(path.join(config.sourceDir, file))) {
+        state.files[file] = { status: 'deleted', updatedAt: new Date().toISOString() };
+        saveState();
+        return;
+      }
+      
+      try {
+        const worker = await this.ensureDaemon(config.daemon, api);
+        result = await this.renderFileWithDaemon(file, config.sourceDir, config.outputDir, worker,
+          { format: config.format, fileTimeout: config.fileTimeout }, api, cache, config.theme);
+      } catch (error) {
+        // 常驻进程不可用时退回单次java命令
+        api.logger.warn('PlantUML常驻进程不可用，改用java命令渲染', error);
+        try {
+          const single = await this.renderSingle({ singleFile: file, format: config.format },
+            config.sourceDir, config.outputDir, config.daemon.jarPath, api, cache, config.theme);
+          result = { status: 'success', outputs: single.file.outputs, cached: single.file.cached };
+        } catch (renderError) {
+          result = { status: 'failed', error: renderError.message };
+        }
+      }
+      
+      state.renders++;
+      state.files[file] = {
+        status: result.status,
+        ...(result.outputs ? { outputs: result.outputs.map(output => path.join(config.outputDir, output)) } : {}),
+        ...(result.error ? { error: result.error } : {}),
+        ...(result.line ? { line: result.line } : {}),
+        ...(result.cached !== undefined ? { cached: result.cached } : {}),
+        durationMs: Date.now() - startedAt,
+        updatedAt: new Date().toISOString()
       };
+      saveState();
+      api.logger.info(`${file}: ${result.status}`, result.error);
+    };
+    
+    // 编辑器保存时往往连续触发多次事件，同一文件只在最后一次事件后渲染一次；渲染串行执行
+    const timers = new Map();
+    let queue = Promise.resolve();
+    const schedule = (file) => {
+      clearTimeout(timers.get(file));
+      timers.set(file, setTimeout(() => {
+        timers.delete(file);
+        queue = queue.then(() => render(file)).catch(error => recordError(`渲染失败: ${file}`, error));
+      }, config.debounce));
+    };
+    
+    // 回调中的异常（如 .iuml 变化时源文件恰好被删除或无权限读取）只记入状态文件，不能让监听进程退出
+    const watcher = fs.watch(config.sourceDir, { recursive: config.recursive }, (event, filename) => {
+      if (!filename) {
+        return;
+      }
+      const file = filename.split(path.sep).join('/');
+      try {
+        if (isSource(file)) {
+          schedule(file);
+        } else if (/\.iuml$/i.test(file)) {
+          const name = path.basename(file);
+          for (const source of listSources()) {
+            let content;
+            try {
+              content = fs.readFileSync(path.join(config.sourceDir, source), 'utf8');
+            } catch (error) {
+              recordError(`读取源文件失败: ${source}`, error);
+              continue;
+            }
+            if (/^[ \t]*!include/m.test(content) && content.includes(name)) {
+              schedule(source);
+            }
+          }
+        }
+      } catch (error) {
+        recordError(`处理文件变化失败: ${file}`, error);
+      }
     });
     
-    api.logger.info(`批量渲染完成: 处理了${files.length}个文件`);
+    // 监听本身出错（如源目录被删除）后不会再收到事件，记录错误后退出，watch:status 据此报告 stale
+    watcher.on('error', error => {
+      recordError(`监听已停止: ${config.sourceDir}`, error);
+      process.exit(1);
+    });
+    
+    saveState();
+    api.logger.info(`开始监听: ${config.sourceDir}`);
+  },
+  
+  // 把 getSourcePatterns 产生的glob转为正则：** 跨目录，* 和 ? 不跨目录，支持 {a,b} 和 [...]
+  globToRegExp(pattern) {
+    let regex = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '*' && pattern[i + 1] === '*') {
+        const dirs = pattern[i + 2] === '/';
+        regex += dirs ? '(?:[^/]+/)*' : '.*';
+        i += dirs ? 2 : 1;
+      } else if (char === '*') {
+        regex += '[^/]*';
+      } else if (char === '?') {
+        regex += '[^/]';
+      } else if (char === '{' && pattern.indexOf('}', i) > i) {
+        const end = pattern.indexOf('}', i);
+        regex += `(?:${pattern.slice(i + 1, end).split(',').map(part => this.globToRegExp(part).source.slice(1, -1)).join('|')})`;
+        i = end;
+      } else if (char === '[' && pattern.indexOf(']', i + 2) > i) {
+        const end = pattern.indexOf(']', i + 2);
+        regex += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      } else {
+        regex += char.replace(/[.+^$()|[\]{}\\]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${regex}$`);
+  },
+  
+  matchesSourcePatterns(file, patterns) {
+    const matches = list => list.some(pattern => this.globToRegExp(pattern).test(file));
+    return matches(patterns.include) && !matches(patterns.exclude);
+  },
+  
+  // 从章节JSON的 figures 条目和Markdown的 ```plantuml 代码块中提取图表，暂存为 .puml 后按批量渲染流程处理，
+  // 渲染结果的 imagePath 写回所属章节节点（figures 条目及节点的 imagePath/imagePathSequence，供 thesis-to-docx、09-thesis-to-docx 使用）
+  async renderEmbedded(params, sourceDir, outputDir, projectRoot, daemon, api, cache, theme) {
+    const path = await api.importx('path');
+    const stagingDir = `${projectRoot}/cache/plantuml-jar-renderer/embedded`;
+    const writeBack = params.writeBack !== false;
+    
+    const files = await api.bridge.execute('fs:scan', { dir: sourceDir, ...this.getSourcePatterns(params, ['*.json', '*.md']) });
+    
+    const documents = [];
+    const diagrams = [];
+    const failed = [];
+    let skipped = 0;
+    
+    for (const file of files) {
+      const filePath = path.join(sourceDir, file);
+      const outputBase = this.toStagingName(file.replace(/\.(json|md|markdown)$/i, ''));
+      
+      try {
+        if (/\.json$/i.test(file)) {
+          const doc = await api.bridge.execute('fs:readJson', { path: filePath });
+          const extracted = await this.extractChapterFigures(doc, projectRoot, api);
+          skipped += extracted.skipped;
+          documents.push({ file, filePath, doc, changed: false });
+          extracted.figures.forEach(figure => diagrams.push({
+            ...figure,
+            file,
+            document: documents[documents.length - 1],
+            staged: `${outputBase}/${this.toStagingName(figure.sectionId || 'figure')}-${figure.slot + 1}.puml`
+          }));
+        } else if (/\.(md|markdown)$/i.test(file)) {
+          const blocks = this.extractMarkdownBlocks(await api.bridge.execute('fs:read', { path: filePath }));
+          blocks.forEach((block, index) => diagrams.push({
+            file,
+            source: block.source,
+            line: block.line,
+            staged: `${outputBase}/fig-${index + 1}.puml`
+          }));
+        }
+      } catch (error) {
+        api.logger.error(`提取PlantUML失败: ${file}`, error);
+        failed.push({ source: file, status: 'failed', error: error.message });
+      }
+    }
+    
+    if (diagrams.length === 0) {
+      return {
+        success: true,
+        action: 'render_embedded',
+        message: '没有找到内嵌的PlantUML图表',
+        sourceDir: sourceDir,
+        files: files.length,
+        total: 0,
+        skipped,
+        results: failed
+      };
+    }
+    
+    api.logger.info(`从${files.length}个文件中提取到${diagrams.length}个PlantUML图表`);
+    
+    // 暂存后只渲染本次提取的文件，暂存目录中旧文件不受影响
+    for (const diagram of diagrams) {
+      await api.bridge.execute('fs:write', { path: path.join(stagingDir, diagram.staged), data: diagram.source });
+    }
+    const batchParams = { ...params, include: diagrams.map(diagram => diagram.staged), exclude: [], recursive: false };
+    const batch = (params.renderer || 'daemon') === 'daemon'
+      ? await this.renderBatchWithDaemon(batchParams, stagingDir, outputDir, daemon, api, cache, theme)
+      : await this.renderBatch(batchParams, stagingDir, outputDir, daemon.jarPath, api, cache, theme);
+    const rendered = new Map(batch.results.map(result => [result.source, result]));
+    
+    const results = [...failed];
+    for (const diagram of diagrams) {
+      const result = rendered.get(diagram.staged) || { status: 'failed', error: '未返回渲染结果' };
+      const entry = {
+        source: diagram.file,
+        ...(diagram.sectionId !== undefined ? { section: diagram.sectionId, label: diagram.label } : { line: diagram.line }),
+        status: result.status,
+        ...(result.error ? { error: result.error } : {}),
+        ...(result.line ? { diagramLine: result.line } : {})
+      };
+      
+      if (result.status === 'success') {
+        entry.output = result.output;
+        entry.imagePath = path.join(outputDir, result.output);
+        if (writeBack && diagram.document && this.applyFigureImage(diagram, entry.imagePath, outputDir)) {
+          diagram.document.changed = true;
+        }
+      }
+      results.push(entry);
+    }
+    
+    const updatedFiles = [];
+    for (const document of documents.filter(item => item.changed)) {
+      await api.bridge.execute('fs:write', { path: document.filePath, data: JSON.stringify(document.doc, null, 2) + '\n' });
+      updatedFiles.push(document.file);
+    }
+    
+    const successCount = results.filter(r => r.status === 'success').length;
+    api.logger.info(`内嵌图表渲染完成: 成功${successCount}个，失败${results.length - successCount}个，回写${updatedFiles.length}个章节文件`);
     
     return {
       success: true,
-      action: 'render_batch',
+      action: 'render_embedded',
+      renderer: batch.renderer,
       sourceDir: sourceDir,
       outputDir: outputDir,
       format: params.format,
-      total: files.length,
-      processed: files.length,
-      successCount: files.length,
-      failedCount: 0,
-      command: command,
-      stdout: result.stdout,
-      stderr: result.stderr,
-      results: processedFiles,
-      summary: {
-        allFiles: files,
-        successFiles: processedFiles.map(r => r.output),
-        failedFiles: []
+      files: files.length,
+      total: diagrams.length,
+      successCount,
+      failedCount: results.length - successCount,
+      skipped,
+      updatedFiles,
+      theme: theme ? theme.id : null,
+      cache,
+      ...(batch.daemonError ? { daemonError: batch.daemonError } : {}),
+      results
+    };
+  },
+  
+  // 遍历章节JSON：contents/subsections 以键为节点编号，items 按 order 编号（与 thesis-to-docx 一致），
+  // 含 figures 数组的节点即图表的所属节点；没有PlantUML代码的条目（尚未生成）计入 skipped
+  async extractChapterFigures(doc, projectRoot, api) {
+    const figures = [];
+    let skipped = 0;
+    const template = doc.defaults && doc.defaults.figureLabelTemplate;
+    const chapter = doc.meta && doc.meta.chapter;
+    
+    const visit = async (node, sectionId) => {
+      if (!node || typeof node !== 'object') {
+        return;
+      }
+      
+      if (Array.isArray(node.figures)) {
+        const owned = [];
+        for (const figure of node.figures) {
+          const source = figure && typeof figure === 'object' ? await this.getFigureSource(figure, projectRoot, api) : null;
+          if (!source) {
+            skipped++;
+            continue;
+          }
+          const label = figure.label || (template && figure.figureTitle
+            ? this.fillLabelTemplate(template, { chapter, index: figures.length + 1, figureTitle: figure.figureTitle })
+            : figure.figureTitle || figure.caption || '');
+          figures.push({ sectionId, section: node, figure, label, slot: owned.length, source });
+          owned.push(figure);
+        }
+      }
+      
+      for (const key of ['contents', 'subsections']) {
+        if (node[key] && typeof node[key] === 'object' && !Array.isArray(node[key])) {
+          for (const [childId, child] of Object.entries(node[key])) {
+            await visit(child, childId);
+          }
+        }
+      }
+      if (Array.isArray(node.items)) {
+        for (let i = 0; i < node.items.length; i++) {
+          await visit(node.items[i], `${sectionId}.${node.items[i].order || i + 1}`);
+        }
+      }
+    };
+    
+    await visit(doc, doc.id || (chapter !== undefined ? String(chapter) : ''));
+    return { figures, skipped };
+  },
+  
+  // figures 条目的PlantUML代码：内联字段 umlCode/plantuml/code，或 umlCodePath 指向的源码文件（相对项目根目录）
+  async getFigureSource(figure, projectRoot, api) {
+    const path = await api.importx('path');
+    let code = ['umlCode', 'plantuml', 'code'].map(key => figure[key]).find(value => typeof value === 'string' && value.trim());
+    
+    if (!code && typeof figure.umlCodePath === 'string' && /\.(puml|plantuml|pu)$/i.test(figure.umlCodePath)) {
+      const codePath = path.isAbsolute(figure.umlCodePath) ? figure.umlCodePath : path.join(projectRoot, figure.umlCodePath);
+      if (await api.bridge.execute('fs:exists', { path: codePath })) {
+        code = await api.bridge.execute('fs:read', { path: codePath });
+      }
+    }
+    if (!code) {
+      return null;
+    }
+    
+    // 生成的代码可能带着 ```plantuml 围栏，也可能缺少 @startuml/@enduml
+    code = code.trim().replace(/^(```|~~~)[^\n]*\n([\s\S]*?)\n?\1$/, '$2').trim();
+    return /^[ \t]*@start\w+/m.test(code) ? `${code}\n` : `@startuml\n${code}\n@enduml\n`;
+  },
+  
+  // Markdown 中 ```plantuml / ```puml / ```uml 代码块，line 为代码块起始行号
+  extractMarkdownBlocks(markdown) {
+    const blocks = [];
+    const pattern = /^(```|~~~)[ \t]*(?:plantuml|puml|uml)\b[^\n]*\n([\s\S]*?)^\1[ \t]*$/gm;
+    let match;
+    while ((match = pattern.exec(markdown)) !== null) {
+      const code = match[2].trim();
+      if (!code) {
+        continue;
+      }
+      blocks.push({
+        line: markdown.slice(0, match.index).split('\n').length,
+        source: /^[ \t]*@start\w+/m.test(code) ? `${code}\n` : `@startuml\n${code}\n@enduml\n`
+      });
+    }
+    return blocks;
+  },
+  
+  // 写回 figures 条目的 imagePath/label；节点上的前两个图分别写入 imagePath/imageLabel、imagePathSequence/imageLabelSequence。
+  // 节点上已有的图片路径不在输出目录内时视为手工指定，不覆盖
+  applyFigureImage(diagram, imagePath, outputDir) {
+    const { figure, section, label, slot } = diagram;
+    const before = JSON.stringify([figure, section.imagePath, section.imageLabel, section.imagePathSequence, section.imageLabelSequence]);
+    
+    figure.imagePath = imagePath;
+    if (!figure.label && label) {
+      figure.label = label;
+    }
+    
+    const [pathKey, labelKey] = [['imagePath', 'imageLabel'], ['imagePathSequence', 'imageLabelSequence']][slot] || [];
+    if (pathKey && (!section[pathKey] || section[pathKey].startsWith(outputDir))) {
+      section[pathKey] = imagePath;
+      if (label) {
+        section[labelKey] = label;
+      }
+    }
+    
+    return JSON.stringify([figure, section.imagePath, section.imageLabel, section.imagePathSequence, section.imageLabelSequence]) !== before;
+  },
+  
+  fillLabelTemplate(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] !== undefined && values[key] !== null ? String(values[key]) : '');
+  },
+  
+  // 暂存文件名同时作为渲染时的glob，只保留安全字符
+  toStagingName(name) {
+    return name.split('/').map(part => part.replace(/[^\w.\-一-龥]/g, '_')).join('/');
+  },
+  
+  // 读取源文件并按 @startuml 块拆分：每块内联本地 !include 后计算缓存键，
+  // 输出保持源文件的相对目录，多块时按PlantUML命令行的规则编号（a.png、a_001.png、a_002.png）
+  async prepareSourceFile(file, sourceDir, outputDir, format, cache, theme, api) {
+    const path = await api.importx('path');
+    const sourcePath = path.join(sourceDir, file);
+    const source = await api.bridge.execute('fs:read', { path: sourcePath });
+    const blocks = this.splitDiagrams(source);
+    const outputs = this.getOutputNames(file, blocks.length, format);
+    const diagrams = [];
+    
+    for (let i = 0; i < blocks.length; i++) {
+      const inlined = await this.inlineIncludes(blocks[i], sourcePath, api);
+      diagrams.push({
+        source: inlined,
+        key: this.getRenderCacheKey(inlined, format, cache.version, theme ? theme.id : ''),
+        output: outputs[i],
+        outputPath: path.join(outputDir, outputs[i])
+      });
+    }
+    
+    return { file, sourcePath, diagrams };
+  },
+  
+  // 文件的所有图表都命中缓存时写出并返回 true，否则交给java整体重新渲染
+  async writeCachedOutputs(prepared, format, cache, api) {
+    const hits = [];
+    for (const diagram of prepared.diagrams) {
+      const data = await this.readRenderCache(diagram.key, format, cache, api);
+      if (!data) {
+        return false;
+      }
+      hits.push(data);
+    }
+    for (let i = 0; i < hits.length; i++) {
+      await api.bridge.execute('fs:write', { path: prepared.diagrams[i].outputPath, data: hits[i] });
+    }
+    return true;
+  },
+  
+  // 复用仍在运行且使用同一jar的常驻进程，否则清理旧状态后重新启动
+  async ensureDaemon(daemon, api) {
+    const status = await api.bridge.execute('daemon:status', daemon);
+    if (status.running && status.state.jarPath === daemon.jarPath) {
+      api.logger.info(`复用PlantUML常驻进程: pid ${status.state.pid}`);
+      return { state: status.state, reused: true };
+    }
+    if (status.state) {
+      // jar已更换或进程无响应时停止旧进程；pid 已不是本常驻进程时只清理状态
+      await api.bridge.execute('daemon:stop', { ...daemon, kill: status.owned === true });
+    }
+    const state = await api.bridge.execute('daemon:start', daemon);
+    return { state, reused: false };
+  },
+  
+  // 停止常驻进程：pid 已退出或被其他进程复用时只清理状态文件
+  async stopDaemon(daemon, api) {
+    const status = await api.bridge.execute('daemon:status', daemon);
+    return await api.bridge.execute('daemon:stop', { ...daemon, kill: status.owned === true });
+  },
+  
+  // PlantUML文本编码（与 luban-uml、plantuml-renderer、plantuml-jar-renderer 逐字一致）：
+  // deflate 为原始deflate压缩后按PlantUML字母表每3字节编码为4个字符（URL最短），hex 为 ~h 前缀的UTF-8十六进制
+  encodePlantUML(content, encoding = 'deflate') {
+    const data = Buffer.from(content, 'utf8');
+    if (encoding === 'hex') {
+      return `~h${data.toString('hex')}`;
+    }
+    if (encoding !== 'deflate') {
+      throw new Error(`不支持的PlantUML编码方式：${encoding}`);
+    }
+    
+    const zlib = require('zlib');
+    const compressed = zlib.deflateRawSync(data, { level: 9 });
+    const chars = this.getPlantUMLAlphabet();
+    const chunks = [];
+    
+    // 每3个字节编码为4个字符，末尾不足3字节按0补齐
+    for (let i = 0; i < compressed.length; i += 3) {
+      const bitmap = (compressed[i] << 16) | ((compressed[i + 1] || 0) << 8) | (compressed[i + 2] || 0);
+      chunks.push(
+        chars.charAt((bitmap >> 18) & 63) +
+        chars.charAt((bitmap >> 12) & 63) +
+        chars.charAt((bitmap >> 6) & 63) +
+        chars.charAt(bitmap & 63)
+      );
+    }
+    
+    return chunks.join('');
+  },
+  
+  // 解码PlantUML编码串，也接受 http://server/plantuml/png/<编码> 形式的URL
+  decodePlantUML(input) {
+    const encoded = this.extractPlantUMLEncoded(input);
+    
+    if (/^~h/i.test(encoded)) {
+      const hex = encoded.slice(2);
+      if (!/^(?:[0-9a-f]{2})+$/i.test(hex)) {
+        throw new Error('无效的PlantUML编码：~h 后应为偶数位十六进制字符');
+      }
+      return { source: Buffer.from(hex, 'hex').toString('utf8'), encoding: 'hex' };
+    }
+    
+    const chars = this.getPlantUMLAlphabet();
+    const bytes = Buffer.alloc(Math.floor(encoded.length * 6 / 8));
+    let length = 0;
+    let bitmap = 0;
+    let bits = 0;
+    for (const char of encoded) {
+      const value = chars.indexOf(char);
+      if (value < 0) {
+        throw new Error(`无效的PlantUML编码：包含非法字符 "${char}"`);
       }
+      bitmap = ((bitmap << 6) | value) & 0xffff;
+      bits += 6;
+      if (bits >= 8) {
+        bits -= 8;
+        bytes[length++] = (bitmap >> bits) & 255;
+      }
+    }
+    
+    // 编码时补齐的0字节位于压缩流结束之后，解压时忽略
+    const zlib = require('zlib');
+    try {
+      const data = zlib.inflateRawSync(bytes.subarray(0, length), { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      return { source: data.toString('utf8'), encoding: 'deflate' };
+    } catch (error) {
+      throw new Error(`无效的PlantUML编码：解压失败（${error.message}）`);
+    }
+  },
+  
+  // 从URL中取出编码部分：/uml/、/png/、/svg/ 等路径之后的一段；不是URL时原样返回
+  extractPlantUMLEncoded(input) {
+    const text = String(input || '').trim();
+    if (!text) {
+      throw new Error('缺少要解码的PlantUML编码串或URL');
+    }
+    if (!/^https?:\/\//i.test(text)) {
+      return text;
+    }
+    
+    const match = new URL(text).pathname.match(/\/(?:uml|png|svg|txt|eps|pdf|check|map|img)\/([^/]+)\/?$/);
+    if (!match) {
+      throw new Error(`URL中没有PlantUML编码：${text}`);
+    }
+    return decodeURIComponent(match[1]);
+  },
+  
+  getPlantUMLAlphabet() {
+    return '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-_';
+  },
+  
+  // ==================== 与 luban-uml、plantuml-renderer、plantuml-jar-renderer 逐字一致 ====================
+  // 三个工具各自独立加载运行，不能共用模块；以下方法在三处保持逐字相同（test/plantuml-tools/sync.test.js 校验），
+  // 渲染缓存目录共用，缓存键格式、主题和源文件发现规则任何一处不一致都会导致缓存错配或结果不同；
+  // 输出命名、多图拆分、!include 展开和 runPool 只在两个渲染器中，展开结果参与缓存键
+  
+  getThemePresets() {
+    return {
+      // 论文图表格式要求：中文宋体、标题黑体、黑白、无阴影、直角、300DPI
+      'academic-bw': [
+        'skinparam monochrome true',
+        'skinparam shadowing false',
+        'skinparam roundCorner 0',
+        'skinparam backgroundColor white',
+        'skinparam dpi 300',
+        'skinparam defaultFontName SimSun',
+        'skinparam defaultFontSize 12',
+        'skinparam titleFontName SimHei',
+        'skinparam titleFontSize 14'
+      ]
     };
   },
   
+  unknownThemeError(theme) {
+    return new Error(`未知的主题：${theme}（可用预设：${Object.keys(this.getThemePresets()).join('、')}，或主题文件绝对路径）`);
+  },
+  
+  // 主题文件内容转为主题：id 取内容摘要（进入缓存键，文件改动后缓存失效），@startuml/@enduml 行会被忽略
+  parseThemeFile(content) {
+    const crypto = require('crypto');
+    return {
+      id: `file:${crypto.createHash('sha256').update(content).digest('hex').slice(0, 16)}`,
+      lines: content.split(/\r?\n/).filter(line => line.trim() && !/^\s*@(start|end)\w*/.test(line))
+    };
+  },
+  
+  // 主题语句插入到每个 @startuml 行之后，源码中自己的 skinparam 在其后，仍然优先生效
+  applyTheme(source, theme) {
+    if (!theme || theme.lines.length === 0) {
+      return source;
+    }
+    return source.replace(/^([ \t]*@startuml\b[^\r\n]*)(\r?\n)/gm, (match, line, eol) => `${line}${eol}${theme.lines.join(eol)}${eol}`);
+  },
+  
+  // 渲染缓存文件名为 sha256(源码 + 格式 + PlantUML版本 + 主题).格式
+  getRenderCacheKey(source, format, version, theme = '') {
+    const crypto = require('crypto');
+    return crypto.createHash('sha256').update(JSON.stringify({ source, format, version, theme })).digest('hex');
+  },
+  
+  // include/exclude 为相对源码目录的glob；递归扫描时不含目录的模式匹配任意层级。
+  // .iuml 是供 !include 引用的片段，不单独渲染或验证
+  getSourcePatterns(params, defaults = ['*.puml', '*.plantuml', '*.pu']) {
+    const recursive = params.recursive === true;
+    const withDepth = pattern => recursive && !pattern.includes('/') ? `**/${pattern}` : pattern;
+    const include = params.include && params.include.length > 0 ? params.include : defaults;
+    
+    return {
+      include: include.map(withDepth),
+      exclude: [...(params.exclude || []), '*.iuml'].map(withDepth)
+    };
+  },
+  
+  // 输出文件名沿用源文件的相对路径，只替换扩展名；多块时按PlantUML命令行的规则编号（a.png、a_001.png、a_002.png）
+  getOutputNames(file, count, format) {
+    const base = file.replace(/\.(puml|plantuml|pu)$/i, '');
+    return Array.from({ length: count }, (_, i) => i === 0
+      ? `${base}.${format}`
+      : `${base}_${String(i).padStart(3, '0')}.${format}`);
+  },
+  
+  // 一个文件中有多个 @startxxx ... @endxxx 块时拆开分别渲染；只有一块时保留原文（缓存键不变）
+  splitDiagrams(source) {
+    const blocks = source.match(/^[ \t]*@start(\w+)\b[^\n]*\n[\s\S]*?^[ \t]*@end\1\b[^\n]*$/gm);
+    return blocks && blocks.length > 1 ? blocks : [source];
+  },
+  
+  // 服务器和常驻进程都拿不到源码所在目录，渲染前把 !include / !include_once 引用的本地文件内容展开；
+  // 展开后的源码同时用于缓存键，包含文件变化时缓存失效。标准库（<...>）和URL保持原样
+  async inlineIncludes(source, filePath, api, stack = [], included = new Set()) {
+    if (!/^[ \t]*!include/m.test(source)) {
+      return source;
+    }
+    
+    const path = await api.importx('path');
+    const current = path.resolve(filePath);
+    const lines = [];
+    
+    for (const line of source.split(/\r?\n/)) {
+      const match = line.match(/^\s*!include(_once|_many)?\s+(.+?)\s*$/);
+      if (!match || /^(<|https?:)/i.test(match[2])) {
+        lines.push(line);
+        continue;
+      }
+      
+      const target = path.resolve(path.dirname(current), match[2].replace(/^"(.*)"$/, '$1'));
+      if (stack.includes(target) || target === current) {
+        throw new Error(`PlantUML包含文件循环引用: ${[...stack, current, target].map(p => path.basename(p)).join(' -> ')}`);
+      }
+      if (match[1] === '_once' && included.has(target)) {
+        continue;
+      }
+      included.add(target);
+      
+      let content;
+      try {
+        content = await api.bridge.execute('fs:read', { path: target });
+      } catch (error) {
+        throw new Error(`PlantUML包含文件不存在: ${match[2]}（${path.basename(current)}）`);
+      }
+      const body = content.split(/\r?\n/).filter(l => !/^\s*@(start|end)\w*/.test(l)).join('\n');
+      lines.push(await this.inlineIncludes(body, target, api, [...stack, current], included));
+    }
+    
+    return lines.join('\n');
+  },
+  
+  // 固定数量的执行者依次领取任务，结果顺序与输入一致
+  async runPool(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    });
+    await Promise.all(runners);
+    return results;
+  },
+  
+  // 主题为预设名（见 getThemePresets）或主题文件绝对路径；同时写出 -config 文件供java命令行使用
+  async resolveTheme(theme, projectRoot, api) {
+    const presets = this.getThemePresets();
+    const path = await api.importx('path');
+    let resolved;
+    
+    if (presets[theme]) {
+      resolved = { id: theme, lines: presets[theme] };
+    } else {
+      if (!path.isAbsolute(theme) || !(await api.bridge.execute('fs:exists', { path: theme }))) {
+        throw this.unknownThemeError(theme);
+      }
+      resolved = this.parseThemeFile(await api.bridge.execute('fs:read', { path: theme }));
+    }
+    
+    resolved.configPath = path.join(projectRoot, 'cache', 'plantuml-jar-renderer', `theme-${resolved.id.replace(/[^\w-]/g, '-')}.config`);
+    await api.bridge.execute('fs:write', { path: resolved.configPath, data: resolved.lines.join('\n') + '\n' });
+    return resolved;
+  },
+  
+  themeFlag(theme) {
+    return theme ? ` -config "${theme.configPath}"` : '';
+  },
+  
+  // 查找共享渲染缓存，force 时跳过查找（仍计为未命中）
+  async readRenderCache(key, format, cache, api) {
+    if (!cache.forced) {
+      const data = await api.bridge.execute('cache:get', { dir: cache.dir, key, format });
+      if (data) {
+        cache.hits++;
+        return data;
+      }
+    }
+    cache.misses++;
+    return null;
+  },
+  
+  async storeRenderCache(key, format, payload, cache, api) {
+    const stored = await api.bridge.execute('cache:put', { dir: cache.dir, key, format, ...payload });
+    if (stored.success) {
+      cache.stored++;
+    }
+  },
+  
+  async getJavaBin(api) {
+    const path = await api.importx('path');
+    const javaHome = await api.environment.get('JAVA_HOME');
+    return javaHome ? path.join(javaHome, 'bin', 'java') : 'java';
+  },
+  
   getBusinessErrors() {
     return [
       {
@@ -356,6 +1853,27 @@ module.exports = {
         solution: '检查PlantUML源码语法',
         retryable: false
       },
+      {
+        code: 'PLANTUML_INCLUDE_ERROR',
+        description: 'PlantUML包含文件缺失或循环引用',
+        match: /包含文件/,
+        solution: '检查!include路径（相对于引用它的文件）是否存在，并去掉相互包含',
+        retryable: false
+      },
+      {
+        code: 'THEME_NOT_FOUND',
+        description: '主题不存在',
+        match: /未知的主题/,
+        solution: '使用预设主题名（如academic-bw）或提供存在的主题文件绝对路径',
+        retryable: false
+      },
+      {
+        code: 'DAEMON_START_FAILED',
+        description: 'PlantUML常驻进程启动失败',
+        match: /常驻进程启动(失败|超时)/,
+        solution: '检查Java环境和jar包版本（picoweb需要PlantUML 1.2019以上），或使用renderer: cli',
+        retryable: true
+      },
       {
         code: 'PERMISSION_DENIED',
         description: '文件权限不足',
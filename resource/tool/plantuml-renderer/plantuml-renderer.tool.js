@@ -20,6 +20,7 @@ module.exports = {
   getDependencies() {
     return {
       'axios': '^1.6.0',
+      'glob': '^10.3.10',
       'path': '^0.12.7'
     };
   },
@@ -28,8 +29,8 @@ module.exports = {
     return {
       id: 'plantuml-renderer',
       name: 'PlantUML渲染器',
-      description: '批量将PlantUML源码渲染为PNG/SVG图片',
-      version: '1.0.0',
+      description: '批量将PlantUML源码渲染为PNG/SVG图片，支持递归扫描、多图表文件和主题预设，未变化的图表直接复用渲染缓存；可指向本地PlantUML容器或picoweb，失败时指数退避重试',
+      version: '1.5.0',
       author: '鲁班'
     };
   },
@@ -41,8 +42,8 @@ module.exports = {
         properties: {
           action: {
             type: 'string',
-            enum: ['render_single', 'render_batch', 'list_files'],
-            description: '操作类型',
+            enum: ['render_single', 'render_batch', 'list_files', 'decode', 'health_check'],
+            description: '操作类型：decode-将PlantUML URL或编码串还原为源码，指定singleFile时写入sourceDir下的该文件，health_check-渲染一个最小图表检查服务器是否可用',
             default: 'render_batch'
           },
           sourceDir: {
@@ -63,7 +64,69 @@ module.exports = {
           },
           singleFile: {
             type: 'string',
-            description: '单文件渲染时的源文件路径'
+            description: '单文件渲染时的源文件路径（相对sourceDir，可含子目录）'
+          },
+          encoded: {
+            type: 'string',
+            description: 'decode操作的PlantUML服务器URL或编码串（支持~h十六进制编码）'
+          },
+          recursive: {
+            type: 'boolean',
+            description: '递归扫描子目录，输出目录按源码目录结构镜像',
+            default: false
+          },
+          include: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '包含的文件glob（相对sourceDir），默认 *.puml、*.plantuml、*.pu；递归时不含/的模式匹配任意层级'
+          },
+          exclude: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '排除的文件glob（相对sourceDir），.iuml包含片段始终不单独渲染'
+          },
+          force: {
+            type: 'boolean',
+            description: '忽略渲染缓存强制重新渲染（结果仍会写入缓存）',
+            default: false
+          },
+          theme: {
+            type: 'string',
+            description: '渲染主题：预设名（academic-bw-论文黑白样式）或主题文件绝对路径，渲染前插入到@startuml之后，不修改源文件'
+          },
+          server: {
+            type: 'string',
+            description: 'PlantUML服务器地址，覆盖PLANTUML_SERVER；本地容器如 http://localhost:8080，picoweb如 http://127.0.0.1:8080/plantuml'
+          },
+          method: {
+            type: 'string',
+            enum: ['post', 'get'],
+            description: '请求方式：post-请求体提交源码，get-源码编码后放在URL中（picoweb及不支持POST的服务器使用）'
+          },
+          concurrency: {
+            type: 'number',
+            description: '批量渲染时同时发出的请求数，公共服务器建议保持1，本地服务器可以调大',
+            minimum: 1,
+            maximum: 16,
+            default: 1
+          },
+          retries: {
+            type: 'number',
+            description: '服务器限流(429)、5xx、超时或网络错误时的重试次数，语法错误不重试',
+            minimum: 0,
+            maximum: 10,
+            default: 2
+          },
+          retryDelay: {
+            type: 'number',
+            description: '首次重试前的等待时间(ms)，之后按指数翻倍；服务器返回Retry-After时以其为准',
+            minimum: 0,
+            default: 1000
+          },
+          healthCheck: {
+            type: 'boolean',
+            description: '批量渲染时在第一个未命中缓存的文件前检查一次服务器，不可用时未命中缓存的文件直接失败而不是逐个等待超时、重试',
+            default: true
           }
         },
         required: ['action']
@@ -73,13 +136,22 @@ module.exports = {
         properties: {
           PLANTUML_SERVER: {
             type: 'string',
-            description: 'PlantUML服务器地址',
+            description: 'PlantUML服务器地址，可指向本地PlantUML容器或picoweb实例',
             default: 'http://www.plantuml.com/plantuml'
           },
+          PLANTUML_REQUEST_METHOD: {
+            type: 'string',
+            description: '请求方式post或get，默认post',
+            default: 'post'
+          },
           TIMEOUT: {
             type: 'number',
             description: '请求超时时间(ms)',
             default: 30000
+          },
+          PLANTUML_CACHE_DIR: {
+            type: 'string',
+            description: '渲染缓存目录，默认 cache/plantuml-render，与luban-uml、plantuml-jar-renderer共用'
           }
         }
       }
@@ -88,27 +160,50 @@ module.exports = {
 
   getBridges() {
     return {
+      // 失败时不抛出异常，返回状态码和是否可重试，由调用方决定重试
       'http:plantuml': {
         real: async (args, api) => {
           api.logger.info(`[Bridge] 渲染PlantUML: ${args.filename}`);
           const axios = await api.importx('axios');
           
-          const response = await axios.post(
-            `${args.server}/${args.format}`,
-            args.source,
-            {
-              headers: {
-                'Content-Type': 'text/plain'
-              },
+          const request = args.method === 'get'
+            ? { method: 'get', url: `${args.server}/${args.format}/${args.encoded}` }
+            : { method: 'post', url: `${args.server}/${args.format}`, data: args.source, headers: { 'Content-Type': 'text/plain' } };
+          
+          let response;
+          try {
+            response = await axios({
+              ...request,
               responseType: 'arraybuffer',
-              timeout: args.timeout
-            }
-          );
+              timeout: args.timeout,
+              validateStatus: () => true
+            });
+          } catch (error) {
+            // 超时、连接被拒绝等网络错误
+            return { success: false, error: error.message, retryable: true };
+          }
           
+          // PlantUML服务器和picoweb都通过响应头返回语法错误及行号
+          const diagramError = response.headers['x-plantuml-diagram-error'];
+          const line = parseInt(response.headers['x-plantuml-diagram-error-line'], 10);
+          if (response.status >= 200 && response.status < 300 && !diagramError) {
+            return {
+              success: true,
+              data: response.data,
+              contentType: response.headers['content-type']
+            };
+          }
+          
+          const retryAfter = parseInt(response.headers['retry-after'], 10);
           return {
-            success: true,
-            data: response.data,
-            contentType: response.headers['content-type']
+            success: false,
+            status: response.status,
+            error: diagramError
+              ? `Syntax error${Number.isNaN(line) ? '' : ` at line ${line}`}: ${diagramError}`
+              : `PlantUML server error: HTTP ${response.status}`,
+            ...(Number.isNaN(line) ? {} : { line }),
+            retryable: !diagramError && (response.status === 429 || response.status >= 500),
+            ...(Number.isNaN(retryAfter) ? {} : { retryAfter: retryAfter * 1000 })
           };
         },
         mock: async (args, api) => {
@@ -165,19 +260,54 @@ module.exports = {
       
       'fs:scan': {
         real: async (args, api) => {
-          const fs = await api.importx('fs');
-          const path = await api.importx('path');
+          const glob = await api.importx('glob');
           
-          const files = await fs.promises.readdir(args.dir);
-          return files.filter(file => file.endsWith('.puml'));
+          // 返回相对 dir 的路径，统一使用 / 分隔
+          const files = await glob.glob(args.include, {
+            cwd: args.dir,
+            ignore: args.exclude,
+            nodir: true,
+            posix: true
+          });
+          return files.sort();
         },
         mock: async (args, api) => {
-          return [
+          const files = [
             'activity-user-auth.puml',
             'sequence-user-auth.puml',
             'usecase-user.puml',
             'er-overview.puml'
           ];
+          return args.include.some(pattern => pattern.startsWith('**/'))
+            ? [...files, 'chapter3/usecase/usecase-order.puml']
+            : files;
+        }
+      },
+      
+      // 共享渲染缓存：文件名为 <键>.<格式>，未命中返回 null
+      'cache:get': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const path = await api.importx('path');
+          const file = path.join(args.dir, `${args.key}.${args.format}`);
+          return fs.existsSync(file) ? await fs.promises.readFile(file) : null;
+        },
+        mock: async (args, api) => {
+          return null;
+        }
+      },
+      
+      'cache:put': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const path = await api.importx('path');
+          await fs.promises.mkdir(args.dir, { recursive: true });
+          await fs.promises.writeFile(path.join(args.dir, `${args.key}.${args.format}`), args.data);
+          return { success: true };
+        },
+        mock: async (args, api) => {
+          api.logger.debug(`[Mock] 写入渲染缓存: ${args.key}`);
+          return { success: true };
         }
       }
     };
@@ -190,19 +320,41 @@ module.exports = {
     api.logger.info('PlantUML渲染器启动', { params });
     
     try {
-      const server = await api.environment.get('PLANTUML_SERVER') || 'http://www.plantuml.com/plantuml';
-      const timeout = parseInt(await api.environment.get('TIMEOUT')) || 30000;
+      const request = {
+        server: (params.server || await api.environment.get('PLANTUML_SERVER') || 'http://www.plantuml.com/plantuml').replace(/\/+$/, ''),
+        method: params.method || await api.environment.get('PLANTUML_REQUEST_METHOD') || 'post',
+        timeout: parseInt(await api.environment.get('TIMEOUT')) || 30000,
+        retries: Math.min(Math.max(parseInt(params.retries ?? 2) || 0, 0), 10),
+        retryDelay: Math.max(parseInt(params.retryDelay ?? 1000) || 0, 0)
+      };
+      if (!['post', 'get'].includes(request.method)) {
+        throw new Error(`不支持的请求方式：${request.method}`);
+      }
+      const cache = {
+        dir: await api.environment.get('PLANTUML_CACHE_DIR') || path.resolve('cache/plantuml-render'),
+        hits: 0,
+        misses: 0,
+        stored: 0,
+        forced: params.force === true
+      };
+      const theme = params.theme ? await this.resolveTheme(params.theme, api) : null;
       
       switch (params.action) {
         case 'list_files':
           return await this.listFiles(params, api);
           
+        case 'decode':
+          return await this.decodeSource(params, api);
+          
+        case 'health_check':
+          return { success: true, action: 'health_check', ...(await this.checkServer(request, api)) };
+          
         case 'render_single':
-          return await this.renderSingle(params, api, server, timeout);
+          return await this.renderSingle(params, api, request, cache, theme);
           
         case 'render_batch':
         default:
-          return await this.renderBatch(params, api, server, timeout);
+          return await this.renderBatch(params, api, request, cache, theme);
       }
     } catch (error) {
       api.logger.error('PlantUML渲染失败', error);
@@ -212,7 +364,8 @@ module.exports = {
   
   async listFiles(params, api) {
     const files = await api.bridge.execute('fs:scan', {
-      dir: params.sourceDir
+      dir: params.sourceDir,
+      ...this.getSourcePatterns(params)
     });
     
     api.logger.info(`发现${files.length}个PlantUML文件`);
@@ -221,66 +374,66 @@ module.exports = {
       success: true,
       action: 'list_files',
       sourceDir: params.sourceDir,
+      recursive: params.recursive === true,
       files: files,
       total: files.length
     };
   },
   
-  async renderSingle(params, api, server, timeout) {
-    if (!params.singleFile) {
-      throw new Error('单文件渲染需要指定singleFile参数');
-    }
-    
+  async decodeSource(params, api) {
     const path = await api.importx('path');
-    const sourcePath = path.join(params.sourceDir, params.singleFile);
+    const { source, encoding } = this.decodePlantUML(params.encoded);
+    let outputPath = null;
     
-    // 读取源码
-    const source = await api.bridge.execute('fs:read', { path: sourcePath });
+    if (params.singleFile) {
+      outputPath = path.join(params.sourceDir, params.singleFile);
+      await api.bridge.execute('fs:write', {
+        path: outputPath,
+        data: source.endsWith('\n') ? source : `${source}\n`
+      });
+      api.logger.info(`PlantUML源码已还原: ${outputPath}`);
+    }
     
-    // 渲染图片
-    const result = await api.bridge.execute('http:plantuml', {
-      server,
-      format: params.format,
+    return {
+      success: true,
+      action: 'decode',
+      encoding,
       source,
-      filename: params.singleFile,
-      timeout
-    });
-    
-    if (!result.success) {
-      throw new Error(`渲染失败: ${result.error}`);
+      path: outputPath
+    };
+  },
+  
+  async renderSingle(params, api, request, cache, theme) {
+    if (!params.singleFile) {
+      throw new Error('单文件渲染需要指定singleFile参数');
     }
     
-    // 生成输出文件名
-    const baseName = path.basename(params.singleFile, '.puml');
-    const outputFile = `${baseName}.${params.format}`;
-    const outputPath = path.join(params.outputDir, outputFile);
-    
-    // 保存图片
-    await api.bridge.execute('fs:write', {
-      path: outputPath,
-      data: result.data
-    });
+    const result = await this.renderSourceFile(params.singleFile, params, api, request, cache, theme);
     
-    api.logger.info(`单文件渲染完成: ${outputFile}`);
+    api.logger.info(`单文件渲染完成: ${result.outputs.join(', ')}`);
     
     return {
       success: true,
       action: 'render_single',
       file: {
         source: params.singleFile,
-        output: outputFile,
-        path: outputPath,
-        format: params.format
-      }
+        output: result.outputs[0],
+        outputs: result.outputs,
+        path: result.paths[0],
+        format: params.format,
+        cached: result.cached,
+        attempts: result.attempts
+      },
+      theme: theme ? theme.id : null,
+      cache
     };
   },
   
-  async renderBatch(params, api, server, timeout) {
-    const path = await api.importx('path');
-    
-    // 扫描源码文件
+  async renderBatch(params, api, request, cache, theme) {
+    // 扫描源码文件（相对sourceDir的路径，递归时包含子目录）
     const files = await api.bridge.execute('fs:scan', {
-      dir: params.sourceDir
+      dir: params.sourceDir,
+      ...this.getSourcePatterns(params)
     });
     
     if (files.length === 0) {
@@ -294,67 +447,55 @@ module.exports = {
       };
     }
     
-    api.logger.info(`开始批量渲染${files.length}个文件`);
+    // 第一次未命中缓存时才检查一次服务器（全部命中缓存时可离线渲染），
+    // 不可用时未命中缓存的文件直接失败，避免每个文件都等到超时、重试完
+    let health = null;
+    let checking = null;
+    const batchRequest = params.healthCheck === false ? request : {
+      ...request,
+      ensureServer: () => checking || (checking = this.checkServer(request, api).then(result => {
+        health = result;
+        if (!result.healthy) {
+          throw new Error(`PlantUML服务器不可用: ${request.server}（${result.error}）`);
+        }
+      }))
+    };
     
-    const results = [];
-    let successCount = 0;
-    let failedCount = 0;
+    const concurrency = Math.min(Math.max(parseInt(params.concurrency) || 1, 1), 16);
+    api.logger.info(`开始批量渲染${files.length}个文件，并发数${concurrency}`);
     
-    // 批量处理每个文件
-    for (const file of files) {
+    // 批量处理每个文件，结果顺序与文件顺序一致
+    const results = await this.runPool(files, concurrency, async file => {
       try {
         api.logger.info(`正在渲染: ${file}`);
         
-        // 读取源码
-        const sourcePath = path.join(params.sourceDir, file);
-        const source = await api.bridge.execute('fs:read', { path: sourcePath });
+        const rendered = await this.renderSourceFile(file, params, api, batchRequest, cache, theme);
+        api.logger.info(`渲染成功: ${file} -> ${rendered.outputs.join(', ')}`);
         
-        // 渲染图片
-        const renderResult = await api.bridge.execute('http:plantuml', {
-          server,
-          format: params.format,
-          source,
-          filename: file,
-          timeout
-        });
-        
-        if (!renderResult.success) {
-          throw new Error(renderResult.error || '渲染失败');
-        }
-        
-        // 生成输出文件名
-        const baseName = path.basename(file, '.puml');
-        const outputFile = `${baseName}.${params.format}`;
-        const outputPath = path.join(params.outputDir, outputFile);
-        
-        // 保存图片
-        await api.bridge.execute('fs:write', {
-          path: outputPath,
-          data: renderResult.data
-        });
-        
-        results.push({
+        return {
           source: file,
-          output: outputFile,
-          path: outputPath,
+          output: rendered.outputs[0],
+          outputs: rendered.outputs,
+          path: rendered.paths[0],
           status: 'success',
-          format: params.format
-        });
-        
-        successCount++;
-        api.logger.info(`渲染成功: ${file} -> ${outputFile}`);
+          format: params.format,
+          cached: rendered.cached,
+          attempts: rendered.attempts
+        };
         
       } catch (error) {
-        results.push({
+        api.logger.error(`渲染失败: ${file}`, error);
+        
+        return {
           source: file,
           status: 'failed',
           error: error.message
-        });
-        
-        failedCount++;
-        api.logger.error(`渲染失败: ${file}`, error);
+        };
       }
-    }
+    });
+    
+    const successCount = results.filter(r => r.status === 'success').length;
+    const failedCount = results.length - successCount;
     
     api.logger.info(`批量渲染完成: 成功${successCount}个，失败${failedCount}个`);
     
@@ -368,22 +509,382 @@ module.exports = {
       processed: files.length,
       successCount,
       failedCount,
+      theme: theme ? theme.id : null,
+      server: request.server,
+      concurrency,
+      health,
+      cache,
       results: results.slice(0, 10), // 只返回前10个结果避免数据过大
       summary: {
         allFiles: files,
-        successFiles: results.filter(r => r.status === 'success').map(r => r.output),
+        successFiles: results.filter(r => r.status === 'success').flatMap(r => r.outputs),
         failedFiles: results.filter(r => r.status === 'failed').map(r => r.source)
       }
     };
   },
   
+  // 渲染一个源文件：按 @startuml 块拆分并各自内联本地 !include，每块一张图，
+  // 输出保持源文件的相对目录，多块时按PlantUML命令行的规则编号（a.png、a_001.png、a_002.png）
+  async renderSourceFile(file, params, api, request, cache, theme) {
+    const path = await api.importx('path');
+    const sourcePath = path.join(params.sourceDir, file);
+    
+    const source = await api.bridge.execute('fs:read', { path: sourcePath });
+    const diagrams = [];
+    for (const block of this.splitDiagrams(source)) {
+      diagrams.push(await this.inlineIncludes(block, sourcePath, api));
+    }
+    const outputs = this.getOutputNames(file, diagrams.length, params.format);
+    const paths = [];
+    let cached = true;
+    let attempts = 0;
+    
+    for (let i = 0; i < diagrams.length; i++) {
+      const label = diagrams.length > 1 ? `${file}#${i + 1}` : file;
+      const result = await this.renderWithCache(diagrams[i], label, params, api, request, cache, theme);
+      attempts += result.attempts;
+      
+      if (!result.success) {
+        throw new Error(diagrams.length > 1
+          ? `第${i + 1}个图表渲染失败: ${result.error || '未知错误'}`
+          : (result.error || '渲染失败'));
+      }
+      
+      const outputPath = path.join(params.outputDir, outputs[i]);
+      await api.bridge.execute('fs:write', { path: outputPath, data: result.data });
+      paths.push(outputPath);
+      cached = cached && result.cached;
+    }
+    
+    return { outputs, paths, cached, attempts };
+  },
+  
+  // 先查共享渲染缓存，未命中再请求服务器并写入缓存。服务器无法得知PlantUML版本，以服务器地址代替
+  async renderWithCache(source, filename, params, api, request, cache, theme) {
+    const key = this.getRenderCacheKey(source, params.format, `server:${request.server}`, theme ? theme.id : '');
+    
+    if (!cache.forced) {
+      const cached = await api.bridge.execute('cache:get', { dir: cache.dir, key, format: params.format });
+      if (cached) {
+        cache.hits++;
+        api.logger.info(`命中渲染缓存: ${filename}`);
+        return { success: true, data: cached, cached: true, attempts: 0 };
+      }
+    }
+    cache.misses++;
+    if (request.ensureServer) {
+      await request.ensureServer();
+    }
+    
+    const { result, attempts } = await this.requestWithRetry(this.applyTheme(source, theme), filename, params.format, request, api);
+    
+    if (result.success) {
+      await api.bridge.execute('cache:put', { dir: cache.dir, key, format: params.format, data: result.data });
+      cache.stored++;
+    }
+    return { ...result, cached: false, attempts };
+  },
+  
+  // 请求PlantUML服务器，限流(429)、5xx和网络错误按指数退避重试（retryDelay、2倍、4倍…，单次最多等30秒），
+  // 服务器给出Retry-After时按其等待；语法错误重试也不会成功，直接返回
+  async requestWithRetry(source, filename, format, request, api) {
+    const args = {
+      server: request.server,
+      method: request.method,
+      format,
+      source,
+      encoded: request.method === 'get' ? this.encodePlantUML(source) : undefined,
+      filename,
+      timeout: request.timeout
+    };
+    
+    let attempt = 0;
+    while (true) {
+      attempt++;
+      const result = await api.bridge.execute('http:plantuml', args);
+      if (result.success || !result.retryable || attempt > request.retries) {
+        return { result, attempts: attempt };
+      }
+      
+      const delay = Math.min(result.retryAfter ?? request.retryDelay * 2 ** (attempt - 1), 30000);
+      api.logger.warn(`渲染请求失败（${result.error}），${delay}ms后第${attempt}次重试: ${filename}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  },
+  
+  // 渲染一个最小图表检查服务器：本地容器或picoweb未启动、地址写错时在批量渲染前就能发现。
+  // 健康检查只请求一次，不走重试
+  async checkServer(request, api) {
+    const startedAt = Date.now();
+    const source = '@startuml\nBob -> Alice : ping\n@enduml';
+    const { result } = await this.requestWithRetry(source, 'health-check', 'svg', { ...request, retries: 0 }, api);
+    
+    return {
+      healthy: result.success === true,
+      server: request.server,
+      method: request.method,
+      status: result.success ? 200 : (result.status || null),
+      latencyMs: Date.now() - startedAt,
+      error: result.success ? null : result.error
+    };
+  },
+  
+  // PlantUML文本编码（与 luban-uml、plantuml-renderer、plantuml-jar-renderer 逐字一致）：
+  // deflate 为原始deflate压缩后按PlantUML字母表每3字节编码为4个字符（URL最短），hex 为 ~h 前缀的UTF-8十六进制
+  encodePlantUML(content, encoding = 'deflate') {
+    const data = Buffer.from(content, 'utf8');
+    if (encoding === 'hex') {
+      return `~h${data.toString('hex')}`;
+    }
+    if (encoding !== 'deflate') {
+      throw new Error(`不支持的PlantUML编码方式：${encoding}`);
+    }
+    
+    const zlib = require('zlib');
+    const compressed = zlib.deflateRawSync(data, { level: 9 });
+    const chars = this.getPlantUMLAlphabet();
+    const chunks = [];
+    
+    // 每3个字节编码为4个字符，末尾不足3字节按0补齐
+    for (let i = 0; i < compressed.length; i += 3) {
+      const bitmap = (compressed[i] << 16) | ((compressed[i + 1] || 0) << 8) | (compressed[i + 2] || 0);
+      chunks.push(
+        chars.charAt((bitmap >> 18) & 63) +
+        chars.charAt((bitmap >> 12) & 63) +
+        chars.charAt((bitmap >> 6) & 63) +
+        chars.charAt(bitmap & 63)
+      );
+    }
+    
+    return chunks.join('');
+  },
+  
+  // 解码PlantUML编码串，也接受 http://server/plantuml/png/<编码> 形式的URL
+  decodePlantUML(input) {
+    const encoded = this.extractPlantUMLEncoded(input);
+    
+    if (/^~h/i.test(encoded)) {
+      const hex = encoded.slice(2);
+      if (!/^(?:[0-9a-f]{2})+$/i.test(hex)) {
+        throw new Error('无效的PlantUML编码：~h 后应为偶数位十六进制字符');
+      }
+      return { source: Buffer.from(hex, 'hex').toString('utf8'), encoding: 'hex' };
+    }
+    
+    const chars = this.getPlantUMLAlphabet();
+    const bytes = Buffer.alloc(Math.floor(encoded.length * 6 / 8));
+    let length = 0;
+    let bitmap = 0;
+    let bits = 0;
+    for (const char of encoded) {
+      const value = chars.indexOf(char);
+      if (value < 0) {
+        throw new Error(`无效的PlantUML编码：包含非法字符 "${char}"`);
+      }
+      bitmap = ((bitmap << 6) | value) & 0xffff;
+      bits += 6;
+      if (bits >= 8) {
+        bits -= 8;
+        bytes[length++] = (bitmap >> bits) & 255;
+      }
+    }
+    
+    // 编码时补齐的0字节位于压缩流结束之后，解压时忽略
+    const zlib = require('zlib');
+    try {
+      const data = zlib.inflateRawSync(bytes.subarray(0, length), { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      return { source: data.toString('utf8'), encoding: 'deflate' };
+    } catch (error) {
+      throw new Error(`无效的PlantUML编码：解压失败（${error.message}）`);
+    }
+  },
+  
+  // 从URL中取出编码部分：/uml/、/png/、/svg/ 等路径之后的一段；不是URL时原样返回
+  extractPlantUMLEncoded(input) {
+    const text = String(input || '').trim();
+    if (!text) {
+      throw new Error('缺少要解码的PlantUML编码串或URL');
+    }
+    if (!/^https?:\/\//i.test(text)) {
+      return text;
+    }
+    
+    const match = new URL(text).pathname.match(/\/(?:uml|png|svg|txt|eps|pdf|check|map|img)\/([^/]+)\/?$/);
+    if (!match) {
+      throw new Error(`URL中没有PlantUML编码：${text}`);
+    }
+    return decodeURIComponent(match[1]);
+  },
+  
+  getPlantUMLAlphabet() {
+    return '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-_';
+  },
+  
+  // ==================== 与 luban-uml、plantuml-renderer、plantuml-jar-renderer 逐字一致 ====================
+  // 三个工具各自独立加载运行，不能共用模块；以下方法在三处保持逐字相同（test/plantuml-tools/sync.test.js 校验），
+  // 渲染缓存目录共用，缓存键格式、主题和源文件发现规则任何一处不一致都会导致缓存错配或结果不同；
+  // 输出命名、多图拆分、!include 展开和 runPool 只在两个渲染器中，展开结果参与缓存键
+  
+  getThemePresets() {
+    return {
+      // 论文图表格式要求：中文宋体、标题黑体、黑白、无阴影、直角、300DPI
+      'academic-bw': [
+        'skinparam monochrome true',
+        'skinparam shadowing false',
+        'skinparam roundCorner 0',
+        'skinparam backgroundColor white',
+        'skinparam dpi 300',
+        'skinparam defaultFontName SimSun',
+        'skinparam defaultFontSize 12',
+        'skinparam titleFontName SimHei',
+        'skinparam titleFontSize 14'
+      ]
+    };
+  },
+  
+  unknownThemeError(theme) {
+    return new Error(`未知的主题：${theme}（可用预设：${Object.keys(this.getThemePresets()).join('、')}，或主题文件绝对路径）`);
+  },
+  
+  // 主题文件内容转为主题：id 取内容摘要（进入缓存键，文件改动后缓存失效），@startuml/@enduml 行会被忽略
+  parseThemeFile(content) {
+    const crypto = require('crypto');
+    return {
+      id: `file:${crypto.createHash('sha256').update(content).digest('hex').slice(0, 16)}`,
+      lines: content.split(/\r?\n/).filter(line => line.trim() && !/^\s*@(start|end)\w*/.test(line))
+    };
+  },
+  
+  // 主题语句插入到每个 @startuml 行之后，源码中自己的 skinparam 在其后，仍然优先生效
+  applyTheme(source, theme) {
+    if (!theme || theme.lines.length === 0) {
+      return source;
+    }
+    return source.replace(/^([ \t]*@startuml\b[^\r\n]*)(\r?\n)/gm, (match, line, eol) => `${line}${eol}${theme.lines.join(eol)}${eol}`);
+  },
+  
+  // 渲染缓存文件名为 sha256(源码 + 格式 + PlantUML版本 + 主题).格式
+  getRenderCacheKey(source, format, version, theme = '') {
+    const crypto = require('crypto');
+    return crypto.createHash('sha256').update(JSON.stringify({ source, format, version, theme })).digest('hex');
+  },
+  
+  // include/exclude 为相对源码目录的glob；递归扫描时不含目录的模式匹配任意层级。
+  // .iuml 是供 !include 引用的片段，不单独渲染或验证
+  getSourcePatterns(params, defaults = ['*.puml', '*.plantuml', '*.pu']) {
+    const recursive = params.recursive === true;
+    const withDepth = pattern => recursive && !pattern.includes('/') ? `**/${pattern}` : pattern;
+    const include = params.include && params.include.length > 0 ? params.include : defaults;
+    
+    return {
+      include: include.map(withDepth),
+      exclude: [...(params.exclude || []), '*.iuml'].map(withDepth)
+    };
+  },
+  
+  // 输出文件名沿用源文件的相对路径，只替换扩展名；多块时按PlantUML命令行的规则编号（a.png、a_001.png、a_002.png）
+  getOutputNames(file, count, format) {
+    const base = file.replace(/\.(puml|plantuml|pu)$/i, '');
+    return Array.from({ length: count }, (_, i) => i === 0
+      ? `${base}.${format}`
+      : `${base}_${String(i).padStart(3, '0')}.${format}`);
+  },
+  
+  // 一个文件中有多个 @startxxx ... @endxxx 块时拆开分别渲染；只有一块时保留原文（缓存键不变）
+  splitDiagrams(source) {
+    const blocks = source.match(/^[ \t]*@start(\w+)\b[^\n]*\n[\s\S]*?^[ \t]*@end\1\b[^\n]*$/gm);
+    return blocks && blocks.length > 1 ? blocks : [source];
+  },
+  
+  // 服务器和常驻进程都拿不到源码所在目录，渲染前把 !include / !include_once 引用的本地文件内容展开；
+  // 展开后的源码同时用于缓存键，包含文件变化时缓存失效。标准库（<...>）和URL保持原样
+  async inlineIncludes(source, filePath, api, stack = [], included = new Set()) {
+    if (!/^[ \t]*!include/m.test(source)) {
+      return source;
+    }
+    
+    const path = await api.importx('path');
+    const current = path.resolve(filePath);
+    const lines = [];
+    
+    for (const line of source.split(/\r?\n/)) {
+      const match = line.match(/^\s*!include(_once|_many)?\s+(.+?)\s*$/);
+      if (!match || /^(<|https?:)/i.test(match[2])) {
+        lines.push(line);
+        continue;
+      }
+      
+      const target = path.resolve(path.dirname(current), match[2].replace(/^"(.*)"$/, '$1'));
+      if (stack.includes(target) || target === current) {
+        throw new Error(`PlantUML包含文件循环引用: ${[...stack, current, target].map(p => path.basename(p)).join(' -> ')}`);
+      }
+      if (match[1] === '_once' && included.has(target)) {
+        continue;
+      }
+      included.add(target);
+      
+      let content;
+      try {
+        content = await api.bridge.execute('fs:read', { path: target });
+      } catch (error) {
+        throw new Error(`PlantUML包含文件不存在: ${match[2]}（${path.basename(current)}）`);
+      }
+      const body = content.split(/\r?\n/).filter(l => !/^\s*@(start|end)\w*/.test(l)).join('\n');
+      lines.push(await this.inlineIncludes(body, target, api, [...stack, current], included));
+    }
+    
+    return lines.join('\n');
+  },
+  
+  // 固定数量的执行者依次领取任务，结果顺序与输入一致
+  async runPool(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    });
+    await Promise.all(runners);
+    return results;
+  },
+  
+  // 主题为预设名（见 getThemePresets）或主题文件绝对路径
+  async resolveTheme(theme, api) {
+    const presets = this.getThemePresets();
+    if (presets[theme]) {
+      return { id: theme, lines: presets[theme] };
+    }
+    
+    const path = await api.importx('path');
+    if (!path.isAbsolute(theme)) {
+      throw this.unknownThemeError(theme);
+    }
+    
+    let content;
+    try {
+      content = await api.bridge.execute('fs:read', { path: theme });
+    } catch (error) {
+      throw this.unknownThemeError(theme);
+    }
+    return this.parseThemeFile(content);
+  },
+  
   getBusinessErrors() {
     return [
+      {
+        code: 'PLANTUML_SERVER_UNAVAILABLE',
+        description: 'PlantUML服务器健康检查失败',
+        match: /PlantUML服务器不可用/,
+        solution: '确认server地址正确且服务已启动，如本地容器 docker run -d -p 8080:8080 plantuml/plantuml-server:jetty 后使用 http://localhost:8080，或 java -jar plantuml.jar -picoweb:8080 后使用 http://127.0.0.1:8080/plantuml（picoweb需配合method=get）',
+        retryable: true
+      },
       {
         code: 'PLANTUML_SERVER_ERROR',
         description: 'PlantUML服务器错误',
         match: /plantuml.*error|server.*error/i,
-        solution: '检查PlantUML服务器是否可用',
+        solution: '检查PlantUML服务器是否可用，公共服务器限流时调小concurrency或调大retries/retryDelay',
         retryable: true
       },
       {
@@ -393,6 +894,27 @@ module.exports = {
         solution: '检查PlantUML源码语法',
         retryable: false
       },
+      {
+        code: 'INVALID_PLANTUML_ENCODING',
+        description: 'PlantUML编码串或URL无法解码',
+        match: /无效的PlantUML编码|URL中没有PlantUML编码|缺少要解码的PlantUML编码串/,
+        solution: '传入完整的PlantUML服务器URL（如 http://www.plantuml.com/plantuml/png/<编码>）或其中的编码串',
+        retryable: false
+      },
+      {
+        code: 'PLANTUML_INCLUDE_ERROR',
+        description: 'PlantUML包含文件缺失或循环引用',
+        match: /包含文件/,
+        solution: '检查!include路径（相对于引用它的文件）是否存在，并去掉相互包含',
+        retryable: false
+      },
+      {
+        code: 'THEME_NOT_FOUND',
+        description: '主题不存在',
+        match: /未知的主题/,
+        solution: '使用预设主题名（如academic-bw）或提供存在的主题文件绝对路径',
+        retryable: false
+      },
       {
         code: 'NETWORK_TIMEOUT',
         description: '网络请求超时',
@@ -0,0 +1,706 @@
+/**
+ * 系统ER图生成器 - 分析三线表JSON的外键关系并生成系统级ER总览图
+ *
+ * 战略意义：
+ * 1. 架构价值：把数据库设计章节的"系统E-R图"从手写脚本变成可复用工具，任何项目都能直接使用
+ * 2. 平台价值：外键目标优先取 relations.json，缺失时按已加载表的 tableName/tableCnName 实际查找，不再依赖项目专属的字符串清单
+ * 3. 生态价值：输入即 07-entity-extractor 导出的表结构目录，与 1-1-single-er 的单体ER图形成完整链路
+ *
+ * 设计理念：
+ * 分析与绘制分离：analyze 只输出表关系分析JSON，generate 在此基础上按被引用次数做分层环形布局。
+ * 通过Bridge模式隔离文件读写与Canvas渲染，支持mock测试和真实渲染两种模式；
+ * SVG 输出为纯字符串拼接，无需任何原生依赖。
+ *
+ * 为什么重要：
+ * 原先的 generate_system_er.js / analyze_table_relations.js 写死了项目路径和"关联用户表"等匹配串，
+ * 换一个项目就要改代码；工具化后只需传入表结构目录即可得到关系分析和系统ER图。
+ */
+
+module.exports = {
+  getDependencies() {
+    return {
+      'canvas': '^3.2.0'
+    };
+  },
+
+  getMetadata() {
+    return {
+      id: 'system-er',
+      name: '系统ER图生成器',
+      description: '分析三线表JSON的外键关系，生成表关系分析和系统级ER总览图（PNG/SVG），使用绝对路径',
+      version: '1.1.0',
+      author: '鲁班'
+    };
+  },
+
+  getSchema() {
+    return {
+      parameters: {
+        type: 'object',
+        properties: {
+          operation: {
+            type: 'string',
+            enum: ['analyze', 'generate'],
+            description: '操作类型：analyze-只输出表关系分析JSON，generate-分析并生成系统ER图',
+            default: 'generate'
+          },
+          tablesDir: {
+            type: 'string',
+            description: '三线表JSON目录的绝对路径（如 paper/exports/tables）',
+            minLength: 1
+          },
+          outputPath: {
+            type: 'string',
+            description: 'ER图输出文件绝对路径（.png或.svg），默认 <tablesDir>/system_er_diagram.png'
+          },
+          relationsPath: {
+            type: 'string',
+            description: '关系列表文件绝对路径（07-entity-extractor生成的relations.json），默认取 <tablesDir>/relations.json；不存在时按外键列推断'
+          },
+          analysisPath: {
+            type: 'string',
+            description: '表关系分析JSON输出绝对路径，默认 <tablesDir>/system_er_analysis.json'
+          },
+          title: {
+            type: 'string',
+            description: 'ER图标题',
+            default: '系统数据库ER图'
+          }
+        },
+        required: ['tablesDir']
+      }
+    };
+  },
+
+  getBridges() {
+    return {
+      // 读取目录下的三线表JSON，返回 [{ fileName, data }]，跳过分析结果、输入文件和 relations.json
+      'fs:readTables': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const path = await api.importx('path');
+
+          const files = (await fs.promises.readdir(args.dir))
+            .filter(file => file.endsWith('.json'))
+            .filter(file => !/_analysis|_input|^relations\.json$/.test(file))
+            .sort();
+
+          const tables = [];
+          for (const file of files) {
+            try {
+              const data = JSON.parse(await fs.promises.readFile(path.join(args.dir, file), 'utf8'));
+              if (data && data.tableName && Array.isArray(data.columns)) {
+                tables.push({ fileName: file, data });
+              }
+            } catch (error) {
+              api.logger.warn(`[Bridge] 跳过无法解析的文件: ${file}`, { error: error.message });
+            }
+          }
+
+          api.logger.info(`[Bridge] 读取${tables.length}个表结构文件`);
+          return tables;
+        },
+        mock: async (args, api) => {
+          api.logger.debug(`[Mock] 模拟读取表结构目录: ${args.dir}`);
+          const header = ['字段名', '字段中文名', '类型', '约束', '说明'];
+          return [
+            {
+              fileName: 'Tab-sys_user.json',
+              data: {
+                tableName: 'sys_user',
+                tableCnName: '用户表',
+                columns: [
+                  header,
+                  ['id', '编号', 'BIGINT', 'PK, AUTO_INCREMENT, NOT NULL', '主键'],
+                  ['username', '用户名', 'VARCHAR(64)', 'NOT NULL, UNIQUE', '登录账号'],
+                  ['phone', '手机号', 'VARCHAR(20)', '', '']
+                ]
+              }
+            },
+            {
+              fileName: 'Tab-venue.json',
+              data: {
+                tableName: 'venue',
+                tableCnName: '场地表',
+                columns: [header, ['id', '编号', 'BIGINT', 'PK, NOT NULL', '主键'], ['name', '场地名称', 'VARCHAR(64)', 'NOT NULL', '']]
+              }
+            },
+            {
+              fileName: 'Tab-reservation.json',
+              data: {
+                tableName: 'reservation',
+                tableCnName: '预约表',
+                columns: [
+                  header,
+                  ['id', '编号', 'BIGINT', 'PK, NOT NULL', '主键'],
+                  ['user_id', '用户编号', 'BIGINT', 'FK, NOT NULL', '关联用户表'],
+                  ['venue_id', '场地编号', 'BIGINT', 'FK', '关联场地表']
+                ]
+              }
+            }
+          ];
+        }
+      },
+
+      // 读取 relations.json 的关系列表，文件不存在时返回 null，由调用方回退到按外键列推断
+      'fs:readRelations': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          if (!fs.existsSync(args.path)) {
+            return null;
+          }
+          const data = JSON.parse(await fs.promises.readFile(args.path, 'utf8'));
+          return Array.isArray(data) ? data : (data.relations || []);
+        },
+        mock: async (args, api) => {
+          api.logger.debug(`[Mock] 模拟读取关系列表: ${args.path}`);
+          return [
+            {
+              source: { table: 'reservation', tableCnName: '预约表', columns: ['user_id'] },
+              target: { table: 'sys_user', tableCnName: '用户表', columns: ['id'] },
+              cardinality: 'N:1'
+            },
+            {
+              source: { table: 'reservation', tableCnName: '预约表', columns: ['venue_id'] },
+              target: { table: 'venue', tableCnName: '场地表', columns: ['id'] },
+              cardinality: 'N:1'
+            }
+          ];
+        }
+      },
+
+      'fs:write': {
+        real: async (args, api) => {
+          const fs = await api.importx('fs');
+          const path = await api.importx('path');
+
+          // 确保输出目录存在
+          await fs.promises.mkdir(path.dirname(args.path), { recursive: true });
+          await fs.promises.writeFile(args.path, args.data);
+          return { success: true, path: args.path };
+        },
+        mock: async (args, api) => {
+          api.logger.debug(`[Mock] 保存文件: ${args.path}`);
+          return { success: true, path: args.path };
+        }
+      },
+
+      'canvas:render': {
+        real: async (args, api) => {
+          const { createCanvas } = await api.importx('canvas');
+          const { scene } = args;
+          const canvas = createCanvas(scene.width, scene.height);
+          const ctx = canvas.getContext('2d');
+
+          ctx.fillStyle = '#f8f9fa';
+          ctx.fillRect(0, 0, scene.width, scene.height);
+
+          // 关系连线与箭头
+          ctx.strokeStyle = '#6c757d';
+          ctx.lineWidth = 2;
+          for (const edge of scene.edges) {
+            ctx.beginPath();
+            if (edge.loop) {
+              ctx.arc(edge.loop.x, edge.loop.y, edge.loop.r, 0, Math.PI * 2);
+            } else {
+              ctx.moveTo(edge.x1, edge.y1);
+              ctx.lineTo(edge.x2, edge.y2);
+            }
+            for (const [x1, y1, x2, y2] of edge.arrow) {
+              ctx.moveTo(x1, y1);
+              ctx.lineTo(x2, y2);
+            }
+            ctx.stroke();
+          }
+
+          ctx.textAlign = 'center';
+          ctx.font = `${scene.labelFont}px Arial`;
+          ctx.fillStyle = '#6c757d';
+          for (const edge of scene.edges) {
+            ctx.fillText(edge.label, edge.labelX, edge.labelY);
+          }
+
+          // 表格矩形、表名与引用计数
+          for (const node of scene.nodes) {
+            ctx.fillStyle = '#fff';
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 2;
+            ctx.fillRect(node.x - node.width / 2, node.y - node.height / 2, node.width, node.height);
+            ctx.strokeRect(node.x - node.width / 2, node.y - node.height / 2, node.width, node.height);
+
+            ctx.fillStyle = '#333';
+            ctx.font = `bold ${scene.nodeFont}px Arial`;
+            ctx.fillText(node.label, node.x, node.y + (node.subLabel ? 0 : 5));
+            if (node.subLabel) {
+              ctx.font = '10px Arial';
+              ctx.fillStyle = '#666';
+              ctx.fillText(node.subLabel, node.x, node.y + 15);
+            }
+          }
+
+          ctx.font = 'bold 24px Arial';
+          ctx.fillStyle = '#333';
+          ctx.fillText(scene.title, scene.width / 2, 50);
+
+          ctx.font = '12px Arial';
+          ctx.textAlign = 'left';
+          ctx.fillStyle = '#666';
+          scene.legend.forEach((line, index) => {
+            ctx.fillText(line, 50, scene.height - 20 * (scene.legend.length - index));
+          });
+
+          api.logger.info('[Bridge] Canvas渲染完成');
+          return canvas.toBuffer('image/png');
+        },
+        mock: async (args, api) => {
+          api.logger.debug(`[Mock] 模拟Canvas渲染: ${args.scene.nodes.length}个表`);
+
+          // 模拟PNG图片数据（最小的1x1透明PNG）
+          return Buffer.from([
+            0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A,
+            0x00, 0x00, 0x00, 0x0D, 0x49, 0x48, 0x44, 0x52,
+            0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x01,
+            0x08, 0x06, 0x00, 0x00, 0x00, 0x1F, 0x15, 0xC4,
+            0x89, 0x00, 0x00, 0x00, 0x0A, 0x49, 0x44, 0x41,
+            0x54, 0x78, 0x9C, 0x63, 0x00, 0x01, 0x00, 0x00,
+            0x05, 0x00, 0x01, 0x0D, 0x0A, 0x2D, 0xB4, 0x00,
+            0x00, 0x00, 0x00, 0x49, 0x45, 0x4E, 0x44, 0xAE,
+            0x42, 0x60, 0x82
+          ]);
+        }
+      }
+    };
+  },
+
+  async execute(params) {
+    const { api } = this;
+    const path = await api.importx('path');
+
+    api.logger.info('系统ER图生成器启动', { params });
+
+    try {
+      if (!params.tablesDir || !path.isAbsolute(params.tablesDir)) {
+        throw new Error(`表结构目录必须是绝对路径：${params.tablesDir}`);
+      }
+
+      const files = await api.bridge.execute('fs:readTables', { dir: params.tablesDir });
+      if (files.length === 0) {
+        throw new Error(`表结构目录中没有找到三线表JSON：${params.tablesDir}`);
+      }
+
+      const relationsPath = params.relationsPath || path.join(params.tablesDir, 'relations.json');
+      const relationList = await api.bridge.execute('fs:readRelations', { path: relationsPath });
+      const analysis = this.analyzeTables(files, relationList);
+      const analysisPath = params.analysisPath || path.join(params.tablesDir, 'system_er_analysis.json');
+      await api.bridge.execute('fs:write', {
+        path: analysisPath,
+        data: JSON.stringify(analysis, null, 2)
+      });
+
+      api.logger.info(`发现 ${analysis.tables.length} 个表，${analysis.relations.length} 个关系`);
+      if (analysis.unresolved.length > 0) {
+        api.logger.warn(`${analysis.unresolved.length}个外键未能找到目标表`, { unresolved: analysis.unresolved });
+      }
+
+      const result = {
+        success: true,
+        operation: params.operation || 'generate',
+        tablesDir: params.tablesDir,
+        analysisPath,
+        relationsSource: relationList ? relationsPath : 'inferred',
+        tableCount: analysis.tables.length,
+        relationCount: analysis.relations.length,
+        tableCounts: analysis.tableCounts,
+        unresolved: analysis.unresolved
+      };
+
+      if (params.operation === 'analyze') {
+        return result;
+      }
+
+      const outputPath = params.outputPath || path.join(params.tablesDir, 'system_er_diagram.png');
+      if (!path.isAbsolute(outputPath)) {
+        throw new Error(`输出路径必须是绝对路径：${outputPath}`);
+      }
+
+      const format = path.extname(outputPath).toLowerCase() === '.svg' ? 'svg' : 'png';
+      const scene = this.buildScene(analysis, params.title || '系统数据库ER图');
+      const data = format === 'svg'
+        ? this.renderSceneSvg(scene)
+        : await api.bridge.execute('canvas:render', { scene });
+
+      await api.bridge.execute('fs:write', { path: outputPath, data });
+      api.logger.info(`系统ER图已生成: ${outputPath}`);
+
+      return {
+        ...result,
+        outputPath,
+        format,
+        width: scene.width,
+        height: scene.height
+      };
+    } catch (error) {
+      api.logger.error('系统ER图生成失败', error);
+      throw error;
+    }
+  },
+
+  // ==================== 关系分析 ====================
+
+  // relations.json 中的关系优先；其中没有覆盖到的外键列再按约束、说明和字段名推断目标表
+  analyzeTables(files, relationList = null) {
+    const tables = files.map(({ fileName, data }) => ({
+      fileName,
+      tableName: data.tableName,
+      tableCnName: data.tableCnName || data.tableName,
+      // 二维数组格式跳过表头行
+      columns: data.columns.filter((col, index) => Array.isArray(col) && !(index === 0 && col[0] === '字段名')),
+      foreignKeys: []
+    }));
+    const byName = new Map(tables.map(table => [table.tableName, table]));
+
+    const relations = [];
+    const unresolved = [];
+    const covered = new Set();
+    const addRelation = (table, col, target, resolvedBy, description) => {
+      table.foreignKeys.push({
+        field: col[1], // 中文字段名
+        fieldEn: col[0], // 英文字段名
+        targetTable: target.tableCnName,
+        targetTableName: target.tableName,
+        resolvedBy,
+        description
+      });
+
+      relations.push({
+        from: table.tableCnName,
+        fromTable: table.tableName,
+        fromField: col[1],
+        fromFieldEn: col[0],
+        to: target.tableCnName,
+        toTable: target.tableName,
+        resolvedBy,
+        description
+      });
+    };
+
+    for (const relation of relationList || []) {
+      const sourceName = relation.source && relation.source.table;
+      const targetName = relation.target && relation.target.table;
+      const source = byName.get(sourceName);
+      const target = byName.get(targetName);
+      if (!source || !target) {
+        unresolved.push({ table: sourceName, target: targetName, resolvedBy: 'relations' });
+        continue;
+      }
+
+      // 多对多：中间表在目录中时由它的两条外键表达；不在时在两表之间画一条以中间表命名的连线
+      if (relation.joinTable) {
+        if (!byName.has(relation.joinTable.name)) {
+          addRelation(source, ['', relation.joinTable.name], target, 'relations', `多对多（${relation.joinTable.name}）`);
+        }
+        continue;
+      }
+
+      for (const column of relation.source.columns || []) {
+        const col = source.columns.find(row => row[0] === column) || [column, column];
+        covered.add(`${source.tableName}.${col[0]}`);
+        addRelation(source, col, target, 'relations', col[4] || '');
+      }
+    }
+
+    for (const table of tables) {
+      for (const col of table.columns) {
+        if (!/\bFK\b|FOREIGN\s+KEY|REFERENCES|外键/i.test(col[3] || '')) continue;
+        if (covered.has(`${table.tableName}.${col[0]}`)) continue;
+
+        const description = col[4] || '';
+        const match = this.resolveForeignKeyTarget(col, tables, table);
+        if (!match) {
+          unresolved.push({ table: table.tableName, tableCnName: table.tableCnName, field: col[1], fieldEn: col[0], description });
+          continue;
+        }
+
+        addRelation(table, col, match.target, match.resolvedBy, description);
+      }
+    }
+
+    // 表的重要性（被其他表引用的次数），按表名统计，中文名相同的两张表不会合并
+    const tableCounts = {};
+    relations.forEach(rel => {
+      tableCounts[rel.toTable] = (tableCounts[rel.toTable] || 0) + 1;
+    });
+
+    return {
+      tables: tables.map(table => ({
+        fileName: table.fileName,
+        tableName: table.tableName,
+        tableCnName: table.tableCnName,
+        columnCount: table.columns.length,
+        foreignKeys: table.foreignKeys,
+        refCount: tableCounts[table.tableName] || 0
+      })),
+      relations,
+      tableCounts,
+      unresolved
+    };
+  },
+
+  // 没有 relations.json 覆盖的外键在已加载的表中查找，依次使用：约束里的 REFERENCES/FK→表名、说明中出现的表名、字段名、中文字段名
+  resolveForeignKeyTarget(col, tables, owner) {
+    const [fieldName = '', fieldCnName = '', , constraint = '', description = ''] = col;
+    const normalize = (name) => String(name || '').toLowerCase().replace(/^\w+\./, '').replace(/[`"]/g, '');
+    const stripPrefix = (name) => name.replace(/^(t|tb|tbl|sys|biz)_/, '');
+    const byTableName = (name) => {
+      const target = normalize(name);
+      return tables.find(table => normalize(table.tableName) === target) ||
+        tables.find(table => stripPrefix(normalize(table.tableName)) === stripPrefix(target));
+    };
+
+    const explicit = `${constraint} ${description}`.match(/REFERENCES\s+([`"\w.]+)|FK\s*(?:→|->|:|：|\()\s*([`"\w.]+)/i);
+    if (explicit && byTableName(explicit[1] || explicit[2])) {
+      return { target: byTableName(explicit[1] || explicit[2]), resolvedBy: 'constraint' };
+    }
+
+    // 说明中出现的表中文名/英文名，取最长匹配，避免"用户表"命中"用户角色表"的说明
+    const mentioned = tables
+      .flatMap(table => [table.tableCnName, table.tableName]
+        .filter(name => name && name.length >= 2 && description.includes(name))
+        .map(name => ({ table, length: name.length })))
+      .sort((a, b) => b.length - a.length)[0];
+    if (mentioned) {
+      return { target: mentioned.table, resolvedBy: 'description' };
+    }
+
+    // 字段名：user_id / userId → user，再按去前缀、复数形式（users、boxes、categories）匹配表名；parent_id 视为自关联
+    const base = fieldName.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase().replace(/_?id$/, '');
+    if (base === 'parent') {
+      return { target: owner, resolvedBy: 'fieldName' };
+    }
+    if (base) {
+      const target = tables.find(table => {
+        const name = stripPrefix(normalize(table.tableName));
+        return [base, `${base}s`, `${base}es`, base.replace(/y$/, 'ies')].includes(name);
+      });
+      if (target) {
+        return { target, resolvedBy: 'fieldName' };
+      }
+    }
+
+    // 中文字段名：用户编号/用户ID → 用户 → 用户表
+    const cnBase = fieldCnName.replace(/(编号|ID|Id|id|标识|主键)$/, '');
+    if (cnBase && cnBase !== fieldCnName) {
+      const target = tables.find(table => [cnBase, `${cnBase}表`, `${cnBase}信息表`].includes(table.tableCnName));
+      if (target) {
+        return { target, resolvedBy: 'fieldCnName' };
+      }
+    }
+
+    return null;
+  },
+
+  // ==================== 布局与绘制 ====================
+
+  // 按被引用次数分层：引用最多的表居中，其余按环的周长容量依次向外排布
+  buildScene(analysis, title) {
+    const nodeFont = 14;
+    const labelFont = 11;
+    const sorted = [...analysis.tables].sort((a, b) => b.refCount - a.refCount);
+    const nodes = sorted.map(table => ({
+      key: table.tableName,
+      label: table.tableCnName,
+      subLabel: table.refCount > 0 ? `(${table.refCount}次被引用)` : '',
+      width: Math.max(100, this.measureText(table.tableCnName, nodeFont) + 30),
+      height: table.refCount > 0 ? 50 : 40
+    }));
+
+    const maxWidth = Math.max(...nodes.map(node => node.width));
+    const ringGap = 150;
+    const rings = [[nodes[0]]];
+    let radius = 0;
+    for (const node of nodes.slice(1)) {
+      const current = rings[rings.length - 1];
+      const capacity = Math.max(3, Math.floor((2 * Math.PI * radius) / (maxWidth + 40)));
+      if (rings.length === 1 || current.length >= capacity) {
+        radius += ringGap + (rings.length === 1 ? maxWidth / 2 : 0);
+        rings.push([node]);
+      } else {
+        current.push(node);
+      }
+    }
+
+    const margin = 60;
+    const width = Math.ceil(Math.max(1600, (radius + maxWidth / 2 + margin) * 2));
+    const height = Math.ceil(Math.max(1200, (radius + 40 + margin) * 2 + 180));
+    const centerX = width / 2;
+    const centerY = height / 2;
+
+    let ringRadius = 0;
+    rings.forEach((ring, ringIndex) => {
+      if (ringIndex > 0) {
+        ringRadius += ringGap + (ringIndex === 1 ? maxWidth / 2 : 0);
+      }
+      // 相邻环错开半个角度，减少连线穿过表格
+      const step = (2 * Math.PI) / ring.length;
+      ring.forEach((node, index) => {
+        const angle = index * step - Math.PI / 2 + (ringIndex % 2 === 0 ? step / 2 : 0);
+        node.x = centerX + ringRadius * Math.cos(angle);
+        node.y = centerY + ringRadius * Math.sin(angle);
+      });
+    });
+
+    // 同一对表之间的多个外键合并成一条连线，字段名合并为标签
+    const positions = new Map(nodes.map(node => [node.key, node]));
+    const grouped = new Map();
+    for (const rel of analysis.relations) {
+      const key = `${rel.fromTable}\u0000${rel.toTable}`;
+      if (!grouped.has(key)) grouped.set(key, { from: rel.fromTable, to: rel.toTable, fields: [] });
+      grouped.get(key).fields.push(rel.fromField || rel.fromFieldEn);
+    }
+
+    const edges = [];
+    for (const { from, to, fields } of grouped.values()) {
+      const fromPos = positions.get(from);
+      const toPos = positions.get(to);
+      if (!fromPos || !toPos) continue;
+
+      const label = fields.join('/');
+      if (fromPos === toPos) {
+        // 自关联：在表格右上角画环，箭头落在环与表格的交点
+        const loop = { x: toPos.x + toPos.width / 2, y: toPos.y - toPos.height / 2, r: 18 };
+        edges.push({
+          loop,
+          arrow: this.arrowHead(loop.x + 30, loop.y, loop.x, loop.y + loop.r),
+          label,
+          labelX: loop.x + loop.r + 6 + this.measureText(label, labelFont) / 2,
+          labelY: loop.y - loop.r
+        });
+        continue;
+      }
+
+      const line = this.calculateEdgeToEdge(fromPos, toPos);
+      edges.push({
+        ...line,
+        arrow: this.arrowHead(line.x1, line.y1, line.x2, line.y2),
+        label,
+        labelX: (line.x1 + line.x2) / 2,
+        labelY: (line.y1 + line.y2) / 2 - 6
+      });
+    }
+
+    return {
+      width,
+      height,
+      title,
+      nodeFont,
+      labelFont,
+      nodes,
+      edges,
+      legend: ['图例：', '• 矩形：数据表', '• 箭头：外键关系（由外键表指向被引用表）', '• 中心位置：最重要的表（被引用最多）']
+    };
+  },
+
+  // 箭头两翼线段，指向 (x2, y2)
+  arrowHead(x1, y1, x2, y2) {
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const arrowLength = 10;
+    return [-0.5, 0.5].map(offset => [
+      x2, y2,
+      x2 - arrowLength * Math.cos(angle + offset),
+      y2 - arrowLength * Math.sin(angle + offset)
+    ]);
+  },
+
+  renderSceneSvg(scene) {
+    const fontFamily = 'Microsoft YaHei, SimHei, Arial';
+    const round = (value) => Math.round(value * 10) / 10;
+    let svg = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+    svg += `<svg width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}" xmlns="http://www.w3.org/2000/svg">\n`;
+    svg += `  <rect width="${scene.width}" height="${scene.height}" fill="#f8f9fa"/>\n`;
+
+    for (const edge of scene.edges) {
+      if (edge.loop) {
+        svg += `  <circle cx="${round(edge.loop.x)}" cy="${round(edge.loop.y)}" r="${edge.loop.r}" fill="none" stroke="#6c757d" stroke-width="2"/>\n`;
+      } else {
+        svg += `  <line x1="${round(edge.x1)}" y1="${round(edge.y1)}" x2="${round(edge.x2)}" y2="${round(edge.y2)}" stroke="#6c757d" stroke-width="2"/>\n`;
+      }
+      for (const [x1, y1, x2, y2] of edge.arrow) {
+        svg += `  <line x1="${round(x1)}" y1="${round(y1)}" x2="${round(x2)}" y2="${round(y2)}" stroke="#6c757d" stroke-width="2"/>\n`;
+      }
+      svg += `  <text x="${round(edge.labelX)}" y="${round(edge.labelY)}" text-anchor="middle" font-family="${fontFamily}" font-size="${scene.labelFont}" fill="#6c757d">${this.escapeXml(edge.label)}</text>\n`;
+    }
+
+    for (const node of scene.nodes) {
+      svg += `  <rect x="${round(node.x - node.width / 2)}" y="${round(node.y - node.height / 2)}" width="${node.width}" height="${node.height}" fill="#fff" stroke="#333" stroke-width="2"/>\n`;
+      svg += `  <text x="${round(node.x)}" y="${round(node.y + (node.subLabel ? 0 : 5))}" text-anchor="middle" font-family="${fontFamily}" font-size="${scene.nodeFont}" font-weight="bold" fill="#333">${this.escapeXml(node.label)}</text>\n`;
+      if (node.subLabel) {
+        svg += `  <text x="${round(node.x)}" y="${round(node.y + 15)}" text-anchor="middle" font-family="${fontFamily}" font-size="10" fill="#666">${this.escapeXml(node.subLabel)}</text>\n`;
+      }
+    }
+
+    svg += `  <text x="${scene.width / 2}" y="50" text-anchor="middle" font-family="${fontFamily}" font-size="24" font-weight="bold" fill="#333">${this.escapeXml(scene.title)}</text>\n`;
+    scene.legend.forEach((line, index) => {
+      svg += `  <text x="50" y="${scene.height - 20 * (scene.legend.length - index)}" font-family="${fontFamily}" font-size="12" fill="#666">${this.escapeXml(line)}</text>\n`;
+    });
+
+    return svg + `</svg>`;
+  },
+
+  // 边到边连线计算
+  calculateEdgeToEdge(rect1, rect2) {
+    const dx = rect2.x - rect1.x;
+    const dy = rect2.y - rect1.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (distance === 0) return { x1: rect1.x, y1: rect1.y, x2: rect2.x, y2: rect2.y };
+
+    const unitX = dx / distance;
+    const unitY = dy / distance;
+    const edgePoint = (rect, ux, uy) => {
+      if (Math.abs(ux) > Math.abs(uy) * (rect.width / rect.height)) {
+        return { x: rect.x + (ux > 0 ? rect.width / 2 : -rect.width / 2), y: rect.y + (rect.width / 2) * uy / Math.abs(ux) };
+      }
+      return { x: rect.x + (rect.height / 2) * ux / Math.abs(uy), y: rect.y + (uy > 0 ? rect.height / 2 : -rect.height / 2) };
+    };
+
+    const start = edgePoint(rect1, unitX, unitY);
+    const end = edgePoint(rect2, -unitX, -unitY);
+    return { x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+  },
+
+  // 估算文字宽度：中文按字号计，其余按 0.6 倍字号
+  measureText(text, fontSize) {
+    return [...String(text || '')].reduce((width, char) => width + (/[\u4e00-\u9fa5\uff00-\uffef]/.test(char) ? fontSize : fontSize * 0.6), 0);
+  },
+
+  escapeXml(text) {
+    const escapeMap = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' };
+    return String(text).replace(/[<>&"']/g, char => escapeMap[char]);
+  },
+
+  getBusinessErrors() {
+    return [
+      {
+        code: 'INVALID_ABSOLUTE_PATH',
+        description: '路径必须是绝对路径',
+        match: /必须是绝对路径/i,
+        solution: '请提供完整的绝对路径，以/开头（Linux/Mac）或C:\\\\开头（Windows）',
+        retryable: false
+      },
+      {
+        code: 'NO_TABLES_FOUND',
+        description: '表结构目录中没有三线表JSON',
+        match: /没有找到三线表JSON|ENOENT/i,
+        solution: '先使用 07-entity-extractor 导出表结构，或检查 tablesDir 是否正确',
+        retryable: false
+      },
+      {
+        code: 'CANVAS_NOT_AVAILABLE',
+        description: 'Canvas原生模块不可用',
+        match: /canvas|Cannot find module/i,
+        solution: '安装 canvas 依赖，或将 outputPath 扩展名改为 .svg 输出矢量图',
+        retryable: false
+      }
+    ];
+  }
+};
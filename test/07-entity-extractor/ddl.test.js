@@ -0,0 +1,175 @@
+/**
+ * 07-entity-extractor DDL 输入：MySQL/PostgreSQL 建表语句、Flyway 迁移按版本号重放、Liquibase changelog，
+ * SQL COMMENT 作为字段中文名，外键来自约束定义
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TOOL = require.resolve('../../resource/tool/07-entity-extractor/07-entity-extractor.tool.js');
+
+// 在临时项目中执行一次抽取，返回执行结果、按表名索引的三线表和关系图
+const extract = async (t, files, params = {}) => {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'entity-extractor-'));
+  t.after(() => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, name)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, name), content);
+  }
+
+  delete require.cache[TOOL];
+  const tool = require(TOOL);
+  tool.api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name)
+  };
+  const result = await tool.execute({ projectRoot, ...params });
+  assert.ok(result.success, JSON.stringify(result.error));
+
+  const outputDir = path.join(projectRoot, 'paper', 'exports', 'tables');
+  const tables = {};
+  for (const file of fs.readdirSync(outputDir).filter(name => /^Tab-.+\.json$/.test(name))) {
+    const table = JSON.parse(fs.readFileSync(path.join(outputDir, file), 'utf8'));
+    tables[table.tableName] = table;
+  }
+  const { relations } = JSON.parse(fs.readFileSync(path.join(outputDir, 'relations.json'), 'utf8'));
+  return { result: result.data, tables, relations };
+};
+
+const FLYWAY = {
+  'source/db/migration/V1__init.sql': `CREATE TABLE \`member\` (
+  \`id\` BIGINT NOT NULL AUTO_INCREMENT COMMENT '会员编号',
+  \`name\` VARCHAR(32) NOT NULL COMMENT '姓名',
+  \`phone\` VARCHAR(11) DEFAULT NULL COMMENT '手机号',
+  PRIMARY KEY (\`id\`),
+  UNIQUE KEY \`uk_phone\` (\`phone\`)
+) ENGINE=InnoDB COMMENT='会员';
+`,
+  'source/db/migration/V2__card.sql': `-- 会员卡
+CREATE TABLE member_card (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  member_id BIGINT NOT NULL COMMENT '持卡会员',
+  balance DECIMAL(10,2) DEFAULT 0.00 COMMENT '余额',
+  CONSTRAINT fk_card_member FOREIGN KEY (member_id) REFERENCES member(id)
+) COMMENT='会员卡表';
+
+CREATE TABLE tmp_import (id INT PRIMARY KEY);
+`,
+  'source/db/migration/V3__drop_tmp.sql': 'DROP TABLE IF EXISTS tmp_import;\n',
+  // V10 在 V3 之后执行（按版本号而不是文件名排序）
+  'source/db/migration/V10__card_status.sql': `ALTER TABLE member_card ADD COLUMN status TINYINT NOT NULL DEFAULT 1 COMMENT '状态';
+ALTER TABLE member_card DROP COLUMN balance;
+`
+};
+
+const POSTGRES = {
+  'source/schema.sql': `CREATE TABLE coach (
+  id BIGSERIAL PRIMARY KEY,
+  full_name VARCHAR(50) NOT NULL
+);
+COMMENT ON TABLE coach IS '教练';
+COMMENT ON COLUMN coach.full_name IS '教练姓名';
+
+CREATE TABLE course (
+  id SERIAL PRIMARY KEY,
+  coach_id BIGINT NOT NULL
+);
+ALTER TABLE course ADD CONSTRAINT fk_course_coach FOREIGN KEY (coach_id) REFERENCES coach (id);
+`
+};
+
+const LIQUIBASE = {
+  'source/changelog/db.changelog.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<databaseChangeLog xmlns="http://www.liquibase.org/xml/ns/dbchangelog">
+  <changeSet id="1" author="dev">
+    <createTable tableName="coach" remarks="教练表">
+      <column name="id" type="BIGINT" autoIncrement="true">
+        <constraints primaryKey="true" nullable="false"/>
+      </column>
+    </createTable>
+    <createTable tableName="venue" remarks="场馆表">
+      <column name="id" type="BIGINT" autoIncrement="true">
+        <constraints primaryKey="true" nullable="false"/>
+      </column>
+      <column name="venue_name" type="VARCHAR(64)" remarks="场馆名称">
+        <constraints nullable="false" unique="true"/>
+      </column>
+      <column name="coach_id" type="BIGINT" remarks="负责教练">
+        <constraints references="coach(id)" foreignKeyName="fk_venue_coach"/>
+      </column>
+    </createTable>
+  </changeSet>
+  <changeSet id="2" author="dev">
+    <addColumn tableName="venue">
+      <column name="capacity" type="INT" defaultValueNumeric="100" remarks="容量"/>
+    </addColumn>
+    <createTable tableName="tmp_venue">
+      <column name="id" type="INT"/>
+    </createTable>
+    <dropTable tableName="tmp_venue"/>
+  </changeSet>
+</databaseChangeLog>
+`
+};
+
+test('MySQL：列 COMMENT 作为字段中文名，表 COMMENT 补全“表”字，约束写入约束列', async (t) => {
+  const { tables, result } = await extract(t, FLYWAY, { inputMode: 'ddl' });
+
+  assert.ok(result.tables.every(table => table.language === 'sql'));
+  assert.strictEqual(tables.member.tableCnName, '会员表');
+  assert.deepStrictEqual(tables.member.columns.slice(1).map(row => row.slice(0, 4)), [
+    ['id', '会员编号', 'BIGINT', 'PK, AUTO_INCREMENT, NOT NULL'],
+    ['name', '姓名', 'VARCHAR(32)', 'NOT NULL'],
+    ['phone', '手机号', 'VARCHAR(11)', 'UNIQUE']
+  ]);
+});
+
+test('Flyway：按版本号重放迁移，ALTER TABLE 增删列，DROP TABLE 的表不输出', async (t) => {
+  const { tables } = await extract(t, FLYWAY, { inputMode: 'ddl' });
+
+  assert.deepStrictEqual(Object.keys(tables).sort(), ['member', 'member_card']);
+  assert.deepStrictEqual(tables.member_card.columns.slice(1).map(row => row.slice(0, 4)), [
+    ['id', '编号', 'BIGINT', 'PK, AUTO_INCREMENT, NOT NULL'],
+    ['member_id', '持卡会员', 'BIGINT', 'FK, NOT NULL'],
+    ['status', '状态', 'TINYINT', 'NOT NULL, DEFAULT 1']
+  ]);
+  assert.strictEqual(tables.member_card.columns[2][4], '关联会员表');
+});
+
+test('PostgreSQL：SERIAL 自增、COMMENT ON 说明、ALTER TABLE ADD CONSTRAINT 外键', async (t) => {
+  const { tables, relations } = await extract(t, POSTGRES, { inputMode: 'ddl' });
+
+  assert.strictEqual(tables.coach.tableCnName, '教练表');
+  assert.deepStrictEqual(tables.coach.columns[2].slice(0, 4), ['full_name', '教练姓名', 'VARCHAR(50)', 'NOT NULL']);
+  assert.match(tables.course.columns[1][3], /^PK, AUTO_INCREMENT/);
+  assert.deepStrictEqual(tables.course.columns[2].slice(3), ['FK, NOT NULL', '关联教练表']);
+  assert.deepStrictEqual(relations.map(relation => [relation.source.table, relation.target.table, relation.inferredBy]), [
+    ['course', 'coach', 'ddl']
+  ]);
+});
+
+test('Liquibase：createTable/addColumn/dropTable 与 references 外键', async (t) => {
+  const { tables, relations } = await extract(t, LIQUIBASE, { inputMode: 'ddl' });
+
+  assert.deepStrictEqual(Object.keys(tables).sort(), ['coach', 'venue']);
+  assert.deepStrictEqual(tables.venue.columns.slice(1).map(row => row.slice(0, 4)), [
+    ['id', '编号', 'BIGINT', 'PK, AUTO_INCREMENT, NOT NULL'],
+    ['venue_name', '场馆名称', 'VARCHAR(64)', 'NOT NULL, UNIQUE'],
+    ['coach_id', '负责教练', 'BIGINT', 'FK'],
+    ['capacity', '容量', 'INT', 'DEFAULT 100']
+  ]);
+  assert.deepStrictEqual(relations.map(relation => `${relation.source.table}.${relation.source.columns} -> ${relation.target.table}.${relation.target.columns}`), [
+    'venue.coach_id -> coach.id'
+  ]);
+});
+
+test('auto 模式下源码中没有实体时回退到 DDL', async (t) => {
+  const { result } = await extract(t, POSTGRES);
+
+  assert.deepStrictEqual(result.tables.map(table => table.name).sort(), ['coach', 'course']);
+});
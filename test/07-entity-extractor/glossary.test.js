@@ -0,0 +1,138 @@
+/**
+ * 07-entity-extractor 项目术语表：与内置词典合并、驼峰复合词拆分、xxxId 后缀（idSuffix）、
+ * 未翻译术语报告及可回填的模板
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TOOL = require.resolve('../../resource/tool/07-entity-extractor/07-entity-extractor.tool.js');
+
+const loadTool = () => {
+  delete require.cache[TOOL];
+  const tool = require(TOOL);
+  tool.api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name)
+  };
+  return tool;
+};
+
+// 在临时项目中执行一次抽取，返回执行结果、输出目录和按表名索引的三线表
+const extract = async (t, files, params = {}) => {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'entity-extractor-'));
+  t.after(() => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, name)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, name), content);
+  }
+
+  const result = await loadTool().execute({ projectRoot, ...params });
+  const outputDir = path.join(projectRoot, 'paper', 'exports', 'tables');
+  const tables = {};
+  if (result.success) {
+    for (const file of fs.readdirSync(outputDir).filter(name => /^Tab-.+\.json$/.test(name))) {
+      const table = JSON.parse(fs.readFileSync(path.join(outputDir, file), 'utf8'));
+      tables[table.tableName] = table;
+    }
+  }
+  return { result, outputDir, tables };
+};
+
+// 在给定术语表下翻译名称，返回 [中文名, 未翻译术语]
+const translate = (data, name, type = 'field') => {
+  const tool = loadTool();
+  tool.glossary = tool.buildGlossary(data, null);
+  tool.untranslatedTerms = new Map();
+  return [tool.generateChineseName(name, type), [...tool.untranslatedTerms.keys()]];
+};
+
+const ENTITY = {
+  'source/entity/MemberCard.java': `@Entity
+@Table(name = "member_card")
+public class MemberCard {
+    @Id
+    private Long id;
+
+    private Long memberCardId;
+
+    private String tierCode;
+
+    private Integer pointBalance;
+}
+`
+};
+
+test('驼峰复合词按最长匹配拆分翻译，整词在术语表中时优先整体翻译', () => {
+  const words = { member: '会员', card: '卡', membercard: '会员卡片', point: '积分', balance: '余额' };
+
+  assert.deepStrictEqual(translate({ words }, 'pointBalance'), ['积分余额', []]);
+  assert.deepStrictEqual(translate({ words }, 'memberCard'), ['会员卡片', []]);
+  assert.deepStrictEqual(translate({ words }, 'memberCardLevel'), ['会员卡片等级', []]);
+});
+
+test('xxxId 默认译为“编号”，idSuffix 可改为“ID”，内置词典中的 xxxId 同步', () => {
+  const words = { member: '会员', card: '卡' };
+
+  assert.strictEqual(translate({ words }, 'memberCardId')[0], '会员卡编号');
+  assert.strictEqual(translate({ idSuffix: 'ID', words }, 'memberCardId')[0], '会员卡ID');
+  assert.strictEqual(translate({ idSuffix: 'ID', words }, 'userId')[0], '用户ID');
+  // 单独的 id 仍是主键“编号”，idSuffix 本身不作为名称映射
+  assert.strictEqual(translate({ idSuffix: 'ID' }, 'id')[0], '编号');
+  assert.strictEqual(loadTool().buildGlossary({ idSuffix: 'ID' }, null).names.idSuffix, undefined);
+});
+
+test('项目术语优先于内置词典，顶层字符串视为完整名称映射，表名补全“表”字', () => {
+  assert.strictEqual(translate({}, 'status')[0], '状态');
+  assert.strictEqual(translate({ fields: { status: '审核状态' } }, 'status')[0], '审核状态');
+  assert.strictEqual(translate({ MemberCard: '会员卡' }, 'MemberCard', 'table')[0], '会员卡表');
+  assert.strictEqual(translate({ tables: { Venue: '场馆表' } }, 'Venue', 'table')[0], '场馆表');
+});
+
+test('未翻译的单词不拼进中文名，并记入未翻译术语', () => {
+  assert.deepStrictEqual(translate({}, 'tierCode'), ['编码', ['tier']]);
+  assert.deepStrictEqual(translate({}, 'zzzQqq'), ['未命名字段', ['zzz', 'qqq']]);
+});
+
+test('glossary.json 自动加载并与内置词典合并，未翻译术语写出报告和模板', async (t) => {
+  const { result, outputDir, tables } = await extract(t, {
+    ...ENTITY,
+    'glossary.json': JSON.stringify({ idSuffix: 'ID', words: { member: '会员', card: '卡' } })
+  });
+
+  assert.ok(result.success);
+  assert.strictEqual(result.data.glossaryFile, path.resolve(outputDir, '..', '..', '..', 'glossary.json'));
+  assert.deepStrictEqual(tables.member_card.columns.slice(1).map(row => row[1]), ['编号', '会员卡ID', '编码', '余额']);
+  assert.deepStrictEqual(result.data.untranslatedTerms, ['point', 'tier']);
+
+  const report = JSON.parse(fs.readFileSync(path.join(outputDir, 'untranslated_terms_analysis.json'), 'utf8'));
+  assert.deepStrictEqual(report.template, { words: { point: '', tier: '' } });
+  assert.deepStrictEqual(report.terms.find(item => item.term === 'tier').examples, ['tierCode']);
+});
+
+test('补全术语表后重新生成，未翻译报告被清理', async (t) => {
+  const { result, outputDir } = await extract(t, {
+    ...ENTITY,
+    'glossary.json': JSON.stringify({ words: { member: '会员', card: '卡', tier: '等级', point: '积分' } }),
+    'paper/exports/tables/untranslated_terms_analysis.json': '{}'
+  });
+
+  assert.deepStrictEqual(result.data.untranslatedTerms, []);
+  assert.strictEqual(result.data.untranslatedReport, null);
+  assert.ok(!fs.existsSync(path.join(outputDir, 'untranslated_terms_analysis.json')));
+});
+
+test('显式指定的术语表不存在或格式错误时报错', async (t) => {
+  const missing = await extract(t, ENTITY, { glossaryPath: 'docs/glossary.json' });
+  assert.strictEqual(missing.result.success, false);
+  assert.match(missing.result.error.message, /术语表文件不存在/);
+
+  const broken = await extract(t, { ...ENTITY, 'glossary.json': '{ words: ' });
+  assert.strictEqual(broken.result.success, false);
+  assert.match(broken.result.error.message, /术语表解析失败/);
+});
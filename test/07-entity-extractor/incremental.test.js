@@ -0,0 +1,168 @@
+/**
+ * 07-entity-extractor 增量重新抽取：手工修改的中文名与说明保留，类型/约束以源码为准，
+ * 变更报告列出新增、修改和已不在源码中的表；处理失败的表不算删除
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TOOL = require.resolve('../../resource/tool/07-entity-extractor/07-entity-extractor.tool.js');
+
+const loadTool = () => {
+  delete require.cache[TOOL];
+  const tool = require(TOOL);
+  tool.api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name)
+  };
+  return tool;
+};
+
+// 临时项目：write 写入文件，run 执行一次抽取，readTable 读取生成的三线表
+const createProject = (t) => {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'entity-extractor-'));
+  t.after(() => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  const outputDir = path.join(projectRoot, 'paper', 'exports', 'tables');
+  const tablePath = (name) => path.join(outputDir, `Tab-${name}.json`);
+
+  return {
+    outputDir,
+    write(name, content) {
+      fs.mkdirSync(path.dirname(path.join(projectRoot, name)), { recursive: true });
+      fs.writeFileSync(path.join(projectRoot, name), content);
+    },
+    async run(params = {}, tool = loadTool()) {
+      const result = await tool.execute({ projectRoot, inputMode: 'ddl', ...params });
+      assert.ok(result.success, JSON.stringify(result.error));
+      return result;
+    },
+    readTable: (name) => JSON.parse(fs.readFileSync(tablePath(name), 'utf8')),
+    writeTable: (name, table) => fs.writeFileSync(tablePath(name), JSON.stringify(table, null, 2)),
+    mtime: (name) => fs.statSync(tablePath(name)).mtimeMs
+  };
+};
+
+const SCHEMA_V1 = `CREATE TABLE member (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(32) COMMENT '姓名',
+  phone VARCHAR(11) COMMENT '手机号',
+  remark VARCHAR(200) COMMENT '备注'
+) COMMENT='会员表';
+
+CREATE TABLE coach (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  full_name VARCHAR(50) NOT NULL COMMENT '教练姓名'
+) COMMENT='教练表';
+
+CREATE TABLE venue (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  venue_name VARCHAR(64) NOT NULL COMMENT '场馆名称'
+) COMMENT='场馆表';
+`;
+
+// member：name 改为 NOT NULL、phone 加长、删除 remark、新增 level；coach 删除；新增 course
+const SCHEMA_V2 = `CREATE TABLE member (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(32) NOT NULL COMMENT '姓名',
+  phone VARCHAR(20) COMMENT '手机号',
+  level INT DEFAULT 1 COMMENT '等级'
+) COMMENT='会员表';
+
+CREATE TABLE venue (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  venue_name VARCHAR(64) NOT NULL COMMENT '场馆名称'
+) COMMENT='场馆表';
+
+CREATE TABLE course (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  title VARCHAR(100) NOT NULL COMMENT '课程名称'
+) COMMENT='课程表';
+`;
+
+test('增量合并：保留手工修改的中文名与说明，类型与约束跟随源码，列顺序跟随源码', async (t) => {
+  const project = createProject(t);
+  project.write('source/schema.sql', SCHEMA_V1);
+  await project.run();
+
+  const member = project.readTable('member');
+  member.tableCnName = '会员信息表';
+  member.columns.find(row => row[0] === 'name')[1] = '会员姓名';
+  member.columns.find(row => row[0] === 'phone')[4] = '登录账号';
+  project.writeTable('member', member);
+
+  project.write('source/schema.sql', SCHEMA_V2);
+  await project.run({ incremental: true });
+
+  const merged = project.readTable('member');
+  assert.strictEqual(merged.tableCnName, '会员信息表');
+  assert.deepStrictEqual(merged.columns.slice(1).map(row => row.slice(0, 4)), [
+    ['id', '编号', 'BIGINT', 'PK, AUTO_INCREMENT, NOT NULL'],
+    ['name', '会员姓名', 'VARCHAR(32)', 'NOT NULL'],
+    ['phone', '手机号', 'VARCHAR(20)', ''],
+    ['level', '等级', 'INT', 'DEFAULT 1']
+  ]);
+  assert.strictEqual(merged.columns[3][4], '登录账号');
+});
+
+test('变更报告：新增表、列级变更明细、已不在源码中的表（文件保留不删除）', async (t) => {
+  const project = createProject(t);
+  project.write('source/schema.sql', SCHEMA_V1);
+  await project.run();
+
+  project.write('source/schema.sql', SCHEMA_V2);
+  const result = await project.run({ incremental: true });
+  const { changes, tables } = result.data;
+
+  assert.deepStrictEqual(changes.addedTables, ['course']);
+  assert.deepStrictEqual(changes.removedTables, ['coach']);
+  assert.deepStrictEqual(changes.modifiedTables, [{
+    tableName: 'member',
+    addedColumns: ['level'],
+    removedColumns: ['remark'],
+    typeChanges: [{ column: 'phone', from: 'VARCHAR(11)', to: 'VARCHAR(20)' }],
+    constraintChanges: [{ column: 'name', from: '', to: 'NOT NULL' }]
+  }]);
+  assert.deepStrictEqual(Object.fromEntries(tables.map(table => [table.name, table.status])), {
+    member: 'updated',
+    venue: 'unchanged',
+    course: 'added'
+  });
+  assert.ok(fs.existsSync(path.join(project.outputDir, 'Tab-coach.json')));
+  assert.match(result.message, /新增 1 张表，更新 1 张表，1 张表已不在源码中/);
+});
+
+test('未变化的表不重写文件', async (t) => {
+  const project = createProject(t);
+  project.write('source/schema.sql', SCHEMA_V1);
+  await project.run();
+  const before = project.mtime('venue');
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const result = await project.run({ incremental: true });
+
+  assert.strictEqual(project.mtime('venue'), before);
+  assert.deepStrictEqual(result.data.generatedFiles.filter(file => file.includes('Tab-')), []);
+  assert.deepStrictEqual(result.data.changes, { addedTables: [], removedTables: [], modifiedTables: [] });
+});
+
+test('处理失败的表进入 failList，不报告为已删除', async (t) => {
+  const project = createProject(t);
+  project.write('source/schema.sql', SCHEMA_V1);
+  await project.run();
+
+  const tool = loadTool();
+  const processEntity = tool.processEntity;
+  tool.processEntity = async function (entity, ...args) {
+    if (entity.tableName === 'coach') throw new Error('字段解析失败');
+    return processEntity.call(this, entity, ...args);
+  };
+  const result = await project.run({ incremental: true }, tool);
+
+  assert.deepStrictEqual(result.data.failList.map(item => [item.entity, item.reason]), [['coach', '字段解析失败']]);
+  assert.deepStrictEqual(result.data.changes.removedTables, []);
+});
@@ -0,0 +1,141 @@
+/**
+ * 07-entity-extractor Java 实体解析：MyBatis-Plus 注解、JPA 继承（父类字段合并、公共父类不单独成表）、
+ * Lombok 风格实体（无 getter/setter，说明来自 @ApiModelProperty/@Schema/Javadoc）
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TOOL = require.resolve('../../resource/tool/07-entity-extractor/07-entity-extractor.tool.js');
+
+// 在临时项目中执行一次抽取，返回执行结果和按表名索引的三线表
+const extract = async (t, files, params = {}) => {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'entity-extractor-'));
+  t.after(() => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, name)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, name), content);
+  }
+
+  delete require.cache[TOOL];
+  const tool = require(TOOL);
+  tool.api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name)
+  };
+  const result = await tool.execute({ projectRoot, ...params });
+  assert.ok(result.success, JSON.stringify(result.error));
+
+  const outputDir = path.join(projectRoot, 'paper', 'exports', 'tables');
+  const tables = {};
+  for (const file of fs.readdirSync(outputDir).filter(name => /^Tab-.+\.json$/.test(name))) {
+    const table = JSON.parse(fs.readFileSync(path.join(outputDir, file), 'utf8'));
+    tables[table.tableName] = table;
+  }
+  return { result: result.data, tables, outputDir };
+};
+
+const column = (table, name) => table.columns.find(row => row[0] === name);
+
+const BASE_ENTITY = `package com.demo.common;
+
+public abstract class BaseEntity {
+    @TableId(type = IdType.AUTO)
+    private Long id;
+
+    /** 创建时间 */
+    private LocalDateTime createTime;
+}
+`;
+
+const MEMBER_CARD = `package com.demo.entity;
+
+import lombok.Data;
+
+/** 会员卡 */
+@Data
+@EqualsAndHashCode(callSuper = true)
+@TableName("t_member_card")
+public class MemberCard extends BaseEntity {
+    private static final long serialVersionUID = 1L;
+
+    @TableField("card_no")
+    @ApiModelProperty(value = "卡号")
+    @NotBlank
+    private String cardNo;
+
+    @Schema(description = "余额(元)")
+    private BigDecimal balance;
+
+    @TableField(exist = false)
+    private String ownerName;
+
+    @TableLogic
+    private Integer deleted;
+}
+`;
+
+const VENUE = `@Entity
+@Table(name = "venue")
+public class Venue {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @Column(name = "venue_name", nullable = false, length = 64)
+    private String name;
+
+    @ManyToOne
+    @JoinColumn(name = "card_id")
+    private MemberCard card;
+
+    @Transient
+    private String temp;
+}
+`;
+
+const SOURCES = {
+  'source/common/BaseEntity.java': BASE_ENTITY,
+  'source/entity/MemberCard.java': MEMBER_CARD,
+  'source/entity/Venue.java': VENUE
+};
+
+test('MyBatis-Plus：@TableName 表名、@TableField 列名、exist = false 与静态常量不成列', async (t) => {
+  const { tables } = await extract(t, SOURCES);
+  const card = tables.t_member_card;
+
+  assert.ok(card, '应按 @TableName 生成 t_member_card');
+  assert.deepStrictEqual(card.columns.slice(1).map(row => row[0]), ['id', 'create_time', 'card_no', 'balance', 'deleted']);
+  assert.deepStrictEqual(column(card, 'card_no').slice(1, 4), ['卡号', 'VARCHAR(255)', 'NOT NULL']);
+  assert.strictEqual(column(card, 'deleted')[4], '逻辑删除标识');
+});
+
+test('JPA 继承：父类字段合并到子类且主键在前，抽象父类不单独生成三线表', async (t) => {
+  const { tables, result } = await extract(t, SOURCES);
+
+  assert.deepStrictEqual(Object.keys(tables).sort(), ['t_member_card', 'venue']);
+  assert.strictEqual(result.entityCount, 2);
+  assert.deepStrictEqual(column(tables.t_member_card, 'id').slice(2, 4), ['BIGINT', 'PK, AUTO_INCREMENT, NOT NULL']);
+  assert.strictEqual(column(tables.t_member_card, 'create_time')[1], '创建时间');
+});
+
+test('Lombok 实体：表名说明取类 Javadoc，字段说明取 @ApiModelProperty/@Schema', async (t) => {
+  const { tables } = await extract(t, SOURCES);
+
+  assert.strictEqual(tables.t_member_card.tableCnName, '会员卡表');
+  assert.strictEqual(column(tables.t_member_card, 'balance')[1], '余额(元)');
+});
+
+test('JPA 列定义与关联：@Column 列名/长度/非空，@ManyToOne 落库为外键列，@Transient 不成列', async (t) => {
+  const { tables } = await extract(t, SOURCES);
+  const venue = tables.venue;
+
+  assert.deepStrictEqual(venue.columns.slice(1).map(row => row[0]), ['id', 'venue_name', 'card_id']);
+  assert.deepStrictEqual(column(venue, 'venue_name').slice(2, 4), ['VARCHAR(64)', 'NOT NULL']);
+  assert.deepStrictEqual(column(venue, 'card_id').slice(2), ['BIGINT', 'FK', '关联会员卡表']);
+});
@@ -0,0 +1,206 @@
+/**
+ * 07-entity-extractor 多语言实体扫描：Django/SQLAlchemy、TypeORM/Prisma、GORM、EF Core
+ * 解析为统一的三线表结构，外键进入关系图
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TOOL = require.resolve('../../resource/tool/07-entity-extractor/07-entity-extractor.tool.js');
+
+// 在临时项目中执行一次抽取，返回执行结果、按表名索引的三线表和关系图
+const extract = async (t, files, params = {}) => {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'entity-extractor-'));
+  t.after(() => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, name)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, name), content);
+  }
+
+  delete require.cache[TOOL];
+  const tool = require(TOOL);
+  tool.api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name)
+  };
+  const result = await tool.execute({ projectRoot, ...params });
+  assert.ok(result.success, JSON.stringify(result.error));
+
+  const outputDir = path.join(projectRoot, 'paper', 'exports', 'tables');
+  const tables = {};
+  for (const file of fs.readdirSync(outputDir).filter(name => /^Tab-.+\.json$/.test(name))) {
+    const table = JSON.parse(fs.readFileSync(path.join(outputDir, file), 'utf8'));
+    tables[table.tableName] = table;
+  }
+  const { relations } = JSON.parse(fs.readFileSync(path.join(outputDir, 'relations.json'), 'utf8'));
+  return { result: result.data, tables, relations };
+};
+
+// 去掉表头，每列只取 [字段名, 类型, 约束]
+const shape = (table) => table.columns.slice(1).map(row => [row[0], row[2], row[3]]);
+
+const SOURCES = {
+  'source/app/models.py': `from django.db import models
+
+
+class Member(models.Model):
+    name = models.CharField(max_length=32, verbose_name="姓名")
+    phone = models.CharField(max_length=11, unique=True)
+
+    class Meta:
+        db_table = "member"
+
+
+class Reservation(models.Model):
+    member = models.ForeignKey(Member, on_delete=models.CASCADE, verbose_name="预约会员")
+    start_time = models.DateTimeField()
+`,
+  'source/db/orm.py': `from sqlalchemy import Column, Integer, String
+
+
+class Coach(Base):
+    __tablename__ = "coach"
+    id = Column(Integer, primary_key=True, autoincrement=True)
+    full_name = Column(String(50), nullable=False, comment="教练姓名")
+`,
+  'source/web/venue.entity.ts': `import { Entity, PrimaryGeneratedColumn, Column, ManyToOne, JoinColumn } from 'typeorm';
+
+@Entity('venue')
+export class Venue {
+  @PrimaryGeneratedColumn()
+  id: number;
+
+  @Column({ length: 64, comment: '场馆名称' })
+  venueName: string;
+
+  @ManyToOne(() => Coach)
+  @JoinColumn({ name: 'coach_id' })
+  coach: Coach;
+}
+`,
+  'source/prisma/schema.prisma': `model Course {
+  id       Int     @id @default(autoincrement())
+  title    String  @db.VarChar(100)
+  coachId  Int     @map("coach_id")
+  coach    Coach   @relation(fields: [coachId], references: [id])
+  @@map("course")
+}
+`,
+  'source/go/order.go': `package model
+
+type Order struct {
+	gorm.Model
+	OrderNo  string \`gorm:"size:32;not null;uniqueIndex"\`
+	MemberID uint
+}
+`,
+  'source/cs/Payment.cs': `[Table("payment")]
+public class Payment
+{
+    [Key]
+    public int Id { get; set; }
+
+    [Required]
+    [MaxLength(20)]
+    public string TradeNo { get; set; }
+
+    public decimal Amount { get; set; }
+
+    public int OrderId { get; set; }
+
+    public Order Order { get; set; }
+}
+`
+};
+
+test('各语言实体都被识别并标注来源语言', async (t) => {
+  const { result } = await extract(t, SOURCES);
+  const languages = Object.fromEntries(result.tables.map(table => [table.name, table.language]));
+
+  assert.deepStrictEqual(languages, {
+    member: 'python',
+    reservation: 'python',
+    coach: 'python',
+    venue: 'typescript',
+    course: 'prisma',
+    orders: 'go',
+    payment: 'csharp'
+  });
+  assert.deepStrictEqual(result.failList, []);
+});
+
+test('languages 参数只扫描指定语言', async (t) => {
+  const { result } = await extract(t, SOURCES, { languages: ['go', 'csharp'] });
+
+  assert.deepStrictEqual(result.tables.map(table => table.name).sort(), ['orders', 'payment']);
+});
+
+test('Django：隐式 id 主键、verbose_name 说明、ForeignKey 落库为 xxx_id', async (t) => {
+  const { tables } = await extract(t, SOURCES);
+
+  assert.deepStrictEqual(shape(tables.member), [
+    ['id', 'BIGINT', 'PK, AUTO_INCREMENT, NOT NULL'],
+    ['name', 'VARCHAR(32)', 'NOT NULL'],
+    ['phone', 'VARCHAR(11)', 'NOT NULL, UNIQUE']
+  ]);
+  assert.strictEqual(tables.member.columns[2][1], '姓名');
+  assert.deepStrictEqual(tables.reservation.columns[2].slice(0, 4), ['member_id', '预约会员', 'BIGINT', 'FK, NOT NULL']);
+});
+
+test('SQLAlchemy：__tablename__、primary_key、nullable 与 comment', async (t) => {
+  const { tables } = await extract(t, SOURCES);
+
+  assert.deepStrictEqual(shape(tables.coach), [
+    ['id', 'INT', 'PK, AUTO_INCREMENT, NOT NULL'],
+    ['full_name', 'VARCHAR(50)', 'NOT NULL']
+  ]);
+  assert.strictEqual(tables.coach.columns[2][1], '教练姓名');
+});
+
+test('TypeORM 与 Prisma：列名转下划线或按 @map，关联字段落库为外键列', async (t) => {
+  const { tables } = await extract(t, SOURCES);
+
+  assert.deepStrictEqual(shape(tables.venue).map(row => row[0]), ['id', 'venue_name', 'coach_id']);
+  assert.strictEqual(tables.venue.columns[2][1], '场馆名称');
+  assert.deepStrictEqual(shape(tables.course), [
+    ['id', 'INT', 'PK, AUTO_INCREMENT, NOT NULL'],
+    ['title', 'VARCHAR(100)', 'NOT NULL'],
+    ['coach_id', 'INT', 'FK, NOT NULL']
+  ]);
+});
+
+test('GORM：gorm.Model 展开为 id/created_at/updated_at/deleted_at，表名取复数', async (t) => {
+  const { tables } = await extract(t, SOURCES);
+
+  assert.deepStrictEqual(shape(tables.orders).map(row => row[0]), ['id', 'created_at', 'updated_at', 'deleted_at', 'order_no', 'member_id']);
+  assert.deepStrictEqual(tables.orders.columns[5].slice(2, 4), ['VARCHAR(32)', 'NOT NULL, UNIQUE']);
+});
+
+test('EF Core：[Key]、[Required]、[MaxLength]，导航属性不成列', async (t) => {
+  const { tables } = await extract(t, SOURCES);
+
+  assert.deepStrictEqual(shape(tables.payment), [
+    ['id', 'INT', 'PK, AUTO_INCREMENT, NOT NULL'],
+    ['trade_no', 'VARCHAR(20)', 'NOT NULL'],
+    ['amount', 'DECIMAL(18,2)', ''],
+    ['order_id', 'INT', 'FK']
+  ]);
+});
+
+test('跨语言外键都进入关系图', async (t) => {
+  const { relations } = await extract(t, SOURCES);
+  const edges = relations.map(relation => `${relation.source.table}.${relation.source.columns} -> ${relation.target.table}.${relation.target.columns}`);
+
+  assert.deepStrictEqual(edges.sort(), [
+    'course.coach_id -> coach.id',
+    'orders.member_id -> member.id',
+    'payment.order_id -> orders.id',
+    'reservation.member_id -> member.id',
+    'venue.coach_id -> coach.id'
+  ]);
+});
@@ -0,0 +1,165 @@
+/**
+ * 07-entity-extractor 关系图 relations.json：JPA 关联注解（N:1、1:1、N:M 中间表、单向 @OneToMany）、
+ * 命名约定推断（xxxId、带前缀表名、parentId 自关联）及外键说明列
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TOOL = require.resolve('../../resource/tool/07-entity-extractor/07-entity-extractor.tool.js');
+
+// 在临时项目中执行一次抽取，返回按表名索引的三线表和关系图
+const extract = async (t, files) => {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'entity-extractor-'));
+  t.after(() => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, name)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, name), content);
+  }
+
+  delete require.cache[TOOL];
+  const tool = require(TOOL);
+  tool.api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name)
+  };
+  const result = await tool.execute({ projectRoot });
+  assert.ok(result.success, JSON.stringify(result.error));
+
+  const outputDir = path.join(projectRoot, 'paper', 'exports', 'tables');
+  const tables = {};
+  for (const file of fs.readdirSync(outputDir).filter(name => /^Tab-.+\.json$/.test(name))) {
+    const table = JSON.parse(fs.readFileSync(path.join(outputDir, file), 'utf8'));
+    tables[table.tableName] = table;
+  }
+  const { relations } = JSON.parse(fs.readFileSync(path.join(outputDir, 'relations.json'), 'utf8'));
+  return { result: result.data, tables, relations };
+};
+
+const find = (relations, table, column) =>
+  relations.find(relation => relation.source.table === table && relation.source.columns.includes(column));
+
+const SOURCES = {
+  'source/entity/User.java': `@Entity
+@Table(name = "t_user")
+public class User {
+    @Id
+    private Long id;
+
+    @OneToOne
+    @JoinColumn(name = "profile_id", unique = true)
+    private Profile profile;
+
+    @OneToMany(mappedBy = "user")
+    private List<Order> orders;
+
+    @ManyToMany
+    @JoinTable(name = "user_role", joinColumns = @JoinColumn(name = "uid"), inverseJoinColumns = @JoinColumn(name = "rid"))
+    private Set<Role> roles;
+}
+`,
+  'source/entity/Profile.java': `@Entity
+public class Profile {
+    @Id
+    private Long id;
+}
+`,
+  'source/entity/Role.java': `@Entity
+public class Role {
+    @Id
+    private Long id;
+}
+`,
+  'source/entity/Order.java': `@Entity
+@Table(name = "orders")
+public class Order {
+    @Id
+    private Long id;
+
+    @ManyToOne
+    @JoinColumn(name = "buyer_id", nullable = false)
+    private User user;
+
+    @OneToMany
+    @JoinColumn(name = "order_id")
+    private List<OrderItem> items;
+}
+`,
+  'source/entity/OrderItem.java': `@Entity
+public class OrderItem {
+    @Id
+    private Long id;
+
+    private Long productId;
+}
+`,
+  'source/entity/Category.java': `@TableName("category")
+public class Category {
+    @TableId
+    private Long id;
+
+    private Long parentId;
+
+    private Long userId;
+
+    private Long unknownId;
+}
+`
+};
+
+test('@ManyToOne + @JoinColumn：N:1，列名取 @JoinColumn，目标为实体对应的表', async (t) => {
+  const { relations } = await extract(t, SOURCES);
+
+  assert.deepStrictEqual(find(relations, 'orders', 'buyer_id'), {
+    source: { table: 'orders', tableCnName: '订单表', columns: ['buyer_id'] },
+    target: { table: 't_user', tableCnName: '用户表', columns: ['id'] },
+    cardinality: 'N:1',
+    inferredBy: 'annotation'
+  });
+});
+
+test('唯一的 @OneToOne 为 1:1，mappedBy 被控方不重复生成关系', async (t) => {
+  const { relations } = await extract(t, SOURCES);
+
+  assert.strictEqual(find(relations, 't_user', 'profile_id').cardinality, '1:1');
+  assert.strictEqual(relations.filter(relation => relation.target.table === 't_user' && relation.source.table === 'orders').length, 1);
+});
+
+test('@ManyToMany + @JoinTable：N:M 关系带中间表及两侧列名', async (t) => {
+  const { relations } = await extract(t, SOURCES);
+  const manyToMany = relations.filter(relation => relation.cardinality === 'N:M');
+
+  assert.deepStrictEqual(manyToMany.map(relation => [relation.source.table, relation.target.table, relation.joinTable]), [
+    ['t_user', 'role', { name: 'user_role', sourceColumns: ['uid'], targetColumns: ['rid'] }]
+  ]);
+});
+
+test('单向 @OneToMany + @JoinColumn：外键在子表一侧', async (t) => {
+  const { relations } = await extract(t, SOURCES);
+
+  assert.deepStrictEqual(find(relations, 'order_item', 'order_id').target, { table: 'orders', tableCnName: '订单表', columns: ['id'] });
+});
+
+test('命名约定：userId 命中 t_user，parentId 为自关联，找不到目标的 xxxId 不生成关系', async (t) => {
+  const { relations } = await extract(t, SOURCES);
+
+  assert.deepStrictEqual([find(relations, 'category', 'user_id').target.table, find(relations, 'category', 'user_id').inferredBy], ['t_user', 'naming']);
+  assert.strictEqual(find(relations, 'category', 'parent_id').target.table, 'category');
+  assert.strictEqual(find(relations, 'category', 'unknown_id'), undefined);
+  assert.strictEqual(find(relations, 'order_item', 'product_id'), undefined);
+});
+
+test('三线表中外键列标注 FK 并在说明中写出关联表中文名', async (t) => {
+  const { tables, result } = await extract(t, SOURCES);
+  const column = (table, name) => tables[table].columns.find(row => row[0] === name);
+
+  assert.strictEqual(result.relationCount, 6);
+  assert.deepStrictEqual(column('orders', 'buyer_id').slice(2), ['BIGINT', 'FK, NOT NULL', '关联用户表']);
+  assert.deepStrictEqual(column('category', 'user_id').slice(3), ['FK', '关联用户表']);
+  assert.deepStrictEqual(column('category', 'unknown_id').slice(3), ['', '']);
+});
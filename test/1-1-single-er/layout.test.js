@@ -0,0 +1,68 @@
+/**
+ * 1-1-single-er 单体布局回归测试：宽表、多字段时任何椭圆、实体矩形和连线之间都不得重叠
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const tool = require('../../resource/tool/1-1-single-er/1-1-single-er.tool.js');
+
+// 长短不一的中文字段名，最长 16 个字
+const makeLabels = (count, seed) =>
+  Array.from({ length: count }, (_, i) => `字段${i}` + '会员卡消费记录明细金额'.repeat(2).slice(0, (i * seed * 7) % 15));
+
+const quiet = (fn) => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+for (const layoutMode of ['auto', 'sides']) {
+  for (const count of [8, 24, 35, 48]) {
+    test(`${layoutMode} 布局 ${count} 个字段无重叠`, () => {
+      const layout = quiet(() => tool.layoutSingleEntity('会员卡消费记录明细表', makeLabels(count, 3), layoutMode));
+
+      assert.strictEqual(layout.attributes.length, count);
+      assert.deepStrictEqual(layout.overlaps, []);
+      // 布局自带的校验之外，用重新平移到原点的坐标再查一遍
+      const entity = { ...layout.entity, x: 0, y: 0 };
+      const attributes = layout.attributes.map(attr => ({
+        ...attr,
+        x: attr.x - layout.entity.x,
+        y: attr.y - layout.entity.y,
+        line: {
+          x1: attr.line.x1 - layout.entity.x,
+          y1: attr.line.y1 - layout.entity.y,
+          x2: attr.line.x2 - layout.entity.x,
+          y2: attr.line.y2 - layout.entity.y
+        }
+      }));
+      assert.strictEqual(tool.findOverlaps(entity, attributes).length, 0);
+
+      // 所有椭圆都在画布内
+      for (const attr of layout.attributes) {
+        assert.ok(attr.x - attr.rx >= 0 && attr.x + attr.rx <= layout.svgWidth, `${attr.label} 超出画布宽度`);
+        assert.ok(attr.y - attr.ry >= 0 && attr.y + attr.ry <= layout.svgHeight, `${attr.label} 超出画布高度`);
+      }
+    });
+  }
+}
+
+test('宽实体名与超长字段名仍无重叠', () => {
+  const labels = Array.from({ length: 30 }, (_, i) => `第${i}个非常非常非常长的中文字段名称用于测试椭圆自适应宽度`);
+  const layout = quiet(() => tool.layoutSingleEntity('一个名字特别长的业务实体用于撑宽实体矩形', labels, 'sides'));
+
+  assert.strictEqual(layout.overlaps.length, 0);
+});
+
+test('兜底均匀单环布局在字段很多时无重叠', () => {
+  const entity = { x: 0, y: 0, width: 240, height: 80 };
+  const attributes = makeLabels(60, 5).map(label => ({ label, rx: Math.max(60, tool.measureText(label, 13) / 2 + 20), ry: 28 }));
+
+  assert.strictEqual(tool.placeRadial(entity, attributes).overlaps.length, 0);
+});
@@ -0,0 +1,132 @@
+/**
+ * common-db-connector export_schema：在 mock 连接上导出 MySQL/PostgreSQL 表结构，
+ * 生成三线表、外键关系和 standard_er_generator 输入；复合外键、只导出部分表与中文名重名
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const tool = require('../../resource/tool/common-db-connector/common-db-connector.tool.js');
+
+const createApi = () => {
+  const writes = [];
+  const api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name),
+    bridge: {
+      execute: async (key, args) => {
+        if (key === 'fs:write') writes.push(args);
+        return tool.getBridges()[key].mock(args, api);
+      }
+    }
+  };
+  return { api, writes };
+};
+
+const exportSchema = async (params) => {
+  const { api, writes } = createApi();
+  tool.api = api;
+  const result = await tool.execute({ operation: 'export_schema', host: 'localhost', database: 'shop', user: 'root', password: 'secret', ...params });
+  return { result, writes };
+};
+
+const column = (table, name) => table.columns.find(row => row[0] === name);
+
+for (const dbType of ['mysql', 'postgresql']) {
+  test(`${dbType}：注释拆成中文名与说明，主键/自增/外键/唯一/默认值写入约束列`, async () => {
+    const { result } = await exportSchema({ dbType });
+    const tables = Object.fromEntries(result.tables.map(table => [table.tableName, table]));
+
+    assert.strictEqual(result.tableCount, 3);
+    assert.strictEqual(result.relationCount, 2);
+    assert.deepStrictEqual(result.tables.map(table => table.tableCnName), ['订单表', '用户资料表', '用户表']);
+    assert.deepStrictEqual(tables.orders.columns[0], ['字段名', '字段中文名', '类型', '约束', '说明']);
+    assert.deepStrictEqual(column(tables.orders, 'id').slice(1), ['订单编号', 'BIGINT', 'PK, AUTO_INCREMENT, NOT NULL', '主键']);
+    assert.deepStrictEqual(column(tables.orders, 'user_id').slice(3), ['FK, NOT NULL', '关联用户表']);
+    assert.deepStrictEqual(column(tables.orders, 'amount').slice(3), ['NOT NULL, DEFAULT 0.00', '单位元']);
+    assert.deepStrictEqual(column(tables.user_profiles, 'user_id').slice(3), ['FK, NOT NULL, UNIQUE', '关联用户表']);
+    assert.strictEqual(column(tables.users, 'status')[1], '状态');
+    assert.strictEqual(column(tables.users, 'status')[4], '1-正常 0-禁用');
+  });
+
+  test(`${dbType}：外键约束导出为 relations 与 ER 关系，唯一外键为一对一`, async () => {
+    const { result } = await exportSchema({ dbType });
+
+    assert.deepStrictEqual(result.relations.map(relation => [relation.source.table, relation.target.table, relation.cardinality, relation.constraintName]), [
+      ['orders', 'users', 'N:1', 'fk_orders_user'],
+      ['user_profiles', 'users', '1:1', 'fk_profile_user']
+    ]);
+    assert.strictEqual(result.er.title, 'shop数据库ER图');
+    assert.deepStrictEqual(result.er.relationships, [
+      { name: '关联', entity1: '用户表', entity2: '订单表', cardinality1: '1', cardinality2: 'n' },
+      { name: '关联', entity1: '用户表', entity2: '用户资料表', cardinality1: '1', cardinality2: '1' }
+    ]);
+    assert.deepStrictEqual(result.er.entities[0].attributes.map(attr => attr.key || ''), ['PK', 'FK', '']);
+  });
+}
+
+test('outputDir：写出 Tab-<表名>.json、relations.json 和 er_diagram_input.json', async () => {
+  const { result, writes } = await exportSchema({ dbType: 'mysql', outputDir: '/data/exports' });
+
+  assert.deepStrictEqual(writes.map(write => write.path), [
+    '/data/exports/Tab-orders.json',
+    '/data/exports/Tab-user_profiles.json',
+    '/data/exports/Tab-users.json',
+    '/data/exports/relations.json',
+    '/data/exports/er_diagram_input.json'
+  ]);
+  assert.deepStrictEqual(result.generatedFiles, writes.map(write => write.path));
+  assert.deepStrictEqual(JSON.parse(writes[2].content), result.tables[2]);
+  assert.strictEqual(JSON.parse(writes[3].content).relations.length, 2);
+  assert.deepStrictEqual(JSON.parse(writes[4].content), result.er);
+});
+
+test('outputDir 必须是绝对路径，export_schema 必须指定 database', async () => {
+  await assert.rejects(exportSchema({ dbType: 'mysql', outputDir: 'exports' }), /outputDir必须是绝对路径/);
+  await assert.rejects(exportSchema({ dbType: 'mysql', database: '' }), /需要指定database/);
+});
+
+test('tableNames 只导出部分表：外键仍记入 relations，目标表不在图中的关系不画', async () => {
+  const { result } = await exportSchema({ dbType: 'mysql', tableNames: ['orders'] });
+
+  assert.deepStrictEqual(result.tables.map(table => table.tableName), ['orders']);
+  assert.strictEqual(result.relations.length, 1);
+  assert.strictEqual(result.relations[0].target.tableCnName, 'users');
+  assert.deepStrictEqual(result.er.relationships, []);
+});
+
+test('复合外键按约束聚合成一个关系，引用列按位置对应；外键即主键时为一对一', () => {
+  const columnDef = (table, name, extra = {}) => ({ table, name, type: 'BIGINT', nullable: false, autoIncrement: false, defaultValue: null, comment: '', ...extra });
+  const tables = tool.assembleSchema(
+    [{ table_name: 'order_lines', table_comment: '订单明细' }, { table_name: 'line_notes', table_comment: '订单明细' }],
+    [
+      columnDef('order_lines', 'order_id'),
+      columnDef('order_lines', 'line_no'),
+      columnDef('line_notes', 'order_id'),
+      columnDef('line_notes', 'line_no'),
+      columnDef('line_notes', 'note', { type: 'TEXT', nullable: true })
+    ],
+    [
+      { table_name: 'order_lines', column_name: 'order_id', constraint_name: 'PRIMARY', constraint_type: 'PRIMARY KEY' },
+      { table_name: 'order_lines', column_name: 'line_no', constraint_name: 'PRIMARY', constraint_type: 'PRIMARY KEY' },
+      { table_name: 'line_notes', column_name: 'order_id', constraint_name: 'PRIMARY', constraint_type: 'PRIMARY KEY' },
+      { table_name: 'line_notes', column_name: 'line_no', constraint_name: 'PRIMARY', constraint_type: 'PRIMARY KEY' },
+      { table_name: 'line_notes', column_name: 'order_id', constraint_name: 'fk_note_line', constraint_type: 'FOREIGN KEY', referenced_table: 'order_lines', referenced_column: 'order_id' },
+      { table_name: 'line_notes', column_name: 'line_no', constraint_name: 'fk_note_line', constraint_type: 'FOREIGN KEY', referenced_table: 'order_lines', referenced_column: 'line_no' }
+    ]
+  );
+
+  assert.deepStrictEqual(tables[1].foreignKeys, [
+    { name: 'fk_note_line', columns: ['order_id', 'line_no'], refTable: 'order_lines', refColumns: ['order_id', 'line_no'] }
+  ]);
+
+  const exported = tool.buildSchemaExport(tables, 'shop');
+  assert.deepStrictEqual(exported.tables.map(table => table.tableCnName), ['订单明细', '订单明细(line_notes)']);
+  assert.strictEqual(exported.relationCount, 1);
+  assert.strictEqual(exported.relations[0].cardinality, '1:1');
+  assert.deepStrictEqual(exported.relations[0].target.columns, ['order_id', 'line_no']);
+  assert.deepStrictEqual(exported.er.relationships, [
+    { name: '关联', entity1: '订单明细', entity2: '订单明细(line_notes)', cardinality1: '1', cardinality2: '1' }
+  ]);
+});
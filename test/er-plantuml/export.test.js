@@ -0,0 +1,151 @@
+/**
+ * er-plantuml 导出：基于工具自带的 mock Bridge 生成实体图（主键在分隔线上方、PK/FK 构造型、
+ * 必填 *、中文别名），关系取 relations.json 或按外键列推断，single 模式每表一个 .puml
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const tool = require('../../resource/tool/er-plantuml/er-plantuml.tool.js');
+
+const createApi = (bridges = {}) => {
+  const writes = [];
+  const api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name),
+    bridge: {
+      execute: async (key, args) => {
+        if (key === 'fs:write') writes.push(args);
+        return bridges[key] ? bridges[key](args) : tool.getBridges()[key].mock(args, api);
+      }
+    }
+  };
+  return { api, writes };
+};
+
+const run = async (params, bridges) => {
+  const { api, writes } = createApi(bridges);
+  tool.api = api;
+  const result = await tool.execute(params);
+  return { result, writes };
+};
+
+// 取出某个实体块的属性行
+const entityBody = (source, alias) => {
+  const lines = source.split('\n');
+  const start = lines.findIndex(line => line.endsWith(` as ${alias} {`));
+  return lines.slice(start + 1, lines.indexOf('}', start));
+};
+
+test('system 模式：中文名作实体名、表名作别名，主键在分隔线上方，必填列标 *', async () => {
+  const { result, writes } = await run({ tablesDir: '/data/tables', title: '场馆预约' });
+
+  assert.strictEqual(result.outputPath, '/data/tables/er-system.puml');
+  assert.strictEqual(result.relationsSource, '/data/tables/relations.json');
+  assert.strictEqual(result.tableCount, 3);
+  assert.strictEqual(writes.length, 1);
+
+  const source = writes[0].data;
+  assert.match(source, /^@startuml\nhide circle\n/);
+  assert.match(source, /\ntitle 场馆预约\n/);
+  assert.match(source, /@enduml\n$/);
+  assert.ok(source.includes('entity "预约表" as reservation {'));
+  assert.deepStrictEqual(entityBody(source, 'reservation'), [
+    '  * 编号 (id) : BIGINT <<PK>>',
+    '  --',
+    '  * 用户编号 (user_id) : BIGINT <<FK>>',
+    '  场地编号 (venue_id) : BIGINT <<FK>>'
+  ]);
+});
+
+test('relations.json 的关系画成乌鸦脚连线，外键可空时被引用端为零或一', async () => {
+  const { result, writes } = await run({ tablesDir: '/data/tables' });
+  const source = writes[0].data;
+
+  assert.strictEqual(result.relationCount, 2);
+  assert.ok(source.includes('\nsys_user ||--o{ reservation : 用户编号\n'));
+  assert.ok(source.includes('\nvenue |o--o{ reservation : 场地编号\n'));
+});
+
+test('没有 relations.json 时按外键列说明推断关系，唯一外键为一对一', async () => {
+  const header = ['字段名', '字段中文名', '类型', '约束', '说明'];
+  const { result, writes } = await run({ tablesDir: '/data/tables' }, {
+    'fs:readRelations': () => null,
+    'fs:readTables': () => [
+      { fileName: 'Tab-member.json', data: { tableName: 'member', tableCnName: '会员表', columns: [header, ['id', '编号', 'BIGINT', 'PK', '主键']] } },
+      {
+        fileName: 'Tab-member_card.json',
+        data: {
+          tableName: 'member_card',
+          tableCnName: '会员卡表',
+          columns: [
+            header,
+            ['id', '编号', 'BIGINT', 'PK', '主键'],
+            ['member_id', '会员', 'BIGINT', 'FK, NOT NULL, UNIQUE', '关联会员表'],
+            ['agent_id', '代办人', 'BIGINT', 'FK', '关联代理表']
+          ]
+        }
+      }
+    ]
+  });
+
+  assert.strictEqual(result.relationsSource, 'inferred');
+  assert.deepStrictEqual(result.unresolved, ['member_card.agent_id']);
+  assert.ok(writes[0].data.includes('\nmember ||--o| member_card : 会员\n'));
+});
+
+test('多对多：中间表不在目录中画成 }o--o{，中间表在目录中则不重复画；缺表的关系记入 unresolved', () => {
+  const tables = ['student', 'course', 'student_course'].map(tableName => tool.normalizeTable({
+    tableName,
+    columns: [['字段名', '字段中文名', '类型', '约束', '说明'], ['id', '编号', 'BIGINT', 'PK', '']]
+  }));
+  const manyToMany = {
+    source: { table: 'student' },
+    target: { table: 'course' },
+    cardinality: 'N:M',
+    joinTable: { name: 'student_course' }
+  };
+
+  const withoutJoin = tool.mapRelations([manyToMany], tables.slice(0, 2));
+  assert.strictEqual(tool.buildRelationLine(withoutJoin.relations[0]), 'course }o--o{ student : student_course');
+
+  const withJoin = tool.mapRelations([manyToMany, { source: { table: 'grade' }, target: { table: 'course' } }], tables);
+  assert.deepStrictEqual(withJoin.relations, []);
+  assert.deepStrictEqual(withJoin.unresolved, ['grade -> course']);
+});
+
+test('keysOnly、columnLabel、showTypes 控制属性行，非标识符表名转成合法别名', () => {
+  const table = tool.normalizeTable({
+    tableName: 'biz.order-item',
+    tableCnName: '订单"明细"',
+    columns: [
+      ['id', '编号', 'BIGINT', 'PRIMARY KEY', ''],
+      ['order_id', '订单', 'BIGINT', 'FK', ''],
+      ['remark', '', 'TEXT', '', '']
+    ]
+  });
+
+  assert.deepStrictEqual(tool.buildEntity(table, { columnLabel: 'en', keysOnly: true, showTypes: false }), [
+    'entity "订单\'明细\'" as biz_order_item {',
+    '  * id <<PK>>',
+    '  --',
+    '  order_id <<FK>>',
+    '  ..',
+    '}'
+  ]);
+  assert.strictEqual(tool.buildAttribute(table.columns[2], { columnLabel: 'both', showTypes: true }), 'remark : TEXT');
+  assert.strictEqual(tool.toAlias('2024_log'), 't_2024_log');
+});
+
+test('single 模式每张表写一个 er-<表名>.puml，不含关系；相对路径报错', async () => {
+  const { result, writes } = await run({ tablesDir: '/data/tables', mode: 'single', outputDir: '/data/er', keysOnly: true });
+
+  assert.deepStrictEqual(result.outputs, ['/data/er/er-sys-user.puml', '/data/er/er-venue.puml', '/data/er/er-reservation.puml']);
+  assert.deepStrictEqual(writes.map(write => write.path), result.outputs);
+  assert.ok(writes.every(write => !/--o[{|]/.test(write.data)));
+  // 单表图不受 keysOnly 影响，列出全部列
+  assert.ok(writes[0].data.includes('  手机号 (phone) : VARCHAR(20)'));
+
+  await assert.rejects(run({ tablesDir: 'paper/exports/tables' }), /目录必须是绝对路径/);
+});
@@ -0,0 +1,72 @@
+/**
+ * PlantUML编解码往返测试：中文、大图、~h 十六进制、URL形式和官方示例。
+ * 三个PlantUML工具各有一份编解码实现，逐一测试
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const tools = {
+  'luban-uml': require('../../resource/tool/luban-uml/luban-uml.tool.js'),
+  'plantuml-renderer': require('../../resource/tool/plantuml-renderer/plantuml-renderer.tool.js'),
+  'plantuml-jar-renderer': require('../../resource/tool/plantuml-jar-renderer/plantuml-jar-renderer.tool.js')
+};
+
+for (const [id, codec] of Object.entries(tools)) {
+  const roundTrip = (source, encoding) => {
+    const encoded = codec.encodePlantUML(source, encoding);
+    const decoded = codec.decodePlantUML(encoded);
+    assert.strictEqual(decoded.source, source);
+    assert.strictEqual(decoded.encoding, encoding || 'deflate');
+    return encoded;
+  };
+
+  test(`${id}: 官方示例编码串解码为 Bob -> Alice : hello`, () => {
+    assert.strictEqual(codec.decodePlantUML('SyfFKj2rKt3CoKnELR1Io4ZDoSa70000').source, 'Bob -> Alice : hello');
+    assert.strictEqual(codec.decodePlantUML('http://www.plantuml.com/plantuml/png/SyfFKj2rKt3CoKnELR1Io4ZDoSa70000').source, 'Bob -> Alice : hello');
+  });
+
+  test(`${id}: 中文内容 deflate 往返一致，编码只含PlantUML字母表字符`, () => {
+    const source = '@startuml\ntitle 场馆预约系统\n用户 -> 系统 : 提交预约（含😀表情）\n系统 --> 用户 : 预约成功\n@enduml\n';
+    const encoded = roundTrip(source);
+
+    assert.match(encoded, /^[0-9A-Za-z\-_]+$/);
+    assert.strictEqual(encoded.length % 4, 0);
+  });
+
+  test(`${id}: 压缩后长度不是3的倍数时补齐字节不影响解码`, () => {
+    for (let i = 0; i < 30; i++) {
+      roundTrip(`@startuml\nA -> B : ${'消息'.repeat(i)}${i}\n@enduml`);
+    }
+  });
+
+  test(`${id}: 大图（约170KB）往返一致`, () => {
+    const lines = ['@startuml'];
+    for (let i = 0; lines.join('\n').length < 170 * 1024; i++) {
+      lines.push(`class 实体${i} {\n  +字段${i}_${(i * 7919) % 1000} : VARCHAR(${i % 256})\n}`);
+      lines.push(`实体${i} --> 实体${(i * 31) % (i + 1)} : 关联${i}`);
+    }
+    lines.push('@enduml');
+
+    roundTrip(lines.join('\n'));
+  });
+
+  test(`${id}: ~h 十六进制往返一致，并拒绝非法十六进制`, () => {
+    const source = '@startuml\n用户 -> 系统 : 你好\n@enduml';
+    const encoded = roundTrip(source, 'hex');
+
+    assert.strictEqual(encoded, `~h${Buffer.from(source, 'utf8').toString('hex')}`);
+    assert.strictEqual(codec.decodePlantUML(encoded.toUpperCase().replace(/^~H/, '~h')).source, source);
+    assert.throws(() => codec.decodePlantUML('~habc'), /偶数位十六进制/);
+    assert.throws(() => codec.decodePlantUML('~hzz'), /偶数位十六进制/);
+  });
+
+  test(`${id}: 非法字符、损坏数据和不支持的编码方式报错`, () => {
+    assert.throws(() => codec.decodePlantUML('SyfF*j2r'), /非法字符/);
+    assert.throws(() => codec.decodePlantUML('____'), /解压失败/);
+    assert.throws(() => codec.decodePlantUML(''), /缺少/);
+    assert.throws(() => codec.encodePlantUML('A -> B', 'base64'), /不支持/);
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * plantuml-jar-renderer 渲染缓存：源码、!include 文件、格式、jar版本和主题任一变化缓存即失效，
+ * 命中时不启动java；force 跳过查找；只有渲染类操作才计算 jar 版本和主题
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tool = require('../../resource/tool/plantuml-jar-renderer/plantuml-jar-renderer.tool.js');
+
+const REAL = ['fs:read', 'fs:write', 'fs:exists', 'cache:get', 'cache:put'];
+
+// 临时项目：tar/plantuml.jar 只需存在（版本由 jar:version 的 mock 给出），uml/ 下的源码，
+// 缓存在 cache/plantuml-render；java 渲染由 java:pipe 桩代替并计数
+const createProject = (t, files) => {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'jar-cache-'));
+  t.after(() => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(projectRoot, 'tar'));
+  fs.writeFileSync(path.join(projectRoot, 'tar', 'plantuml.jar'), '');
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, 'uml', name)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'uml', name), content);
+  }
+  return projectRoot;
+};
+
+const createApi = (projectRoot, overrides = {}) => {
+  const calls = [];
+  const api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name),
+    environment: { get: async (key) => (key === 'PROJECT_ROOT' ? projectRoot : undefined) },
+    bridge: {
+      execute: async (key, args) => {
+        calls.push({ key, args });
+        if (overrides[key]) return overrides[key](args);
+        const bridge = tool.getBridges()[key];
+        return REAL.includes(key) ? bridge.real(args, api) : bridge.mock(args, api);
+      }
+    }
+  };
+  return { api, calls };
+};
+
+const renderBatch = async (projectRoot, params = {}, overrides = {}) => {
+  const { api, calls } = createApi(projectRoot, {
+    'fs:scan': () => ['a.puml', 'b.puml'],
+    'java:pipe': (args) => ({ success: true, data: Buffer.from(`image:${args.source.length}`) }),
+    ...overrides
+  });
+  tool.api = api;
+  const result = await tool.execute({ action: 'render_batch', renderer: 'cli', sourceDir: 'uml', outputDir: 'figures', ...params });
+  return { result, rendered: calls.filter(call => call.key === 'java:pipe').map(call => call.args.filename).sort() };
+};
+
+const SOURCES = {
+  'a.puml': '@startuml\n!include common.iuml\nA -> B\n@enduml\n',
+  'b.puml': '@startuml\nC -> D\n@enduml\n',
+  'common.iuml': 'skinparam shadowing false\n'
+};
+
+test('第二次渲染全部命中缓存，不再调用java，输出文件照常写出', async (t) => {
+  const projectRoot = createProject(t, SOURCES);
+
+  const first = await renderBatch(projectRoot);
+  assert.deepStrictEqual(first.rendered, ['a.puml', 'b.puml']);
+  assert.deepStrictEqual([first.result.cache.hits, first.result.cache.misses, first.result.cache.stored], [0, 2, 2]);
+
+  fs.rmSync(path.join(projectRoot, 'figures'), { recursive: true });
+  const second = await renderBatch(projectRoot);
+  assert.deepStrictEqual(second.rendered, []);
+  assert.deepStrictEqual([second.result.cache.hits, second.result.cache.misses], [2, 0]);
+  assert.ok(second.result.results.every(r => r.cached));
+  assert.ok(fs.existsSync(path.join(projectRoot, 'figures', 'a.png')));
+  assert.strictEqual(fs.readdirSync(path.join(projectRoot, 'cache', 'plantuml-render')).length, 2);
+});
+
+test('修改 !include 的文件、换格式、换jar版本或主题都会重新渲染', async (t) => {
+  const projectRoot = createProject(t, SOURCES);
+  await renderBatch(projectRoot);
+
+  fs.writeFileSync(path.join(projectRoot, 'uml', 'common.iuml'), 'skinparam shadowing true\n');
+  assert.deepStrictEqual((await renderBatch(projectRoot)).rendered, ['a.puml']);
+
+  assert.deepStrictEqual((await renderBatch(projectRoot, { format: 'svg' })).rendered, ['a.puml', 'b.puml']);
+  assert.deepStrictEqual((await renderBatch(projectRoot, {}, { 'jar:version': () => 'jar:upgraded' })).rendered, ['a.puml', 'b.puml']);
+  assert.deepStrictEqual((await renderBatch(projectRoot, { theme: 'academic-bw' })).rendered, ['a.puml', 'b.puml']);
+  assert.deepStrictEqual((await renderBatch(projectRoot, { theme: 'academic-bw' })).rendered, []);
+});
+
+test('force 跳过缓存查找但仍写入缓存；渲染失败的图不写缓存', async (t) => {
+  const projectRoot = createProject(t, SOURCES);
+  await renderBatch(projectRoot);
+
+  const forced = await renderBatch(projectRoot, { force: true });
+  assert.deepStrictEqual(forced.rendered, ['a.puml', 'b.puml']);
+  assert.deepStrictEqual([forced.result.cache.hits, forced.result.cache.misses, forced.result.cache.stored], [0, 2, 2]);
+
+  fs.writeFileSync(path.join(projectRoot, 'uml', 'b.puml'), '@startuml\nC -> \n@enduml\n');
+  const broken = await renderBatch(projectRoot, {}, {
+    'java:pipe': (args) => (args.filename === 'b.puml' ? { success: false, error: 'Syntax Error?', line: 2 } : { success: true, data: Buffer.from('png') })
+  });
+  assert.strictEqual(broken.result.cache.stored, 0);
+  assert.deepStrictEqual((await renderBatch(projectRoot)).rendered, ['b.puml']);
+});
+
+test('缓存键由源码、格式、版本和主题共同决定', () => {
+  const key = tool.getRenderCacheKey('@startuml\nA -> B\n@enduml', 'png', 'jar:1', '');
+
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.strictEqual(tool.getRenderCacheKey('@startuml\nA -> B\n@enduml', 'png', 'jar:1'), key);
+  for (const changed of [
+    tool.getRenderCacheKey('@startuml\nA -> C\n@enduml', 'png', 'jar:1', ''),
+    tool.getRenderCacheKey('@startuml\nA -> B\n@enduml', 'svg', 'jar:1', ''),
+    tool.getRenderCacheKey('@startuml\nA -> B\n@enduml', 'png', 'jar:2', ''),
+    tool.getRenderCacheKey('@startuml\nA -> B\n@enduml', 'png', 'jar:1', 'academic-bw')
+  ]) {
+    assert.notStrictEqual(changed, key);
+  }
+});
+
+test('list_files、daemon_status、watch_status 等非渲染操作不读取jar版本、不写主题配置', async (t) => {
+  const projectRoot = createProject(t, {});
+  for (const action of ['list_files', 'daemon_status', 'watch_status', 'daemon_stop', 'watch_stop']) {
+    const { api, calls } = createApi(projectRoot, {
+      'jar:version': () => { throw new Error('不应读取jar版本'); }
+    });
+    tool.api = api;
+
+    const result = await tool.execute({ action, sourceDir: 'uml', outputDir: 'figures', theme: 'academic-bw' });
+    assert.strictEqual(result.success, true, action);
+    assert.ok(!calls.some(call => call.key === 'fs:write'), `${action} 不应写出主题配置`);
+  }
+});
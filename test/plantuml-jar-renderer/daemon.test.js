@@ -0,0 +1,178 @@
+/**
+ * plantuml-jar-renderer 常驻进程：状态文件中的pid只有命令行仍是本jar的 picoweb 时才会被终止，
+ * 复用/重启判断，常驻进程不可用时退回 java -pipe，批量渲染逐文件汇报结果
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const tool = require('../../resource/tool/plantuml-jar-renderer/plantuml-jar-renderer.tool.js');
+
+// 默认走 mock Bridge；overrides 替换单个 Bridge，real 中列出的 Bridge 走真实实现
+const createApi = (overrides = {}, real = []) => {
+  const calls = [];
+  const api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name),
+    environment: { get: async (key) => (key === 'PROJECT_ROOT' ? '/data/project' : undefined) },
+    bridge: {
+      execute: async (key, args) => {
+        calls.push({ key, args });
+        if (overrides[key]) return overrides[key](args);
+        const bridge = tool.getBridges()[key];
+        return real.includes(key) ? bridge.real(args, api) : bridge.mock(args, api);
+      }
+    }
+  };
+  return { api, calls };
+};
+
+// 一个本测试自己启动、什么也不做的子进程，模拟状态文件里记录的pid
+const spawnIdle = (t) => {
+  const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)'], { stdio: 'ignore' });
+  const exited = new Promise(resolve => child.on('exit', () => resolve(true)));
+  t.after(() => child.kill());
+  return { child, exited };
+};
+
+const isAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const writeState = (t, state) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jar-daemon-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const stateFile = path.join(dir, 'daemon.json');
+  fs.writeFileSync(stateFile, JSON.stringify(state));
+  return { stateFile, jarPath: state.jarPath, javaBin: 'java' };
+};
+
+test('daemon:status：pid 的命令行不是本jar的 picoweb 时视为失效且不归本工具所有', async (t) => {
+  const daemon = writeState(t, { pid: process.pid, port: 1, jarPath: '/data/project/tar/plantuml.jar' });
+  const { api } = createApi({ 'process:command': () => 'node /usr/lib/some-other-service.js' }, ['daemon:status']);
+
+  const status = await api.bridge.execute('daemon:status', daemon);
+  assert.strictEqual(status.running, false);
+  assert.strictEqual(status.stale, true);
+  assert.strictEqual(status.owned, undefined);
+});
+
+test('daemon:status：命令行匹配时 owned，端口可访问才 running', async (t) => {
+  const server = http.createServer((req, res) => res.end('ok'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+  const jarPath = '/data/project/tar/plantuml.jar';
+  const command = (statePort) => `java -Djava.awt.headless=true -jar ${jarPath} -picoweb:${statePort}:127.0.0.1`;
+
+  const reachable = writeState(t, { pid: process.pid, port, jarPath });
+  const { api } = createApi({ 'process:command': () => command(port) }, ['daemon:status']);
+  assert.deepStrictEqual(
+    (({ running, stale, owned }) => ({ running, stale, owned }))(await api.bridge.execute('daemon:status', reachable)),
+    { running: true, stale: false, owned: true });
+
+  // 端口已无人监听（进程卡死）：仍是本常驻进程，可以终止
+  const closedPort = await new Promise(resolve => {
+    const probe = http.createServer();
+    probe.listen(0, '127.0.0.1', () => {
+      const free = probe.address().port;
+      probe.close(() => resolve(free));
+    });
+  });
+  const hung = writeState(t, { pid: process.pid, port: closedPort, jarPath });
+  const { api: hungApi } = createApi({ 'process:command': () => command(closedPort) }, ['daemon:status']);
+  const status = await hungApi.bridge.execute('daemon:status', hung);
+  assert.strictEqual(status.running, false);
+  assert.strictEqual(status.owned, true);
+});
+
+test('daemon_stop：pid 已被其他进程复用时只删除状态文件，不终止该进程', async (t) => {
+  const { child } = spawnIdle(t);
+  const daemon = writeState(t, { pid: child.pid, port: 1, jarPath: '/data/project/tar/plantuml.jar' });
+  const { api } = createApi({ 'process:command': () => 'postgres: checkpointer' }, ['daemon:status', 'daemon:stop']);
+
+  const result = await tool.stopDaemon(daemon, api);
+  assert.strictEqual(result.stopped, false);
+  assert.ok(!fs.existsSync(daemon.stateFile));
+  assert.ok(isAlive(child.pid), '不属于本工具的进程不应被终止');
+});
+
+test('daemon_stop：确认是本jar的 picoweb 后终止进程并删除状态文件', async (t) => {
+  const { child, exited } = spawnIdle(t);
+  const daemon = writeState(t, { pid: child.pid, port: 1, jarPath: '/data/project/tar/plantuml.jar' });
+  const { api } = createApi({ 'process:command': () => `java -jar ${daemon.jarPath} -picoweb:1:127.0.0.1` }, ['daemon:status', 'daemon:stop']);
+
+  const result = await tool.stopDaemon(daemon, api);
+  assert.strictEqual(result.stopped, true);
+  assert.ok(!fs.existsSync(daemon.stateFile));
+  assert.strictEqual(await exited, true);
+});
+
+test('ensureDaemon：同一jar且可访问时复用；换jar或失效时按 owned 决定是否终止旧进程再启动', async () => {
+  const daemon = { stateFile: '/data/project/cache/plantuml-jar-renderer/daemon.json', jarPath: '/data/project/tar/plantuml.jar', javaBin: 'java' };
+  const running = { running: true, owned: true, state: { pid: 42, port: 9000, jarPath: daemon.jarPath } };
+
+  const reuse = createApi({ 'daemon:status': () => running });
+  assert.deepStrictEqual(await tool.ensureDaemon(daemon, reuse.api), { state: running.state, reused: true });
+  assert.deepStrictEqual(reuse.calls.map(call => call.key), ['daemon:status']);
+
+  const swapped = createApi({ 'daemon:status': () => ({ ...running, state: { ...running.state, jarPath: '/old/plantuml.jar' } }) });
+  const restarted = await tool.ensureDaemon(daemon, swapped.api);
+  assert.strictEqual(restarted.reused, false);
+  assert.deepStrictEqual(swapped.calls.map(call => call.key), ['daemon:status', 'daemon:stop', 'daemon:start']);
+  assert.strictEqual(swapped.calls[1].args.kill, true);
+
+  const stale = createApi({ 'daemon:status': () => ({ running: false, stale: true, state: running.state }) });
+  await tool.ensureDaemon(daemon, stale.api);
+  assert.strictEqual(stale.calls.find(call => call.key === 'daemon:stop').args.kill, false);
+});
+
+test('render_batch：常驻进程逐文件渲染，失败文件带行号，其余文件照常输出', async () => {
+  const { api, calls } = createApi({
+    'daemon:render': (args) => args.filename === 'usecase-user.puml'
+      ? { success: false, error: 'Syntax Error?', line: 3 }
+      : { success: true, data: Buffer.from('png') }
+  });
+  tool.api = api;
+
+  const result = await tool.execute({ action: 'render_batch', sourceDir: 'uml', outputDir: 'figures' });
+  assert.strictEqual(result.renderer, 'daemon');
+  assert.strictEqual(result.total, 4);
+  assert.strictEqual(result.successCount, 3);
+  const failed = result.results.find(r => r.source === 'usecase-user.puml');
+  assert.deepStrictEqual([failed.status, failed.error, failed.line], ['failed', 'Syntax Error?', 3]);
+  assert.deepStrictEqual(result.summary.failedFiles, ['usecase-user.puml']);
+  assert.deepStrictEqual(calls.filter(call => call.key === 'fs:write').map(call => call.args.path).sort(), [
+    '/data/project/figures/activity-user-auth.png',
+    '/data/project/figures/er-overview.png',
+    '/data/project/figures/sequence-user-auth.png'
+  ]);
+});
+
+test('render_batch：常驻进程启动失败时退回 java -pipe 并说明原因；超时单独标记', async () => {
+  const { api, calls } = createApi({
+    'daemon:start': () => { throw new Error('PlantUML常驻进程启动超时: 30000ms'); },
+    'java:pipe': (args) => args.filename === 'er-overview.puml'
+      ? { success: false, error: '渲染超时: 60000ms', timeout: true }
+      : { success: true, data: Buffer.from('png') }
+  });
+  tool.api = api;
+
+  const result = await tool.execute({ action: 'render_batch', sourceDir: 'uml', outputDir: 'figures' });
+  assert.strictEqual(result.renderer, 'cli');
+  assert.match(result.daemonError, /启动超时/);
+  assert.strictEqual(result.results.find(r => r.source === 'er-overview.puml').status, 'timeout');
+  assert.strictEqual(result.successCount, 3);
+  assert.strictEqual(calls.filter(call => call.key === 'java:pipe').length, 4);
+});
@@ -0,0 +1,149 @@
+/**
+ * plantuml-jar-renderer render_embedded：从章节JSON的 figures 条目和Markdown代码块提取PlantUML，
+ * 渲染后把 imagePath/图号写回所属节点；手工指定的图片不覆盖，失败的图不回写，writeBack=false 不改文件
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tool = require('../../resource/tool/plantuml-jar-renderer/plantuml-jar-renderer.tool.js');
+
+const REAL = ['fs:read', 'fs:readJson', 'fs:write', 'fs:exists', 'cache:get', 'cache:put'];
+
+const CHAPTER = {
+  id: '3',
+  meta: { chapter: 3 },
+  defaults: { figureLabelTemplate: '图{{chapter}}-{{index}} {{figureTitle}}' },
+  contents: {
+    '3.1': {
+      title: '系统架构',
+      figures: [
+        { figureTitle: '系统架构图', umlCode: '```plantuml\n[Web] --> [API]\n```' },
+        { figureTitle: '登录时序图', umlCodePath: 'uml/login.puml' },
+        { figureTitle: '尚未生成的图' }
+      ],
+      subsections: {
+        '3.1.1': {
+          imagePath: '/manual/er.png',
+          figures: [{ figureTitle: '实体关系图', label: '图3-9 手工图号', plantuml: '@startuml\nA -- B\n@enduml' }]
+        }
+      }
+    }
+  }
+};
+
+const NOTES = '# 笔记\n\n```plantuml\nAlice -> Bob\n```\n\n```js\nconst a = 1;\n```\n\n~~~puml\n@startmindmap\n* 根\n@endmindmap\n~~~\n';
+
+// 临时项目：docs/ 下一个章节JSON和一个Markdown，uml/login.puml 由 umlCodePath 引用
+const createProject = (t) => {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'jar-embedded-'));
+  t.after(() => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  const files = {
+    'tar/plantuml.jar': '',
+    'docs/chapter.3.json': JSON.stringify(CHAPTER, null, 2),
+    'docs/notes.md': NOTES,
+    'uml/login.puml': '@startuml\n用户 -> 系统 : 登录\n@enduml\n'
+  };
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, name)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, name), content);
+  }
+  return projectRoot;
+};
+
+// fs:scan 第一次返回章节文件，批量渲染时返回暂存文件（不含通配符的模式原样返回）
+const renderEmbedded = async (projectRoot, params = {}, render = () => ({ success: true, data: Buffer.from('png') })) => {
+  const calls = [];
+  const api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name),
+    environment: { get: async (key) => (key === 'PROJECT_ROOT' ? projectRoot : undefined) },
+    bridge: {
+      execute: async (key, args) => {
+        calls.push({ key, args });
+        if (key === 'fs:scan') {
+          return args.include.every(pattern => !/[*?[{]/.test(pattern)) ? args.include : ['chapter.3.json', 'notes.md'];
+        }
+        if (key === 'daemon:render') return render(tool.decodePlantUML(args.encoded).source, args);
+        const bridge = tool.getBridges()[key];
+        return REAL.includes(key) ? bridge.real(args, api) : bridge.mock(args, api);
+      }
+    }
+  };
+  tool.api = api;
+  const result = await tool.execute({ action: 'render_embedded', sourceDir: 'docs', outputDir: 'figures', format: 'png', ...params });
+  return { result, calls, doc: JSON.parse(fs.readFileSync(path.join(projectRoot, 'docs', 'chapter.3.json'), 'utf8')) };
+};
+
+test('提取章节JSON的 figures 条目（围栏代码、umlCodePath）和Markdown的 plantuml/puml 代码块', async (t) => {
+  const projectRoot = createProject(t);
+  const { result } = await renderEmbedded(projectRoot);
+
+  assert.strictEqual(result.files, 2);
+  assert.strictEqual(result.total, 5);
+  assert.strictEqual(result.skipped, 1);
+  assert.strictEqual(result.successCount, 5);
+  assert.deepStrictEqual(result.results.map(r => r.output), [
+    'chapter.3/3.1-1.png',
+    'chapter.3/3.1-2.png',
+    'chapter.3/3.1.1-1.png',
+    'notes/fig-1.png',
+    'notes/fig-2.png'
+  ]);
+  assert.deepStrictEqual(result.results.filter(r => r.source === 'notes.md').map(r => r.line), [3, 11]);
+  assert.strictEqual(fs.readFileSync(path.join(projectRoot, 'cache/plantuml-jar-renderer/embedded/chapter.3/3.1-1.puml'), 'utf8'),
+    '@startuml\n[Web] --> [API]\n@enduml\n');
+  assert.ok(fs.existsSync(path.join(projectRoot, 'figures/notes/fig-2.png')));
+});
+
+test('imagePath 与图号写回 figures 条目和所属节点，手工指定的节点图片和图号不覆盖', async (t) => {
+  const projectRoot = createProject(t);
+  const { result, doc } = await renderEmbedded(projectRoot);
+  const section = doc.contents['3.1'];
+  const figures = path.join(projectRoot, 'figures');
+
+  assert.deepStrictEqual(result.updatedFiles, ['chapter.3.json']);
+  assert.strictEqual(section.figures[0].imagePath, path.join(figures, 'chapter.3/3.1-1.png'));
+  assert.strictEqual(section.figures[0].label, '图3-1 系统架构图');
+  assert.deepStrictEqual([section.imagePath, section.imageLabel], [path.join(figures, 'chapter.3/3.1-1.png'), '图3-1 系统架构图']);
+  assert.deepStrictEqual([section.imagePathSequence, section.imageLabelSequence], [path.join(figures, 'chapter.3/3.1-2.png'), '图3-2 登录时序图']);
+  assert.strictEqual(section.figures[2].imagePath, undefined);
+
+  const manual = section.subsections['3.1.1'];
+  assert.strictEqual(manual.imagePath, '/manual/er.png');
+  assert.strictEqual(manual.figures[0].imagePath, path.join(figures, 'chapter.3/3.1.1-1.png'));
+  assert.strictEqual(manual.figures[0].label, '图3-9 手工图号');
+});
+
+test('渲染失败的图不回写并带出错行号；writeBack=false 时不修改章节文件', async (t) => {
+  const projectRoot = createProject(t);
+  const { result, doc } = await renderEmbedded(projectRoot, {}, (source) => (source.includes('登录')
+    ? { success: false, error: 'Syntax Error?', line: 2 }
+    : { success: true, data: Buffer.from('png') }));
+
+  const failed = result.results.find(r => r.status !== 'success');
+  assert.deepStrictEqual([failed.section, failed.label, failed.error, failed.diagramLine], ['3.1', '图3-2 登录时序图', 'Syntax Error?', 2]);
+  assert.strictEqual(doc.contents['3.1'].figures[1].imagePath, undefined);
+  assert.strictEqual(doc.contents['3.1'].imagePathSequence, undefined);
+  assert.ok(doc.contents['3.1'].figures[0].imagePath);
+
+  const untouched = createProject(t);
+  const { result: dryRun, calls } = await renderEmbedded(untouched, { writeBack: false });
+  assert.deepStrictEqual(dryRun.updatedFiles, []);
+  assert.ok(!calls.some(call => call.key === 'fs:write' && call.args.path.endsWith('.json')));
+});
+
+test('再次运行且图片路径不变时全部命中缓存，不重写章节文件', async (t) => {
+  const projectRoot = createProject(t);
+  await renderEmbedded(projectRoot);
+
+  const { result, calls } = await renderEmbedded(projectRoot);
+  assert.deepStrictEqual(result.updatedFiles, []);
+  assert.ok(result.results.every(r => r.status === 'success'));
+  assert.ok(!calls.some(call => call.key === 'fs:write' && call.args.path.endsWith('.json')));
+  assert.strictEqual(result.cache.hits, 5);
+});
@@ -0,0 +1,181 @@
+/**
+ * plantuml-jar-renderer watch：监听进程用 matchesSourcePatterns 判断与 render_batch 相同的文件范围，
+ * 复用/重启判断，只有pid仍是本状态文件的 runWatcher 时才终止；端到端启动监听进程、改文件后记录结果再停止
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const tool = require('../../resource/tool/plantuml-jar-renderer/plantuml-jar-renderer.tool.js');
+
+// mode 为 mock 时默认走 mock Bridge，为 real 时全部走真实实现；overrides 替换单个 Bridge
+const createApi = (projectRoot, overrides = {}, mode = 'mock') => {
+  const calls = [];
+  const api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name),
+    environment: { get: async (key) => (key === 'PROJECT_ROOT' ? projectRoot : undefined) },
+    bridge: {
+      execute: async (key, args) => {
+        calls.push({ key, args });
+        if (overrides[key]) return overrides[key](args);
+        return tool.getBridges()[key][mode](args, api);
+      }
+    }
+  };
+  return { api, calls };
+};
+
+const isAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const waitFor = async (check, timeout = 10000) => {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('等待超时');
+};
+
+test('matchesSourcePatterns 与 getSourcePatterns 的 include/exclude 语义一致', () => {
+  const flat = tool.getSourcePatterns({});
+  const recursive = tool.getSourcePatterns({ recursive: true, exclude: ['drafts/**', 'tmp-?.puml'] });
+
+  assert.ok(tool.matchesSourcePatterns('order.puml', flat));
+  assert.ok(tool.matchesSourcePatterns('order.pu', flat));
+  assert.ok(!tool.matchesSourcePatterns('chapter3/order.puml', flat), '非递归时不匹配子目录');
+  assert.ok(!tool.matchesSourcePatterns('common.iuml', flat));
+  assert.ok(!tool.matchesSourcePatterns('orderxpuml', flat), '. 按字面匹配');
+
+  assert.ok(tool.matchesSourcePatterns('chapter3/usecase/order.puml', recursive));
+  assert.ok(tool.matchesSourcePatterns('order.plantuml', recursive));
+  assert.ok(!tool.matchesSourcePatterns('chapter3/common.iuml', recursive));
+  assert.ok(!tool.matchesSourcePatterns('drafts/old/order.puml', recursive));
+  assert.ok(!tool.matchesSourcePatterns('chapter3/tmp-1.puml', recursive));
+  assert.ok(tool.matchesSourcePatterns('chapter3/tmp-12.puml', recursive), '? 只匹配一个字符');
+});
+
+test('globToRegExp：** 跨目录、* 和 ? 不跨目录，支持 {a,b} 与 [...] / [!...]', () => {
+  const match = (pattern, file) => tool.globToRegExp(pattern).test(file);
+
+  assert.ok(match('**/*.puml', 'a.puml'));
+  assert.ok(match('**/*.puml', 'a/b/c.puml'));
+  assert.ok(match('figures/**', 'figures/a/b.png'));
+  assert.ok(!match('*.puml', 'a/b.puml'));
+  assert.ok(match('*.{puml,pu}', 'a.pu'));
+  assert.ok(!match('*.{puml,pu}', 'a.iuml'));
+  assert.ok(match('fig-[0-9].puml', 'fig-3.puml'));
+  assert.ok(!match('fig-[!0-9].puml', 'fig-3.puml'));
+  assert.ok(match('fig-[!0-9].puml', 'fig-a.puml'));
+  assert.ok(match('图(1)+.puml', '图(1)+.puml'));
+});
+
+test('watch_stop：pid 已被其他进程复用时只删除状态文件，不终止该进程', async (t) => {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'jar-watch-'));
+  t.after(() => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)'], { stdio: 'ignore' });
+  t.after(() => child.kill());
+
+  const files = tool.getWatchFiles(projectRoot);
+  fs.mkdirSync(path.dirname(files.stateFile), { recursive: true });
+  fs.writeFileSync(files.stateFile, JSON.stringify({ pid: child.pid, sourceDir: '/data/project/uml' }));
+  const { api } = createApi(projectRoot, {}, 'real');
+
+  const status = await api.bridge.execute('watch:status', files);
+  assert.deepStrictEqual([status.running, status.stale, status.owned], [false, true, undefined]);
+  const result = await tool.stopWatch(files, api);
+  assert.strictEqual(result.stopped, false);
+  assert.ok(!fs.existsSync(files.stateFile));
+  assert.ok(isAlive(child.pid), '不属于本工具的进程不应被终止');
+});
+
+test('watch：配置相同则复用，include/exclude 或格式变化时停止旧进程（按 owned 决定是否终止）后重启', async () => {
+  const state = {
+    pid: 42,
+    sourceDir: '/data/project/uml',
+    outputDir: '/data/project/figures',
+    format: 'png',
+    theme: null,
+    patterns: tool.getSourcePatterns({})
+  };
+  const watch = async (params, status) => {
+    const { api, calls } = createApi('/data/project', { 'watch:status': () => status });
+    tool.api = api;
+    const result = await tool.execute({ action: 'watch', sourceDir: 'uml', outputDir: 'figures', ...params });
+    return { result, calls };
+  };
+
+  const reused = await watch({}, { running: true, owned: true, state });
+  assert.strictEqual(reused.result.reused, true);
+  assert.ok(!reused.calls.some(call => call.key === 'watch:start'));
+
+  const narrowed = await watch({ exclude: ['draft-*'] }, { running: true, owned: true, state });
+  assert.strictEqual(narrowed.result.reused, false);
+  assert.strictEqual(narrowed.calls.find(call => call.key === 'watch:stop').args.kill, true);
+  const config = narrowed.calls.find(call => call.key === 'watch:start').args.config;
+  assert.deepStrictEqual(config.patterns.exclude, ['draft-*', '*.iuml']);
+  assert.strictEqual(config.daemon.jarPath, '/data/project/tar/plantuml.jar');
+  assert.strictEqual(config.cache.version, 'jar:mock');
+
+  const stale = await watch({ format: 'svg' }, { running: false, stale: true, state });
+  assert.strictEqual(stale.calls.find(call => call.key === 'watch:stop').args.kill, false);
+});
+
+test('watch：无法定位工具文件时报错，提示改用 render_batch', async () => {
+  const { api } = createApi('/data/project', { 'fs:exists': (args) => !args.path.endsWith('.tool.js') });
+  tool.api = api;
+
+  await assert.rejects(tool.execute({ action: 'watch', sourceDir: 'uml', outputDir: 'figures' }), /watch 模式不可用，请改用 render_batch/);
+});
+
+test('端到端：启动监听进程，保存源文件后记录该文件的渲染结果，排除的文件不渲染，watch_stop 终止进程', async (t) => {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'jar-watch-'));
+  fs.mkdirSync(path.join(projectRoot, 'tar'));
+  fs.mkdirSync(path.join(projectRoot, 'uml'));
+  fs.writeFileSync(path.join(projectRoot, 'tar', 'plantuml.jar'), '');
+  const files = tool.getWatchFiles(projectRoot);
+  let pid = null;
+  t.after(() => {
+    if (pid && isAlive(pid)) process.kill(pid);
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  // 没有可用的java：常驻进程和命令行渲染都会失败，失败结果同样记入状态文件
+  const { api } = createApi(projectRoot, {}, 'real');
+  tool.api = api;
+  const started = await tool.execute({ action: 'watch', sourceDir: 'uml', outputDir: 'figures', exclude: ['draft-*'], debounce: 50 });
+  pid = started.state.pid;
+  assert.strictEqual(started.reused, false);
+  assert.ok(isAlive(pid));
+
+  fs.writeFileSync(path.join(projectRoot, 'uml', 'draft-a.puml'), '@startuml\nA -> B\n@enduml\n');
+  fs.writeFileSync(path.join(projectRoot, 'uml', 'order.puml'), '@startuml\nA -> B\n@enduml\n');
+  const state = await waitFor(() => {
+    const current = JSON.parse(fs.readFileSync(files.stateFile, 'utf8'));
+    return current.files['order.puml'] ? current : null;
+  });
+  assert.strictEqual(state.files['order.puml'].status, 'failed');
+  assert.strictEqual(state.files['draft-a.puml'], undefined);
+  assert.deepStrictEqual(state.patterns.exclude, ['draft-*', '*.iuml']);
+
+  const status = await tool.execute({ action: 'watch_status', sourceDir: 'uml', outputDir: 'figures' });
+  assert.deepStrictEqual([status.running, status.owned], [true, true]);
+
+  const stopped = await tool.execute({ action: 'watch_stop', sourceDir: 'uml', outputDir: 'figures' });
+  assert.strictEqual(stopped.stopped, true);
+  await waitFor(() => !isAlive(pid));
+  assert.ok(!fs.existsSync(files.stateFile));
+});
@@ -0,0 +1,171 @@
+/**
+ * plantuml-renderer 请求重试与服务器检查：429、5xx和网络错误按指数退避重试，Retry-After 优先，语法错误不重试；
+ * 批量渲染第一次未命中缓存时才检查服务器，全部命中缓存时离线可用，不可用时只有未命中的文件失败
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tool = require('../../resource/tool/plantuml-renderer/plantuml-renderer.tool.js');
+
+// environment 返回 env 中的值，warn 日志记入 warnings 以检查退避时间
+const createApi = (overrides = {}, real = [], env = {}) => {
+  const calls = [];
+  const warnings = [];
+  const api = {
+    logger: { info() {}, warn(message) { warnings.push(message); }, error() {}, debug() {} },
+    importx: async (name) => require(name),
+    environment: { get: async (key) => env[key] },
+    bridge: {
+      execute: async (key, args) => {
+        calls.push({ key, args });
+        if (overrides[key]) return overrides[key](args);
+        const bridge = tool.getBridges()[key];
+        return real.includes(key) ? bridge.real(args, api) : bridge.mock(args, api);
+      }
+    }
+  };
+  return { api, calls, warnings };
+};
+
+// 按顺序返回各次响应，用完后重复最后一个
+const respond = (...responses) => {
+  let index = 0;
+  return () => responses[Math.min(index++, responses.length - 1)];
+};
+
+const OK = { success: true, data: Buffer.from('png'), contentType: 'image/png' };
+const UNAVAILABLE = { success: false, status: 503, error: 'PlantUML server error: HTTP 503', retryable: true };
+
+const execute = async (params, overrides = {}, real = [], env = {}) => {
+  const context = createApi(overrides, real, env);
+  tool.api = context.api;
+  const result = await tool.execute(params);
+  return { result, ...context };
+};
+
+// 临时目录：uml/ 下的源码和独立的渲染缓存目录（PLANTUML_CACHE_DIR），不写入仓库的 cache/
+const createProject = (t, files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plantuml-retry-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, 'uml', name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'uml', name), content);
+  }
+  return {
+    params: { action: 'render_batch', sourceDir: path.join(dir, 'uml'), outputDir: path.join(dir, 'figures'), format: 'png', retryDelay: 0 },
+    real: ['fs:read', 'fs:write', 'cache:get', 'cache:put'],
+    env: { PLANTUML_CACHE_DIR: path.join(dir, 'cache') },
+    scan: () => Object.keys(files)
+  };
+};
+
+// 直接调用 requestWithRetry，request 与 execute 组装的字段一致
+const request = (overrides = {}) => ({ server: 'http://localhost:8080', method: 'post', timeout: 30000, retries: 2, retryDelay: 0, ...overrides });
+const SOURCE = '@startuml\nA -> B\n@enduml';
+
+test('503、429 后重试直到成功，attempts 记录请求次数', async () => {
+  const { api, calls } = createApi({
+    'http:plantuml': respond(UNAVAILABLE, { success: false, status: 429, error: 'PlantUML server error: HTTP 429', retryable: true, retryAfter: 0 }, OK)
+  });
+
+  const { result, attempts } = await tool.requestWithRetry(SOURCE, 'a.puml', 'png', request(), api);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(attempts, 3);
+  assert.strictEqual(calls.length, 3);
+});
+
+test('语法错误不重试，返回出错行号；重试次数用完后返回最后一次的错误', async () => {
+  const syntax = { success: false, status: 400, error: 'Syntax error at line 2: Syntax Error?', line: 2, retryable: false };
+
+  const broken = await tool.requestWithRetry(SOURCE, 'a.puml', 'png', request(), createApi({ 'http:plantuml': respond(syntax) }).api);
+  assert.deepStrictEqual([broken.result.line, broken.attempts], [2, 1]);
+
+  const exhausted = await tool.requestWithRetry(SOURCE, 'a.puml', 'png', request({ retries: 1 }), createApi({ 'http:plantuml': respond(UNAVAILABLE) }).api);
+  assert.deepStrictEqual([exhausted.result.error, exhausted.attempts], [UNAVAILABLE.error, 2]);
+});
+
+test('退避时间按 retryDelay 的 1、2、4 倍递增，服务器给出 Retry-After 时按其等待', async () => {
+  const backoff = createApi({ 'http:plantuml': respond(UNAVAILABLE, UNAVAILABLE, UNAVAILABLE, OK) });
+  await tool.requestWithRetry(SOURCE, 'a.puml', 'png', request({ retries: 3, retryDelay: 5 }), backoff.api);
+  assert.deepStrictEqual(backoff.warnings.map(message => message.match(/(\d+)ms后第(\d+)次重试/).slice(1).map(Number)),
+    [[5, 1], [10, 2], [20, 3]]);
+
+  const limited = createApi({ 'http:plantuml': respond({ ...UNAVAILABLE, status: 429, retryAfter: 1 }, OK) });
+  const { attempts } = await tool.requestWithRetry(SOURCE, 'a.puml', 'png', request({ retryDelay: 1000 }), limited.api);
+  assert.match(limited.warnings[0], /1ms后第1次重试/);
+  assert.strictEqual(attempts, 2);
+});
+
+test('http:plantuml 把响应头中的语法错误、429/5xx 和 Retry-After 转换为是否可重试', async () => {
+  const responses = {
+    'https://plantuml.test/png': { status: 200, headers: { 'x-plantuml-diagram-error': 'Syntax Error?', 'x-plantuml-diagram-error-line': '2' } },
+    'https://plantuml.test/svg': { status: 429, headers: { 'retry-after': '3' } },
+    'https://plantuml.test/txt': { status: 404, headers: {} }
+  };
+  const axios = async (request) => {
+    if (request.url.endsWith('/pdf')) throw new Error('connect ECONNREFUSED');
+    return { data: Buffer.alloc(0), ...responses[request.url] };
+  };
+  const { api } = createApi();
+  api.importx = async (name) => (name === 'axios' ? axios : require(name));
+  const send = (format) => tool.getBridges()['http:plantuml'].real({ server: 'https://plantuml.test', method: 'post', format, source: '', filename: 'a.puml' }, api);
+
+  assert.deepStrictEqual(await send('png'), { success: false, status: 200, error: 'Syntax error at line 2: Syntax Error?', line: 2, retryable: false });
+  assert.deepStrictEqual(await send('svg'), { success: false, status: 429, error: 'PlantUML server error: HTTP 429', retryable: true, retryAfter: 3000 });
+  assert.strictEqual((await send('txt')).retryable, false);
+  assert.deepStrictEqual(await send('pdf'), { success: false, error: 'connect ECONNREFUSED', retryable: true });
+});
+
+test('全部命中缓存时不检查服务器也不发请求，服务器不可用仍能离线完成', async (t) => {
+  const project = createProject(t, { 'a.puml': '@startuml\nA -> B\n@enduml\n', 'b.puml': '@startuml\nC -> D\n@enduml\n' });
+  await execute(project.params, { 'fs:scan': project.scan, 'http:plantuml': respond(OK) }, project.real, project.env);
+
+  const { result, calls } = await execute(project.params, {
+    'fs:scan': project.scan,
+    'http:plantuml': respond({ success: false, error: 'connect ECONNREFUSED', retryable: true })
+  }, project.real, project.env);
+  assert.strictEqual(result.successCount, 2);
+  assert.strictEqual(result.health, null);
+  assert.strictEqual(result.cache.hits, 2);
+  assert.ok(!calls.some(call => call.key === 'http:plantuml'));
+});
+
+test('服务器不可用时只检查一次，未命中缓存的文件直接失败，命中的照常输出', async (t) => {
+  const project = createProject(t, { 'a.puml': '@startuml\nA -> B\n@enduml\n', 'b.puml': '@startuml\nC -> D\n@enduml\n', 'c.puml': '@startuml\nE -> F\n@enduml\n' });
+  await execute(project.params, { 'fs:scan': () => ['a.puml'], 'http:plantuml': respond(OK) }, project.real, project.env);
+
+  const { result, calls } = await execute({ ...project.params, concurrency: 2 }, {
+    'fs:scan': project.scan,
+    'http:plantuml': respond({ success: false, error: 'connect ECONNREFUSED', retryable: true })
+  }, project.real, project.env);
+  const requests = calls.filter(call => call.key === 'http:plantuml');
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(requests[0].args.filename, 'health-check');
+  assert.deepStrictEqual([result.health.healthy, result.health.error], [false, 'connect ECONNREFUSED']);
+  assert.deepStrictEqual(result.results.map(r => r.status), ['success', 'failed', 'failed']);
+  assert.match(result.results[1].error, /PlantUML服务器不可用: http:\/\/www\.plantuml\.com\/plantuml（connect ECONNREFUSED）/);
+
+  const unchecked = await execute({ ...project.params, healthCheck: false, retries: 0 }, {
+    'fs:scan': project.scan,
+    'http:plantuml': respond({ success: false, error: 'connect ECONNREFUSED', retryable: true })
+  }, project.real, project.env);
+  assert.strictEqual(unchecked.result.health, null);
+  assert.deepStrictEqual(unchecked.calls.filter(call => call.key === 'http:plantuml').map(call => call.args.filename), ['b.puml', 'c.puml']);
+});
+
+test('health_check 只请求一次；GET 方式发送编码后的源码，不支持的请求方式报错', async () => {
+  const { result, calls } = await execute({ action: 'health_check', server: 'http://localhost:8080/', method: 'get', retries: 5 },
+    { 'http:plantuml': respond(UNAVAILABLE) });
+  const request = calls.find(call => call.key === 'http:plantuml').args;
+
+  assert.deepStrictEqual([result.healthy, result.status, result.server, result.method], [false, 503, 'http://localhost:8080', 'get']);
+  assert.strictEqual(calls.filter(call => call.key === 'http:plantuml').length, 1);
+  assert.strictEqual(tool.decodePlantUML(request.encoded).source, request.source);
+
+  await assert.rejects(execute({ action: 'health_check', method: 'put' }), /不支持的请求方式：put/);
+});
@@ -0,0 +1,150 @@
+/**
+ * PlantUML源文件发现与多图输出：include/exclude 与递归模式、.iuml 不单独渲染、
+ * 输出保留源文件相对目录、多个 @start 块按命令行规则编号、本地 !include 展开
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tools = {
+  'luban-uml': require('../../resource/tool/luban-uml/luban-uml.tool.js'),
+  'plantuml-renderer': require('../../resource/tool/plantuml-renderer/plantuml-renderer.tool.js'),
+  'plantuml-jar-renderer': require('../../resource/tool/plantuml-jar-renderer/plantuml-jar-renderer.tool.js')
+};
+const jar = tools['plantuml-jar-renderer'];
+
+const createApi = (tool, overrides = {}, real = []) => {
+  const calls = [];
+  const api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name),
+    environment: { get: async (key) => (key === 'PROJECT_ROOT' ? '/data/project' : undefined) },
+    bridge: {
+      execute: async (key, args) => {
+        calls.push({ key, args });
+        if (overrides[key]) return overrides[key](args);
+        const bridge = tool.getBridges()[key];
+        return real.includes(key) ? bridge.real(args, api) : bridge.mock(args, api);
+      }
+    }
+  };
+  return { api, calls };
+};
+
+const writeFiles = (t, files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plantuml-include-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+};
+
+for (const [id, tool] of Object.entries(tools)) {
+  test(`${id}: 默认匹配 .puml/.plantuml/.pu 并排除 .iuml；递归时不含目录的模式匹配任意层级`, () => {
+    assert.deepStrictEqual(tool.getSourcePatterns({}), {
+      include: ['*.puml', '*.plantuml', '*.pu'],
+      exclude: ['*.iuml']
+    });
+    assert.deepStrictEqual(tool.getSourcePatterns({ recursive: true, include: ['*.puml', 'chapter3/**/*.puml'], exclude: ['draft-*'] }), {
+      include: ['**/*.puml', 'chapter3/**/*.puml'],
+      exclude: ['**/draft-*', '**/*.iuml']
+    });
+  });
+}
+
+for (const id of ['plantuml-renderer', 'plantuml-jar-renderer']) {
+  const tool = tools[id];
+
+  test(`${id}: 输出名保留相对目录，多块时编号为 a、a_001、a_002`, () => {
+    assert.deepStrictEqual(tool.getOutputNames('chapter3/usecase/order.puml', 1, 'png'), ['chapter3/usecase/order.png']);
+    assert.deepStrictEqual(tool.getOutputNames('flow.PlantUML', 3, 'svg'), ['flow.svg', 'flow_001.svg', 'flow_002.svg']);
+    assert.deepStrictEqual(tool.getOutputNames('a.pu', 1, 'png'), ['a.png']);
+  });
+
+  test(`${id}: 多个 @startxxx 块拆开，只有一块时保留原文`, () => {
+    const single = 'title x\n@startuml\nA -> B\n@enduml\n';
+    const multi = '@startuml\nA -> B\n@enduml\n\n@startmindmap\n* 根\n@endmindmap\n@startuml\nC -> D\n@enduml\n';
+
+    assert.deepStrictEqual(tool.splitDiagrams(single), [single]);
+    assert.deepStrictEqual(tool.splitDiagrams(multi), [
+      '@startuml\nA -> B\n@enduml',
+      '@startmindmap\n* 根\n@endmindmap',
+      '@startuml\nC -> D\n@enduml'
+    ]);
+  });
+
+  test(`${id}: 本地 !include 按相对路径递归展开，_once 只展开一次，标准库与URL保持原样`, async (t) => {
+    const dir = writeFiles(t, {
+      'chapter3/order.puml': '@startuml\n!include ../common/style.iuml\n!include_once ../common/actors.iuml\n!include_once ../common/actors.iuml\n!include <C4/C4_Container>\n!include https://example.com/a.iuml\nA -> B\n@enduml\n',
+      'common/style.iuml': '@startuml\nskinparam dpi 300\n!include colors.iuml\n@enduml',
+      'common/colors.iuml': 'skinparam monochrome true',
+      'common/actors.iuml': 'actor 用户'
+    });
+    const file = path.join(dir, 'chapter3/order.puml');
+    const { api } = createApi(tool, {}, ['fs:read']);
+
+    assert.strictEqual(await tool.inlineIncludes(fs.readFileSync(file, 'utf8'), file, api),
+      '@startuml\nskinparam dpi 300\nskinparam monochrome true\nactor 用户\n!include <C4/C4_Container>\n!include https://example.com/a.iuml\nA -> B\n@enduml\n');
+  });
+
+  test(`${id}: 循环引用和不存在的包含文件报错并指出文件`, async (t) => {
+    const dir = writeFiles(t, {
+      'a.puml': '@startuml\n!include b.iuml\n@enduml',
+      'b.iuml': '!include a.puml',
+      'c.puml': '@startuml\n!include missing.iuml\n@enduml'
+    });
+    const { api } = createApi(tool, {}, ['fs:read']);
+
+    await assert.rejects(tool.inlineIncludes(fs.readFileSync(path.join(dir, 'a.puml'), 'utf8'), path.join(dir, 'a.puml'), api),
+      /循环引用: a\.puml -> b\.iuml -> a\.puml/);
+    await assert.rejects(tool.inlineIncludes(fs.readFileSync(path.join(dir, 'c.puml'), 'utf8'), path.join(dir, 'c.puml'), api),
+      /包含文件不存在: missing\.iuml（c\.puml）/);
+  });
+}
+
+test('plantuml-jar-renderer 递归批量渲染：子目录中的多图文件输出到对应子目录并编号', async () => {
+  const sources = {
+    'chapter3/usecase/order.puml': '@startuml\nA -> B\n@enduml\n@startuml\nC -> D\n@enduml\n',
+    'overview.pu': '@startuml\nE -> F\n@enduml\n'
+  };
+  const { api, calls } = createApi(jar, {
+    'fs:scan': () => Object.keys(sources),
+    'fs:read': (args) => sources[path.relative('/data/project/uml', args.path)]
+  });
+  jar.api = api;
+
+  const result = await jar.execute({ action: 'render_batch', sourceDir: 'uml', outputDir: 'figures', recursive: true, exclude: ['drafts/**'] });
+  const scan = calls.find(call => call.key === 'fs:scan').args;
+  assert.deepStrictEqual(scan.exclude, ['drafts/**', '**/*.iuml']);
+  assert.deepStrictEqual(result.results.map(r => r.outputs), [
+    ['chapter3/usecase/order.png', 'chapter3/usecase/order_001.png'],
+    ['overview.png']
+  ]);
+  assert.deepStrictEqual(calls.filter(call => call.key === 'fs:write').map(call => call.args.path).sort(), [
+    '/data/project/figures/chapter3/usecase/order.png',
+    '/data/project/figures/chapter3/usecase/order_001.png',
+    '/data/project/figures/overview.png'
+  ]);
+  assert.deepStrictEqual(result.summary.successFiles, ['chapter3/usecase/order.png', 'chapter3/usecase/order_001.png', 'overview.png']);
+});
+
+test('plantuml-jar-renderer 多图文件中任一块失败时整个文件失败，并指出第几个图表', async () => {
+  const { api } = createApi(jar, {
+    'fs:scan': () => ['multi.puml'],
+    'fs:read': () => '@startuml\nA -> B\n@enduml\n@startuml\nC -> \n@enduml\n',
+    'daemon:render': (args) => (jar.decodePlantUML(args.encoded).source.includes('C ->')
+      ? { success: false, error: 'Syntax Error?', line: 2 }
+      : { success: true, data: Buffer.from('png') })
+  });
+  jar.api = api;
+
+  const result = await jar.execute({ action: 'render_batch', sourceDir: 'uml', outputDir: 'figures' });
+  assert.deepStrictEqual([result.results[0].status, result.results[0].error, result.results[0].line], ['failed', '第2个图表: Syntax Error?', 2]);
+});
@@ -0,0 +1,46 @@
+/**
+ * 三个PlantUML工具（luban-uml、plantuml-renderer、plantuml-jar-renderer）各自独立运行、不能共用模块，
+ * 共用渲染缓存的方法在各工具中保留逐字相同的副本，这里校验副本没有分叉
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const tools = {
+  'luban-uml': require('../../resource/tool/luban-uml/luban-uml.tool.js'),
+  'plantuml-renderer': require('../../resource/tool/plantuml-renderer/plantuml-renderer.tool.js'),
+  'plantuml-jar-renderer': require('../../resource/tool/plantuml-jar-renderer/plantuml-jar-renderer.tool.js')
+};
+
+// 各文件空行缩进风格不同，比较前去掉空白行
+const normalize = fn => fn.toString().split('\n').filter(line => line.trim()).join('\n');
+
+const SHARED = {
+  getThemePresets: ['luban-uml', 'plantuml-renderer', 'plantuml-jar-renderer'],
+  unknownThemeError: ['luban-uml', 'plantuml-renderer', 'plantuml-jar-renderer'],
+  parseThemeFile: ['luban-uml', 'plantuml-renderer', 'plantuml-jar-renderer'],
+  applyTheme: ['luban-uml', 'plantuml-renderer', 'plantuml-jar-renderer'],
+  getRenderCacheKey: ['luban-uml', 'plantuml-renderer', 'plantuml-jar-renderer'],
+  getSourcePatterns: ['luban-uml', 'plantuml-renderer', 'plantuml-jar-renderer'],
+  runPool: ['plantuml-renderer', 'plantuml-jar-renderer'],
+  getOutputNames: ['plantuml-renderer', 'plantuml-jar-renderer'],
+  splitDiagrams: ['plantuml-renderer', 'plantuml-jar-renderer'],
+  inlineIncludes: ['plantuml-renderer', 'plantuml-jar-renderer'],
+  encodePlantUML: ['luban-uml', 'plantuml-renderer', 'plantuml-jar-renderer'],
+  decodePlantUML: ['luban-uml', 'plantuml-renderer', 'plantuml-jar-renderer'],
+  extractPlantUMLEncoded: ['luban-uml', 'plantuml-renderer', 'plantuml-jar-renderer'],
+  getPlantUMLAlphabet: ['luban-uml', 'plantuml-renderer', 'plantuml-jar-renderer']
+};
+
+for (const [method, ids] of Object.entries(SHARED)) {
+  test(`${method} 在 ${ids.join('、')} 中逐字一致`, () => {
+    const [first, ...rest] = ids;
+    assert.strictEqual(typeof tools[first][method], 'function', `${first} 缺少 ${method}`);
+    for (const id of rest) {
+      assert.strictEqual(typeof tools[id][method], 'function', `${id} 缺少 ${method}`);
+      assert.strictEqual(normalize(tools[id][method]), normalize(tools[first][method]), `${id}.${method} 与 ${first} 不一致`);
+    }
+  });
+}
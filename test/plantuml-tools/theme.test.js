@@ -0,0 +1,123 @@
+/**
+ * PlantUML主题：预设与主题文件解析、主题语句插入到每个 @startuml 之后且源码自己的 skinparam 仍优先，
+ * 未知主题报错；jar渲染器写出 -config 文件并在常驻进程渲染时注入主题，源文件不被修改
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tools = {
+  'luban-uml': require('../../resource/tool/luban-uml/luban-uml.tool.js'),
+  'plantuml-renderer': require('../../resource/tool/plantuml-renderer/plantuml-renderer.tool.js'),
+  'plantuml-jar-renderer': require('../../resource/tool/plantuml-jar-renderer/plantuml-jar-renderer.tool.js')
+};
+const jar = tools['plantuml-jar-renderer'];
+
+const createApi = (tool, overrides = {}, real = []) => {
+  const calls = [];
+  const api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name),
+    environment: { get: async (key) => (key === 'PROJECT_ROOT' ? '/data/project' : undefined) },
+    bridge: {
+      execute: async (key, args) => {
+        calls.push({ key, args });
+        if (overrides[key]) return overrides[key](args);
+        const bridge = tool.getBridges()[key];
+        return real.includes(key) ? bridge.real(args, api) : bridge.mock(args, api);
+      }
+    }
+  };
+  return { api, calls };
+};
+
+const themeFile = (t, content) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plantuml-theme-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'thesis.puml'), content);
+  return path.join(dir, 'thesis.puml');
+};
+
+for (const [id, tool] of Object.entries(tools)) {
+  test(`${id}: academic-bw 预设包含宋体/黑体、黑白、无阴影和 300DPI`, () => {
+    const lines = tool.getThemePresets()['academic-bw'];
+
+    for (const expected of ['skinparam monochrome true', 'skinparam shadowing false', 'skinparam dpi 300',
+      'skinparam defaultFontName SimSun', 'skinparam titleFontName SimHei']) {
+      assert.ok(lines.includes(expected), expected);
+    }
+    assert.match(tool.unknownThemeError('dark').message, /未知的主题：dark（可用预设：academic-bw/);
+  });
+
+  test(`${id}: 主题插入到每个 @startuml 行之后，源码中的 skinparam 在其后仍然生效，换行风格不变`, () => {
+    const theme = { id: 'test', lines: ['skinparam dpi 300', 'skinparam shadowing false'] };
+    const source = '@startuml first\nskinparam dpi 150\nA -> B\n@enduml\n\n  @startuml\r\nC -> D\r\n@enduml\n';
+
+    assert.strictEqual(tool.applyTheme(source, theme),
+      '@startuml first\nskinparam dpi 300\nskinparam shadowing false\nskinparam dpi 150\nA -> B\n@enduml\n\n' +
+      '  @startuml\r\nskinparam dpi 300\r\nskinparam shadowing false\r\nC -> D\r\n@enduml\n');
+    assert.strictEqual(tool.applyTheme(source, null), source);
+    assert.strictEqual(tool.applyTheme(source, { id: 'empty', lines: [] }), source);
+  });
+
+  test(`${id}: 主题文件忽略 @startuml/@enduml 和空行，id 随内容变化`, () => {
+    const theme = tool.parseThemeFile('@startuml\nskinparam dpi 300\n\nskinparam monochrome true\n@enduml\n');
+    const changed = tool.parseThemeFile('skinparam dpi 200\n');
+
+    assert.deepStrictEqual(theme.lines, ['skinparam dpi 300', 'skinparam monochrome true']);
+    assert.match(theme.id, /^file:[0-9a-f]{16}$/);
+    assert.notStrictEqual(changed.id, theme.id);
+  });
+}
+
+test('plantuml-renderer.resolveTheme：预设名、主题文件绝对路径，相对路径与不存在的文件报错', async (t) => {
+  const tool = tools['plantuml-renderer'];
+  const file = themeFile(t, 'skinparam dpi 300\n');
+  const { api } = createApi(tool, {}, ['fs:read']);
+
+  assert.deepStrictEqual(await tool.resolveTheme('academic-bw', api), { id: 'academic-bw', lines: tool.getThemePresets()['academic-bw'] });
+  assert.deepStrictEqual((await tool.resolveTheme(file, api)).lines, ['skinparam dpi 300']);
+  await assert.rejects(tool.resolveTheme('thesis.puml', api), /未知的主题/);
+  await assert.rejects(tool.resolveTheme(path.join(path.dirname(file), 'missing.puml'), api), /未知的主题/);
+});
+
+test('plantuml-jar-renderer.resolveTheme：写出供java命令行使用的 -config 文件', async (t) => {
+  const file = themeFile(t, '@startuml\nskinparam dpi 300\n@enduml\n');
+  const { api, calls } = createApi(jar, {}, ['fs:read', 'fs:exists']);
+
+  const theme = await jar.resolveTheme(file, '/data/project', api);
+  const write = calls.find(call => call.key === 'fs:write');
+  assert.strictEqual(write.args.path, `/data/project/cache/plantuml-jar-renderer/theme-${theme.id.replace(':', '-')}.config`);
+  assert.strictEqual(write.args.data, 'skinparam dpi 300\n');
+  assert.strictEqual(theme.configPath, write.args.path);
+  assert.strictEqual(jar.themeFlag(theme), ` -config "${write.args.path}"`);
+  await assert.rejects(jar.resolveTheme('dark', '/data/project', api), /未知的主题：dark/);
+});
+
+test('plantuml-jar-renderer 批量渲染：常驻进程收到注入主题后的源码，java -pipe 收到 -config 路径，源文件不变', async () => {
+  const source = '@startuml\nA -> B\n@enduml';
+  const overrides = { 'fs:read': () => source, 'fs:scan': () => ['a.puml'] };
+
+  const daemon = createApi(jar, overrides);
+  jar.api = daemon.api;
+  const daemonResult = await jar.execute({ action: 'render_batch', sourceDir: 'uml', outputDir: 'figures', theme: 'academic-bw' });
+  const encoded = daemon.calls.find(call => call.key === 'daemon:render').args.encoded;
+  assert.strictEqual(daemonResult.theme, 'academic-bw');
+  assert.strictEqual(jar.decodePlantUML(encoded).source, jar.applyTheme(source, { lines: jar.getThemePresets()['academic-bw'] }));
+
+  const cli = createApi(jar, overrides);
+  jar.api = cli.api;
+  await jar.execute({ action: 'render_batch', renderer: 'cli', sourceDir: 'uml', outputDir: 'figures', theme: 'academic-bw' });
+  const pipe = cli.calls.find(call => call.key === 'java:pipe').args;
+  assert.strictEqual(pipe.configPath, '/data/project/cache/plantuml-jar-renderer/theme-academic-bw.config');
+  assert.strictEqual(pipe.source, source);
+
+  for (const { calls } of [daemon, cli]) {
+    assert.ok(!calls.some(call => call.key === 'fs:write' && call.args.path.endsWith('.puml')), '不应改写源文件');
+  }
+});
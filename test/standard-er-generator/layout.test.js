@@ -0,0 +1,100 @@
+/**
+ * 标准ER图分层布局：相同输入得到相同坐标、实体与关系节点互不重叠且都在画布内、
+ * 连线两端落在实体边框上、引用不存在实体的关系被跳过
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeERLayout } = require('../../document/standard_er_generator.js');
+const example = require('../../document/er_format_example.json');
+
+const quiet = (fn) => {
+  const warn = console.warn;
+  const messages = [];
+  console.warn = (message) => messages.push(message);
+  try {
+    return { result: fn(), messages };
+  } finally {
+    console.warn = warn;
+  }
+};
+
+// 两个以中心点表示的矩形是否相交（贴边不算）
+const intersects = (a, b) =>
+  Math.abs(a.x - b.x) * 2 < a.width + b.width && Math.abs(a.y - b.y) * 2 < a.height + b.height;
+
+// 20 个实体：14 个组成二叉树（多层），另有一对多对多关联的实体和若干孤立实体（多个连通分量）
+const makeModel = () => {
+  const entities = Array.from({ length: 20 }, (_, i) => ({ name: `实体${i}${'会员'.repeat(i % 4)}` }));
+  const relationships = [];
+  for (let i = 1; i < 14; i++) {
+    relationships.push({ name: `关联${i}`, entity1: entities[Math.floor((i - 1) / 2)].name, entity2: entities[i].name, cardinality1: '1', cardinality2: 'n' });
+  }
+  relationships.push({ name: '组成', entity1: entities[15].name, entity2: entities[16].name, cardinality1: 'n', cardinality2: 'n' });
+  return { entities, relationships };
+};
+
+const nodesOf = (layout) => [
+  ...Object.entries(layout.entityPositions).map(([name, pos]) => ({ label: name, ...pos })),
+  ...Object.entries(layout.relationshipPositions).map(([key, pos]) => ({ label: key, x: pos.x, y: pos.y, width: pos.width, height: pos.height }))
+];
+
+for (const [name, model] of [['示例文件', example], ['20 实体模型', makeModel()]]) {
+  test(`${name}：两次布局结果完全一致`, () => {
+    const first = computeERLayout(model.entities, model.relationships);
+    const second = computeERLayout(JSON.parse(JSON.stringify(model.entities)), JSON.parse(JSON.stringify(model.relationships)));
+
+    assert.deepStrictEqual(second, first);
+  });
+
+  test(`${name}：每个实体和关系都有位置，节点互不重叠且在画布内`, () => {
+    const layout = computeERLayout(model.entities, model.relationships);
+    const nodes = nodesOf(layout);
+
+    assert.strictEqual(Object.keys(layout.entityPositions).length, model.entities.length);
+    assert.strictEqual(Object.keys(layout.relationshipPositions).length, model.relationships.length);
+    for (let i = 0; i < nodes.length; i++) {
+      const node = nodes[i];
+      assert.ok(node.x - node.width / 2 >= 0 && node.x + node.width / 2 <= layout.width, `${node.label} 超出画布宽度`);
+      assert.ok(node.y - node.height / 2 >= 0 && node.y + node.height / 2 <= layout.height, `${node.label} 超出画布高度`);
+      for (const other of nodes.slice(i + 1)) {
+        assert.ok(!intersects(node, other), `${node.label} 与 ${other.label} 重叠`);
+      }
+    }
+  });
+
+  test(`${name}：连线从实体1的上/下边出发，经过关系节点，落到实体2的上/下边`, () => {
+    const layout = computeERLayout(model.entities, model.relationships);
+
+    for (const pos of Object.values(layout.relationshipPositions)) {
+      const { entity1, entity2 } = pos.relationship;
+      const [line1, line2] = pos.lines;
+      const onEdge = (entity, x, y) => {
+        const box = layout.entityPositions[entity];
+        return (y === box.y - box.height / 2 || y === box.y + box.height / 2) && Math.abs(x - box.x) <= box.width / 2;
+      };
+
+      assert.ok(onEdge(entity1, line1.x1, line1.y1), `${entity1} 一端不在实体边框上`);
+      assert.ok(onEdge(entity2, line2.x2, line2.y2), `${entity2} 一端不在实体边框上`);
+      assert.strictEqual(line1.x2, pos.x);
+      assert.strictEqual(line2.x1, pos.x);
+    }
+  });
+}
+
+test('引用不存在实体的关系被跳过并给出警告，自关联照常布局', () => {
+  const { result: layout, messages } = quiet(() => computeERLayout(
+    [{ name: '会员' }, { name: '场馆' }],
+    [
+      { name: '预约', entity1: '会员', entity2: '教练' },
+      { name: '推荐', entity1: '会员', entity2: '会员' }
+    ]
+  ));
+
+  assert.deepStrictEqual(Object.keys(layout.relationshipPositions), ['会员-会员-1']);
+  assert.strictEqual(messages.length, 1);
+  assert.match(messages[0], /预约.*不存在的实体/);
+  assert.deepStrictEqual(Object.keys(layout.entityPositions), ['会员', '场馆']);
+});
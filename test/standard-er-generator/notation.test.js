@@ -0,0 +1,120 @@
+/**
+ * 标准ER图三种记法与 SVG 输出：陈氏菱形与基数标记、乌鸦脚实体框属性列表与两端符号、
+ * UML 多重性与 {PK}/{FK} 约束，以及 generateStandardER 按扩展名写出 SVG、拒绝未知记法
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateStandardER, buildERScene, renderSvg } = require('../../document/standard_er_generator.js');
+const example = require('../../document/er_format_example.json');
+
+const MODEL = {
+  title: '会员卡 & 预约',
+  entities: [
+    {
+      name: '会员',
+      attributes: [
+        { name: 'name', type: 'VARCHAR(32)' },
+        { name: 'id', type: 'BIGINT', key: 'pk' },
+        'phone'
+      ]
+    },
+    {
+      name: '预约',
+      attributes: [
+        { name: 'id', type: 'BIGINT', key: 'PK' },
+        { name: 'member_id', type: 'BIGINT', key: 'FK' }
+      ]
+    }
+  ],
+  relationships: [
+    { name: '提交', entity1: '会员', entity2: '预约', cardinality1: '1', cardinality2: '0..n' }
+  ]
+};
+
+const itemsOf = (scene, type) => scene.items.filter(item => item.type === type);
+const texts = (scene) => itemsOf(scene, 'text').map(item => item.text);
+
+const quiet = (fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+};
+
+test('chen：每个关系一个菱形和两段连线，两端写基数', () => {
+  const scene = buildERScene(example, 'chen');
+
+  assert.strictEqual(itemsOf(scene, 'polygon').length, example.relationships.length);
+  assert.strictEqual(itemsOf(scene, 'line').length, example.relationships.length * 2);
+  assert.strictEqual(itemsOf(scene, 'rect').length, example.entities.length);
+  assert.strictEqual(itemsOf(scene, 'polyline').length, 0);
+  assert.ok(texts(scene).includes(example.title));
+});
+
+test('crowsfoot：实体框列出属性且主键在前并标 PK/FK，连线一端单竖线对、一端圆加三叉脚', () => {
+  const scene = buildERScene(MODEL, 'crowsfoot');
+  const memberRows = texts(scene).filter(text => /^(id|name|phone)\b/.test(text));
+
+  assert.deepStrictEqual(memberRows.slice(0, 3), ['id  BIGINT', 'name  VARCHAR(32)', 'phone']);
+  assert.ok(texts(scene).includes('PK'));
+  assert.ok(texts(scene).includes('FK'));
+  assert.ok(texts(scene).includes('member_id  BIGINT'));
+  assert.strictEqual(itemsOf(scene, 'polygon').length, 0);
+  assert.strictEqual(itemsOf(scene, 'polyline').length, 1);
+
+  // "1" 端两道竖线，"0..n" 端三叉脚（三条线交于一点）加一个小圆
+  assert.strictEqual(itemsOf(scene, 'circle').length, 1);
+  const strokes = itemsOf(scene, 'line').filter(item => item.strokeWidth === 1.5);
+  assert.strictEqual(strokes.length, 5);
+  const feet = strokes.filter(item => strokes.filter(other => other.x1 === item.x1 && other.y1 === item.y1).length === 3);
+  assert.strictEqual(feet.length, 3);
+});
+
+test('uml-class：属性写成 名称 : 类型 {PK}，两端标多重性，关系名为斜体标签', () => {
+  const scene = buildERScene(MODEL, 'uml-class');
+
+  assert.ok(texts(scene).includes('id : BIGINT {PK}'));
+  assert.ok(texts(scene).includes('member_id : BIGINT {FK}'));
+  assert.ok(texts(scene).includes('1'));
+  assert.ok(texts(scene).includes('0..*'));
+  assert.strictEqual(itemsOf(scene, 'text').find(item => item.text === '提交').italic, true);
+  assert.strictEqual(itemsOf(scene, 'circle').length, 0);
+});
+
+test('renderSvg：每个图元一个元素，画布尺寸与场景一致，文字做 XML 转义', () => {
+  const scene = buildERScene(MODEL, 'crowsfoot');
+  const svg = renderSvg(scene);
+
+  assert.match(svg, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<svg /);
+  assert.ok(svg.includes(`width="${scene.width}" height="${scene.height}"`));
+  assert.ok(svg.includes('>会员卡 &amp; 预约</text>'));
+  assert.ok(svg.trimEnd().endsWith('</svg>'));
+  // 背景矩形之外，每个图元输出一行
+  const elements = svg.split('\n').filter(line => /^ {2}<(rect|polygon|polyline|line|circle|text) /.test(line));
+  assert.strictEqual(elements.length, scene.items.length + 1);
+});
+
+test('generateStandardER：.svg 扩展名写出 SVG，记法可取自输入文件，未知记法报错', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'standard-er-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const input = path.join(dir, 'model.json');
+  fs.writeFileSync(input, JSON.stringify({ ...MODEL, notation: 'uml-class' }));
+
+  quiet(() => generateStandardER(input, path.join(dir, 'model.svg')));
+  assert.ok(fs.readFileSync(path.join(dir, 'model.svg'), 'utf8').includes('id : BIGINT {PK}'));
+
+  quiet(() => generateStandardER(input, path.join(dir, 'chen.svg'), { notation: 'chen' }));
+  assert.match(fs.readFileSync(path.join(dir, 'chen.svg'), 'utf8'), /<polygon /);
+
+  assert.throws(() => quiet(() => generateStandardER(input, path.join(dir, 'bad.svg'), { notation: 'idef1x' })), /不支持的记法：idef1x/);
+  assert.ok(!fs.existsSync(path.join(dir, 'bad.svg')));
+});
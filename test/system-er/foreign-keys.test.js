@@ -0,0 +1,152 @@
+/**
+ * system-er 外键目标解析：relations.json 优先，其余外键列依次按约束、说明、字段名、中文字段名
+ * 在已加载的表中查找，不依赖项目专属的表名清单；基于工具自带的 mock Bridge 运行
+ *
+ * 运行：node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const tool = require('../../resource/tool/system-er/system-er.tool.js');
+
+const HEADER = ['字段名', '字段中文名', '类型', '约束', '说明'];
+const table = (tableName, tableCnName, ...columns) => ({
+  fileName: `Tab-${tableName}.json`,
+  data: { tableName, tableCnName, columns: [HEADER, ['id', '编号', 'BIGINT', 'PK, NOT NULL', '主键'], ...columns] }
+});
+
+const TABLES = [
+  table('sys_user', '用户表'),
+  table('sys_user_role', '用户角色表', ['user_id', '用户', 'BIGINT', 'FK', '关联用户表']),
+  table('categories', '分类表', ['parent_id', '上级分类', 'BIGINT', 'FK', '']),
+  table('venue', '场地表'),
+  table('reservation', '预约表',
+    ['owner', '预约人', 'BIGINT', 'FK REFERENCES sys_user(id)', ''],
+    ['place', '地点', 'BIGINT', 'FK', '关联场地表'],
+    ['category_id', '类别', 'BIGINT', 'FK', ''],
+    ['coach', '教练', 'BIGINT', 'FK', ''],
+    ['room_no', '房间号', 'VARCHAR(10)', '', '关联场地表']),
+  table('coach_info', '教练表')
+];
+
+// 只取关系的 表.列 -> 目标表（解析方式）
+const edges = (analysis) => analysis.relations.map(relation => `${relation.fromTable}.${relation.fromFieldEn} -> ${relation.toTable} (${relation.resolvedBy})`);
+
+const createApi = (bridges = {}) => {
+  const writes = [];
+  const api = {
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    importx: async (name) => require(name),
+    bridge: {
+      execute: async (key, args) => {
+        if (key === 'fs:write') writes.push(args);
+        return bridges[key] ? bridges[key](args) : tool.getBridges()[key].mock(args, api);
+      }
+    }
+  };
+  return { api, writes };
+};
+
+test('没有 relations.json 时按约束、说明、字段名、中文字段名依次推断外键目标', () => {
+  const analysis = tool.analyzeTables(TABLES);
+
+  assert.deepStrictEqual(edges(analysis).sort(), [
+    'categories.parent_id -> categories (fieldName)',
+    'reservation.category_id -> categories (fieldName)',
+    'reservation.owner -> sys_user (constraint)',
+    'reservation.place -> venue (description)',
+    'sys_user_role.user_id -> sys_user (description)'
+  ].sort());
+});
+
+test('说明取最长匹配的表名，“关联用户角色表”不会命中“用户表”', () => {
+  const files = [
+    table('sys_user', '用户表'),
+    table('sys_user_role', '用户角色表'),
+    table('audit', '审计表', ['ref_id', '对象', 'BIGINT', 'FK', '关联用户角色表'])
+  ];
+
+  assert.deepStrictEqual(edges(tool.analyzeTables(files)), ['audit.ref_id -> sys_user_role (description)']);
+});
+
+test('字段名去掉表前缀并匹配复数表名，中文字段名“xx编号”匹配“xx表”', () => {
+  const files = [
+    table('t_order', '订单表'),
+    table('boxes', '箱子表'),
+    table('coach_info', '教练表'),
+    table('item', '明细表',
+      ['order_id', '所属', 'BIGINT', 'FK', ''],
+      ['box_id', '箱', 'BIGINT', 'FK', ''],
+      ['trainer', '教练编号', 'BIGINT', 'FK', ''])
+  ];
+
+  assert.deepStrictEqual(edges(tool.analyzeTables(files)), [
+    'item.order_id -> t_order (fieldName)',
+    'item.box_id -> boxes (fieldName)',
+    'item.trainer -> coach_info (fieldCnName)'
+  ]);
+});
+
+test('找不到目标的外键进入 unresolved，非外键列即使说明中提到表名也不算关系', () => {
+  const analysis = tool.analyzeTables(TABLES);
+
+  assert.deepStrictEqual(analysis.unresolved.map(item => `${item.table}.${item.fieldEn}`), ['reservation.coach']);
+  assert.ok(!edges(analysis).some(edge => edge.startsWith('reservation.room_no')));
+});
+
+test('relations.json 中的关系优先，未覆盖的外键列仍按列推断；多对多中间表不在目录时画一条连线', () => {
+  const relations = [
+    { source: { table: 'reservation', columns: ['place'] }, target: { table: 'coach_info', columns: ['id'] } },
+    { source: { table: 'sys_user', columns: ['id'] }, target: { table: 'venue', columns: ['id'] }, joinTable: { name: 'user_favorite' } },
+    { source: { table: 'missing', columns: ['x_id'] }, target: { table: 'venue', columns: ['id'] } }
+  ];
+  const analysis = tool.analyzeTables(TABLES, relations);
+
+  assert.ok(edges(analysis).includes('reservation.place -> coach_info (relations)'));
+  assert.ok(!edges(analysis).includes('reservation.place -> venue (description)'));
+  assert.ok(edges(analysis).includes('reservation.owner -> sys_user (constraint)'));
+  assert.deepStrictEqual(analysis.relations.find(relation => relation.fromField === 'user_favorite').description, '多对多（user_favorite）');
+  assert.deepStrictEqual(analysis.unresolved.find(item => item.resolvedBy === 'relations'), { table: 'missing', target: 'venue', resolvedBy: 'relations' });
+});
+
+test('被引用次数按表名统计，中文名相同的表不合并', () => {
+  const files = [
+    table('a_user', '用户表'),
+    table('b_user', '用户表'),
+    table('log', '日志表',
+      ['a_user_id', '甲', 'BIGINT', 'FK REFERENCES a_user(id)', ''],
+      ['b_user_id', '乙', 'BIGINT', 'FK REFERENCES b_user(id)', ''])
+  ];
+
+  assert.deepStrictEqual(tool.analyzeTables(files).tableCounts, { a_user: 1, b_user: 1 });
+});
+
+test('analyze：使用 mock 表结构与 relations.json，写出分析结果', async () => {
+  const { api, writes } = createApi();
+  tool.api = api;
+  const result = await tool.execute({ operation: 'analyze', tablesDir: '/project/tables' });
+
+  assert.strictEqual(result.relationsSource, '/project/tables/relations.json');
+  assert.strictEqual(result.relationCount, 2);
+  assert.deepStrictEqual(result.tableCounts, { sys_user: 1, venue: 1 });
+  assert.deepStrictEqual(writes.map(write => write.path), ['/project/tables/system_er_analysis.json']);
+  assert.strictEqual(JSON.parse(writes[0].data).relations[0].resolvedBy, 'relations');
+});
+
+test('generate：relations.json 不存在时按外键列推断，SVG 输出包含所有表', async () => {
+  const { api, writes } = createApi({ 'fs:readRelations': async () => null });
+  tool.api = api;
+  const result = await tool.execute({ tablesDir: '/project/tables', outputPath: '/project/er.svg' });
+
+  assert.strictEqual(result.relationsSource, 'inferred');
+  assert.strictEqual(result.format, 'svg');
+  const svg = writes.find(write => write.path === '/project/er.svg').data;
+  for (const name of ['用户表', '场地表', '预约表']) {
+    assert.ok(svg.includes(name), `SVG 中缺少 ${name}`);
+  }
+});
+
+test('表结构目录必须是绝对路径', async () => {
+  tool.api = createApi().api;
+  await assert.rejects(tool.execute({ tablesDir: 'paper/exports/tables' }), /绝对路径/);
+});